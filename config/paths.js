@@ -15,6 +15,7 @@ module.exports = {
   appBuild: resolveApp("build"),
   appIndexJs: resolveApp("src/app/index.js"),
   appServerSideRenderingIndexJs: resolveApp("src/app/server.js"),
+  appPagerankWorkerJs: resolveApp("src/app/credExplorer/pagerankWorker.js"),
   appRouteData: resolveApp("src/app/routeData.js"),
   appPackageJson: resolveApp("package.json"),
   appSrc: resolveApp("src"),
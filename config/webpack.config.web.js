@@ -36,6 +36,10 @@ function makeConfig(mode /*: "production" | "development" */) {
         require.resolve("./polyfills"),
         paths.appServerSideRenderingIndexJs,
       ],
+      pagerankWorker: [
+        require.resolve("./polyfills"),
+        paths.appPagerankWorkerJs,
+      ],
     },
     devServer: {
       inline: false,
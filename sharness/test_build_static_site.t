@@ -268,7 +268,7 @@ test_expect_success NO_REPOS \
 test_expect_success NO_REPOS \
     "NO_REPOS: should not have repository data" '
     for repo in sourcecred/example-git sourcecred/example-github; do
-        for file in git/graph.json github/view.json.gz; do
+        for file in git/graph.bin github/view.json.gz; do
             test_must_fail test -f "${data_dir}/${repo}/${file}" || return
         done
     done
@@ -112,6 +112,20 @@ export class DynamicAdapterSet {
     return Graph.merge(this._adapters.map((x) => x.graph()));
   }
 
+  createdAt(x: NodeAddressT): number | null {
+    return this.adapterMatchingNode(x).createdAt(x);
+  }
+
+  labelMultipliers(labels: Map<string, number>): Map<NodeAddressT, number> {
+    const result = new Map();
+    for (const adapter of this._adapters) {
+      for (const [node, multiplier] of adapter.labelMultipliers(labels)) {
+        result.set(node, multiplier);
+      }
+    }
+    return result;
+  }
+
   static() {
     return this._staticAdapterSet;
   }
@@ -166,5 +166,28 @@ describe("app/adapters/adapterSet", () => {
       const adapter = das.adapterMatchingEdge(EdgeAddress.fromParts(["weird"]));
       expect(adapter.static().name()).toBe(FALLBACK_NAME);
     });
+    it("delegates creation times to the matching adapter", async () => {
+      const {das} = await example();
+      const node = NodeAddress.fromParts(["factorio", "inserter", "1"]);
+      const adapter = das.adapterMatchingNode(node);
+      const createdAt = jest.spyOn(adapter, "createdAt");
+      createdAt.mockReturnValueOnce(1234);
+      expect(das.createdAt(node)).toBe(1234);
+      expect(createdAt).toHaveBeenCalledWith(node);
+    });
+    it("has no creation time for unregistered nodes", async () => {
+      const {das} = await example();
+      expect(das.createdAt(NodeAddress.fromParts(["weird"]))).toBe(null);
+    });
+    it("gathers the label multipliers of all adapters", async () => {
+      const {das} = await example();
+      const node = NodeAddress.fromParts(["factorio", "inserter", "1"]);
+      const adapter = das.adapterMatchingNode(node);
+      const labelMultipliers = jest.spyOn(adapter, "labelMultipliers");
+      labelMultipliers.mockReturnValueOnce(new Map([[node, 2]]));
+      const labels = new Map([["bounty", 2]]);
+      expect(das.labelMultipliers(labels)).toEqual(new Map([[node, 2]]));
+      expect(labelMultipliers).toHaveBeenCalledWith(labels);
+    });
   });
 });
@@ -116,6 +116,14 @@ export class FactorioDynamicAdapter implements DynamicPluginAdapter {
   nodeDescription(x: NodeAddressT) {
     return NodeAddress.toString(x);
   }
+  createdAt(_unused_x: NodeAddressT) {
+    return null;
+  }
+  labelMultipliers(
+    _unused_labels: Map<string, number>
+  ): Map<NodeAddressT, number> {
+    return new Map();
+  }
   static() {
     return new FactorioStaticAdapter();
   }
@@ -63,6 +63,16 @@ export class FallbackDynamicAdapter implements DynamicPluginAdapter {
     return NodeAddress.toString(x);
   }
 
+  createdAt(_unused_x: NodeAddressT) {
+    return null;
+  }
+
+  labelMultipliers(
+    _unused_labels: Map<string, number>
+  ): Map<NodeAddressT, number> {
+    return new Map();
+  }
+
   static() {
     return new FallbackStaticAdapter();
   }
@@ -32,5 +32,13 @@ export interface StaticPluginAdapter {
 export interface DynamicPluginAdapter {
   graph(): Graph;
   nodeDescription(NodeAddressT): ReactNode;
+  // Creation time of the node, in milliseconds since the Unix epoch,
+  // or null if the node has no meaningful creation time.
+  createdAt(NodeAddressT): number | null;
+  // Multipliers of the weights of nodes with labels, given multipliers
+  // of labels by lowercased name (see `WeightedTypes`): each labeled
+  // node maps to the product of its labels' multipliers. Nodes without
+  // such labels are left out.
+  labelMultipliers(labels: Map<string, number>): Map<NodeAddressT, number>;
   static (): StaticPluginAdapter;
 }
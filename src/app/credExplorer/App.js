@@ -13,9 +13,18 @@ import {PagerankTable} from "./pagerankTable/Table";
 import {
   type WeightedTypes,
   defaultWeightsForAdapterSet,
+  fromJSON as weightsFromJSON,
+  toJSON as weightsToJSON,
 } from "./weights/weights";
+import {
+  type WeightOverrides,
+  emptyOverrides,
+  loadOverrides,
+} from "./weights/overrides";
 import RepositorySelect from "./RepositorySelect";
 import {Prefix as GithubPrefix} from "../../plugins/github/nodes";
+import type {RepoId} from "../../core/repoId";
+import type {PagerankProgress} from "../../core/attribution/pagerank";
 import {
   createStateTransitionMachine,
   type AppState,
@@ -24,6 +33,8 @@ import {
 } from "./state";
 import {StaticAdapterSet} from "../adapters/adapterSet";
 
+export const WEIGHTS_KEY = "weights";
+
 export default class AppPage extends React.Component<{|+assets: Assets|}> {
   static _LOCAL_STORE = new CheckedLocalStore(
     new BrowserLocalStore({
@@ -52,29 +63,54 @@ type Props = {|
 type State = {|
   appState: AppState,
   weightedTypes: WeightedTypes,
+  overrides: WeightOverrides,
+  pagerankProgress: PagerankProgress | null,
 |};
 
 export function createApp(
   createSTM: (
     getState: () => AppState,
-    setState: (AppState) => void
+    setState: (AppState) => void,
+    setProgress: (PagerankProgress | null) => void
   ) => StateTransitionMachineInterface
 ) {
   return class App extends React.Component<Props, State> {
     stateTransitionMachine: StateTransitionMachineInterface;
+    // The repository whose overrides are being loaded, so that overrides
+    // that arrive after another repository is selected are dropped.
+    _overridesRepoId: RepoId | null;
 
     constructor(props: Props) {
       super(props);
       this.state = {
         appState: uninitializedState(),
-        weightedTypes: defaultWeightsForAdapterSet(props.adapters),
+        weightedTypes: loadWeights(props.localStore, props.adapters),
+        overrides: emptyOverrides(),
+        pagerankProgress: null,
       };
+      this._overridesRepoId = null;
       this.stateTransitionMachine = createSTM(
         () => this.state.appState,
-        (appState) => this.setState({appState})
+        (appState) => this.setState({appState}),
+        (pagerankProgress) => this.setState({pagerankProgress})
       );
     }
 
+    async _loadOverrides(repoId: RepoId): Promise<void> {
+      this._overridesRepoId = repoId;
+      this.setState({overrides: emptyOverrides()});
+      let overrides;
+      try {
+        overrides = await loadOverrides(this.props.assets, repoId);
+      } catch (e) {
+        console.warn("Ignoring overrides: " + e);
+        return;
+      }
+      if (this._overridesRepoId === repoId) {
+        this.setState({overrides});
+      }
+    }
+
     render() {
       const {localStore} = this.props;
       const {appState} = this.state;
@@ -87,14 +123,32 @@ export function createApp(
             defaultNodeFilter={GithubPrefix.user}
             adapters={adapters}
             weightedTypes={this.state.weightedTypes}
-            onWeightedTypesChange={(weightedTypes) =>
-              this.setState({weightedTypes})
-            }
+            onWeightedTypesChange={(weightedTypes) => {
+              this.setState({weightedTypes});
+              localStore.set(WEIGHTS_KEY, weightsToJSON(weightedTypes));
+            }}
+            overrides={this.state.overrides}
+            onOverridesChange={(overrides) => this.setState({overrides})}
             pnd={pnd}
             maxEntriesPerList={100}
           />
         );
       }
+      let cancelButton;
+      if (
+        (appState.type === "READY_TO_RUN_PAGERANK" ||
+          appState.type === "PAGERANK_EVALUATED") &&
+        appState.loading === "LOADING"
+      ) {
+        cancelButton = (
+          <button
+            style={{marginLeft: 10}}
+            onClick={() => this.stateTransitionMachine.cancelPagerank()}
+          >
+            Cancel
+          </button>
+        );
+      }
       const spacer = () => (
         <span style={{display: "inline-block", width: 12}} />
       );
@@ -113,9 +167,10 @@ export function createApp(
             <RepositorySelect
               assets={this.props.assets}
               localStore={localStore}
-              onChange={(repoId) =>
-                this.stateTransitionMachine.setRepoId(repoId)
-              }
+              onChange={(repoId) => {
+                this.stateTransitionMachine.setRepoId(repoId);
+                this._loadOverrides(repoId);
+              }}
             />
           </div>
           <button
@@ -128,13 +183,18 @@ export function createApp(
                 this.props.assets,
                 this.props.adapters,
                 this.state.weightedTypes,
+                this.state.overrides,
                 GithubPrefix.user
               )
             }
           >
             Analyze cred
           </button>
-          <LoadingIndicator appState={this.state.appState} />
+          <LoadingIndicator
+            appState={this.state.appState}
+            progress={this.state.pagerankProgress}
+          />
+          {cancelButton}
           {pagerankTable}
         </div>
       );
@@ -142,17 +202,43 @@ export function createApp(
   };
 }
 
+/**
+ * Load the weights that the user last chose, falling back to the
+ * defaults if there are none or if they can no longer be loaded (for
+ * instance, because a plugin removed a type).
+ */
+function loadWeights(
+  localStore: LocalStore,
+  adapters: StaticAdapterSet
+): WeightedTypes {
+  const json = localStore.get(WEIGHTS_KEY, null);
+  if (json != null) {
+    try {
+      return weightsFromJSON(json, adapters);
+    } catch (e) {
+      console.warn("Ignoring stored weights: " + e);
+    }
+  }
+  return defaultWeightsForAdapterSet(adapters);
+}
+
 export class LoadingIndicator extends React.PureComponent<{|
   +appState: AppState,
+  +progress: PagerankProgress | null,
 |}> {
   render() {
     return (
-      <span style={{paddingLeft: 10}}>{loadingText(this.props.appState)}</span>
+      <span style={{paddingLeft: 10}}>
+        {loadingText(this.props.appState, this.props.progress)}
+      </span>
     );
   }
 }
 
-export function loadingText(state: AppState) {
+export function loadingText(
+  state: AppState,
+  progress: PagerankProgress | null
+) {
   switch (state.type) {
     case "UNINITIALIZED": {
       return "Initializing...";
@@ -166,14 +252,14 @@ export function loadingText(state: AppState) {
     }
     case "READY_TO_RUN_PAGERANK": {
       return {
-        LOADING: "Running PageRank...",
+        LOADING: "Running PageRank..." + progressText(progress),
         NOT_LOADING: "Ready to run PageRank",
         FAILED: "Error while running PageRank",
       }[state.loading];
     }
     case "PAGERANK_EVALUATED": {
       return {
-        LOADING: "Re-running PageRank...",
+        LOADING: "Re-running PageRank..." + progressText(progress),
         NOT_LOADING: "",
         FAILED: "Error while running PageRank",
       }[state.loading];
@@ -182,3 +268,11 @@ export function loadingText(state: AppState) {
       throw new Error((state.type: empty));
   }
 }
+
+function progressText(progress: PagerankProgress | null) {
+  if (progress == null) {
+    return "";
+  }
+  const {iteration, delta} = progress;
+  return ` (iteration ${iteration}, delta ${delta.toExponential(1)})`;
+}
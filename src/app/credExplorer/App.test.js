@@ -3,37 +3,57 @@
 import React from "react";
 import {shallow} from "enzyme";
 
-import {Graph} from "../../core/graph";
+import {Graph, NodeAddress} from "../../core/graph";
 import {makeRepoId} from "../../core/repoId";
 import {Assets} from "../assets";
 import testLocalStore from "../testLocalStore";
+import type {LocalStore} from "../localStore";
 import {DynamicAdapterSet, StaticAdapterSet} from "../adapters/adapterSet";
 import {FactorioStaticAdapter} from "../adapters/demoAdapters";
-import {defaultWeightsForAdapter} from "./weights/weights";
+import {
+  defaultWeightsForAdapter,
+  defaultWeightsForAdapterSet,
+  toJSON as weightsToJSON,
+} from "./weights/weights";
+import {
+  emptyOverrides,
+  setNodeOverride,
+  toJSON as overridesToJSON,
+} from "./weights/overrides";
 
 import RepositorySelect from "./RepositorySelect";
 import {PagerankTable} from "./pagerankTable/Table";
-import {createApp, LoadingIndicator} from "./App";
+import {createApp, LoadingIndicator, WEIGHTS_KEY} from "./App";
 import {uninitializedState} from "./state";
 import {Prefix as GithubPrefix} from "../../plugins/github/nodes";
 
 require("../testUtil").configureEnzyme();
 
 describe("app/credExplorer/App", () => {
-  function example() {
-    let setState, getState;
+  function example(options?: {|
+    +adapters?: StaticAdapterSet,
+    +localStore?: LocalStore,
+  |}) {
+    let setState, getState, setProgress;
     const setRepoId = jest.fn();
     const loadGraph = jest.fn();
     const runPagerank = jest.fn();
+    const cancelPagerank = jest.fn();
     const loadGraphAndRunPagerank = jest.fn();
-    const localStore = testLocalStore();
-    function createMockSTM(_getState, _setState) {
+    const {adapters, localStore} = {
+      adapters: new StaticAdapterSet([]),
+      localStore: testLocalStore(),
+      ...(options || {}),
+    };
+    function createMockSTM(_getState, _setState, _setProgress) {
       setState = _setState;
       getState = _getState;
+      setProgress = _setProgress;
       return {
         setRepoId,
         loadGraph,
         runPagerank,
+        cancelPagerank,
         loadGraphAndRunPagerank,
       };
     }
@@ -41,20 +61,22 @@ describe("app/credExplorer/App", () => {
     const el = shallow(
       <App
         assets={new Assets("/foo/")}
-        adapters={new StaticAdapterSet([])}
+        adapters={adapters}
         localStore={localStore}
       />
     );
-    if (setState == null || getState == null) {
+    if (setState == null || getState == null || setProgress == null) {
       throw new Error("Initialization problems");
     }
     return {
       el,
       setState,
       getState,
+      setProgress,
       setRepoId,
       loadGraph,
       runPagerank,
+      cancelPagerank,
       loadGraphAndRunPagerank,
       localStore,
     };
@@ -100,6 +122,13 @@ describe("app/credExplorer/App", () => {
     setState(newState);
     expect(el.state().appState).toBe(newState);
   });
+  it("setProgress is wired properly", () => {
+    const {setProgress, el} = example();
+    expect(el.state().pagerankProgress).toBe(null);
+    const progress = {iteration: 1, delta: 0.5};
+    setProgress(progress);
+    expect(el.state().pagerankProgress).toBe(progress);
+  });
   it("localStore is wired properly", () => {
     const {el, localStore} = example();
     expect(el.instance().props.localStore).toBe(localStore);
@@ -117,6 +146,102 @@ describe("app/credExplorer/App", () => {
     expect(link.prop("href")).toMatch(/https?:\/\//);
   });
 
+  describe("weights", () => {
+    const factorioAdapters = () =>
+      new StaticAdapterSet([new FactorioStaticAdapter()]);
+    it("uses default weights when none are stored", () => {
+      const {el} = example({adapters: factorioAdapters()});
+      expect(el.state().weightedTypes).toEqual(
+        defaultWeightsForAdapterSet(factorioAdapters())
+      );
+    });
+    it("loads stored weights", () => {
+      const weights = defaultWeightsForAdapterSet(factorioAdapters());
+      const [firstPrefix, firstType] = Array.from(weights.nodes)[0];
+      weights.nodes.set(firstPrefix, {...firstType, weight: 7});
+      const localStore = testLocalStore();
+      localStore.set(WEIGHTS_KEY, weightsToJSON(weights));
+      const {el} = example({adapters: factorioAdapters(), localStore});
+      expect(el.state().weightedTypes).toEqual(weights);
+    });
+    it("ignores stored weights that cannot be loaded", () => {
+      // Weights for the Factorio plugin are unknown to an empty set.
+      const localStore = testLocalStore();
+      localStore.set(
+        WEIGHTS_KEY,
+        weightsToJSON(defaultWeightsForAdapterSet(factorioAdapters()))
+      );
+      const {el} = example({localStore});
+      expect(el.state().weightedTypes).toEqual(
+        defaultWeightsForAdapterSet(new StaticAdapterSet([]))
+      );
+      expect(console.warn).toHaveBeenCalledTimes(1);
+      expect(console.warn.mock.calls[0][0]).toMatch(
+        "Ignoring stored weights: Error: Unknown node type"
+      );
+      // $ExpectFlowError
+      console.warn = jest.fn();
+    });
+  });
+
+  describe("overrides", () => {
+    beforeEach(() => {
+      fetch.resetMocks();
+    });
+    function selectRepo(el, repoId) {
+      return el
+        .instance()
+        ._loadOverrides(repoId)
+        .then(() => el.update());
+    }
+    const repoId = makeRepoId("foo", "bar");
+    const someOverrides = () =>
+      setNodeOverride(emptyOverrides(), NodeAddress.fromParts(["foo"]), 10);
+
+    it("are initially empty", () => {
+      const {el} = example();
+      expect(el.state().overrides).toEqual(emptyOverrides());
+    });
+    it("are loaded from the selected repository's data", async () => {
+      const {el} = example();
+      fetch.mockResponseOnce(JSON.stringify(overridesToJSON(someOverrides())));
+      await selectRepo(el, repoId);
+      expect(fetch).toHaveBeenCalledWith(
+        "/foo/api/v1/data/data/foo/bar/overrides.json"
+      );
+      expect(el.state().overrides).toEqual(someOverrides());
+    });
+    it("are reset when another repository is selected", async () => {
+      const {el} = example();
+      fetch.mockResponseOnce(JSON.stringify(overridesToJSON(someOverrides())));
+      await selectRepo(el, repoId);
+      fetch.mockResponseOnce("", {status: 404});
+      await selectRepo(el, makeRepoId("zoo", "zod"));
+      expect(el.state().overrides).toEqual(emptyOverrides());
+    });
+    it("are dropped if another repository is selected first", async () => {
+      const {el} = example();
+      fetch.mockResponseOnce(JSON.stringify(overridesToJSON(someOverrides())));
+      fetch.mockResponseOnce("", {status: 404});
+      const first = selectRepo(el, repoId);
+      const second = selectRepo(el, makeRepoId("zoo", "zod"));
+      await Promise.all([first, second]);
+      expect(el.state().overrides).toEqual(emptyOverrides());
+    });
+    it("are empty if they cannot be loaded", async () => {
+      const {el} = example();
+      fetch.mockResponseOnce("", {status: 500});
+      await selectRepo(el, repoId);
+      expect(el.state().overrides).toEqual(emptyOverrides());
+      expect(console.warn).toHaveBeenCalledTimes(1);
+      expect(console.warn.mock.calls[0][0]).toEqual(
+        "Ignoring overrides: Error: Failed to load overrides: 500"
+      );
+      // $ExpectFlowError
+      console.warn = jest.fn();
+    });
+  });
+
   describe("when in state:", () => {
     function testRepositorySelect(stateFn) {
       it("creates a working RepositorySelect", () => {
@@ -124,6 +249,8 @@ describe("app/credExplorer/App", () => {
         setState(stateFn());
         const rs = el.find(RepositorySelect);
         const newRepoId = makeRepoId("zoo", "zod");
+        fetch.resetMocks();
+        fetch.mockResponseOnce("", {status: 404});
         rs.props().onChange(newRepoId);
         expect(setRepoId).toHaveBeenCalledWith(newRepoId);
         expect(rs.props().localStore).toBe(localStore);
@@ -149,6 +276,7 @@ describe("app/credExplorer/App", () => {
             el.instance().props.assets,
             el.instance().props.adapters,
             el.instance().state.weightedTypes,
+            el.instance().state.overrides,
             GithubPrefix.user
           );
         }
@@ -158,7 +286,7 @@ describe("app/credExplorer/App", () => {
     function testPagerankTable(stateFn, present: boolean) {
       const verb = present ? "has" : "doesn't have";
       it(`${verb} a PagerankTable`, () => {
-        const {el, setState} = example();
+        const {el, setState, localStore} = example();
         const state = stateFn();
         setState(state);
         el.update();
@@ -180,6 +308,15 @@ describe("app/credExplorer/App", () => {
           );
           prtWeightedTypesChange(newTypes);
           expect(el.instance().state.weightedTypes).toBe(newTypes);
+          expect(localStore.get(WEIGHTS_KEY)).toEqual(weightsToJSON(newTypes));
+          expect(prt.props().overrides).toBe(el.instance().state.overrides);
+          const newOverrides = setNodeOverride(
+            emptyOverrides(),
+            NodeAddress.fromParts(["foo"]),
+            0
+          );
+          prt.props().onOverridesChange(newOverrides);
+          expect(el.instance().state.overrides).toBe(newOverrides);
         } else {
           expect(prt).toHaveLength(0);
         }
@@ -188,31 +325,55 @@ describe("app/credExplorer/App", () => {
 
     function testLoadingIndicator(stateFn) {
       it("has a LoadingIndicator", () => {
-        const {el, setState} = example();
+        const {el, setState, setProgress} = example();
         const state = stateFn();
+        const progress = {iteration: 1, delta: 0.5};
         setState(state);
+        setProgress(progress);
         el.update();
         const li = el.find(LoadingIndicator);
         expect(li.props().appState).toEqual(state);
+        expect(li.props().progress).toEqual(progress);
+      });
+    }
+
+    function testCancelButton(stateFn, present: boolean) {
+      const verb = present ? "has" : "doesn't have";
+      it(`${verb} a cancel button`, () => {
+        const {el, cancelPagerank, setState} = example();
+        setState(stateFn());
+        el.update();
+        const button = el.findWhere(
+          (b) => b.text() === "Cancel" && b.is("button")
+        );
+        if (present) {
+          expect(button).toHaveLength(1);
+          button.simulate("click");
+          expect(cancelPagerank).toBeCalledTimes(1);
+        } else {
+          expect(button).toHaveLength(0);
+        }
       });
     }
 
     function stateTestSuite(
       suiteName,
       stateFn,
-      {analyzeCredDisabled, hasPagerankTable}
+      {analyzeCredDisabled, hasPagerankTable, hasCancelButton}
     ) {
       describe(suiteName, () => {
         testRepositorySelect(stateFn);
         testAnalyzeCredButton(stateFn, {disabled: analyzeCredDisabled});
         testPagerankTable(stateFn, hasPagerankTable);
         testLoadingIndicator(stateFn);
+        testCancelButton(stateFn, hasCancelButton);
       });
     }
 
     stateTestSuite("UNINITIALIZED", exampleStates.uninitialized, {
       analyzeCredDisabled: true,
       hasPagerankTable: false,
+      hasCancelButton: false,
     });
     describe("READY_TO_LOAD_GRAPH", () => {
       for (const loadingState of ["LOADING", "NOT_LOADING", "FAILED"]) {
@@ -222,6 +383,7 @@ describe("app/credExplorer/App", () => {
           {
             analyzeCredDisabled: loadingState === "LOADING",
             hasPagerankTable: false,
+            hasCancelButton: false,
           }
         );
       }
@@ -235,6 +397,7 @@ describe("app/credExplorer/App", () => {
           {
             analyzeCredDisabled: loadingState === "LOADING",
             hasPagerankTable: false,
+            hasCancelButton: loadingState === "LOADING",
           }
         );
       }
@@ -248,6 +411,7 @@ describe("app/credExplorer/App", () => {
           {
             analyzeCredDisabled: loadingState === "LOADING",
             hasPagerankTable: true,
+            hasCancelButton: loadingState === "LOADING",
           }
         );
       }
@@ -256,9 +420,14 @@ describe("app/credExplorer/App", () => {
 
   describe("LoadingIndicator", () => {
     describe("displays the right status text when ", () => {
-      function testStatusText(stateName, stateFn, expectedText) {
+      function testStatusText(stateName, stateFn, expectedText, progress) {
         it(stateName, () => {
-          const el = shallow(<LoadingIndicator appState={stateFn()} />);
+          const el = shallow(
+            <LoadingIndicator
+              appState={stateFn()}
+              progress={progress || null}
+            />
+          );
           expect(el.text()).toEqual(expectedText);
         });
       }
@@ -292,6 +461,12 @@ describe("app/credExplorer/App", () => {
         exampleStates.readyToRunPagerank("LOADING"),
         "Running PageRank..."
       );
+      testStatusText(
+        "running pagerank, with progress",
+        exampleStates.readyToRunPagerank("LOADING"),
+        "Running PageRank... (iteration 12, delta 3.2e-5)",
+        {iteration: 12, delta: 0.0000321}
+      );
       testStatusText(
         "pagerank failed",
         exampleStates.readyToRunPagerank("FAILED"),
@@ -307,6 +482,12 @@ describe("app/credExplorer/App", () => {
         exampleStates.pagerankEvaluated("LOADING"),
         "Re-running PageRank..."
       );
+      testStatusText(
+        "re-running pagerank, with progress",
+        exampleStates.pagerankEvaluated("LOADING"),
+        "Re-running PageRank... (iteration 3, delta 1.0e-2)",
+        {iteration: 3, delta: 0.01}
+      );
       testStatusText(
         "re-running pagerank failed",
         exampleStates.pagerankEvaluated("FAILED"),
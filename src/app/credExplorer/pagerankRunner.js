@@ -0,0 +1,211 @@
+// @flow
+
+import {Graph, type NodeAddressT} from "../../core/graph";
+import {encodeGraph} from "../../core/graphBinary";
+import {
+  type MarkovChainStructure,
+  type NodeDistribution,
+  type PagerankNodeDecomposition,
+  type PagerankOptions,
+  type PagerankProgress,
+  pagerankWithStructure,
+} from "../../core/attribution/pagerank";
+import {createMarkovChainStructure} from "../../core/attribution/graphToMarkovChain";
+import type {WeightedTypes} from "./weights/weights";
+import type {WeightOverrides} from "./weights/overrides";
+import {weightsToEdgeEvaluator} from "./weights/weightsToEdgeEvaluator";
+
+/**
+ * A PageRank computation in flight. Cancelling a run rejects its
+ * result.
+ */
+export type PagerankRun = {|
+  +result: Promise<PagerankNodeDecomposition>,
+  +cancel: () => void,
+|};
+
+/**
+ * Start computing PageRank on a graph, weighting its edges by the given
+ * types, label multipliers (see `weightsToEdgeEvaluator`), and
+ * overrides. Progress is reported through the `onProgress` option.
+ *
+ * Runners remember the last graph that they ran on, so that rerunning
+ * on it with new weights reuses its chain structure and starts from the
+ * previous run's distribution. The graph must not be modified between
+ * runs.
+ */
+export type PagerankRunner = (
+  Graph,
+  WeightedTypes,
+  Map<NodeAddressT, number>,
+  WeightOverrides,
+  PagerankOptions
+) => PagerankRun;
+
+/**
+ * The message that a client posts to the PageRank worker to start a
+ * run. The `onProgress` option is replaced by progress messages. The
+ * graph is in its binary encoding (see `graphBinary`), whose buffer is
+ * transferred to the worker rather than copied; it is null to run on
+ * the graph of the worker's previous request.
+ */
+export type PagerankRequest = {|
+  +graphBytes: Uint8Array | null,
+  +weightedTypes: WeightedTypes,
+  +labelMultipliers: Map<NodeAddressT, number>,
+  +overrides: WeightOverrides,
+  +options: PagerankOptions,
+|};
+
+/**
+ * The messages that the PageRank worker posts back: any number of
+ * progress reports, followed by either a result or an error.
+ */
+export type PagerankResponse =
+  | {|+type: "PROGRESS", +progress: PagerankProgress|}
+  | {|+type: "RESULT", +pnd: PagerankNodeDecomposition|}
+  | {|+type: "ERROR", +message: string|};
+
+/**
+ * Run PageRank on the current thread. The iteration yields to the event
+ * loop periodically, so the page stays responsive, but the conversion
+ * of the graph to a Markov chain does not. Cancelling a run discards
+ * its result without stopping the computation.
+ */
+export function inlinePagerankRunner(): PagerankRunner {
+  let cache: ?{|
+    +graph: Graph,
+    +structure: MarkovChainStructure,
+    distribution: NodeDistribution | void,
+  |} = null;
+  return (graph, weightedTypes, labelMultipliers, overrides, options) => {
+    let cancel = () => {};
+    const cancelled = new Promise((_unused_resolve, reject) => {
+      cancel = () => reject(new Error("PageRank run cancelled"));
+    });
+    // Report invalid weights through the result, not by throwing.
+    const computation = Promise.resolve().then(async () => {
+      if (cache == null || cache.graph !== graph) {
+        cache = {
+          graph,
+          structure: createMarkovChainStructure(graph),
+          distribution: undefined,
+        };
+      }
+      const current = cache;
+      const {pnd, distribution} = await pagerankWithStructure(
+        current.structure,
+        weightsToEdgeEvaluator(weightedTypes, labelMultipliers, overrides),
+        {
+          ...options,
+          initialDistribution:
+            options.initialDistribution || current.distribution,
+        }
+      );
+      current.distribution = distribution;
+      return pnd;
+    });
+    const result = Promise.race([computation, cancelled]);
+    return {result, cancel};
+  };
+}
+
+/**
+ * Run PageRank in a Web Worker loaded from the given URL (the
+ * `pagerankWorker` bundle). The worker is kept between runs, along with
+ * the graph last sent to it, and is replaced when a run is cancelled or
+ * when a run starts before the previous one finishes.
+ */
+export function workerPagerankRunner(workerUrl: string): PagerankRunner {
+  let worker: ?Worker = null;
+  let workerGraph: ?Graph = null;
+  let busy = false;
+  return (graph, weightedTypes, labelMultipliers, overrides, options) => {
+    if (worker == null || busy) {
+      if (worker != null) {
+        worker.terminate();
+      }
+      worker = new Worker(workerUrl);
+      workerGraph = null;
+    }
+    const thisWorker = worker;
+    busy = true;
+    const finish = () => {
+      if (worker === thisWorker) {
+        busy = false;
+      }
+    };
+    const stop = () => {
+      thisWorker.terminate();
+      if (worker === thisWorker) {
+        worker = null;
+        workerGraph = null;
+        busy = false;
+      }
+    };
+    let rejectResult = (_unused_e: Error) => {};
+    const result = new Promise((resolve, reject) => {
+      rejectResult = reject;
+      thisWorker.onmessage = (event: MessageEvent) => {
+        const response: PagerankResponse = (event.data: any);
+        switch (response.type) {
+          case "PROGRESS":
+            if (options.onProgress != null) {
+              options.onProgress(response.progress);
+            }
+            break;
+          case "RESULT":
+            finish();
+            resolve(response.pnd);
+            break;
+          case "ERROR":
+            finish();
+            reject(new Error(response.message));
+            break;
+          default:
+            throw new Error((response.type: empty));
+        }
+      };
+      thisWorker.onerror = (event: any) => {
+        stop();
+        reject(new Error(event.message));
+      };
+    });
+    // Functions cannot be posted to a worker.
+    const {onProgress: _unused_onProgress, ...clonableOptions} = options;
+    const graphBytes = workerGraph === graph ? null : encodeGraph(graph);
+    const request: PagerankRequest = {
+      graphBytes,
+      weightedTypes,
+      labelMultipliers,
+      overrides,
+      options: clonableOptions,
+    };
+    thisWorker.postMessage(
+      request,
+      graphBytes == null ? [] : [graphBytes.buffer]
+    );
+    workerGraph = graph;
+    const cancel = () => {
+      stop();
+      rejectResult(new Error("PageRank run cancelled"));
+    };
+    return {result, cancel};
+  };
+}
+
+/**
+ * Run PageRank in a worker if the page says where to find one (see
+ * `server.js`), and on the current thread otherwise: for instance,
+ * while rendering on the server.
+ */
+export function defaultPagerankRunner(): PagerankRunner {
+  if (typeof Worker !== "undefined" && typeof document !== "undefined") {
+    const root = document.getElementById("root");
+    const workerUrl = root == null ? null : root.dataset.pagerankWorker;
+    if (workerUrl != null) {
+      return workerPagerankRunner(workerUrl);
+    }
+  }
+  return inlinePagerankRunner();
+}
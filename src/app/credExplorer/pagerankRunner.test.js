@@ -0,0 +1,220 @@
+// @flow
+
+import {EdgeAddress, Graph, NodeAddress} from "../../core/graph";
+import {decodeGraph, encodeGraph} from "../../core/graphBinary";
+import {StaticAdapterSet} from "../adapters/adapterSet";
+import {defaultWeightsForAdapterSet} from "./weights/weights";
+import {emptyOverrides, setNodeOverride} from "./weights/overrides";
+import * as NullUtil from "../../util/null";
+import {inlinePagerankRunner, workerPagerankRunner} from "./pagerankRunner";
+
+describe("app/credExplorer/pagerankRunner", () => {
+  const a = NodeAddress.fromParts(["a"]);
+  const b = NodeAddress.fromParts(["b"]);
+  function graph() {
+    return new Graph()
+      .addNode(a)
+      .addNode(b)
+      .addEdge({src: a, dst: b, address: EdgeAddress.fromParts(["ab"])});
+  }
+  function weightedTypes() {
+    return defaultWeightsForAdapterSet(new StaticAdapterSet([]));
+  }
+  function labelMultipliers() {
+    return new Map([[a, 2]]);
+  }
+  function overrides() {
+    return setNodeOverride(emptyOverrides(), b, 0);
+  }
+
+  describe("inlinePagerankRunner", () => {
+    it("computes PageRank", async () => {
+      const run = inlinePagerankRunner()(
+        graph(),
+        weightedTypes(),
+        new Map(),
+        emptyOverrides(),
+        {}
+      );
+      const pnd = await run.result;
+      expect(Array.from(pnd.keys()).sort()).toEqual([a, b].sort());
+    });
+    it("gives the same results when rerun on a graph", async () => {
+      const runner = inlinePagerankRunner();
+      const g = graph();
+      const expected = await runner(
+        g,
+        weightedTypes(),
+        new Map(),
+        emptyOverrides(),
+        {}
+      ).result;
+      const actual = await runner(
+        g,
+        weightedTypes(),
+        new Map(),
+        emptyOverrides(),
+        {}
+      ).result;
+      const score = (pnd, node) => NullUtil.get(pnd.get(node)).score;
+      for (const node of [a, b]) {
+        expect(score(actual, node)).toBeCloseTo(score(expected, node), 3);
+      }
+    });
+    it("applies the overrides", async () => {
+      const run = inlinePagerankRunner()(
+        graph(),
+        weightedTypes(),
+        new Map(),
+        overrides(),
+        {
+          totalScore: 1,
+        }
+      );
+      const pnd = await run.result;
+      // With b's weight overridden to 0, the edge from a sends it no
+      // cred, so all cred stays with a.
+      expect(NullUtil.get(pnd.get(a)).score).toBeCloseTo(1, 3);
+    });
+    it("applies the label multipliers", async () => {
+      const run = inlinePagerankRunner()(
+        graph(),
+        weightedTypes(),
+        new Map([[b, 0]]),
+        emptyOverrides(),
+        {totalScore: 1}
+      );
+      const pnd = await run.result;
+      // As with an override, b's weight is multiplied by 0.
+      expect(NullUtil.get(pnd.get(a)).score).toBeCloseTo(1, 3);
+    });
+    it("rejects the result when cancelled", async () => {
+      const run = inlinePagerankRunner()(
+        graph(),
+        weightedTypes(),
+        new Map(),
+        emptyOverrides(),
+        {}
+      );
+      run.cancel();
+      await expect(run.result).rejects.toThrow("PageRank run cancelled");
+    });
+  });
+
+  describe("workerPagerankRunner", () => {
+    const realWorker = global.Worker;
+    let workers;
+    class FakeWorker {
+      url: string;
+      onmessage: (event: {data: mixed}) => void;
+      onerror: (event: {message: string}) => void;
+      postMessage = jest.fn();
+      terminate = jest.fn();
+      constructor(url: string) {
+        this.url = url;
+        workers.push(this);
+      }
+      respond(data: mixed) {
+        this.onmessage({data});
+      }
+    }
+    beforeEach(() => {
+      workers = [];
+      global.Worker = FakeWorker;
+    });
+    afterEach(() => {
+      global.Worker = realWorker;
+    });
+
+    function start(runner = workerPagerankRunner("/worker.js"), g = graph()) {
+      const onProgress = jest.fn();
+      const run = runner(g, weightedTypes(), labelMultipliers(), overrides(), {
+        totalScore: 100,
+        onProgress,
+      });
+      const worker = workers[workers.length - 1];
+      const [request, transfer] = worker.postMessage.mock.calls.slice(-1)[0];
+      return {run, worker, request, transfer, onProgress};
+    }
+
+    it("posts the graph, weights, and options to the worker", () => {
+      const {worker, request} = start();
+      expect(workers).toHaveLength(1);
+      expect(worker.url).toEqual("/worker.js");
+      expect(worker.postMessage).toHaveBeenCalledTimes(1);
+      expect(decodeGraph(request.graphBytes).equals(graph())).toBe(true);
+      expect(request.weightedTypes).toEqual(weightedTypes());
+      expect(request.labelMultipliers).toEqual(labelMultipliers());
+      expect(request.overrides).toEqual(overrides());
+      expect(request.options).toEqual({totalScore: 100});
+    });
+    it("transfers the encoded graph instead of copying it", () => {
+      const {request, transfer} = start();
+      expect(request.graphBytes).toBeInstanceOf(Uint8Array);
+      expect(transfer).toEqual([request.graphBytes.buffer]);
+    });
+    it("reports progress and resolves with the result", async () => {
+      const {run, worker, onProgress} = start();
+      const progress = {iteration: 2, delta: 0.125};
+      const pnd = new Map();
+      worker.respond({type: "PROGRESS", progress});
+      worker.respond({type: "RESULT", pnd});
+      expect(await run.result).toBe(pnd);
+      expect(onProgress.mock.calls).toEqual([[progress]]);
+      expect(worker.terminate).not.toHaveBeenCalled();
+    });
+    it("rejects with the worker's error", async () => {
+      const {run, worker} = start();
+      worker.respond({type: "ERROR", message: "Error: oh no"});
+      await expect(run.result).rejects.toThrow("Error: oh no");
+    });
+    it("rejects if the worker fails to run", async () => {
+      const {run, worker} = start();
+      worker.onerror({message: "failed to load"});
+      await expect(run.result).rejects.toThrow("failed to load");
+      expect(worker.terminate).toHaveBeenCalledTimes(1);
+    });
+    it("terminates the worker when cancelled", async () => {
+      const {run, worker} = start();
+      run.cancel();
+      await expect(run.result).rejects.toThrow("PageRank run cancelled");
+      expect(worker.terminate).toHaveBeenCalledTimes(1);
+    });
+    it("reuses the worker and its graph for later runs", async () => {
+      const runner = workerPagerankRunner("/worker.js");
+      const g = graph();
+      const first = start(runner, g);
+      first.worker.respond({type: "RESULT", pnd: new Map()});
+      await first.run.result;
+      const second = start(runner, g);
+      expect(workers).toHaveLength(1);
+      expect(second.request.graphBytes).toBe(null);
+      expect(second.transfer).toEqual([]);
+      second.worker.respond({type: "RESULT", pnd: new Map()});
+      await second.run.result;
+      const third = start(runner, graph());
+      expect(workers).toHaveLength(1);
+      expect(third.request.graphBytes).toEqual(encodeGraph(g));
+    });
+    it("replaces the worker after a cancelled run", async () => {
+      const runner = workerPagerankRunner("/worker.js");
+      const g = graph();
+      const first = start(runner, g);
+      first.run.cancel();
+      await expect(first.run.result).rejects.toThrow("cancelled");
+      const second = start(runner, g);
+      expect(workers).toHaveLength(2);
+      expect(second.worker).not.toBe(first.worker);
+      expect(second.request.graphBytes).toEqual(encodeGraph(g));
+    });
+    it("replaces the worker if the previous run has not finished", () => {
+      const runner = workerPagerankRunner("/worker.js");
+      const g = graph();
+      const first = start(runner, g);
+      const second = start(runner, g);
+      expect(workers).toHaveLength(2);
+      expect(first.worker.terminate).toHaveBeenCalledTimes(1);
+      expect(second.request.graphBytes).toEqual(encodeGraph(g));
+    });
+  });
+});
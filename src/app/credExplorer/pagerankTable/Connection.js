@@ -9,6 +9,8 @@ import type {ScoredConnection} from "../../../core/attribution/pagerankNodeDecom
 import {DynamicAdapterSet} from "../../adapters/adapterSet";
 import {TableRow} from "./TableRow";
 import {NodeRow} from "./Node";
+import {setEdgeOverride} from "../weights/overrides";
+import {MultiplierSelect} from "../weights/MultiplierSelect";
 
 import {edgeVerb, nodeDescription, type SharedProps, Badge} from "./shared";
 
@@ -58,18 +60,39 @@ export class ConnectionRow extends React.PureComponent<ConnectionRowProps> {
       depth,
       scoredConnection: {connection, source, connectionScore},
     } = this.props;
-    const {pnd, adapters} = sharedProps;
+    const {pnd, adapters, overrides, onOverridesChange} = sharedProps;
     const {score: targetScore} = NullUtil.get(pnd.get(target));
     const connectionProportion = connectionScore / targetScore;
 
     const connectionView = (
       <ConnectionView connection={connection} adapters={adapters} />
     );
+    const {adjacency} = connection;
+    let description = connectionView;
+    if (
+      adjacency.type !== "SYNTHETIC_LOOP" &&
+      overrides != null &&
+      onOverridesChange != null
+    ) {
+      const edge = adjacency.edge.address;
+      description = (
+        <span>
+          {connectionView}
+          <MultiplierSelect
+            title="Cred multiplier for this edge"
+            multiplier={NullUtil.orElse(overrides.edges.get(edge), 1)}
+            onChange={(m) =>
+              onOverridesChange(setEdgeOverride(overrides, edge, m))
+            }
+          />
+        </span>
+      );
+    }
     return (
       <TableRow
         indent={2}
         depth={depth}
-        description={connectionView}
+        description={description}
         connectionProportion={connectionProportion}
         showPadding={false}
         cred={connectionScore}
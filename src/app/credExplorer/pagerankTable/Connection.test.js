@@ -10,6 +10,8 @@ import {example} from "./sharedTestUtils";
 import {TableRow} from "./TableRow";
 import {NodeRow} from "./Node";
 import {factorioNodes} from "../../adapters/demoAdapters";
+import {emptyOverrides, setEdgeOverride} from "../weights/overrides";
+import {MultiplierSelect} from "../weights/MultiplierSelect";
 
 require("../../testUtil").configureEnzyme();
 
@@ -116,6 +118,44 @@ describe("app/credExplorer/pagerankTable/Connection", () => {
         expect(cv.props.connection).toEqual(scoredConnection.connection);
         expect(cv.props.adapters).toEqual(adapters);
       });
+      it("with a multiplier control if overrides are given", async () => {
+        const {pnd, adapters} = await example();
+        const target = factorioNodes.inserter1;
+        const {scoredConnections} = NullUtil.get(pnd.get(target));
+        const scoredConnection = NullUtil.get(
+          scoredConnections.find(
+            (sc) => sc.connection.adjacency.type !== "SYNTHETIC_LOOP"
+          )
+        );
+        const {adjacency} = scoredConnection.connection;
+        if (adjacency.type === "SYNTHETIC_LOOP") {
+          throw new Error("Impossible");
+        }
+        const edge = adjacency.edge.address;
+        const overrides = setEdgeOverride(emptyOverrides(), edge, 10);
+        const onOverridesChange = jest.fn();
+        const sharedProps = {
+          adapters,
+          pnd,
+          maxEntriesPerList: 123,
+          overrides,
+          onOverridesChange,
+        };
+        const row = shallow(
+          <ConnectionRow
+            depth={0}
+            target={target}
+            scoredConnection={scoredConnection}
+            sharedProps={sharedProps}
+          />
+        ).find(TableRow);
+        const description = shallow(row.props().description);
+        expect(description.find(ConnectionView)).toHaveLength(1);
+        const select = description.find(MultiplierSelect);
+        expect(select.props().multiplier).toBe(10);
+        select.props().onChange(1);
+        expect(onOverridesChange).toHaveBeenCalledWith(emptyOverrides());
+      });
       describe("with a NodeRow as children", () => {
         function getChildren(row) {
           const children = row.props().children;
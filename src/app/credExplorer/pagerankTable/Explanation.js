@@ -0,0 +1,106 @@
+// @flow
+
+import React from "react";
+import * as NullUtil from "../../../util/null";
+
+import type {NodeAddressT} from "../../../core/graph";
+import type {PagerankNodeDecomposition} from "../../../core/attribution/pagerankNodeDecomposition";
+import {type CredPath, topCredPaths} from "../../../core/attribution/credPaths";
+import {DynamicAdapterSet} from "../../adapters/adapterSet";
+import {credDisplay} from "./TableRow";
+import {ConnectionView} from "./Connection";
+
+import {nodeDescription} from "./shared";
+
+export const MAX_PATHS = 10;
+export const MAX_DEPTH = 3;
+
+type ExplanationProps = {|
+  +node: NodeAddressT,
+  +pnd: PagerankNodeDecomposition,
+  +adapters: DynamicAdapterSet,
+  +onClose: () => void,
+|};
+
+/**
+ * Explains a node's cred by the paths that contribute the most to it
+ * (see `topCredPaths`), each read from the node back to where the cred
+ * came from.
+ */
+export class Explanation extends React.PureComponent<ExplanationProps> {
+  render() {
+    const {node, pnd, adapters, onClose} = this.props;
+    const {score} = NullUtil.get(pnd.get(node));
+    const paths = topCredPaths(pnd, node, {
+      maxPaths: MAX_PATHS,
+      maxDepth: MAX_DEPTH,
+    });
+    return (
+      <div style={{marginTop: 10, padding: 5, border: "1px solid #ccc"}}>
+        <div style={{display: "flex"}}>
+          <strong>
+            Why does {nodeDescription(node, adapters)} have {credDisplay(score)}{" "}
+            cred?
+          </strong>
+          <span style={{flexGrow: 1}} />
+          <button onClick={() => onClose()}>Close</button>
+        </div>
+        {paths.length === 0 ? (
+          <p>No other nodes contribute cred to this node.</p>
+        ) : (
+          <table style={{borderCollapse: "collapse", width: "100%"}}>
+            <thead>
+              <tr>
+                <th style={{textAlign: "left"}}>Path</th>
+                <th style={{textAlign: "right"}} />
+                <th style={{textAlign: "right"}}>Cred</th>
+              </tr>
+            </thead>
+            <tbody>
+              {paths.map((path) => (
+                <PathRow
+                  key={pathKey(path)}
+                  node={node}
+                  score={score}
+                  path={path}
+                  adapters={adapters}
+                />
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    );
+  }
+}
+
+function pathKey(path: CredPath): string {
+  return JSON.stringify(path.connections.map((sc) => sc.connection.adjacency));
+}
+
+export class PathRow extends React.PureComponent<{|
+  +node: NodeAddressT,
+  +score: number,
+  +path: CredPath,
+  +adapters: DynamicAdapterSet,
+|}> {
+  render() {
+    const {node, score, path, adapters} = this.props;
+    const percent = ((path.contribution / score) * 100).toFixed(2) + "%";
+    return (
+      <tr>
+        <td>
+          <span>{nodeDescription(node, adapters)}</span>
+          {path.connections.map((sc, i) => (
+            <React.Fragment key={i}>
+              {" "}
+              <ConnectionView connection={sc.connection} adapters={adapters} />
+            </React.Fragment>
+          ))}
+        </td>
+        <td style={{textAlign: "right"}}>{percent}</td>
+        <td style={{textAlign: "right"}}>{credDisplay(path.contribution)}</td>
+      </tr>
+    );
+  }
+}
@@ -0,0 +1,78 @@
+// @flow
+
+import React from "react";
+import {shallow} from "enzyme";
+import * as NullUtil from "../../../util/null";
+
+import {topCredPaths} from "../../../core/attribution/credPaths";
+import {factorioNodes} from "../../adapters/demoAdapters";
+import {ConnectionView} from "./Connection";
+import {credDisplay} from "./TableRow";
+import {nodeDescription} from "./shared";
+import {example} from "./sharedTestUtils";
+import {Explanation, MAX_DEPTH, MAX_PATHS, PathRow} from "./Explanation";
+
+require("../../testUtil").configureEnzyme();
+
+describe("app/credExplorer/pagerankTable/Explanation", () => {
+  describe("Explanation", () => {
+    async function setup() {
+      const {pnd, adapters} = await example();
+      const node = factorioNodes.machine2;
+      const onClose = jest.fn();
+      const element = shallow(
+        <Explanation
+          node={node}
+          pnd={pnd}
+          adapters={adapters}
+          onClose={onClose}
+        />
+      );
+      return {pnd, adapters, node, onClose, element};
+    }
+    it("says whose cred it explains", async () => {
+      const {element, pnd, adapters, node} = await setup();
+      const {score} = NullUtil.get(pnd.get(node));
+      expect(element.find("strong").text()).toEqual(
+        `Why does ${String(nodeDescription(node, adapters))} have ` +
+          `${credDisplay(score)} cred?`
+      );
+    });
+    it("has a row for each top path", async () => {
+      const {element, pnd, node} = await setup();
+      const paths = topCredPaths(pnd, node, {
+        maxPaths: MAX_PATHS,
+        maxDepth: MAX_DEPTH,
+      });
+      expect(paths).not.toHaveLength(0);
+      const rows = element.find(PathRow);
+      expect(rows.map((row) => row.props().path)).toEqual(paths);
+      rows.forEach((row) => expect(row.props().node).toBe(node));
+    });
+    it("calls onClose when closed", async () => {
+      const {element, onClose} = await setup();
+      element.find("button").simulate("click");
+      expect(onClose).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("PathRow", () => {
+    it("shows the path's connections and contribution", async () => {
+      const {pnd, adapters} = await example();
+      const node = factorioNodes.machine2;
+      const {score} = NullUtil.get(pnd.get(node));
+      const [path] = topCredPaths(pnd, node, {maxPaths: 1, maxDepth: 2});
+      const element = shallow(
+        <PathRow node={node} score={score} path={path} adapters={adapters} />
+      );
+      const views = element.find(ConnectionView);
+      expect(views.map((v) => v.props().connection)).toEqual(
+        path.connections.map((sc) => sc.connection)
+      );
+      const cells = element.find("td");
+      const percent = ((path.contribution / score) * 100).toFixed(2) + "%";
+      expect(cells.at(1).text()).toEqual(percent);
+      expect(cells.at(2).text()).toEqual(credDisplay(path.contribution));
+    });
+  });
+});
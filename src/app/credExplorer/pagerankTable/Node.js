@@ -6,6 +6,8 @@ import * as NullUtil from "../../../util/null";
 
 import {type NodeAddressT} from "../../../core/graph";
 import {TableRow} from "./TableRow";
+import {setNodeOverride} from "../weights/overrides";
+import {MultiplierSelect} from "../weights/MultiplierSelect";
 
 import {nodeDescription, type SharedProps} from "./shared";
 
@@ -48,9 +50,34 @@ export type NodeRowProps = {|
 export class NodeRow extends React.PureComponent<NodeRowProps> {
   render() {
     const {depth, node, sharedProps, showPadding} = this.props;
-    const {pnd, adapters} = sharedProps;
+    const {
+      pnd,
+      adapters,
+      onExplain,
+      overrides,
+      onOverridesChange,
+    } = sharedProps;
     const {score} = NullUtil.get(pnd.get(node));
-    const description = <span>{nodeDescription(node, adapters)}</span>;
+    const description = (
+      <span>
+        {nodeDescription(node, adapters)}
+        {onExplain != null && (
+          <button style={{marginLeft: 5}} onClick={() => onExplain(node)}>
+            explain
+          </button>
+        )}
+        {overrides != null &&
+          onOverridesChange != null && (
+            <MultiplierSelect
+              title="Cred multiplier for this node"
+              multiplier={NullUtil.orElse(overrides.nodes.get(node), 1)}
+              onChange={(m) =>
+                onOverridesChange(setNodeOverride(overrides, node, m))
+              }
+            />
+          )}
+      </span>
+    );
     return (
       <TableRow
         depth={depth}
@@ -13,6 +13,8 @@ import {nodeDescription} from "./shared";
 import {example} from "./sharedTestUtils";
 import {NodeRowList, NodeRow, type NodeRowProps} from "./Node";
 import {factorioNodes} from "../../adapters/demoAdapters";
+import {emptyOverrides, setNodeOverride} from "../weights/overrides";
+import {MultiplierSelect} from "../weights/MultiplierSelect";
 
 require("../../testUtil").configureEnzyme();
 
@@ -113,6 +115,49 @@ describe("app/credExplorer/pagerankTable/Node", () => {
         const description = shallow(row.props().description);
         expect(description.text()).toEqual(nodeDescription(node, adapters));
       });
+      it("with no explain button by default", async () => {
+        const {row} = await setup();
+        const description = shallow(row.props().description);
+        expect(description.find("button")).toHaveLength(0);
+      });
+      it("with an explain button if onExplain is given", async () => {
+        const {pnd, adapters} = await example();
+        const onExplain = jest.fn();
+        const sharedProps = {adapters, pnd, maxEntriesPerList: 123, onExplain};
+        const {row, node} = await setup({sharedProps});
+        const description = shallow(row.props().description);
+        const button = description.find("button");
+        expect(button.text()).toEqual("explain");
+        button.simulate("click");
+        expect(onExplain).toHaveBeenCalledWith(node);
+        expect(onExplain).toHaveBeenCalledTimes(1);
+      });
+      it("with no multiplier control by default", async () => {
+        const {row} = await setup();
+        const description = shallow(row.props().description);
+        expect(description.find(MultiplierSelect)).toHaveLength(0);
+      });
+      it("with a multiplier control if overrides are given", async () => {
+        const {pnd, adapters} = await example();
+        const node = factorioNodes.inserter1;
+        const overrides = setNodeOverride(emptyOverrides(), node, 2);
+        const onOverridesChange = jest.fn();
+        const sharedProps = {
+          adapters,
+          pnd,
+          maxEntriesPerList: 123,
+          overrides,
+          onOverridesChange,
+        };
+        const {row} = await setup({sharedProps});
+        const description = shallow(row.props().description);
+        const select = description.find(MultiplierSelect);
+        expect(select.props().multiplier).toBe(2);
+        select.props().onChange(0);
+        expect(onOverridesChange).toHaveBeenCalledWith(
+          setNodeOverride(overrides, node, 0)
+        );
+      });
       describe("with a AggregationRowList as children", () => {
         function getChildren(row) {
           const children = row.props().children;
@@ -11,20 +11,27 @@ import type {DynamicPluginAdapter} from "../../adapters/pluginAdapter";
 import {FALLBACK_NAME} from "../../adapters/fallbackAdapter";
 import {type WeightedTypes} from "../weights/weights";
 import {WeightConfig} from "../weights/WeightConfig";
+import {WeightSensitivityPanel} from "../weights/WeightSensitivity";
+import type {WeightOverrides} from "../weights/overrides";
+import {OverridesConfig} from "../weights/OverridesConfig";
 
 import {NodeRowList} from "./Node";
+import {Explanation} from "./Explanation";
 
 type PagerankTableProps = {|
   +pnd: PagerankNodeDecomposition,
   +adapters: DynamicAdapterSet,
   +weightedTypes: WeightedTypes,
   +onWeightedTypesChange: (WeightedTypes) => void,
+  +overrides: WeightOverrides,
+  +onOverridesChange: (WeightOverrides) => void,
   +maxEntriesPerList: number,
   +defaultNodeFilter: ?NodeAddressT,
 |};
 type PagerankTableState = {|
   topLevelFilter: NodeAddressT,
   showWeightConfig: boolean,
+  explainedNode: NodeAddressT | null,
 |};
 export class PagerankTable extends React.PureComponent<
   PagerankTableProps,
@@ -45,7 +52,7 @@ export class PagerankTable extends React.PureComponent<
       props.defaultNodeFilter,
       NodeAddress.empty
     );
-    this.state = {topLevelFilter, showWeightConfig: false};
+    this.state = {topLevelFilter, showWeightConfig: false, explainedNode: null};
   }
 
   renderConfigurationRow() {
@@ -81,11 +88,43 @@ export class PagerankTable extends React.PureComponent<
             onChange={(wt) => this.props.onWeightedTypesChange(wt)}
           />
         )}
+        {showWeightConfig && (
+          <WeightSensitivityPanel
+            adapters={this.props.adapters}
+            weightedTypes={this.props.weightedTypes}
+            overrides={this.props.overrides}
+            nodePrefix={this.state.topLevelFilter}
+          />
+        )}
+        {showWeightConfig && (
+          <OverridesConfig
+            adapters={this.props.adapters}
+            overrides={this.props.overrides}
+            onChange={(o) => this.props.onOverridesChange(o)}
+          />
+        )}
+        {this.renderExplanation()}
         {this.renderTable()}
       </div>
     );
   }
 
+  renderExplanation() {
+    const {pnd, adapters} = this.props;
+    const {explainedNode} = this.state;
+    if (explainedNode == null || !pnd.has(explainedNode)) {
+      return null;
+    }
+    return (
+      <Explanation
+        node={explainedNode}
+        pnd={pnd}
+        adapters={adapters}
+        onClose={() => this.setState({explainedNode: null})}
+      />
+    );
+  }
+
   renderFilterSelect() {
     const {pnd, adapters} = this.props;
     if (pnd == null || adapters == null) {
@@ -133,12 +172,25 @@ export class PagerankTable extends React.PureComponent<
   }
 
   renderTable() {
-    const {pnd, adapters, maxEntriesPerList} = this.props;
+    const {
+      pnd,
+      adapters,
+      maxEntriesPerList,
+      overrides,
+      onOverridesChange,
+    } = this.props;
     if (pnd == null || adapters == null || maxEntriesPerList == null) {
       throw new Error("Impossible.");
     }
     const topLevelFilter = this.state.topLevelFilter;
-    const sharedProps = {pnd, adapters, maxEntriesPerList};
+    const sharedProps = {
+      pnd,
+      adapters,
+      maxEntriesPerList,
+      onExplain: (node) => this.setState({explainedNode: node}),
+      overrides,
+      onOverridesChange,
+    };
     return (
       <table
         style={{
@@ -8,8 +8,12 @@ import {NodeAddress, type NodeAddressT} from "../../../core/graph";
 import {PagerankTable} from "./Table";
 import {example, COLUMNS} from "./sharedTestUtils";
 import {NodeRowList} from "./Node";
+import {Explanation} from "./Explanation";
 import {WeightConfig} from "../weights/WeightConfig";
+import {WeightSensitivityPanel} from "../weights/WeightSensitivity";
+import {OverridesConfig} from "../weights/OverridesConfig";
 import {defaultWeightsForAdapter} from "../weights/weights";
+import {emptyOverrides, setNodeOverride} from "../weights/overrides";
 import {FactorioStaticAdapter} from "../../adapters/demoAdapters";
 
 require("../../testUtil").configureEnzyme();
@@ -18,18 +22,30 @@ describe("app/credExplorer/pagerankTable/Table", () => {
     async function setup(defaultNodeFilter?: NodeAddressT) {
       const {pnd, adapters, weightedTypes} = await example();
       const onWeightedTypesChange = jest.fn();
+      const overrides = emptyOverrides();
+      const onOverridesChange = jest.fn();
       const maxEntriesPerList = 321;
       const element = shallow(
         <PagerankTable
           defaultNodeFilter={defaultNodeFilter}
           weightedTypes={weightedTypes}
           onWeightedTypesChange={onWeightedTypesChange}
+          overrides={overrides}
+          onOverridesChange={onOverridesChange}
           pnd={pnd}
           adapters={adapters}
           maxEntriesPerList={maxEntriesPerList}
         />
       );
-      return {pnd, adapters, element, maxEntriesPerList, onWeightedTypesChange};
+      return {
+        pnd,
+        adapters,
+        element,
+        maxEntriesPerList,
+        onWeightedTypesChange,
+        overrides,
+        onOverridesChange,
+      };
     }
     it("renders thead column order properly", async () => {
       const {element} = await setup();
@@ -74,6 +90,35 @@ describe("app/credExplorer/pagerankTable/Table", () => {
         expect(onWeightedTypesChange).toHaveBeenCalledWith(wt);
         expect(onWeightedTypesChange).toHaveBeenCalledTimes(1);
       });
+      it("with a WeightSensitivityPanel for the filtered nodes", async () => {
+        const {element, adapters} = await setup();
+        expect(element.find(WeightSensitivityPanel)).toHaveLength(0);
+        findButton(element).simulate("click");
+        const panel = element.find(WeightSensitivityPanel);
+        expect(panel).toHaveLength(1);
+        expect(panel.props()).toEqual({
+          adapters,
+          weightedTypes: element.instance().props.weightedTypes,
+          overrides: element.instance().props.overrides,
+          nodePrefix: element.state().topLevelFilter,
+        });
+      });
+      it("with an OverridesConfig", async () => {
+        const {element, adapters, overrides, onOverridesChange} = await setup();
+        expect(element.find(OverridesConfig)).toHaveLength(0);
+        findButton(element).simulate("click");
+        const oc = element.find(OverridesConfig);
+        expect(oc).toHaveLength(1);
+        expect(oc.props().adapters).toBe(adapters);
+        expect(oc.props().overrides).toBe(overrides);
+        const newOverrides = setNodeOverride(
+          overrides,
+          NodeAddress.fromParts(["factorio"]),
+          0
+        );
+        oc.props().onChange(newOverrides);
+        expect(onOverridesChange).toHaveBeenCalledWith(newOverrides);
+      });
       it("which is hidden when the WeightConfig button is pushed twice", async () => {
         const {element} = await setup();
         findButton(element).simulate("click");
@@ -141,11 +186,64 @@ describe("app/credExplorer/pagerankTable/Table", () => {
       });
     });
 
+    describe("has an Explanation", () => {
+      it("which is not present by default", async () => {
+        const {element} = await setup();
+        expect(element.find(Explanation)).toHaveLength(0);
+      });
+      it("which explains the node passed to onExplain", async () => {
+        const {element, adapters, pnd} = await setup();
+        const node = Array.from(pnd.keys())[0];
+        element
+          .find(NodeRowList)
+          .props()
+          .sharedProps.onExplain(node);
+        element.update();
+        const explanation = element.find(Explanation);
+        expect(explanation).toHaveLength(1);
+        expect(explanation.props()).toEqual({
+          node,
+          pnd,
+          adapters,
+          onClose: expect.any(Function),
+        });
+      });
+      it("which is removed when closed", async () => {
+        const {element, pnd} = await setup();
+        const node = Array.from(pnd.keys())[0];
+        element
+          .find(NodeRowList)
+          .props()
+          .sharedProps.onExplain(node);
+        element.update();
+        element
+          .find(Explanation)
+          .props()
+          .onClose();
+        element.update();
+        expect(element.find(Explanation)).toHaveLength(0);
+      });
+    });
+
     describe("creates a NodeRowList", () => {
       it("with the correct SharedProps", async () => {
-        const {element, adapters, pnd, maxEntriesPerList} = await setup();
+        const {
+          element,
+          adapters,
+          pnd,
+          maxEntriesPerList,
+          overrides,
+          onOverridesChange,
+        } = await setup();
         const nrl = element.find(NodeRowList);
-        const expectedSharedProps = {adapters, pnd, maxEntriesPerList};
+        const expectedSharedProps = {
+          adapters,
+          pnd,
+          maxEntriesPerList,
+          onExplain: expect.any(Function),
+          overrides,
+          onOverridesChange,
+        };
         expect(nrl.props().sharedProps).toEqual(expectedSharedProps);
       });
       it("including all nodes by default", async () => {
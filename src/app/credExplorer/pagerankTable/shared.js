@@ -8,6 +8,7 @@ import {
 } from "../../../core/graph";
 
 import {DynamicAdapterSet} from "../../adapters/adapterSet";
+import type {WeightOverrides} from "../weights/overrides";
 
 import type {PagerankNodeDecomposition} from "../../../core/attribution/pagerankNodeDecomposition";
 
@@ -38,6 +39,12 @@ export type SharedProps = {|
   +pnd: PagerankNodeDecomposition,
   +adapters: DynamicAdapterSet,
   +maxEntriesPerList: number,
+  // Called to show why a node has its cred, if given.
+  +onExplain?: (NodeAddressT) => void,
+  // The current weight overrides, and a callback to change them: if
+  // given, nodes and edges get controls for their multipliers.
+  +overrides?: WeightOverrides,
+  +onOverridesChange?: (WeightOverrides) => void,
 |};
 
 export function Badge({children}: {children: ReactNode}): ReactNode {
@@ -0,0 +1,47 @@
+// @flow
+
+// Entry point of the `pagerankWorker` bundle: runs PageRank off the
+// main thread on behalf of `workerPagerankRunner`, keeping the graph of
+// the last request for later ones.
+
+import {Graph} from "../../core/graph";
+import {decodeGraph} from "../../core/graphBinary";
+import type {PagerankRequest, PagerankResponse} from "./pagerankRunner";
+import {inlinePagerankRunner} from "./pagerankRunner";
+
+// In a worker, `self` is the worker's global scope (which ESLint
+// assumes to be a browser window, where `self` is usually a mistake).
+// eslint-disable-next-line no-restricted-globals
+const scope: any = self;
+
+const runner = inlinePagerankRunner();
+let graph: ?Graph = null;
+
+function respond(response: PagerankResponse) {
+  scope.postMessage(response);
+}
+
+scope.onmessage = (event: MessageEvent) => {
+  const {
+    graphBytes,
+    weightedTypes,
+    labelMultipliers,
+    overrides,
+    options,
+  }: PagerankRequest = (event.data: any);
+  if (graphBytes != null) {
+    graph = decodeGraph(graphBytes);
+  }
+  if (graph == null) {
+    respond({type: "ERROR", message: "Error: no graph to run PageRank on"});
+    return;
+  }
+  const run = runner(graph, weightedTypes, labelMultipliers, overrides, {
+    ...options,
+    onProgress: (progress) => respond({type: "PROGRESS", progress}),
+  });
+  run.result.then(
+    (pnd) => respond({type: "RESULT", pnd}),
+    (e) => respond({type: "ERROR", message: String(e)})
+  );
+};
@@ -5,16 +5,15 @@ import deepEqual from "lodash.isequal";
 import {Graph, type NodeAddressT} from "../../core/graph";
 import type {Assets} from "../../app/assets";
 import type {RepoId} from "../../core/repoId";
-import {type EdgeEvaluator} from "../../core/attribution/pagerank";
-import {
-  type PagerankNodeDecomposition,
-  type PagerankOptions,
-  pagerank,
+import type {
+  PagerankNodeDecomposition,
+  PagerankProgress,
 } from "../../core/attribution/pagerank";
 
 import {StaticAdapterSet, DynamicAdapterSet} from "../adapters/adapterSet";
 import type {WeightedTypes} from "./weights/weights";
-import {weightsToEdgeEvaluator} from "./weights/weightsToEdgeEvaluator";
+import type {WeightOverrides} from "./weights/overrides";
+import {type PagerankRunner, defaultPagerankRunner} from "./pagerankRunner";
 
 /*
   This models the UI states of the credExplorer/App as a state machine.
@@ -55,13 +54,15 @@ export type PagerankEvaluated = {|
 
 export function createStateTransitionMachine(
   getState: () => AppState,
-  setState: (AppState) => void
+  setState: (AppState) => void,
+  setProgress: (PagerankProgress | null) => void
 ): StateTransitionMachine {
   return new StateTransitionMachine(
     getState,
     setState,
+    setProgress,
     loadGraphWithAdapters,
-    pagerank
+    defaultPagerankRunner()
   );
 }
 
@@ -73,50 +74,55 @@ export function uninitializedState(): AppState {
 export interface StateTransitionMachineInterface {
   +setRepoId: (RepoId) => void;
   +loadGraph: (Assets, StaticAdapterSet) => Promise<boolean>;
-  +runPagerank: (WeightedTypes, NodeAddressT) => Promise<void>;
+  +runPagerank: (WeightedTypes, WeightOverrides, NodeAddressT) => Promise<void>;
+  +cancelPagerank: () => void;
   +loadGraphAndRunPagerank: (
     Assets,
     StaticAdapterSet,
     WeightedTypes,
+    WeightOverrides,
     NodeAddressT
   ) => Promise<void>;
 }
 /* In production, instantiate via createStateTransitionMachine; the constructor
  * implementation allows specification of the loadGraphWithAdapters and
  * pagerank functions for DI/testing purposes.
+ *
+ * Progress of a PageRank run is reported through `setProgress` rather
+ * than kept in the AppState, so that the state stays fixed while a run is
+ * in flight; it is reset to null when the run ends.
  **/
 export class StateTransitionMachine implements StateTransitionMachineInterface {
   getState: () => AppState;
   setState: (AppState) => void;
+  setProgress: (PagerankProgress | null) => void;
   loadGraphWithAdapters: (
     assets: Assets,
     adapters: StaticAdapterSet,
     repoId: RepoId
   ) => Promise<GraphWithAdapters>;
-  pagerank: (
-    Graph,
-    EdgeEvaluator,
-    PagerankOptions
-  ) => Promise<PagerankNodeDecomposition>;
+  pagerank: PagerankRunner;
+  // The PageRank run in flight: how to cancel it, and the state to
+  // restore if it is cancelled.
+  _pagerankRun: ?{|cancel: () => void, +previousState: AppState|};
 
   constructor(
     getState: () => AppState,
     setState: (AppState) => void,
+    setProgress: (PagerankProgress | null) => void,
     loadGraphWithAdapters: (
       assets: Assets,
       adapters: StaticAdapterSet,
       repoId: RepoId
     ) => Promise<GraphWithAdapters>,
-    pagerank: (
-      Graph,
-      EdgeEvaluator,
-      PagerankOptions
-    ) => Promise<PagerankNodeDecomposition>
+    pagerank: PagerankRunner
   ) {
     this.getState = getState;
     this.setState = setState;
+    this.setProgress = setProgress;
     this.loadGraphWithAdapters = loadGraphWithAdapters;
     this.pagerank = pagerank;
+    this._pagerankRun = null;
   }
 
   setRepoId(repoId: RepoId) {
@@ -168,6 +174,7 @@ export class StateTransitionMachine implements StateTransitionMachineInterface {
 
   async runPagerank(
     weightedTypes: WeightedTypes,
+    overrides: WeightOverrides,
     totalScoreNodePrefix: NodeAddressT
   ) {
     const state = this.getState();
@@ -183,17 +190,28 @@ export class StateTransitionMachine implements StateTransitionMachineInterface {
         ? {...state, loading: "LOADING"}
         : {...state, loading: "LOADING"};
     this.setState(loadingState);
-    const graph = state.graphWithAdapters.graph;
+    const {graph, adapters} = state.graphWithAdapters;
+    const current = {cancel: () => {}, previousState: state};
+    this._pagerankRun = current;
+    const run = this.pagerank(
+      graph,
+      weightedTypes,
+      adapters.labelMultipliers(weightedTypes.labels),
+      overrides,
+      {
+        verbose: true,
+        totalScoreNodePrefix: totalScoreNodePrefix,
+        onProgress: (progress) => {
+          if (this._pagerankRun === current) {
+            this.setProgress(progress);
+          }
+        },
+      }
+    );
+    current.cancel = run.cancel;
     let newState: ?AppState;
     try {
-      const pagerankNodeDecomposition = await this.pagerank(
-        graph,
-        weightsToEdgeEvaluator(weightedTypes),
-        {
-          verbose: true,
-          totalScoreNodePrefix: totalScoreNodePrefix,
-        }
-      );
+      const pagerankNodeDecomposition = await run.result;
       newState = {
         type: "PAGERANK_EVALUATED",
         pagerankNodeDecomposition,
@@ -202,6 +220,10 @@ export class StateTransitionMachine implements StateTransitionMachineInterface {
         loading: "NOT_LOADING",
       };
     } catch (e) {
+      if (this._pagerankRun !== current) {
+        // Cancelled, or superseded by another run.
+        return;
+      }
       console.error(e);
       // Flow hack :/
       newState =
@@ -209,15 +231,35 @@ export class StateTransitionMachine implements StateTransitionMachineInterface {
           ? {...state, loading: "FAILED"}
           : {...state, loading: "FAILED"};
     }
+    if (this._pagerankRun === current) {
+      this._pagerankRun = null;
+      this.setProgress(null);
+    }
     if (deepEqual(this.getState(), loadingState)) {
       this.setState(newState);
     }
   }
 
+  /**
+   * Stop the PageRank run in flight, if any, and return to the state
+   * from before it started.
+   */
+  cancelPagerank() {
+    const current = this._pagerankRun;
+    if (current == null) {
+      return;
+    }
+    this._pagerankRun = null;
+    current.cancel();
+    this.setProgress(null);
+    this.setState(current.previousState);
+  }
+
   async loadGraphAndRunPagerank(
     assets: Assets,
     adapters: StaticAdapterSet,
     weightedTypes: WeightedTypes,
+    overrides: WeightOverrides,
     totalScoreNodePrefix: NodeAddressT
   ) {
     const state = this.getState();
@@ -229,12 +271,16 @@ export class StateTransitionMachine implements StateTransitionMachineInterface {
       case "READY_TO_LOAD_GRAPH":
         const loadedGraph = await this.loadGraph(assets, adapters);
         if (loadedGraph) {
-          await this.runPagerank(weightedTypes, totalScoreNodePrefix);
+          await this.runPagerank(
+            weightedTypes,
+            overrides,
+            totalScoreNodePrefix
+          );
         }
         break;
       case "READY_TO_RUN_PAGERANK":
       case "PAGERANK_EVALUATED":
-        await this.runPagerank(weightedTypes, totalScoreNodePrefix);
+        await this.runPagerank(weightedTypes, overrides, totalScoreNodePrefix);
         break;
       default:
         throw new Error((type: empty));
@@ -7,18 +7,20 @@ import {
   type GraphWithAdapters,
 } from "./state";
 
-import {Graph, NodeAddress} from "../../core/graph";
+import {Graph, NodeAddress, type NodeAddressT} from "../../core/graph";
 import {Assets} from "../assets";
 import {makeRepoId, type RepoId} from "../../core/repoId";
-import {type EdgeEvaluator} from "../../core/attribution/pagerank";
 import {
   type WeightedTypes,
   defaultWeightsForAdapterSet,
+  setLabelWeight,
 } from "./weights/weights";
+import {type WeightOverrides, emptyOverrides} from "./weights/overrides";
 import {StaticAdapterSet, DynamicAdapterSet} from "../adapters/adapterSet";
 import type {
   PagerankNodeDecomposition,
   PagerankOptions,
+  PagerankProgress,
 } from "../../core/attribution/pagerank";
 import {staticAdapterSet} from "../adapters/demoAdapters";
 
@@ -34,18 +36,39 @@ describe("app/credExplorer/state", () => {
       adapters: StaticAdapterSet,
       repoId: RepoId
     ) => Promise<GraphWithAdapters> = jest.fn();
+    const setProgressMock: (PagerankProgress | null) => void = jest.fn();
     const pagerankMock: (
       Graph,
-      EdgeEvaluator,
+      WeightedTypes,
+      Map<NodeAddressT, number>,
+      WeightOverrides,
       PagerankOptions
     ) => Promise<PagerankNodeDecomposition> = jest.fn();
+    const cancelMock: () => void = jest.fn();
     const stm = new StateTransitionMachine(
       getState,
       setState,
+      setProgressMock,
       loadGraphMock,
-      pagerankMock
+      (graph, weightedTypes, labelMultipliers, overrides, options) => ({
+        result: pagerankMock(
+          graph,
+          weightedTypes,
+          labelMultipliers,
+          overrides,
+          options
+        ),
+        cancel: cancelMock,
+      })
     );
-    return {getState, stm, loadGraphMock, pagerankMock};
+    return {
+      getState,
+      stm,
+      loadGraphMock,
+      pagerankMock,
+      setProgressMock,
+      cancelMock,
+    };
   }
   function readyToLoadGraph(): AppState {
     return {
@@ -229,7 +252,7 @@ describe("app/credExplorer/state", () => {
       for (const b of badStates) {
         const {stm} = example(b);
         await expect(
-          stm.runPagerank(weightedTypes(), NodeAddress.empty)
+          stm.runPagerank(weightedTypes(), emptyOverrides(), NodeAddress.empty)
         ).rejects.toThrow("incorrect state");
       }
     });
@@ -239,7 +262,11 @@ describe("app/credExplorer/state", () => {
         const {stm, getState, pagerankMock} = example(g);
         const pnd = pagerankNodeDecomposition();
         pagerankMock.mockResolvedValue(pnd);
-        await stm.runPagerank(weightedTypes(), NodeAddress.empty);
+        await stm.runPagerank(
+          weightedTypes(),
+          emptyOverrides(),
+          NodeAddress.empty
+        );
         const state = getState();
         if (state.type !== "PAGERANK_EVALUATED") {
           throw new Error("Impossible");
@@ -251,15 +278,66 @@ describe("app/credExplorer/state", () => {
     it("immediately sets loading status", () => {
       const {getState, stm} = example(readyToRunPagerank());
       expect(loading(getState())).toBe("NOT_LOADING");
-      stm.runPagerank(weightedTypes(), NodeAddress.empty);
+      stm.runPagerank(weightedTypes(), emptyOverrides(), NodeAddress.empty);
       expect(loading(getState())).toBe("LOADING");
     });
     it("calls pagerank with the totalScoreNodePrefix option", async () => {
       const {pagerankMock, stm} = example(readyToRunPagerank());
       const foo = NodeAddress.fromParts(["foo"]);
-      await stm.runPagerank(weightedTypes(), foo);
+      await stm.runPagerank(weightedTypes(), emptyOverrides(), foo);
       const args = pagerankMock.mock.calls[0];
-      expect(args[2].totalScoreNodePrefix).toBe(foo);
+      expect(args[4].totalScoreNodePrefix).toBe(foo);
+    });
+    it("calls pagerank with the weighted types", async () => {
+      const {pagerankMock, stm} = example(readyToRunPagerank());
+      const wt = weightedTypes();
+      await stm.runPagerank(wt, emptyOverrides(), NodeAddress.empty);
+      expect(pagerankMock.mock.calls[0][1]).toBe(wt);
+    });
+    it("calls pagerank with the overrides", async () => {
+      const {pagerankMock, stm} = example(readyToRunPagerank());
+      const overrides = emptyOverrides();
+      await stm.runPagerank(weightedTypes(), overrides, NodeAddress.empty);
+      expect(pagerankMock.mock.calls[0][3]).toBe(overrides);
+    });
+    it("calls pagerank with the adapters' label multipliers", async () => {
+      const {pagerankMock, stm} = example(readyToRunPagerank());
+      const multipliers = new Map([[NodeAddress.fromParts(["foo"]), 2]]);
+      const labelMultipliers = jest
+        .spyOn(DynamicAdapterSet.prototype, "labelMultipliers")
+        .mockReturnValue(multipliers);
+      const wt = setLabelWeight(weightedTypes(), "bounty", 2);
+      try {
+        await stm.runPagerank(wt, emptyOverrides(), NodeAddress.empty);
+        expect(labelMultipliers).toHaveBeenCalledWith(wt.labels);
+        expect(pagerankMock.mock.calls[0][2]).toBe(multipliers);
+      } finally {
+        labelMultipliers.mockRestore();
+      }
+    });
+    it("reports progress until the run finishes", async () => {
+      const {pagerankMock, setProgressMock, stm} = example(
+        readyToRunPagerank()
+      );
+      const progress = {iteration: 3, delta: 0.25};
+      pagerankMock.mockImplementation(
+        (
+          _unused_graph,
+          _unused_wt,
+          _unused_labelMultipliers,
+          _unused_overrides,
+          options
+        ) => {
+          options.onProgress(progress);
+          return Promise.resolve(pagerankNodeDecomposition());
+        }
+      );
+      await stm.runPagerank(
+        weightedTypes(),
+        emptyOverrides(),
+        NodeAddress.empty
+      );
+      expect(setProgressMock.mock.calls).toEqual([[progress], [null]]);
     });
     it("does not transition if a repoId change happens first", async () => {
       const {getState, stm, pagerankMock} = example(readyToRunPagerank());
@@ -271,7 +349,11 @@ describe("app/credExplorer/state", () => {
             resolve(graphWithAdapters());
           })
       );
-      await stm.runPagerank(weightedTypes(), NodeAddress.empty);
+      await stm.runPagerank(
+        weightedTypes(),
+        emptyOverrides(),
+        NodeAddress.empty
+      );
       const state = getState();
       expect(loading(state)).toBe("NOT_LOADING");
       expect(state.type).toBe("READY_TO_LOAD_GRAPH");
@@ -283,7 +365,11 @@ describe("app/credExplorer/state", () => {
       // $ExpectFlowError
       console.error = jest.fn();
       pagerankMock.mockRejectedValue(error);
-      await stm.runPagerank(weightedTypes(), NodeAddress.empty);
+      await stm.runPagerank(
+        weightedTypes(),
+        emptyOverrides(),
+        NodeAddress.empty
+      );
       const state = getState();
       expect(loading(state)).toBe("FAILED");
       expect(state.type).toBe("READY_TO_RUN_PAGERANK");
@@ -292,6 +378,61 @@ describe("app/credExplorer/state", () => {
     });
   });
 
+  describe("cancelPagerank", () => {
+    function pendingRun(startingState: AppState) {
+      const result = example(startingState);
+      let reject = (_unused_e: Error) => {};
+      result.pagerankMock.mockReturnValue(
+        new Promise((_unused_resolve, r) => {
+          reject = r;
+        })
+      );
+      result.cancelMock.mockImplementation(() =>
+        reject(new Error("PageRank run cancelled"))
+      );
+      const done = result.stm.runPagerank(
+        weightedTypes(),
+        emptyOverrides(),
+        NodeAddress.empty
+      );
+      return {...result, done};
+    }
+    it("restores the state from before the run", async () => {
+      for (const startingState of [readyToRunPagerank(), pagerankEvaluated()]) {
+        const {cancelMock, done, getState, stm} = pendingRun(startingState);
+        expect(loading(getState())).toBe("LOADING");
+        stm.cancelPagerank();
+        await done;
+        expect(cancelMock).toHaveBeenCalledTimes(1);
+        expect(getState()).toEqual(startingState);
+      }
+    });
+    it("clears progress and does not log the cancellation", async () => {
+      const {done, setProgressMock, stm} = pendingRun(readyToRunPagerank());
+      // $ExpectFlowError
+      console.error = jest.fn();
+      stm.cancelPagerank();
+      await done;
+      expect(setProgressMock.mock.calls).toEqual([[null]]);
+      expect(console.error).not.toHaveBeenCalled();
+    });
+    it("does nothing if no run is in flight", async () => {
+      const {cancelMock, getState, pagerankMock, stm} = example(
+        readyToRunPagerank()
+      );
+      pagerankMock.mockResolvedValue(pagerankNodeDecomposition());
+      await stm.runPagerank(
+        weightedTypes(),
+        emptyOverrides(),
+        NodeAddress.empty
+      );
+      const state = getState();
+      stm.cancelPagerank();
+      expect(cancelMock).not.toHaveBeenCalled();
+      expect(getState()).toBe(state);
+    });
+  });
+
   describe("loadGraphAndRunPagerank", () => {
     it("errors if called with uninitialized state", async () => {
       const {stm} = example(uninitializedState());
@@ -300,6 +441,7 @@ describe("app/credExplorer/state", () => {
           new Assets("gateway"),
           new StaticAdapterSet([]),
           weightedTypes(),
+          emptyOverrides(),
           NodeAddress.empty
         )
       ).rejects.toThrow("incorrect state");
@@ -313,11 +455,18 @@ describe("app/credExplorer/state", () => {
       const adapters = new StaticAdapterSet([]);
       const prefix = NodeAddress.fromParts(["bar"]);
       const wt = weightedTypes();
-      await stm.loadGraphAndRunPagerank(assets, adapters, wt, prefix);
+      const overrides = emptyOverrides();
+      await stm.loadGraphAndRunPagerank(
+        assets,
+        adapters,
+        wt,
+        overrides,
+        prefix
+      );
       expect(stm.loadGraph).toHaveBeenCalledTimes(1);
       expect(stm.loadGraph).toHaveBeenCalledWith(assets, adapters);
       expect(stm.runPagerank).toHaveBeenCalledTimes(1);
-      expect(stm.runPagerank).toHaveBeenCalledWith(wt, prefix);
+      expect(stm.runPagerank).toHaveBeenCalledWith(wt, overrides, prefix);
     });
     it("does not run pagerank if loadGraph did not succeed", async () => {
       const {stm} = example(readyToLoadGraph());
@@ -331,6 +480,7 @@ describe("app/credExplorer/state", () => {
         assets,
         adapters,
         weightedTypes(),
+        emptyOverrides(),
         prefix
       );
       expect(stm.loadGraph).toHaveBeenCalledTimes(1);
@@ -342,15 +492,17 @@ describe("app/credExplorer/state", () => {
       (stm: any).runPagerank = jest.fn();
       const prefix = NodeAddress.fromParts(["bar"]);
       const wt = weightedTypes();
+      const overrides = emptyOverrides();
       await stm.loadGraphAndRunPagerank(
         new Assets("/gateway/"),
         new StaticAdapterSet([]),
         wt,
+        overrides,
         prefix
       );
       expect(stm.loadGraph).toHaveBeenCalledTimes(0);
       expect(stm.runPagerank).toHaveBeenCalledTimes(1);
-      expect(stm.runPagerank).toHaveBeenCalledWith(wt, prefix);
+      expect(stm.runPagerank).toHaveBeenCalledWith(wt, overrides, prefix);
     });
     it("when PAGERANK_EVALUATED, runs pagerank", async () => {
       const {stm} = example(pagerankEvaluated());
@@ -358,15 +510,17 @@ describe("app/credExplorer/state", () => {
       (stm: any).runPagerank = jest.fn();
       const prefix = NodeAddress.fromParts(["bar"]);
       const wt = weightedTypes();
+      const overrides = emptyOverrides();
       await stm.loadGraphAndRunPagerank(
         new Assets("/gateway/"),
         new StaticAdapterSet([]),
         wt,
+        overrides,
         prefix
       );
       expect(stm.loadGraph).toHaveBeenCalledTimes(0);
       expect(stm.runPagerank).toHaveBeenCalledTimes(1);
-      expect(stm.runPagerank).toHaveBeenCalledWith(wt, prefix);
+      expect(stm.runPagerank).toHaveBeenCalledWith(wt, overrides, prefix);
     });
   });
 });
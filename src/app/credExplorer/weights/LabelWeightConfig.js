@@ -0,0 +1,87 @@
+// @flow
+
+import React from "react";
+
+import {MultiplierSelect} from "./MultiplierSelect";
+
+type Props = {|
+  // Map from a lowercased label name to its multiplier
+  +labels: Map<string, number>,
+  // Called with a multiplier of null to remove the label
+  +onChange: (label: string, multiplier: number | null) => void,
+|};
+
+type State = {|
+  newLabel: string,
+|};
+
+/**
+ * Lists the multipliers of GitHub labels, which scale the weights of
+ * the issues and pull requests with those labels (say, to give more
+ * cred for bounties), and adds multipliers for more labels. New labels
+ * start with a multiplier of 1, which changes nothing.
+ */
+export class LabelWeightConfig extends React.Component<Props, State> {
+  constructor(props: Props): void {
+    super(props);
+    this.state = {newLabel: ""};
+  }
+
+  render() {
+    const {labels, onChange} = this.props;
+    return (
+      <div>
+        <h3>GitHub labels</h3>
+        {labels.size === 0 ? (
+          <p>No label multipliers.</p>
+        ) : (
+          <ul>
+            {Array.from(labels.entries()).map(([label, multiplier]) => (
+              <li key={label}>
+                {label}
+                <MultiplierSelect
+                  title={`Cred multiplier for issues and pull requests labeled "${label}"`}
+                  multiplier={multiplier}
+                  onChange={(m) => onChange(label, m)}
+                />
+                <button
+                  style={{marginLeft: 5}}
+                  onClick={() => onChange(label, null)}
+                >
+                  remove
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            this._addLabel();
+          }}
+        >
+          <input
+            type="text"
+            placeholder="Label name"
+            value={this.state.newLabel}
+            onChange={(e) => this.setState({newLabel: e.target.value})}
+          />
+          <button type="submit" style={{marginLeft: 5}}>
+            Add label
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  _addLabel() {
+    const label = this.state.newLabel.trim().toLowerCase();
+    if (label === "") {
+      return;
+    }
+    if (!this.props.labels.has(label)) {
+      this.props.onChange(label, 1);
+    }
+    this.setState({newLabel: ""});
+  }
+}
@@ -0,0 +1,65 @@
+// @flow
+
+import React from "react";
+import {shallow} from "enzyme";
+
+import {MultiplierSelect} from "./MultiplierSelect";
+import {LabelWeightConfig} from "./LabelWeightConfig";
+
+require("../../testUtil").configureEnzyme();
+
+describe("app/credExplorer/weights/LabelWeightConfig", () => {
+  function example(labels: Map<string, number>) {
+    const onChange = jest.fn();
+    const el = shallow(
+      <LabelWeightConfig labels={labels} onChange={onChange} />
+    );
+    return {el, onChange};
+  }
+  function submit(el, newLabel: string) {
+    el.find("input").simulate("change", {target: {value: newLabel}});
+    el.find("form").simulate("submit", {preventDefault: () => {}});
+  }
+  const someLabels = () => new Map([["bounty", 4], ["bug", 1 / 2]]);
+
+  it("says so when there are no label multipliers", () => {
+    const {el} = example(new Map());
+    expect(el.find(MultiplierSelect)).toHaveLength(0);
+    expect(el.text()).toContain("No label multipliers");
+  });
+  it("renders a MultiplierSelect for each label", () => {
+    const {el} = example(someLabels());
+    const selects = el.find(MultiplierSelect);
+    expect(selects.map((x) => x.props().multiplier)).toEqual([4, 1 / 2]);
+    expect(selects.at(0).props().title).toContain('"bounty"');
+  });
+  it("changes the multiplier of a label", () => {
+    const {el, onChange} = example(someLabels());
+    el.find(MultiplierSelect)
+      .at(1)
+      .props()
+      .onChange(2);
+    expect(onChange).toHaveBeenCalledWith("bug", 2);
+  });
+  it("removes a label", () => {
+    const {el, onChange} = example(someLabels());
+    el.find("li")
+      .at(0)
+      .find("button")
+      .simulate("click");
+    expect(onChange).toHaveBeenCalledWith("bounty", null);
+  });
+  it("adds a label with a multiplier of 1", () => {
+    const {el, onChange} = example(someLabels());
+    submit(el, "  Good First Issue ");
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith("good first issue", 1);
+    expect(el.find("input").props().value).toEqual("");
+  });
+  it("does not add an empty or existing label", () => {
+    const {el, onChange} = example(someLabels());
+    submit(el, "  ");
+    submit(el, "Bounty");
+    expect(onChange).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+// @flow
+
+import React from "react";
+
+import {formatWeight} from "./WeightSlider";
+
+export const MULTIPLIERS: $ReadOnlyArray<number> = [
+  0,
+  1 / 4,
+  1 / 2,
+  1,
+  2,
+  4,
+  10,
+];
+
+export function formatMultiplier(multiplier: number): string {
+  return multiplier === 0 ? "0×" : formatWeight(multiplier);
+}
+
+export type Props = {|
+  +multiplier: number,
+  +title: string,
+  +onChange: (number) => void,
+|};
+
+/**
+ * A compact control for the override multiplier of a single node or
+ * edge. The current multiplier is always an option, even if it is not
+ * one of the usual ones (say, because it was set by hand in the
+ * overrides file).
+ */
+export class MultiplierSelect extends React.PureComponent<Props> {
+  render() {
+    const {multiplier, title, onChange} = this.props;
+    const options = MULTIPLIERS.includes(multiplier)
+      ? MULTIPLIERS
+      : [...MULTIPLIERS, multiplier].sort((a, b) => a - b);
+    return (
+      <select
+        title={title}
+        style={{
+          marginLeft: 5,
+          fontWeight: multiplier === 1 ? "normal" : "bold",
+        }}
+        value={String(multiplier)}
+        onChange={(e) => onChange(Number(e.target.value))}
+      >
+        {options.map((m) => (
+          <option key={m} value={String(m)}>
+            {formatMultiplier(m)}
+          </option>
+        ))}
+      </select>
+    );
+  }
+}
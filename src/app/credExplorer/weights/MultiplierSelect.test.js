@@ -0,0 +1,68 @@
+// @flow
+
+import React from "react";
+import {shallow} from "enzyme";
+
+import {
+  MULTIPLIERS,
+  MultiplierSelect,
+  formatMultiplier,
+} from "./MultiplierSelect";
+
+require("../../testUtil").configureEnzyme();
+
+describe("app/credExplorer/weights/MultiplierSelect", () => {
+  describe("MultiplierSelect", () => {
+    function example(multiplier: number) {
+      const onChange = jest.fn();
+      const element = shallow(
+        <MultiplierSelect
+          multiplier={multiplier}
+          title="Cred multiplier"
+          onChange={onChange}
+        />
+      );
+      return {element, onChange};
+    }
+    function optionTexts(element) {
+      return element.find("option").map((o) => o.text());
+    }
+    it("selects the current multiplier", () => {
+      const {element} = example(1 / 4);
+      expect(element.find("select").props().value).toEqual("0.25");
+      expect(element.find("select").props().title).toEqual("Cred multiplier");
+    });
+    it("offers the usual multipliers", () => {
+      const {element} = example(1);
+      expect(optionTexts(element)).toEqual(MULTIPLIERS.map(formatMultiplier));
+    });
+    it("offers an unusual current multiplier in order", () => {
+      const {element} = example(3);
+      expect(optionTexts(element)).toEqual([
+        "0×",
+        "1/4×",
+        "1/2×",
+        "1×",
+        "2×",
+        "3×",
+        "4×",
+        "10×",
+      ]);
+    });
+    it("reports the chosen multiplier", () => {
+      const {element, onChange} = example(1);
+      element.find("select").simulate("change", {target: {value: "0"}});
+      expect(onChange).toHaveBeenCalledWith(0);
+    });
+  });
+
+  describe("formatMultiplier", () => {
+    it("formats multipliers like weights", () => {
+      expect(formatMultiplier(10)).toEqual("10×");
+      expect(formatMultiplier(0.5)).toEqual("1/2×");
+    });
+    it("formats a multiplier of 0", () => {
+      expect(formatMultiplier(0)).toEqual("0×");
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// @flow
+
+import React from "react";
+
+import {
+  type EdgeAddressT,
+  type NodeAddressT,
+  EdgeAddress,
+} from "../../../core/graph";
+import {DynamicAdapterSet} from "../../adapters/adapterSet";
+import {edgeVerb, nodeDescription} from "../pagerankTable/shared";
+import {
+  type WeightOverrides,
+  OVERRIDES_FILE,
+  setEdgeOverride,
+  setNodeOverride,
+  toJSON as overridesToJSON,
+} from "./overrides";
+import {MultiplierSelect} from "./MultiplierSelect";
+
+type Props = {|
+  +adapters: DynamicAdapterSet,
+  +overrides: WeightOverrides,
+  +onChange: (WeightOverrides) => void,
+|};
+
+/**
+ * Lists the weight overrides, which are set from the rows of the cred
+ * table, and exports them for saving in the repository's data.
+ */
+export class OverridesConfig extends React.PureComponent<Props> {
+  render() {
+    const {overrides} = this.props;
+    const json = JSON.stringify(overridesToJSON(overrides));
+    const count = overrides.nodes.size + overrides.edges.size;
+    return (
+      <div style={{marginTop: 10}}>
+        <div>
+          <a
+            download={OVERRIDES_FILE}
+            href={"data:application/json," + encodeURIComponent(json)}
+          >
+            Export overrides
+          </a>
+          <span style={{marginLeft: 12}}>
+            Save as <code>{OVERRIDES_FILE}</code> in the repository's data
+            directory to keep them.
+          </span>
+        </div>
+        {count === 0 ? (
+          <p>
+            No overrides. Choose a multiplier next to a node or an edge in the
+            table below to adjust its cred.
+          </p>
+        ) : (
+          <ul>
+            {Array.from(overrides.nodes.entries()).map(([node, multiplier]) =>
+              this._renderNodeOverride(node, multiplier)
+            )}
+            {Array.from(overrides.edges.entries()).map(([edge, multiplier]) =>
+              this._renderEdgeOverride(edge, multiplier)
+            )}
+          </ul>
+        )}
+      </div>
+    );
+  }
+
+  _renderNodeOverride(node: NodeAddressT, multiplier: number) {
+    const {adapters, overrides, onChange} = this.props;
+    const update = (m) => onChange(setNodeOverride(overrides, node, m));
+    return (
+      <li key={"node:" + node}>
+        {nodeDescription(node, adapters)}
+        <MultiplierSelect
+          title="Cred multiplier for this node"
+          multiplier={multiplier}
+          onChange={update}
+        />
+        <button style={{marginLeft: 5}} onClick={() => update(1)}>
+          remove
+        </button>
+      </li>
+    );
+  }
+
+  _renderEdgeOverride(edge: EdgeAddressT, multiplier: number) {
+    const {adapters, overrides, onChange} = this.props;
+    const update = (m) => onChange(setEdgeOverride(overrides, edge, m));
+    return (
+      <li key={"edge:" + edge}>
+        {edgeDescription(edge, adapters)}
+        <MultiplierSelect
+          title="Cred multiplier for this edge"
+          multiplier={multiplier}
+          onChange={update}
+        />
+        <button style={{marginLeft: 5}} onClick={() => update(1)}>
+          remove
+        </button>
+      </li>
+    );
+  }
+}
+
+// Overrides may name edges that are no longer in the graph, which can
+// only be shown by address.
+function edgeDescription(edge: EdgeAddressT, adapters: DynamicAdapterSet) {
+  const e = adapters.graph().edge(edge);
+  if (e == null) {
+    return EdgeAddress.toString(edge);
+  }
+  return (
+    <span>
+      {nodeDescription(e.src, adapters)}{" "}
+      <em>{edgeVerb(edge, "FORWARD", adapters)}</em>{" "}
+      {nodeDescription(e.dst, adapters)}
+    </span>
+  );
+}
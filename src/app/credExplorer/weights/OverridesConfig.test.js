@@ -0,0 +1,100 @@
+// @flow
+
+import React from "react";
+import {shallow} from "enzyme";
+
+import {EdgeAddress} from "../../../core/graph";
+import {
+  dynamicAdapterSet,
+  factorioEdges,
+  factorioNodes,
+} from "../../adapters/demoAdapters";
+import {
+  emptyOverrides,
+  fromJSON,
+  setEdgeOverride,
+  setNodeOverride,
+} from "./overrides";
+import {MultiplierSelect} from "./MultiplierSelect";
+import {OverridesConfig} from "./OverridesConfig";
+
+require("../../testUtil").configureEnzyme();
+
+describe("app/credExplorer/weights/OverridesConfig", () => {
+  const node = factorioNodes.machine1;
+  const edge = factorioEdges.transports1.address;
+  const missingEdge = EdgeAddress.fromParts(["factorio", "gone"]);
+
+  async function example(overrides) {
+    const adapters = await dynamicAdapterSet();
+    const onChange = jest.fn();
+    const el = shallow(
+      <OverridesConfig
+        adapters={adapters}
+        overrides={overrides}
+        onChange={onChange}
+      />
+    );
+    return {el, onChange};
+  }
+  function someOverrides() {
+    return setEdgeOverride(
+      setEdgeOverride(setNodeOverride(emptyOverrides(), node, 10), edge, 0),
+      missingEdge,
+      2
+    );
+  }
+
+  it("says when there are no overrides", async () => {
+    const {el} = await example(emptyOverrides());
+    expect(el.find("li")).toHaveLength(0);
+    expect(el.find("p").text()).toMatch(/^No overrides/);
+  });
+  it("lists the node and edge overrides", async () => {
+    const {el} = await example(someOverrides());
+    const items = el.find("li");
+    expect(items).toHaveLength(3);
+    expect(
+      items.map((item) => item.find(MultiplierSelect).props().multiplier)
+    ).toEqual([10, 0, 2]);
+    expect(
+      items
+        .at(1)
+        .find("em")
+        .text()
+    ).toEqual("transports");
+    expect(items.at(2).text()).toContain(EdgeAddress.toString(missingEdge));
+  });
+  it("changes an override", async () => {
+    const {el, onChange} = await example(someOverrides());
+    const select = el
+      .find("li")
+      .at(0)
+      .find(MultiplierSelect);
+    select.props().onChange(4);
+    expect(onChange).toHaveBeenCalledWith(
+      setNodeOverride(someOverrides(), node, 4)
+    );
+  });
+  it("removes an override", async () => {
+    const {el, onChange} = await example(someOverrides());
+    el.find("li")
+      .at(1)
+      .find("button")
+      .simulate("click");
+    expect(onChange).toHaveBeenCalledWith(
+      setEdgeOverride(someOverrides(), edge, 1)
+    );
+  });
+  it("exports the overrides as a downloadable JSON file", async () => {
+    const {el} = await example(someOverrides());
+    const link = el.find("a");
+    expect(link.text()).toEqual("Export overrides");
+    expect(link.props().download).toEqual("overrides.json");
+    const prefix = "data:application/json,";
+    const href = link.props().href;
+    expect(href.startsWith(prefix)).toBe(true);
+    const json = JSON.parse(decodeURIComponent(href.slice(prefix.length)));
+    expect(fromJSON(json)).toEqual(someOverrides());
+  });
+});
@@ -68,6 +68,7 @@ describe("app/credExplorer/weights/PluginWeightConfig", () => {
         edges: new Map(
           adapter.edgeTypes().map((x) => [x.prefix, defaultWeightedEdgeType(x)])
         ),
+        labels: new Map(),
       };
       ntc.props().onChange(newWeightedType);
       expect(onChange).toHaveBeenCalledTimes(1);
@@ -84,6 +85,7 @@ describe("app/credExplorer/weights/PluginWeightConfig", () => {
           adapter.nodeTypes().map((x) => [x.prefix, defaultWeightedNodeType(x)])
         ),
         edges: new Map(newEdges.map((x) => [x.type.prefix, x])),
+        labels: new Map(),
       };
       ntc.props().onChange(newWeightedType);
       expect(onChange).toHaveBeenCalledTimes(1);
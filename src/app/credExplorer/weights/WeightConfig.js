@@ -5,8 +5,14 @@ import * as NullUtil from "../../../util/null";
 import * as MapUtil from "../../../util/map";
 
 import type {StaticAdapterSet} from "../../adapters/adapterSet";
-import type {WeightedTypes} from "./weights";
+import {
+  type WeightedTypes,
+  setLabelWeight,
+  fromJSON as weightsFromJSON,
+  toJSON as weightsToJSON,
+} from "./weights";
 import {PluginWeightConfig} from "./PluginWeightConfig";
+import {LabelWeightConfig} from "./LabelWeightConfig";
 import {FALLBACK_NAME} from "../../adapters/fallbackAdapter";
 
 type Props = {|
@@ -15,14 +21,20 @@ type Props = {|
   +onChange: (WeightedTypes) => void,
 |};
 
-export class WeightConfig extends React.Component<Props> {
+type State = {|
+  importError: string | null,
+|};
+
+export class WeightConfig extends React.Component<Props, State> {
   constructor(props: Props): void {
     super(props);
+    this.state = {importError: null};
   }
 
   render() {
     return (
       <React.Fragment>
+        {this._renderImportExport()}
         <div
           style={{
             display: "flex",
@@ -32,10 +44,77 @@ export class WeightConfig extends React.Component<Props> {
         >
           {this._renderPluginWeightConfigs()}
         </div>
+        <LabelWeightConfig
+          labels={this.props.weightedTypes.labels}
+          onChange={(label, multiplier) =>
+            this.props.onChange(
+              setLabelWeight(this.props.weightedTypes, label, multiplier)
+            )
+          }
+        />
       </React.Fragment>
     );
   }
 
+  _renderImportExport() {
+    const json = JSON.stringify(weightsToJSON(this.props.weightedTypes));
+    const {importError} = this.state;
+    return (
+      <div style={{marginBottom: 10}}>
+        <a
+          download="weights.json"
+          href={"data:application/json," + encodeURIComponent(json)}
+        >
+          Export weights
+        </a>
+        <label style={{marginLeft: 12}}>
+          Import weights:{" "}
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => this._onImportFile(e.target.files)}
+          />
+        </label>
+        {importError && (
+          <span style={{color: "red", marginLeft: 12}}>
+            Could not import weights: {importError}
+          </span>
+        )}
+      </div>
+    );
+  }
+
+  async _onImportFile(files: FileList): Promise<void> {
+    const file = files[0];
+    if (file == null) {
+      return;
+    }
+    let text;
+    try {
+      text = await readFile(file);
+    } catch (e) {
+      this.setState({importError: String(e)});
+      return;
+    }
+    this._importWeights(text);
+  }
+
+  /**
+   * Replace the current weights with those in the given serialized
+   * weights file, as written by "Export weights" or by hand.
+   */
+  _importWeights(text: string) {
+    let weightedTypes;
+    try {
+      weightedTypes = weightsFromJSON(JSON.parse(text), this.props.adapters);
+    } catch (e) {
+      this.setState({importError: e.message});
+      return;
+    }
+    this.setState({importError: null});
+    this.props.onChange(weightedTypes);
+  }
+
   _renderPluginWeightConfigs() {
     return this.props.adapters
       .adapters()
@@ -45,6 +124,7 @@ export class WeightConfig extends React.Component<Props> {
           const newWeightedTypes = {
             nodes: MapUtil.copy(this.props.weightedTypes.nodes),
             edges: MapUtil.copy(this.props.weightedTypes.edges),
+            labels: this.props.weightedTypes.labels,
           };
           for (const [key, val] of weightedTypes.nodes.entries()) {
             newWeightedTypes.nodes.set(key, val);
@@ -57,6 +137,7 @@ export class WeightConfig extends React.Component<Props> {
         const pluginScopedWeightedTypes = {
           nodes: new Map(),
           edges: new Map(),
+          labels: this.props.weightedTypes.labels,
         };
         for (const {prefix} of adapter.nodeTypes()) {
           pluginScopedWeightedTypes.nodes.set(
@@ -81,3 +162,12 @@ export class WeightConfig extends React.Component<Props> {
       });
   }
 }
+
+function readFile(file: File): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
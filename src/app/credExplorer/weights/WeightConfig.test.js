@@ -9,7 +9,14 @@ import {
   FactorioStaticAdapter,
 } from "../../adapters/demoAdapters";
 import {FALLBACK_NAME} from "../../adapters/fallbackAdapter";
-import {defaultWeightsForAdapterSet, defaultWeightsForAdapter} from "./weights";
+import {
+  defaultWeightsForAdapterSet,
+  defaultWeightsForAdapter,
+  fromJSON,
+  setLabelWeight,
+  toJSON,
+} from "./weights";
+import {LabelWeightConfig} from "./LabelWeightConfig";
 import {WeightConfig} from "./WeightConfig";
 
 require("../../testUtil").configureEnzyme();
@@ -90,5 +97,98 @@ describe("app/credExplorer/weights/WeightConfig", () => {
       expect(onChange).toHaveBeenCalledTimes(1);
       expect(onChange).toHaveBeenCalledWith(expectedFullWeights);
     });
+    it("configures the label multipliers", () => {
+      const {el, types, onChange} = example();
+      const lwc = el.find(LabelWeightConfig);
+      expect(lwc.props().labels).toBe(types.labels);
+      lwc.props().onChange("Bounty", 4);
+      expect(onChange).toHaveBeenCalledWith(setLabelWeight(types, "bounty", 4));
+    });
+    it("keeps the label multipliers when a plugin's weights change", () => {
+      const {el, onChange} = example();
+      el.setProps({
+        weightedTypes: setLabelWeight(
+          defaultWeightsForAdapterSet(staticAdapterSet()),
+          "bounty",
+          4
+        ),
+      });
+      el.find(PluginWeightConfig)
+        .at(0)
+        .props()
+        .onChange(defaultWeightsForAdapter(new FactorioStaticAdapter()));
+      expect(onChange.mock.calls[0][0].labels).toEqual(
+        new Map([["bounty", 4]])
+      );
+    });
+    describe("exports weights", () => {
+      it("as a downloadable JSON file", () => {
+        const {el, adapters, types} = example();
+        const link = el.find("a");
+        expect(link.props().download).toEqual("weights.json");
+        const prefix = "data:application/json,";
+        const href = link.props().href;
+        expect(href.startsWith(prefix)).toBe(true);
+        const json = JSON.parse(decodeURIComponent(href.slice(prefix.length)));
+        expect(json).toEqual(toJSON(types));
+        expect(fromJSON(json, adapters)).toEqual(types);
+      });
+    });
+    describe("imports weights", () => {
+      function importFile(el, contents: string): Promise<void> {
+        const file = new File([contents], "weights.json");
+        // The handler resolves once the file has been read.
+        return el
+          .find("input")
+          .props()
+          .onChange({target: {files: [file]}});
+      }
+      it("from a valid weights file", async () => {
+        const {el, onChange} = example();
+        const newTypes = defaultWeightsForAdapterSet(staticAdapterSet());
+        newTypes.nodes.set(inserterNodeType.prefix, {
+          weight: 123,
+          type: inserterNodeType,
+        });
+        await importFile(el, JSON.stringify(toJSON(newTypes)));
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(onChange).toHaveBeenCalledWith(newTypes);
+        expect(el.state().importError).toBe(null);
+      });
+      it("does nothing if no file is chosen", async () => {
+        const {el, onChange} = example();
+        await el
+          .find("input")
+          .props()
+          .onChange({target: {files: []}});
+        expect(onChange).not.toHaveBeenCalled();
+        expect(el.state().importError).toBe(null);
+      });
+      it("shows an error for invalid JSON", async () => {
+        const {el, onChange} = example();
+        await importFile(el, "not json");
+        expect(onChange).not.toHaveBeenCalled();
+        expect(el.state().importError).toMatch("JSON");
+        el.update();
+        expect(el.text()).toContain("Could not import weights");
+      });
+      it("shows an error for invalid weights", async () => {
+        const {el, onChange} = example();
+        const json = JSON.parse(JSON.stringify(toJSON(example().types)));
+        json[1].nodes[inserterNodeType.prefix] = -1;
+        await importFile(el, JSON.stringify(json));
+        expect(onChange).not.toHaveBeenCalled();
+        expect(el.state().importError).toEqual("Invalid weight: -1");
+      });
+      it("clears the error after a successful import", async () => {
+        const {el, onChange, types} = example();
+        await importFile(el, "not json");
+        await importFile(el, JSON.stringify(toJSON(types)));
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(el.state().importError).toBe(null);
+        el.update();
+        expect(el.text()).not.toContain("Could not import weights");
+      });
+    });
   });
 });
@@ -0,0 +1,204 @@
+// @flow
+
+import React from "react";
+import sortBy from "lodash.sortby";
+
+import type {NodeAddressT} from "../../../core/graph";
+import {DynamicAdapterSet} from "../../adapters/adapterSet";
+import {FALLBACK_NAME} from "../../adapters/fallbackAdapter";
+import {nodeDescription} from "../pagerankTable/shared";
+import type {WeightedTypes} from "./weights";
+import type {WeightOverrides} from "./overrides";
+import {formatWeight} from "./WeightSlider";
+import {
+  type SensitivityReport,
+  type WeightSensitivity,
+  weightSensitivity,
+} from "./sensitivity";
+
+export const TOP_NODES = 10;
+
+type Props = {|
+  +adapters: DynamicAdapterSet,
+  +weightedTypes: WeightedTypes,
+  +overrides: WeightOverrides,
+  // The nodes whose scores to analyze, such as users.
+  +nodePrefix: NodeAddressT,
+|};
+
+type State = {|
+  progress: {|+done: number, +total: number|} | null,
+  // The last report, with the inputs that it was computed for: it is
+  // only shown while they are current.
+  result: {|
+    +weightedTypes: WeightedTypes,
+    +overrides: WeightOverrides,
+    +nodePrefix: NodeAddressT,
+    +report: SensitivityReport,
+  |} | null,
+  error: string | null,
+|};
+
+/**
+ * Shows which weights the scores of the top nodes are most sensitive
+ * to (see `weightSensitivity`), on request, as the analysis runs
+ * PageRank once per weight.
+ */
+export class WeightSensitivityPanel extends React.Component<Props, State> {
+  // Incremented to discard the results of analyses that are superseded
+  // or that finish after the panel is unmounted.
+  _analysisId: number;
+
+  constructor(props: Props): void {
+    super(props);
+    this.state = {progress: null, result: null, error: null};
+    this._analysisId = 0;
+  }
+
+  componentWillUnmount() {
+    this._analysisId++;
+  }
+
+  async _analyze(): Promise<void> {
+    const id = ++this._analysisId;
+    const {adapters, weightedTypes, overrides, nodePrefix} = this.props;
+    this.setState({progress: {done: 0, total: 1}, error: null});
+    try {
+      const report = await weightSensitivity(
+        adapters.graph(),
+        weightedTypes,
+        adapters.labelMultipliers(weightedTypes.labels),
+        {
+          nodePrefixes: [nodePrefix],
+          topNodes: TOP_NODES,
+          overrides,
+          onProgress: (done, total) => {
+            if (id === this._analysisId) {
+              this.setState({progress: {done, total}});
+            }
+          },
+        }
+      );
+      if (id === this._analysisId) {
+        this.setState({
+          progress: null,
+          result: {weightedTypes, overrides, nodePrefix, report},
+        });
+      }
+    } catch (e) {
+      if (id === this._analysisId) {
+        this.setState({progress: null, error: String(e)});
+      }
+    }
+  }
+
+  render() {
+    const {progress, error} = this.state;
+    return (
+      <div style={{marginTop: 10}}>
+        <button disabled={progress != null} onClick={() => this._analyze()}>
+          Analyze weight sensitivity
+        </button>
+        {progress != null && (
+          <span style={{marginLeft: 10}}>
+            Running PageRank ({progress.done} of {progress.total})…
+          </span>
+        )}
+        {error != null && (
+          <span style={{color: "red", marginLeft: 10}}>
+            Could not analyze weights: {error}
+          </span>
+        )}
+        {this._renderReport()}
+      </div>
+    );
+  }
+
+  _renderReport() {
+    const {result} = this.state;
+    const {adapters, weightedTypes, overrides, nodePrefix} = this.props;
+    if (
+      result == null ||
+      result.weightedTypes !== weightedTypes ||
+      result.overrides !== overrides ||
+      result.nodePrefix !== nodePrefix
+    ) {
+      return null;
+    }
+    // As in the weight configuration, leave out the fallback types.
+    const fallbackPrefixes = new Set();
+    for (const adapter of adapters.static().adapters()) {
+      if (adapter.name() === FALLBACK_NAME) {
+        adapter.nodeTypes().forEach((t) => fallbackPrefixes.add(t.prefix));
+        adapter.edgeTypes().forEach((t) => fallbackPrefixes.add(t.prefix));
+      }
+    }
+    const sensitivities = result.report.sensitivities.filter(
+      (s) => !fallbackPrefixes.has(s.key.prefix)
+    );
+    return (
+      <table style={{borderCollapse: "collapse", marginTop: 10, width: "100%"}}>
+        <thead>
+          <tr>
+            <th style={{textAlign: "left"}}>Weight</th>
+            <th style={{textAlign: "right"}}>Change</th>
+            <th style={{textAlign: "right"}}>Rank changes</th>
+            <th style={{textAlign: "left", paddingLeft: 10}}>Biggest mover</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sensitivities.map((s) => (
+            <SensitivityRow
+              key={`${s.key.type}:${s.key.prefix}`}
+              sensitivity={s}
+              adapters={adapters}
+            />
+          ))}
+        </tbody>
+      </table>
+    );
+  }
+}
+
+function formatAnyWeight(weight: number): string {
+  return weight === 0 ? "0×" : formatWeight(weight);
+}
+
+// Changes in shares of cred, as percentage points.
+function formatPoints(change: number): string {
+  return (change > 0 ? "+" : "") + (change * 100).toFixed(2);
+}
+
+export class SensitivityRow extends React.PureComponent<{|
+  +sensitivity: WeightSensitivity,
+  +adapters: DynamicAdapterSet,
+|}> {
+  render() {
+    const {sensitivity, adapters} = this.props;
+    const {name, baseWeight, perturbedWeight, changes} = sensitivity;
+    const [mover] = sortBy(
+      changes,
+      (c) => -Math.abs(c.perturbedScore - c.baseScore)
+    );
+    return (
+      <tr>
+        <td>
+          {name}: {formatAnyWeight(baseWeight)} →{" "}
+          {formatAnyWeight(perturbedWeight)}
+        </td>
+        <td style={{textAlign: "right"}}>
+          {(sensitivity.totalChange * 100).toFixed(2)} points
+        </td>
+        <td style={{textAlign: "right"}}>{sensitivity.rankChanges}</td>
+        <td style={{paddingLeft: 10}}>
+          {mover != null && (
+            <span>
+              {nodeDescription(mover.node, adapters)} (
+              {formatPoints(mover.perturbedScore - mover.baseScore)})
+            </span>
+          )}
+        </td>
+      </tr>
+    );
+  }
+}
@@ -0,0 +1,138 @@
+// @flow
+
+import React from "react";
+import {shallow} from "enzyme";
+
+import {NodeAddress} from "../../../core/graph";
+import {dynamicAdapterSet, factorioNodes} from "../../adapters/demoAdapters";
+import {nodeDescription} from "../pagerankTable/shared";
+import {defaultWeightsForAdapterSet} from "./weights";
+import {emptyOverrides, setNodeOverride} from "./overrides";
+import {
+  SensitivityRow,
+  TOP_NODES,
+  WeightSensitivityPanel,
+} from "./WeightSensitivity";
+
+require("../../testUtil").configureEnzyme();
+
+describe("app/credExplorer/weights/WeightSensitivity", () => {
+  describe("WeightSensitivityPanel", () => {
+    async function setup() {
+      const adapters = await dynamicAdapterSet();
+      const weightedTypes = defaultWeightsForAdapterSet(adapters.static());
+      const nodePrefix = NodeAddress.fromParts(["factorio"]);
+      const element = shallow(
+        <WeightSensitivityPanel
+          adapters={adapters}
+          weightedTypes={weightedTypes}
+          overrides={emptyOverrides()}
+          nodePrefix={nodePrefix}
+        />
+      );
+      return {element, adapters, weightedTypes, nodePrefix};
+    }
+    function findButton(element) {
+      return element.find("button");
+    }
+
+    it("shows no report until asked", async () => {
+      const {element} = await setup();
+      expect(findButton(element).text()).toEqual("Analyze weight sensitivity");
+      expect(element.find(SensitivityRow)).toHaveLength(0);
+    });
+    it("shows progress while analyzing", async () => {
+      const {element} = await setup();
+      const analysis = element.instance()._analyze();
+      element.update();
+      expect(findButton(element).props().disabled).toBe(true);
+      expect(element.text()).toContain("Running PageRank");
+      await analysis;
+      element.update();
+      expect(findButton(element).props().disabled).toBe(false);
+      expect(element.text()).not.toContain("Running PageRank");
+    });
+    it("shows a row for each weight except the fallback types", async () => {
+      const {element} = await setup();
+      await element.instance()._analyze();
+      element.update();
+      const rows = element.find(SensitivityRow);
+      // Two node types, and two directions of two edge types.
+      expect(rows).toHaveLength(6);
+      const totals = rows.map((row) => row.props().sensitivity.totalChange);
+      expect(totals).toEqual(totals.slice().sort((a, b) => b - a));
+      rows.forEach((row) => {
+        const {changes} = row.props().sensitivity;
+        expect(changes.length).toBeLessThanOrEqual(TOP_NODES);
+        for (const {node} of changes) {
+          expect(NodeAddress.toParts(node)[0]).toEqual("factorio");
+        }
+      });
+    });
+    it("hides the report when the weights change", async () => {
+      const {element, adapters} = await setup();
+      await element.instance()._analyze();
+      element.setProps({
+        weightedTypes: defaultWeightsForAdapterSet(adapters.static()),
+      });
+      expect(element.find(SensitivityRow)).toHaveLength(0);
+    });
+    it("hides the report when the overrides change", async () => {
+      const {element} = await setup();
+      await element.instance()._analyze();
+      element.setProps({
+        overrides: setNodeOverride(emptyOverrides(), factorioNodes.machine1, 0),
+      });
+      expect(element.find(SensitivityRow)).toHaveLength(0);
+    });
+    it("hides the report when the node prefix changes", async () => {
+      const {element} = await setup();
+      await element.instance()._analyze();
+      element.setProps({
+        nodePrefix: NodeAddress.fromParts(["factorio", "machine"]),
+      });
+      expect(element.find(SensitivityRow)).toHaveLength(0);
+    });
+    it("shows an error if the analysis fails", async () => {
+      const {element, adapters} = await setup();
+      jest.spyOn(adapters, "graph").mockImplementation(() => {
+        throw new Error("oops");
+      });
+      await element.instance()._analyze();
+      element.update();
+      expect(element.text()).toContain(
+        "Could not analyze weights: Error: oops"
+      );
+      expect(findButton(element).props().disabled).toBe(false);
+    });
+  });
+
+  describe("SensitivityRow", () => {
+    it("shows the weight change and the biggest mover", async () => {
+      const adapters = await dynamicAdapterSet();
+      const node = factorioNodes.machine1;
+      const sensitivity = {
+        key: {type: "NODE", prefix: NodeAddress.fromParts(["factorio"])},
+        name: "widget",
+        baseWeight: 0.5,
+        perturbedWeight: 1,
+        changes: [
+          {node: factorioNodes.inserter1, baseScore: 0.5, perturbedScore: 0.5},
+          {node, baseScore: 0.25, perturbedScore: 0.125},
+        ],
+        totalChange: 0.125,
+        rankChanges: 0,
+      };
+      const element = shallow(
+        <SensitivityRow sensitivity={sensitivity} adapters={adapters} />
+      );
+      const cells = element.find("td");
+      expect(cells.at(0).text()).toEqual("widget: 1/2× → 1×");
+      expect(cells.at(1).text()).toEqual("12.50 points");
+      expect(cells.at(2).text()).toEqual("0");
+      expect(cells.at(3).text()).toEqual(
+        `${String(nodeDescription(node, adapters))} (-12.50)`
+      );
+    });
+  });
+});
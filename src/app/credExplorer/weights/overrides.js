@@ -0,0 +1,153 @@
+// @flow
+
+import * as MapUtil from "../../../util/map";
+import {
+  type EdgeAddressT,
+  type NodeAddressT,
+  EdgeAddress,
+  NodeAddress,
+} from "../../../core/graph";
+import {repoIdPathParts, type RepoId} from "../../../core/repoId";
+import {toCompat, fromCompat, type Compatible} from "../../../util/compat";
+import type {Assets} from "../../assets";
+
+/**
+ * Manual adjustments to the weights of individual nodes and edges, for
+ * correcting the cred of a few outliers: a node's multiplier scales its
+ * node weight, and an edge's multiplier scales both of its weights. A
+ * multiplier of 0 cuts the node or edge off from cred. Nodes and edges
+ * without an override have a multiplier of 1.
+ */
+export type WeightOverrides = {|
+  +nodes: Map<NodeAddressT, number>,
+  +edges: Map<EdgeAddressT, number>,
+|};
+
+/**
+ * Name of the overrides file in a repository's data directory (next to
+ * the data of each plugin), where `sourcecred scores` and the cred
+ * explorer find it.
+ */
+export const OVERRIDES_FILE = "overrides.json";
+
+export function emptyOverrides(): WeightOverrides {
+  return {nodes: new Map(), edges: new Map()};
+}
+
+/**
+ * Return a copy of the given overrides with the node's multiplier set,
+ * or removed if the multiplier is 1.
+ */
+export function setNodeOverride(
+  overrides: WeightOverrides,
+  node: NodeAddressT,
+  multiplier: number
+): WeightOverrides {
+  const nodes = MapUtil.copy(overrides.nodes);
+  if (validateMultiplier(multiplier) === 1) {
+    nodes.delete(node);
+  } else {
+    nodes.set(node, multiplier);
+  }
+  return {nodes, edges: overrides.edges};
+}
+
+/**
+ * Return a copy of the given overrides with the edge's multiplier set,
+ * or removed if the multiplier is 1.
+ */
+export function setEdgeOverride(
+  overrides: WeightOverrides,
+  edge: EdgeAddressT,
+  multiplier: number
+): WeightOverrides {
+  const edges = MapUtil.copy(overrides.edges);
+  if (validateMultiplier(multiplier) === 1) {
+    edges.delete(edge);
+  } else {
+    edges.set(edge, multiplier);
+  }
+  return {nodes: overrides.nodes, edges};
+}
+
+const COMPAT_INFO = {type: "sourcecred/weightOverrides", version: "0.1.0"};
+
+type OverrideJSON = {|
+  +address: $ReadOnlyArray<string>,
+  +multiplier: number,
+|};
+
+export type WeightOverridesJSON = Compatible<{|
+  +nodes: $ReadOnlyArray<OverrideJSON>,
+  +edges: $ReadOnlyArray<OverrideJSON>,
+|}>;
+
+export function toJSON(overrides: WeightOverrides): WeightOverridesJSON {
+  return toCompat(COMPAT_INFO, {
+    nodes: Array.from(overrides.nodes.entries()).map(([node, multiplier]) => ({
+      address: NodeAddress.toParts(node),
+      multiplier,
+    })),
+    edges: Array.from(overrides.edges.entries()).map(([edge, multiplier]) => ({
+      address: EdgeAddress.toParts(edge),
+      multiplier,
+    })),
+  });
+}
+
+/**
+ * Load overrides serialized by `toJSON`. Addresses are given as arrays
+ * of parts, so that the file is easy to edit by hand. Throws if a
+ * multiplier is not a non-negative number. Overrides for nodes and
+ * edges that are not in the graph are kept, and have no effect.
+ */
+export function fromJSON(json: WeightOverridesJSON): WeightOverrides {
+  const {nodes, edges} = fromCompat(COMPAT_INFO, json);
+  return {
+    nodes: new Map(
+      nodes.map(({address, multiplier}) => [
+        NodeAddress.fromParts(address),
+        validateMultiplier(multiplier),
+      ])
+    ),
+    edges: new Map(
+      edges.map(({address, multiplier}) => [
+        EdgeAddress.fromParts(address),
+        validateMultiplier(multiplier),
+      ])
+    ),
+  };
+}
+
+/**
+ * Fetch the overrides of the given repository from its data directory.
+ * A repository without an overrides file has no overrides.
+ */
+export async function loadOverrides(
+  assets: Assets,
+  repoId: RepoId
+): Promise<WeightOverrides> {
+  const repoPath = repoIdPathParts(repoId).join("/");
+  const url = assets.resolve(`/api/v1/data/data/${repoPath}/${OVERRIDES_FILE}`);
+  const response = await fetch(url);
+  if (response.status === 404) {
+    return emptyOverrides();
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to load overrides: ${response.status}`);
+  }
+  return fromJSON(await response.json());
+}
+
+function validateMultiplier(multiplier: mixed): number {
+  if (
+    typeof multiplier !== "number" ||
+    !(multiplier >= 0) ||
+    !isFinite(multiplier)
+  ) {
+    throw new Error(
+      `Invalid multiplier: ${JSON.stringify(multiplier) || "undefined"}`
+    );
+  }
+  return multiplier;
+}
@@ -0,0 +1,112 @@
+// @flow
+
+import {EdgeAddress, NodeAddress} from "../../../core/graph";
+import {makeRepoId} from "../../../core/repoId";
+import {Assets} from "../../assets";
+import {
+  emptyOverrides,
+  fromJSON,
+  loadOverrides,
+  setEdgeOverride,
+  setNodeOverride,
+  toJSON,
+} from "./overrides";
+
+describe("app/credExplorer/weights/overrides", () => {
+  const node = NodeAddress.fromParts(["pull", "1"]);
+  const edge = EdgeAddress.fromParts(["references", "1"]);
+
+  describe("setNodeOverride and setEdgeOverride", () => {
+    it("set multipliers without modifying the original", () => {
+      const original = emptyOverrides();
+      const overrides = setEdgeOverride(
+        setNodeOverride(original, node, 10),
+        edge,
+        0
+      );
+      expect(overrides).toEqual({
+        nodes: new Map([[node, 10]]),
+        edges: new Map([[edge, 0]]),
+      });
+      expect(original).toEqual(emptyOverrides());
+    });
+    it("remove overrides with a multiplier of 1", () => {
+      const overrides = setEdgeOverride(
+        setNodeOverride(
+          setEdgeOverride(setNodeOverride(emptyOverrides(), node, 2), edge, 3),
+          node,
+          1
+        ),
+        edge,
+        1
+      );
+      expect(overrides).toEqual(emptyOverrides());
+    });
+    it("reject invalid multipliers", () => {
+      expect(() => setNodeOverride(emptyOverrides(), node, -1)).toThrow(
+        "Invalid multiplier: -1"
+      );
+      expect(() => setEdgeOverride(emptyOverrides(), edge, NaN)).toThrow(
+        "Invalid multiplier: null"
+      );
+    });
+  });
+
+  describe("toJSON and fromJSON", () => {
+    const overrides = () =>
+      setEdgeOverride(setNodeOverride(emptyOverrides(), node, 10), edge, 0);
+    it("round-trip", () => {
+      expect(fromJSON(toJSON(overrides()))).toEqual(overrides());
+    });
+    it("write addresses as their parts", () => {
+      expect(toJSON(overrides())).toEqual([
+        {type: "sourcecred/weightOverrides", version: "0.1.0"},
+        {
+          nodes: [{address: ["pull", "1"], multiplier: 10}],
+          edges: [{address: ["references", "1"], multiplier: 0}],
+        },
+      ]);
+    });
+    it("reject invalid multipliers", () => {
+      const json: any = toJSON(overrides());
+      json[1].nodes[0].multiplier = "lots";
+      expect(() => fromJSON(json)).toThrow('Invalid multiplier: "lots"');
+    });
+  });
+
+  describe("loadOverrides", () => {
+    const assets = new Assets("/gateway/");
+    const repoId = makeRepoId("foo", "bar");
+    beforeEach(() => {
+      fetch.resetMocks();
+    });
+    it("fetches the overrides file from the repository's data", async () => {
+      const overrides = setNodeOverride(emptyOverrides(), node, 10);
+      fetch.mockResponseOnce(JSON.stringify(toJSON(overrides)));
+      expect(await loadOverrides(assets, repoId)).toEqual(overrides);
+      expect(fetch).toHaveBeenCalledWith(
+        "/gateway/api/v1/data/data/foo/bar/overrides.json"
+      );
+    });
+    it("fetches from the data of the repository's host", async () => {
+      fetch.mockResponseOnce("", {status: 404});
+      await loadOverrides(
+        assets,
+        makeRepoId("foo", "bar", "github.example.com")
+      );
+      expect(fetch).toHaveBeenCalledWith(
+        "/gateway/api/v1/data/data/github.example.com/foo/bar/overrides.json"
+      );
+    });
+    it("gives no overrides if there is no overrides file", async () => {
+      fetch.mockResponseOnce("", {status: 404});
+      expect(await loadOverrides(assets, repoId)).toEqual(emptyOverrides());
+    });
+    it("fails on other errors", async () => {
+      fetch.mockResponseOnce("", {status: 500});
+      await expect(loadOverrides(assets, repoId)).rejects.toThrow(
+        "Failed to load overrides: 500"
+      );
+    });
+  });
+});
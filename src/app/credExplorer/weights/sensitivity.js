@@ -0,0 +1,277 @@
+// @flow
+
+import sortBy from "lodash.sortby";
+import * as MapUtil from "../../../util/map";
+import * as NullUtil from "../../../util/null";
+
+import {
+  type EdgeAddressT,
+  Graph,
+  NodeAddress,
+  type NodeAddressT,
+} from "../../../core/graph";
+import {
+  type MarkovChainStructure,
+  type NodeDistribution,
+  type PagerankNodeDecomposition,
+  pagerankWithStructure,
+} from "../../../core/attribution/pagerank";
+import {createMarkovChainStructure} from "../../../core/attribution/graphToMarkovChain";
+import type {WeightedTypes} from "./weights";
+import {weightsToEdgeEvaluator} from "./weightsToEdgeEvaluator";
+import type {WeightOverrides} from "./overrides";
+
+/**
+ * One of the weights in a `WeightedTypes`: a node type's weight, or
+ * the forward or backward weight of an edge type.
+ */
+export type WeightKey =
+  | {|+type: "NODE", +prefix: NodeAddressT|}
+  | {|+type: "EDGE_FORWARD", +prefix: EdgeAddressT|}
+  | {|+type: "EDGE_BACKWARD", +prefix: EdgeAddressT|};
+
+export type ScoreChange = {|
+  +node: NodeAddressT,
+  // Share of the cred of all nodes under analysis, before and after
+  // the weight was perturbed.
+  +baseScore: number,
+  +perturbedScore: number,
+|};
+
+export type WeightSensitivity = {|
+  +key: WeightKey,
+  // The node type's name, or the name of the edge type's direction.
+  +name: string,
+  +baseWeight: number,
+  +perturbedWeight: number,
+  // The top nodes, in their order under the base weights.
+  +changes: $ReadOnlyArray<ScoreChange>,
+  // Sum of the absolute changes in the top nodes' scores.
+  +totalChange: number,
+  // How many of the top nodes moved to another rank among them.
+  +rankChanges: number,
+|};
+
+export type SensitivityReport = {|
+  +topNodes: $ReadOnlyArray<{|+node: NodeAddressT, +score: number|}>,
+  // Ordered by `totalChange` descending: the weights that matter most
+  // come first.
+  +sensitivities: $ReadOnlyArray<WeightSensitivity>,
+|};
+
+export type SensitivityOptions = {|
+  // The nodes under analysis, such as users. Scores are normalized to
+  // sum to 1 across all nodes matching any of these prefixes.
+  +nodePrefixes: $ReadOnlyArray<NodeAddressT>,
+  // How many of the highest-scoring nodes to report changes for.
+  +topNodes: number,
+  // Each weight is multiplied by this factor in turn. The default of 2
+  // is one step of the cred explorer's weight sliders.
+  +factor?: number,
+  // Overrides of individual nodes and edges, applied in every run.
+  +overrides?: WeightOverrides,
+  // Called after each PageRank run, with the number of runs done and
+  // the total number of runs.
+  +onProgress?: (done: number, total: number) => void,
+|};
+
+/**
+ * Enumerate the weights of the given types: each node type's weight,
+ * then each edge type's forward and backward weights.
+ */
+export function weightKeys(weights: WeightedTypes): WeightKey[] {
+  const result = [];
+  for (const prefix of weights.nodes.keys()) {
+    result.push({type: "NODE", prefix});
+  }
+  for (const prefix of weights.edges.keys()) {
+    result.push({type: "EDGE_FORWARD", prefix});
+    result.push({type: "EDGE_BACKWARD", prefix});
+  }
+  return result;
+}
+
+export function getWeight(weights: WeightedTypes, key: WeightKey): number {
+  switch (key.type) {
+    case "NODE":
+      return NullUtil.get(weights.nodes.get(key.prefix)).weight;
+    case "EDGE_FORWARD":
+      return NullUtil.get(weights.edges.get(key.prefix)).forwardWeight;
+    case "EDGE_BACKWARD":
+      return NullUtil.get(weights.edges.get(key.prefix)).backwardWeight;
+    default:
+      throw new Error((key.type: empty));
+  }
+}
+
+/**
+ * Return a copy of the given weights with one weight changed.
+ */
+export function setWeight(
+  weights: WeightedTypes,
+  key: WeightKey,
+  weight: number
+): WeightedTypes {
+  const nodes = MapUtil.copy(weights.nodes);
+  const edges = MapUtil.copy(weights.edges);
+  switch (key.type) {
+    case "NODE": {
+      const existing = NullUtil.get(nodes.get(key.prefix));
+      nodes.set(key.prefix, {...existing, weight});
+      break;
+    }
+    case "EDGE_FORWARD": {
+      const existing = NullUtil.get(edges.get(key.prefix));
+      edges.set(key.prefix, {...existing, forwardWeight: weight});
+      break;
+    }
+    case "EDGE_BACKWARD": {
+      const existing = NullUtil.get(edges.get(key.prefix));
+      edges.set(key.prefix, {...existing, backwardWeight: weight});
+      break;
+    }
+    default:
+      throw new Error((key.type: empty));
+  }
+  return {...weights, nodes, edges};
+}
+
+export function weightName(weights: WeightedTypes, key: WeightKey): string {
+  switch (key.type) {
+    case "NODE":
+      return NullUtil.get(weights.nodes.get(key.prefix)).type.name;
+    case "EDGE_FORWARD":
+      return NullUtil.get(weights.edges.get(key.prefix)).type.forwardName;
+    case "EDGE_BACKWARD":
+      return NullUtil.get(weights.edges.get(key.prefix)).type.backwardName;
+    default:
+      throw new Error((key.type: empty));
+  }
+}
+
+/**
+ * Find which weights the scores of the given nodes are most sensitive
+ * to. Runs PageRank once with the given weights, and once more for each
+ * weight with only that weight multiplied by `factor`, then compares the
+ * scores of the top nodes. A weight of zero stays zero, and so never
+ * changes any scores.
+ *
+ * The runs share the graph's chain structure, and each starts from the
+ * base run's distribution, so each takes a fraction of the time of the
+ * first.
+ */
+export async function weightSensitivity(
+  graph: Graph,
+  weights: WeightedTypes,
+  labelMultipliers: Map<NodeAddressT, number>,
+  options: SensitivityOptions
+): Promise<SensitivityReport> {
+  const {nodePrefixes, topNodes: topCount, overrides, onProgress} = options;
+  const factor = NullUtil.orElse(options.factor, 2);
+  if (!(factor > 0) || !isFinite(factor)) {
+    throw new Error(`Invalid factor: ${factor}`);
+  }
+  const keys = weightKeys(weights);
+  const totalRuns = keys.length + 1;
+  const structure = createMarkovChainStructure(graph);
+  const base = await pagerankWithStructure(
+    structure,
+    weightsToEdgeEvaluator(weights, labelMultipliers, overrides)
+  );
+  const baseScores = normalizedScores(base.pnd, nodePrefixes);
+  if (onProgress != null) {
+    onProgress(1, totalRuns);
+  }
+  const topNodes = sortBy(
+    Array.from(baseScores.entries()),
+    ([_, score]) => -score,
+    ([node, _]) => node
+  )
+    .slice(0, topCount)
+    .map(([node, score]) => ({node, score}));
+
+  const sensitivities = [];
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    const baseWeight = getWeight(weights, key);
+    const perturbedWeight = baseWeight * factor;
+    const perturbed = await perturbedScores(
+      structure,
+      setWeight(weights, key, perturbedWeight),
+      labelMultipliers,
+      overrides,
+      base.distribution,
+      nodePrefixes
+    );
+    const changes = topNodes.map(({node, score}) => ({
+      node,
+      baseScore: score,
+      perturbedScore: NullUtil.orElse(perturbed.get(node), 0),
+    }));
+    sensitivities.push({
+      key,
+      name: weightName(weights, key),
+      baseWeight,
+      perturbedWeight,
+      changes,
+      totalChange: changes.reduce(
+        (total, {baseScore, perturbedScore}) =>
+          total + Math.abs(perturbedScore - baseScore),
+        0
+      ),
+      rankChanges: countRankChanges(changes),
+    });
+    if (onProgress != null) {
+      onProgress(i + 2, totalRuns);
+    }
+  }
+  return {
+    topNodes,
+    sensitivities: sortBy(sensitivities, (s) => -s.totalChange),
+  };
+}
+
+async function perturbedScores(
+  structure: MarkovChainStructure,
+  weights: WeightedTypes,
+  labelMultipliers: Map<NodeAddressT, number>,
+  overrides: WeightOverrides | void,
+  initialDistribution: NodeDistribution,
+  nodePrefixes: $ReadOnlyArray<NodeAddressT>
+): Promise<Map<NodeAddressT, number>> {
+  const {pnd} = await pagerankWithStructure(
+    structure,
+    weightsToEdgeEvaluator(weights, labelMultipliers, overrides),
+    {initialDistribution}
+  );
+  return normalizedScores(pnd, nodePrefixes);
+}
+
+function normalizedScores(
+  pnd: PagerankNodeDecomposition,
+  nodePrefixes: $ReadOnlyArray<NodeAddressT>
+): Map<NodeAddressT, number> {
+  const result = new Map();
+  let total = 0;
+  for (const [node, {score}] of pnd.entries()) {
+    if (nodePrefixes.some((prefix) => NodeAddress.hasPrefix(node, prefix))) {
+      result.set(node, score);
+      total += score;
+    }
+  }
+  if (total > 0) {
+    for (const [node, score] of result.entries()) {
+      result.set(node, score / total);
+    }
+  }
+  return result;
+}
+
+function countRankChanges(changes: $ReadOnlyArray<ScoreChange>): number {
+  const newOrder = sortBy(
+    changes.map((change, baseRank) => ({change, baseRank})),
+    ({change}) => -change.perturbedScore,
+    ({baseRank}) => baseRank
+  );
+  return newOrder.filter(({baseRank}, newRank) => baseRank !== newRank).length;
+}
@@ -0,0 +1,229 @@
+// @flow
+
+import * as NullUtil from "../../../util/null";
+import {EdgeAddress, NodeAddress} from "../../../core/graph";
+import {pagerank} from "../../../core/attribution/pagerank";
+import {
+  inserterNodeType,
+  machineNodeType,
+  assemblesEdgeType,
+  transportsEdgeType,
+  FactorioStaticAdapter,
+  factorioGraph,
+  factorioNodes,
+} from "../../adapters/demoAdapters";
+import {defaultWeightsForAdapter} from "./weights";
+import {weightsToEdgeEvaluator} from "./weightsToEdgeEvaluator";
+import {emptyOverrides, setNodeOverride} from "./overrides";
+import {
+  getWeight,
+  setWeight,
+  weightKeys,
+  weightName,
+  weightSensitivity,
+} from "./sensitivity";
+
+describe("app/credExplorer/weights/sensitivity", () => {
+  const weights = () => defaultWeightsForAdapter(new FactorioStaticAdapter());
+  const factorio = NodeAddress.fromParts(["factorio"]);
+  // The demo graph is bipartite, so PageRank converges slowly on it;
+  // closing a triangle makes it aperiodic.
+  function graph() {
+    return factorioGraph().addEdge({
+      src: factorioNodes.inserter2,
+      dst: factorioNodes.inserter1,
+      address: EdgeAddress.fromParts(["factorio", "transports", "3"]),
+    });
+  }
+
+  describe("weightKeys", () => {
+    it("lists node weights, then both weights of each edge type", () => {
+      expect(weightKeys(weights())).toEqual([
+        {type: "NODE", prefix: inserterNodeType.prefix},
+        {type: "NODE", prefix: machineNodeType.prefix},
+        {type: "EDGE_FORWARD", prefix: assemblesEdgeType.prefix},
+        {type: "EDGE_BACKWARD", prefix: assemblesEdgeType.prefix},
+        {type: "EDGE_FORWARD", prefix: transportsEdgeType.prefix},
+        {type: "EDGE_BACKWARD", prefix: transportsEdgeType.prefix},
+      ]);
+    });
+  });
+
+  describe("getWeight and setWeight", () => {
+    it("get the weights of each kind", () => {
+      const w = weights();
+      const node = {type: "NODE", prefix: machineNodeType.prefix};
+      const forward = {type: "EDGE_FORWARD", prefix: assemblesEdgeType.prefix};
+      const backward = {
+        type: "EDGE_BACKWARD",
+        prefix: assemblesEdgeType.prefix,
+      };
+      expect(getWeight(w, node)).toEqual(machineNodeType.defaultWeight);
+      expect(getWeight(w, forward)).toEqual(
+        assemblesEdgeType.defaultForwardWeight
+      );
+      expect(getWeight(w, backward)).toEqual(
+        assemblesEdgeType.defaultBackwardWeight
+      );
+    });
+    it("set one weight, without modifying the original", () => {
+      const w = weights();
+      const keys = weightKeys(w);
+      for (const key of keys) {
+        const changed = setWeight(w, key, 123);
+        for (const other of keys) {
+          const expected = other === key ? 123 : getWeight(w, other);
+          expect(getWeight(changed, other)).toEqual(expected);
+        }
+      }
+      expect(w).toEqual(weights());
+    });
+  });
+
+  describe("weightName", () => {
+    it("names node types and edge directions", () => {
+      const w = weights();
+      expect(
+        weightName(w, {type: "NODE", prefix: inserterNodeType.prefix})
+      ).toEqual(inserterNodeType.name);
+      expect(
+        weightName(w, {type: "EDGE_FORWARD", prefix: assemblesEdgeType.prefix})
+      ).toEqual(assemblesEdgeType.forwardName);
+      expect(
+        weightName(w, {
+          type: "EDGE_BACKWARD",
+          prefix: assemblesEdgeType.prefix,
+        })
+      ).toEqual(assemblesEdgeType.backwardName);
+    });
+  });
+
+  describe("weightSensitivity", () => {
+    it("reports the change in each top node's score", async () => {
+      const w = weights();
+      const report = await weightSensitivity(graph(), w, new Map(), {
+        nodePrefixes: [factorio],
+        topNodes: 3,
+      });
+      expect(report.topNodes).toHaveLength(3);
+      expect(report.sensitivities).toHaveLength(weightKeys(w).length);
+      for (const sensitivity of report.sensitivities) {
+        const {key, baseWeight, perturbedWeight, changes} = sensitivity;
+        expect(baseWeight).toEqual(getWeight(w, key));
+        expect(perturbedWeight).toEqual(2 * baseWeight);
+        // Compare against a fresh run with the perturbed weight.
+        const pnd = await pagerank(
+          graph(),
+          weightsToEdgeEvaluator(setWeight(w, key, perturbedWeight), new Map()),
+          {totalScore: 1}
+        );
+        expect(changes.map((c) => c.node)).toEqual(
+          report.topNodes.map((n) => n.node)
+        );
+        for (const {node, perturbedScore} of changes) {
+          const expected = NullUtil.get(pnd.get(node)).score;
+          expect(perturbedScore).toBeCloseTo(expected, 4);
+        }
+      }
+    });
+    it("orders weights by how much they change the top scores", async () => {
+      const report = await weightSensitivity(graph(), weights(), new Map(), {
+        nodePrefixes: [factorio],
+        topNodes: 4,
+      });
+      const totals = report.sensitivities.map((s) => s.totalChange);
+      expect(totals).toEqual(totals.slice().sort((a, b) => b - a));
+      expect(totals[0]).toBeGreaterThan(0.01);
+    });
+    it("normalizes scores across the nodes under analysis", async () => {
+      const report = await weightSensitivity(graph(), weights(), new Map(), {
+        nodePrefixes: [machineNodeType.prefix],
+        topNodes: 10,
+      });
+      expect(report.topNodes.map((n) => n.node).sort()).toEqual(
+        [
+          NodeAddress.append(machineNodeType.prefix, "1"),
+          NodeAddress.append(machineNodeType.prefix, "2"),
+        ].sort()
+      );
+      const total = report.topNodes.reduce((t, {score}) => t + score, 0);
+      expect(total).toBeCloseTo(1, 10);
+    });
+    it("finds no changes when the factor is 1", async () => {
+      const report = await weightSensitivity(graph(), weights(), new Map(), {
+        nodePrefixes: [factorio],
+        topNodes: 4,
+        factor: 1,
+      });
+      for (const {totalChange, rankChanges} of report.sensitivities) {
+        expect(totalChange).toBeCloseTo(0, 4);
+        expect(rankChanges).toEqual(0);
+      }
+    });
+    it("applies the overrides in every run", async () => {
+      const w = weights();
+      const overrides = setNodeOverride(
+        emptyOverrides(),
+        factorioNodes.machine2,
+        10
+      );
+      const report = await weightSensitivity(graph(), w, new Map(), {
+        nodePrefixes: [factorio],
+        topNodes: 4,
+        factor: 1,
+        overrides,
+      });
+      const pnd = await pagerank(
+        graph(),
+        weightsToEdgeEvaluator(w, new Map(), overrides),
+        {totalScore: 1}
+      );
+      for (const {node, score} of report.topNodes) {
+        expect(score).toBeCloseTo(NullUtil.get(pnd.get(node)).score, 4);
+      }
+    });
+    it("applies the label multipliers in every run", async () => {
+      const w = weights();
+      const labelMultipliers = new Map([[factorioNodes.machine2, 10]]);
+      const report = await weightSensitivity(graph(), w, labelMultipliers, {
+        nodePrefixes: [factorio],
+        topNodes: 4,
+        factor: 1,
+      });
+      const pnd = await pagerank(
+        graph(),
+        weightsToEdgeEvaluator(w, labelMultipliers),
+        {totalScore: 1}
+      );
+      for (const {node, score} of report.topNodes) {
+        expect(score).toBeCloseTo(NullUtil.get(pnd.get(node)).score, 4);
+      }
+      for (const {changes} of report.sensitivities) {
+        for (const {baseScore, perturbedScore} of changes) {
+          expect(perturbedScore).toBeCloseTo(baseScore, 3);
+        }
+      }
+    });
+    it("reports progress after each run", async () => {
+      const onProgress = jest.fn();
+      await weightSensitivity(graph(), weights(), new Map(), {
+        nodePrefixes: [factorio],
+        topNodes: 1,
+        onProgress,
+      });
+      const total = weightKeys(weights()).length + 1;
+      expect(onProgress.mock.calls).toEqual(
+        Array.from({length: total}, (_, i) => [i + 1, total])
+      );
+    });
+    it("rejects a non-positive factor", async () => {
+      await expect(
+        weightSensitivity(graph(), weights(), new Map(), {
+          nodePrefixes: [factorio],
+          topNodes: 1,
+          factor: 0,
+        })
+      ).rejects.toThrow("Invalid factor: 0");
+    });
+  });
+});
@@ -1,7 +1,13 @@
 // @flow
 
 import * as MapUtil from "../../../util/map";
-import {type NodeAddressT, type EdgeAddressT} from "../../../core/graph";
+import {
+  type NodeAddressT,
+  type EdgeAddressT,
+  NodeAddress,
+  EdgeAddress,
+} from "../../../core/graph";
+import {toCompat, fromCompat, type Compatible} from "../../../util/compat";
 import type {NodeType, EdgeType} from "../../adapters/pluginAdapter";
 import type {StaticPluginAdapter} from "../../adapters/pluginAdapter";
 import type {StaticAdapterSet} from "../../adapters/adapterSet";
@@ -18,6 +24,9 @@ export type WeightedTypes = {|
   // Map from the weighted type's prefix to the type
   +nodes: Map<NodeAddressT, WeightedNodeType>,
   +edges: Map<EdgeAddressT, WeightedEdgeType>,
+  // Map from a lowercased GitHub label name to a multiplier for the
+  // node weights of the issues and pull requests with that label
+  +labels: Map<string, number>,
 |};
 
 export function defaultWeightedNodeType(type: NodeType): WeightedNodeType {
@@ -45,6 +54,7 @@ export function defaultWeightsForAdapter(
     edges: new Map(
       adapter.edgeTypes().map((x) => [x.prefix, defaultWeightedEdgeType(x)])
     ),
+    labels: new Map(),
   };
 }
 
@@ -54,6 +64,7 @@ export function combineWeights(
   return {
     nodes: MapUtil.merge(ws.map((x) => x.nodes)),
     edges: MapUtil.merge(ws.map((x) => x.edges)),
+    labels: MapUtil.merge(ws.map((x) => x.labels)),
   };
 }
 
@@ -62,3 +73,96 @@ export function defaultWeightsForAdapterSet(
 ): WeightedTypes {
   return combineWeights(adapters.adapters().map(defaultWeightsForAdapter));
 }
+
+/**
+ * Return a copy of the given weights with the multiplier of the given
+ * label set, or removed if it is null. Label names are matched ignoring
+ * case, as GitHub does.
+ */
+export function setLabelWeight(
+  weights: WeightedTypes,
+  label: string,
+  multiplier: number | null
+): WeightedTypes {
+  const labels = MapUtil.copy(weights.labels);
+  if (multiplier == null) {
+    labels.delete(label.toLowerCase());
+  } else {
+    labels.set(label.toLowerCase(), validateWeight(multiplier));
+  }
+  return {...weights, labels};
+}
+
+const COMPAT_INFO = {type: "sourcecred/weights", version: "0.1.0"};
+
+export type WeightsJSON = Compatible<{|
+  // Keyed by the prefix of the node or edge type.
+  +nodes: {[NodeAddressT]: number},
+  +edges: {[EdgeAddressT]: {|+forwardWeight: number, +backwardWeight: number|}},
+  // Keyed by label name; absent from files written before labels had
+  // weights.
+  +labels?: {[string]: number},
+|}>;
+
+export function toJSON(weights: WeightedTypes): WeightsJSON {
+  return toCompat(COMPAT_INFO, {
+    nodes: MapUtil.toObject(
+      MapUtil.mapValues(weights.nodes, (_, {weight}) => weight)
+    ),
+    edges: MapUtil.toObject(
+      MapUtil.mapValues(
+        weights.edges,
+        (_, {forwardWeight, backwardWeight}) => ({
+          forwardWeight,
+          backwardWeight,
+        })
+      )
+    ),
+    labels: MapUtil.toObject(weights.labels),
+  });
+}
+
+/**
+ * Load weights serialized by `toJSON`. Types that are present in the
+ * adapters but absent from the JSON keep their default weights, so that
+ * a weights file remains usable when plugins add new types. Throws if
+ * the JSON includes a type that none of the adapters provide, or a
+ * weight or label multiplier that is not a non-negative number.
+ */
+export function fromJSON(
+  json: WeightsJSON,
+  adapters: StaticAdapterSet
+): WeightedTypes {
+  const {nodes, edges, labels} = fromCompat(COMPAT_INFO, json);
+  let result = defaultWeightsForAdapterSet(adapters);
+  for (const prefix of Object.keys(nodes)) {
+    const existing = result.nodes.get(prefix);
+    if (existing == null) {
+      throw new Error(`Unknown node type: ${NodeAddress.toString(prefix)}`);
+    }
+    const weight = validateWeight(nodes[prefix]);
+    result.nodes.set(prefix, {...existing, weight});
+  }
+  for (const prefix of Object.keys(edges)) {
+    const existing = result.edges.get(prefix);
+    if (existing == null) {
+      throw new Error(`Unknown edge type: ${EdgeAddress.toString(prefix)}`);
+    }
+    const forwardWeight = validateWeight(edges[prefix].forwardWeight);
+    const backwardWeight = validateWeight(edges[prefix].backwardWeight);
+    result.edges.set(prefix, {...existing, forwardWeight, backwardWeight});
+  }
+  if (labels != null) {
+    for (const label of Object.keys(labels)) {
+      result = setLabelWeight(result, label, labels[label]);
+    }
+  }
+  return result;
+}
+
+function validateWeight(weight: mixed): number {
+  if (typeof weight !== "number" || !(weight >= 0) || !isFinite(weight)) {
+    throw new Error(`Invalid weight: ${JSON.stringify(weight) || "undefined"}`);
+  }
+  return weight;
+}
@@ -6,7 +6,11 @@ import {
   defaultWeightsForAdapter,
   combineWeights,
   defaultWeightsForAdapterSet,
+  setLabelWeight,
+  toJSON,
+  fromJSON,
 } from "./weights";
+import {NodeAddress, EdgeAddress} from "../../../core/graph";
 import {
   inserterNodeType,
   machineNodeType,
@@ -40,6 +44,7 @@ describe("app/credExplorer/weights/weights", () => {
         edges: new Map(
           adapter.edgeTypes().map((x) => [x.prefix, defaultWeightedEdgeType(x)])
         ),
+        labels: new Map(),
       };
       expect(defaultWeightsForAdapter(adapter)).toEqual(expected);
     });
@@ -47,7 +52,11 @@ describe("app/credExplorer/weights/weights", () => {
   describe("combineWeights", () => {
     const defaultWeights = () =>
       defaultWeightsForAdapter(new FactorioStaticAdapter());
-    const emptyWeights = () => ({nodes: new Map(), edges: new Map()});
+    const emptyWeights = () => ({
+      nodes: new Map(),
+      edges: new Map(),
+      labels: new Map(),
+    });
     it("successfully combines WeightedTypes", () => {
       const weights1 = {
         nodes: new Map().set(
@@ -58,6 +67,7 @@ describe("app/credExplorer/weights/weights", () => {
           assemblesEdgeType.prefix,
           defaultWeightedEdgeType(assemblesEdgeType)
         ),
+        labels: new Map(),
       };
       const weights2 = {
         nodes: new Map().set(
@@ -68,6 +78,7 @@ describe("app/credExplorer/weights/weights", () => {
           transportsEdgeType.prefix,
           defaultWeightedEdgeType(transportsEdgeType)
         ),
+        labels: new Map(),
       };
       expect(combineWeights([weights1, weights2])).toEqual(defaultWeights());
     });
@@ -83,6 +94,7 @@ describe("app/credExplorer/weights/weights", () => {
           assemblesEdgeType.prefix,
           defaultWeightedEdgeType(assemblesEdgeType)
         ),
+        labels: new Map(),
       };
       expect(() => combineWeights([weights, weights])).toThrowError(
         "duplicate key"
@@ -95,12 +107,38 @@ describe("app/credExplorer/weights/weights", () => {
           defaultWeightedNodeType(inserterNodeType)
         ),
         edges: new Map(),
+        labels: new Map(),
       };
       expect(() => combineWeights([weights, weights])).toThrowError(
         "duplicate key"
       );
     });
   });
+  describe("setLabelWeight", () => {
+    const defaults = () =>
+      defaultWeightsForAdapter(new FactorioStaticAdapter());
+    it("sets a multiplier, keyed by the lowercased label", () => {
+      const weights = setLabelWeight(defaults(), "Bounty", 3);
+      expect(weights.labels).toEqual(new Map([["bounty", 3]]));
+      expect(setLabelWeight(weights, "BOUNTY", 2).labels).toEqual(
+        new Map([["bounty", 2]])
+      );
+    });
+    it("removes a multiplier given null", () => {
+      const weights = setLabelWeight(defaults(), "bounty", 3);
+      expect(setLabelWeight(weights, "Bounty", null)).toEqual(defaults());
+    });
+    it("does not modify its input", () => {
+      const weights = defaults();
+      setLabelWeight(weights, "bounty", 3);
+      expect(weights).toEqual(defaults());
+    });
+    it("errors on a negative multiplier", () => {
+      expect(() => setLabelWeight(defaults(), "bounty", -1)).toThrow(
+        "Invalid weight: -1"
+      );
+    });
+  });
   describe("defaultWeightsForAdapterSet", () => {
     it("works on a demo adapter set", () => {
       expect(defaultWeightsForAdapterSet(staticAdapterSet())).toEqual(
@@ -112,4 +150,128 @@ describe("app/credExplorer/weights/weights", () => {
       );
     });
   });
+  describe("toJSON/fromJSON", () => {
+    const defaults = () => defaultWeightsForAdapterSet(staticAdapterSet());
+    function modified() {
+      const weights = defaults();
+      weights.nodes.set(inserterNodeType.prefix, {
+        type: inserterNodeType,
+        weight: 3,
+      });
+      weights.edges.set(assemblesEdgeType.prefix, {
+        type: assemblesEdgeType,
+        forwardWeight: 0.5,
+        backwardWeight: 0,
+      });
+      weights.labels.set("bounty", 2);
+      return weights;
+    }
+    function jsonWith(f: (any) => void) {
+      const json: any = JSON.parse(JSON.stringify(toJSON(defaults())));
+      f(json[1]);
+      return json;
+    }
+    it("round-trips default weights", () => {
+      const json = toJSON(defaults());
+      expect(fromJSON(json, staticAdapterSet())).toEqual(defaults());
+    });
+    it("round-trips modified weights", () => {
+      const json = toJSON(modified());
+      expect(fromJSON(json, staticAdapterSet())).toEqual(modified());
+    });
+    it("round-trips through a JSON string", () => {
+      const json = JSON.parse(JSON.stringify(toJSON(modified())));
+      expect(fromJSON(json, staticAdapterSet())).toEqual(modified());
+    });
+    it("keys weights by type prefix", () => {
+      const [, {nodes, edges}] = (toJSON(modified()): any);
+      expect(nodes[inserterNodeType.prefix]).toEqual(3);
+      expect(edges[assemblesEdgeType.prefix]).toEqual({
+        forwardWeight: 0.5,
+        backwardWeight: 0,
+      });
+    });
+    it("keys label multipliers by label", () => {
+      const [, {labels}] = (toJSON(modified()): any);
+      expect(labels).toEqual({bounty: 2});
+    });
+    it("accepts JSON without label multipliers", () => {
+      const json = jsonWith((weights) => {
+        delete weights.labels;
+      });
+      expect(fromJSON(json, staticAdapterSet())).toEqual(defaults());
+    });
+    it("lowercases labels from the JSON", () => {
+      const json = jsonWith(({labels}) => {
+        labels["Bounty"] = 2;
+      });
+      expect(fromJSON(json, staticAdapterSet()).labels).toEqual(
+        new Map([["bounty", 2]])
+      );
+    });
+    it("errors on a negative label multiplier", () => {
+      const json = jsonWith(({labels}) => {
+        labels.bounty = -1;
+      });
+      expect(() => fromJSON(json, staticAdapterSet())).toThrow(
+        "Invalid weight: -1"
+      );
+    });
+    it("uses default weights for types missing from the JSON", () => {
+      const json = jsonWith(({nodes, edges}) => {
+        delete nodes[inserterNodeType.prefix];
+        delete edges[assemblesEdgeType.prefix];
+      });
+      expect(fromJSON(json, staticAdapterSet())).toEqual(defaults());
+    });
+    it("errors on an unknown node type", () => {
+      const prefix = NodeAddress.fromParts(["unknown"]);
+      const json = jsonWith(({nodes}) => {
+        nodes[prefix] = 1;
+      });
+      expect(() => fromJSON(json, staticAdapterSet())).toThrow(
+        'Unknown node type: NodeAddress["unknown"]'
+      );
+    });
+    it("errors on an unknown edge type", () => {
+      const prefix = EdgeAddress.fromParts(["unknown"]);
+      const json = jsonWith(({edges}) => {
+        edges[prefix] = {forwardWeight: 1, backwardWeight: 1};
+      });
+      expect(() => fromJSON(json, staticAdapterSet())).toThrow(
+        'Unknown edge type: EdgeAddress["unknown"]'
+      );
+    });
+    it("errors on a negative weight", () => {
+      const json = jsonWith(({nodes}) => {
+        nodes[inserterNodeType.prefix] = -1;
+      });
+      expect(() => fromJSON(json, staticAdapterSet())).toThrow(
+        "Invalid weight: -1"
+      );
+    });
+    it("errors on a missing edge weight", () => {
+      const json = jsonWith(({edges}) => {
+        edges[assemblesEdgeType.prefix] = {forwardWeight: 1};
+      });
+      expect(() => fromJSON(json, staticAdapterSet())).toThrow(
+        "Invalid weight: undefined"
+      );
+    });
+    it("errors on a non-numeric weight", () => {
+      const json = jsonWith(({nodes}) => {
+        nodes[inserterNodeType.prefix] = "2";
+      });
+      expect(() => fromJSON(json, staticAdapterSet())).toThrow(
+        'Invalid weight: "2"'
+      );
+    });
+    it("errors on an incompatible version", () => {
+      const json = jsonWith(() => {});
+      json[0].version = "0.0.1";
+      expect(() => fromJSON(json, staticAdapterSet())).toThrow(
+        "tried to load unsupported version"
+      );
+    });
+  });
 });
@@ -1,11 +1,24 @@
 // @flow
 
-import type {Edge} from "../../../core/graph";
+import {type Edge, type NodeAddressT} from "../../../core/graph";
 import type {WeightedTypes} from "./weights";
+import type {WeightOverrides} from "./overrides";
 import type {EdgeEvaluator} from "../../../core/attribution/pagerank";
 import {NodeTrie, EdgeTrie} from "../../../core/trie";
+import * as NullUtil from "../../../util/null";
 
-export function weightsToEdgeEvaluator(weights: WeightedTypes): EdgeEvaluator {
+/**
+ * Weight each edge by the weights of its type and of the types of its
+ * endpoints, scaled by any overrides of the edge and its endpoints.
+ * The weights of labeled nodes are also scaled by the multipliers of
+ * their labels, which plugins compute from `weights.labels` (see
+ * `DynamicAdapterSet.labelMultipliers`).
+ */
+export function weightsToEdgeEvaluator(
+  weights: WeightedTypes,
+  labelMultipliers: Map<NodeAddressT, number>,
+  overrides?: WeightOverrides
+): EdgeEvaluator {
   const nodeTrie = new NodeTrie();
   for (const {type, weight} of weights.nodes.values()) {
     nodeTrie.add(type.prefix, weight);
@@ -14,14 +27,23 @@ export function weightsToEdgeEvaluator(weights: WeightedTypes): EdgeEvaluator {
   for (const {type, forwardWeight, backwardWeight} of weights.edges.values()) {
     edgeTrie.add(type.prefix, {forwardWeight, backwardWeight});
   }
+  const nodeOverrides = overrides == null ? new Map() : overrides.nodes;
+  const edgeOverrides = overrides == null ? new Map() : overrides.edges;
 
   return function evaluator(edge: Edge) {
-    const srcWeight = nodeTrie.getLast(edge.src);
-    const dstWeight = nodeTrie.getLast(edge.dst);
+    const srcWeight =
+      nodeTrie.getLast(edge.src) *
+      NullUtil.orElse(nodeOverrides.get(edge.src), 1) *
+      NullUtil.orElse(labelMultipliers.get(edge.src), 1);
+    const dstWeight =
+      nodeTrie.getLast(edge.dst) *
+      NullUtil.orElse(nodeOverrides.get(edge.dst), 1) *
+      NullUtil.orElse(labelMultipliers.get(edge.dst), 1);
     const {forwardWeight, backwardWeight} = edgeTrie.getLast(edge.address);
+    const edgeMultiplier = NullUtil.orElse(edgeOverrides.get(edge.address), 1);
     return {
-      toWeight: dstWeight * forwardWeight,
-      froWeight: srcWeight * backwardWeight,
+      toWeight: dstWeight * forwardWeight * edgeMultiplier,
+      froWeight: srcWeight * backwardWeight * edgeMultiplier,
     };
   };
 }
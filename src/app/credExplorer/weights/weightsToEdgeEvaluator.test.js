@@ -11,6 +11,7 @@ import {
   assemblesEdgeType,
   factorioEdges,
 } from "../../adapters/demoAdapters";
+import {emptyOverrides, setEdgeOverride, setNodeOverride} from "./overrides";
 import {weightsToEdgeEvaluator} from "./weightsToEdgeEvaluator";
 
 describe("app/credExplorer/weights/weightsToEdgeEvaluator", () => {
@@ -52,11 +53,11 @@ describe("app/credExplorer/weights/weightsToEdgeEvaluator", () => {
         },
       ];
       const edgesMap = new Map(edges.map((x) => [x.type.prefix, x]));
-      return {nodes: nodesMap, edges: edgesMap};
+      return {nodes: nodesMap, edges: edgesMap, labels: new Map()};
     }
     function exampleEdgeWeights(weightArgs: WeightArgs) {
       const ws = weights(weightArgs);
-      const ee = weightsToEdgeEvaluator(ws);
+      const ee = weightsToEdgeEvaluator(ws, new Map());
       // src is a machine, dst is an inserter, edge type is assembles
       return ee(factorioEdges.assembles1);
     }
@@ -94,5 +95,69 @@ describe("app/credExplorer/weights/weightsToEdgeEvaluator", () => {
         })
       ).toEqual({toWeight: 8, froWeight: 15});
     });
+    describe("with overrides", () => {
+      const edge = factorioEdges.assembles1;
+      function overriddenEdgeWeights(overrides) {
+        const ws = weights({assemblesForward: 2, assemblesBackward: 3});
+        return weightsToEdgeEvaluator(ws, new Map(), overrides)(edge);
+      }
+      it("is unaffected by empty overrides", () => {
+        expect(overriddenEdgeWeights(emptyOverrides())).toEqual({
+          toWeight: 2,
+          froWeight: 3,
+        });
+      });
+      it("scales toWeight by the dst's multiplier", () => {
+        const overrides = setNodeOverride(emptyOverrides(), edge.dst, 10);
+        expect(overriddenEdgeWeights(overrides)).toEqual({
+          toWeight: 20,
+          froWeight: 3,
+        });
+      });
+      it("scales froWeight by the src's multiplier", () => {
+        const overrides = setNodeOverride(emptyOverrides(), edge.src, 0);
+        expect(overriddenEdgeWeights(overrides)).toEqual({
+          toWeight: 2,
+          froWeight: 0,
+        });
+      });
+      it("scales both weights by the edge's multiplier", () => {
+        const overrides = setEdgeOverride(emptyOverrides(), edge.address, 0.5);
+        expect(overriddenEdgeWeights(overrides)).toEqual({
+          toWeight: 1,
+          froWeight: 1.5,
+        });
+      });
+      it("ignores overrides of other nodes and edges", () => {
+        const other = factorioEdges.transports1;
+        let overrides = setNodeOverride(emptyOverrides(), other.src, 0);
+        overrides = setEdgeOverride(overrides, other.address, 0);
+        expect(overriddenEdgeWeights(overrides)).toEqual({
+          toWeight: 2,
+          froWeight: 3,
+        });
+      });
+    });
+    describe("with label multipliers", () => {
+      const edge = factorioEdges.assembles1;
+      const ws = () => weights({assemblesForward: 2, assemblesBackward: 3});
+      it("scales toWeight by the dst's multiplier", () => {
+        const ee = weightsToEdgeEvaluator(ws(), new Map([[edge.dst, 10]]));
+        expect(ee(edge)).toEqual({toWeight: 20, froWeight: 3});
+      });
+      it("scales froWeight by the src's multiplier", () => {
+        const ee = weightsToEdgeEvaluator(ws(), new Map([[edge.src, 0]]));
+        expect(ee(edge)).toEqual({toWeight: 2, froWeight: 0});
+      });
+      it("composes with overrides via multiplication", () => {
+        const overrides = setNodeOverride(emptyOverrides(), edge.src, 5);
+        const ee = weightsToEdgeEvaluator(
+          ws(),
+          new Map([[edge.src, 2]]),
+          overrides
+        );
+        expect(ee(edge)).toEqual({toWeight: 2, froWeight: 30});
+      });
+    });
   });
 });
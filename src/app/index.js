@@ -25,6 +25,17 @@ if (initialRoot == null) {
 const basename = normalize(`${window.location.pathname}/${initialRoot}/`);
 const history = createRelativeHistory(createBrowserHistory(), basename);
 
+// Like the favicon below, the PageRank worker has a relative URL, which
+// would be resolved against the current page whenever a worker starts.
+// Resolve it once, at page load.
+const pagerankWorker = target.dataset.pagerankWorker;
+if (pagerankWorker != null) {
+  target.dataset.pagerankWorker = new URL(
+    pagerankWorker,
+    window.location.href
+  ).href;
+}
+
 ReactDOM.hydrate(<App history={history} />, target);
 
 // In Chrome, relative favicon URLs are recomputed at every pushState,
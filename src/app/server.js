@@ -33,6 +33,7 @@ export default function render(
 
   function renderStandardRoute() {
     const bundlePath = locals.assets["main"];
+    const pagerankWorkerPath = assets.resolve(locals.assets["pagerankWorker"]);
     const routes = createRoutes();
     match({history, routes}, (error, redirectLocation, renderProps) => {
       if (error) {
@@ -56,7 +57,7 @@ export default function render(
           <style data-aphrodite>${css.content}</style>
           </head>
           <body style="overflow-y:scroll">
-          <div id="root" data-initial-root="${root}">${html}</div>
+          <div id="root" data-initial-root="${root}" data-pagerank-worker="${pagerankWorkerPath}">${html}</div>
           <script src="${assets.resolve(bundlePath)}"></script>
           </body>
           </html>
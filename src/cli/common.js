@@ -24,3 +24,26 @@ export function sourcecredDirectory(): string {
 export function githubToken(): string | null {
   return NullUtil.orElse(process.env.SOURCECRED_GITHUB_TOKEN, null);
 }
+
+export function githubAppId(): string | null {
+  return NullUtil.orElse(process.env.SOURCECRED_GITHUB_APP_ID, null);
+}
+
+export function githubAppPrivateKey(): string | null {
+  return NullUtil.orElse(process.env.SOURCECRED_GITHUB_APP_PRIVATE_KEY, null);
+}
+
+export function githubAppInstallationId(): string | null {
+  return NullUtil.orElse(
+    process.env.SOURCECRED_GITHUB_APP_INSTALLATION_ID,
+    null
+  );
+}
+
+export function githubGraphqlUrl(): string | null {
+  return NullUtil.orElse(process.env.SOURCECRED_GITHUB_GRAPHQL_URL, null);
+}
+
+export function githubApiUrl(): string | null {
+  return NullUtil.orElse(process.env.SOURCECRED_GITHUB_API_URL, null);
+}
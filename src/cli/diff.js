@@ -0,0 +1,246 @@
+// @flow
+// Implementation of `sourcecred diff`.
+
+import fs from "fs";
+import path from "path";
+
+import {
+  EdgeAddress,
+  Graph,
+  NodeAddress,
+  diffGraphs,
+  edgeToParts,
+  type Edge,
+  type EdgeAddressT,
+  type GraphDiff,
+  type NodeAddressT,
+} from "../core/graph";
+import {
+  repoIdPathParts,
+  repoIdToString,
+  stringToRepoId,
+  type RepoId,
+} from "../core/repoId";
+import {toCompat} from "../util/compat";
+import dedent from "../util/dedent";
+import type {Command} from "./command";
+import * as Common from "./common";
+import {loadDynamicAdapterSet} from "./loadDynamicAdapterSet";
+import {formatAddress, parseAddress, parseEdgeAddress} from "./scores";
+
+const COMPAT_INFO = {type: "sourcecred/cli/diff", version: "0.1.0"};
+
+export type Format = "text" | "json";
+
+function usage(print: (string) => void): void {
+  print(
+    dedent`\
+    usage: sourcecred diff OLD_REPO_ID NEW_REPO_ID
+                           [--format FORMAT]
+                           [--node-prefix PREFIX]...
+                           [--edge-prefix PREFIX]...
+                           [--help]
+
+    Compare the contribution graphs of two repositories that have been
+    loaded with 'sourcecred load', and print the nodes and edges that
+    are in the new graph but not the old one (added) and vice versa
+    (removed).
+
+    This is meant for comparing two loads of the same repository: for
+    instance, to see what new activity a reload brought in. To do so,
+    keep the earlier load under another repository ID, either by
+    loading it with '--output' or by copying its data directory; then
+    reload the repository and compare the two.
+
+    Arguments:
+        OLD_REPO_ID
+        NEW_REPO_ID
+            The repositories whose data to compare, in the form
+            OWNER/NAME: for example, torvalds/linux. These should match
+            the REPO_IDs (or '--output's) given to 'sourcecred load'.
+
+        --format FORMAT
+            Output format: 'text', with one line per change followed
+            by a summary, or 'json'. Defaults to 'text'.
+
+        --node-prefix PREFIX
+            Only compare nodes whose addresses start with this prefix,
+            given as slash-separated address parts: for example,
+            sourcecred/github/USERLIKE. May be given multiple times, to
+            compare nodes matching any of the prefixes. Defaults to
+            comparing all nodes.
+
+        --edge-prefix PREFIX
+            Only compare edges whose addresses start with this prefix,
+            given as for '--node-prefix'. May be given multiple times.
+            Defaults to comparing all edges. Either way, edges are only
+            compared if both of their endpoints are.
+
+        --help
+            Show this help message and exit, as 'sourcecred help diff'.
+
+    Environment variables:
+        SOURCECRED_DIRECTORY
+            Directory owned by SourceCred, in which data, caches,
+            registries, etc. are stored. Optional: defaults to a
+            directory 'sourcecred' under your OS's temporary directory;
+            namely:
+                ${Common.defaultSourcecredDirectory()}
+    `.trimRight()
+  );
+}
+
+function die(std, message) {
+  std.err("fatal: " + message);
+  std.err("fatal: run 'sourcecred help diff' for help");
+  return 1;
+}
+
+const diff: Command = async (args, std) => {
+  const repoIds: RepoId[] = [];
+  let format: Format | null = null;
+  const nodePrefixes: NodeAddressT[] = [];
+  const edgePrefixes: EdgeAddressT[] = [];
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--help": {
+        usage(std.out);
+        return 0;
+      }
+      case "--format": {
+        if (format != null) return die(std, "'--format' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--format' given without value");
+        const arg = args[i];
+        if (arg !== "text" && arg !== "json")
+          return die(std, "unknown format: " + JSON.stringify(arg));
+        format = arg;
+        break;
+      }
+      case "--node-prefix": {
+        if (++i >= args.length)
+          return die(std, "'--node-prefix' given without value");
+        nodePrefixes.push(parseAddress(args[i]));
+        break;
+      }
+      case "--edge-prefix": {
+        if (++i >= args.length)
+          return die(std, "'--edge-prefix' given without value");
+        edgePrefixes.push(parseEdgeAddress(args[i]));
+        break;
+      }
+      default: {
+        if (repoIds.length === 2) return die(std, "too many repositories");
+        repoIds.push(stringToRepoId(args[i]));
+        break;
+      }
+    }
+  }
+  if (repoIds.length !== 2) {
+    return die(std, "expected two repository IDs to compare");
+  }
+  let graphs;
+  try {
+    graphs = await Promise.all(repoIds.map((repoId) => loadGraph(repoId)));
+  } catch (e) {
+    return die(std, e.message);
+  }
+  const [oldGraph, newGraph] = graphs.map((graph) =>
+    graph.filter({
+      nodePredicate:
+        nodePrefixes.length === 0
+          ? undefined
+          : (node) => nodePrefixes.some((p) => NodeAddress.hasPrefix(node, p)),
+      edgePredicate:
+        edgePrefixes.length === 0
+          ? undefined
+          : (edge) =>
+              edgePrefixes.some((p) => EdgeAddress.hasPrefix(edge.address, p)),
+    })
+  );
+  const result = diffGraphs(oldGraph, newGraph);
+  const outputFormat: Format = format == null ? "text" : format;
+  switch (outputFormat) {
+    case "text":
+      std.out(formatText(result));
+      break;
+    case "json":
+      std.out(JSON.stringify(toCompat(COMPAT_INFO, diffToJSON(result))));
+      break;
+    // istanbul ignore next
+    default:
+      throw new Error((outputFormat: empty));
+  }
+  return 0;
+};
+
+async function loadGraph(repoId: RepoId): Promise<Graph> {
+  const repoIdString = repoIdToString(repoId);
+  const dataDirectory = path.join(
+    Common.sourcecredDirectory(),
+    "data",
+    ...repoIdPathParts(repoId)
+  );
+  if (!fs.existsSync(dataDirectory)) {
+    throw new Error(
+      `no data for ${repoIdString}; run 'sourcecred load ${repoIdString}' first`
+    );
+  }
+  try {
+    const adapters = await loadDynamicAdapterSet(
+      Common.sourcecredDirectory(),
+      repoId
+    );
+    return adapters.graph();
+  } catch (e) {
+    throw new Error(`could not load data for ${repoIdString}: ${e.message}`);
+  }
+}
+
+function formatEdge(edge: Edge): string {
+  const address = EdgeAddress.toParts(edge.address).join("/");
+  return `${address} (${formatAddress(edge.src)} -> ${formatAddress(
+    edge.dst
+  )})`;
+}
+
+function plural(count: number, noun: string): string {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
+
+function formatText(result: GraphDiff): string {
+  const {addedNodes, removedNodes, addedEdges, removedEdges} = result;
+  return [
+    ...addedNodes.map((node) => `+ node ${formatAddress(node)}`),
+    ...removedNodes.map((node) => `- node ${formatAddress(node)}`),
+    ...addedEdges.map((edge) => `+ edge ${formatEdge(edge)}`),
+    ...removedEdges.map((edge) => `- edge ${formatEdge(edge)}`),
+    [
+      `${plural(addedNodes.length, "node")} added`,
+      `${plural(removedNodes.length, "node")} removed`,
+      `${plural(addedEdges.length, "edge")} added`,
+      `${plural(removedEdges.length, "edge")} removed`,
+    ].join(", "),
+  ].join("\n");
+}
+
+function diffToJSON(result: GraphDiff) {
+  return {
+    addedNodes: result.addedNodes.map((x) => NodeAddress.toParts(x)),
+    removedNodes: result.removedNodes.map((x) => NodeAddress.toParts(x)),
+    addedEdges: result.addedEdges.map((x) => edgeToParts(x)),
+    removedEdges: result.removedEdges.map((x) => edgeToParts(x)),
+  };
+}
+
+export const help: Command = async (args, std) => {
+  if (args.length === 0) {
+    usage(std.out);
+    return 0;
+  } else {
+    usage(std.err);
+    return 1;
+  }
+};
+
+export default diff;
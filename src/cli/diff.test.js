@@ -0,0 +1,255 @@
+// @flow
+
+import fs from "fs";
+import path from "path";
+import tmp from "tmp";
+
+import {NodeAddress} from "../core/graph";
+import {
+  dynamicAdapterSet,
+  factorioGraph,
+  factorioNodes,
+} from "../app/adapters/demoAdapters";
+import {run} from "./testUtil";
+import diff, {help} from "./diff";
+
+jest.mock("./loadDynamicAdapterSet", () => ({
+  loadDynamicAdapterSet: jest.fn(),
+}));
+
+type JestMockFn = $Call<typeof jest.fn>;
+const loadDynamicAdapterSet: JestMockFn = (require("./loadDynamicAdapterSet")
+  .loadDynamicAdapterSet: any);
+
+describe("cli/diff", () => {
+  const machine0 = NodeAddress.fromParts(["factorio", "machine", "0"]);
+  // An earlier load of the demo repository, loaded as "foo/old", which
+  // lacked the second machine and had another one since removed.
+  function oldGraph() {
+    return factorioGraph()
+      .filter({nodePredicate: (n) => n !== factorioNodes.machine2})
+      .addNode(machine0);
+  }
+
+  let sourcecredDirectory;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sourcecredDirectory = tmp.dirSync().name;
+    process.env.SOURCECRED_DIRECTORY = sourcecredDirectory;
+    fs.mkdirSync(path.join(sourcecredDirectory, "data"));
+    fs.mkdirSync(path.join(sourcecredDirectory, "data", "foo"));
+    fs.mkdirSync(path.join(sourcecredDirectory, "data", "foo", "bar"));
+    fs.mkdirSync(path.join(sourcecredDirectory, "data", "foo", "old"));
+    loadDynamicAdapterSet.mockImplementation(
+      async (_unused_directory, repoId) =>
+        repoId.name === "old" ? {graph: oldGraph} : dynamicAdapterSet()
+    );
+  });
+
+  describe("'help' command", () => {
+    it("prints usage when given no arguments", async () => {
+      expect(await run(help, [])).toEqual({
+        exitCode: 0,
+        stdout: expect.arrayContaining([
+          expect.stringMatching(/^usage: sourcecred diff/),
+        ]),
+        stderr: [],
+      });
+    });
+    it("fails when given arguments", async () => {
+      expect(await run(help, ["foo/bar"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: expect.arrayContaining([
+          expect.stringMatching(/^usage: sourcecred diff/),
+        ]),
+      });
+    });
+  });
+
+  describe("'diff' command", () => {
+    it("prints usage with '--help'", async () => {
+      expect(await run(diff, ["--help"])).toEqual({
+        exitCode: 0,
+        stdout: expect.arrayContaining([
+          expect.stringMatching(/^usage: sourcecred diff/),
+        ]),
+        stderr: [],
+      });
+    });
+
+    it("prints the changes as text by default", async () => {
+      const result = await run(diff, ["foo/old", "foo/bar"]);
+      expect(result).toEqual({
+        exitCode: 0,
+        stdout: [
+          [
+            "+ node factorio/machine/2",
+            "- node factorio/machine/0",
+            "+ edge factorio/assembles/2 " +
+              "(factorio/inserter/2 -> factorio/machine/2)",
+            "1 node added, 1 node removed, 1 edge added, 0 edges removed",
+          ].join("\n"),
+        ],
+        stderr: [],
+      });
+    });
+
+    it("loads both repositories from the SourceCred directory", async () => {
+      await run(diff, ["foo/old", "foo/bar"]);
+      expect(loadDynamicAdapterSet).toHaveBeenCalledTimes(2);
+      expect(
+        loadDynamicAdapterSet.mock.calls.map(([directory, repoId]) => [
+          directory,
+          repoId.name,
+        ])
+      ).toEqual([[sourcecredDirectory, "old"], [sourcecredDirectory, "bar"]]);
+    });
+
+    it("prints only a summary when nothing changed", async () => {
+      expect(await run(diff, ["foo/bar", "foo/bar"])).toEqual({
+        exitCode: 0,
+        stdout: [
+          "0 nodes added, 0 nodes removed, 0 edges added, 0 edges removed",
+        ],
+        stderr: [],
+      });
+    });
+
+    it("prints the changes as JSON", async () => {
+      const result = await run(diff, [
+        "foo/old",
+        "foo/bar",
+        "--format",
+        "json",
+      ]);
+      expect(result.exitCode).toEqual(0);
+      expect(result.stderr).toEqual([]);
+      expect(result.stdout).toHaveLength(1);
+      const [compatInfo, json] = JSON.parse(result.stdout[0]);
+      expect(compatInfo.type).toEqual("sourcecred/cli/diff");
+      expect(json).toEqual({
+        addedNodes: [["factorio", "machine", "2"]],
+        removedNodes: [["factorio", "machine", "0"]],
+        addedEdges: [
+          {
+            addressParts: ["factorio", "assembles", "2"],
+            srcParts: ["factorio", "inserter", "2"],
+            dstParts: ["factorio", "machine", "2"],
+          },
+        ],
+        removedEdges: [],
+      });
+    });
+
+    it("compares only nodes matching any '--node-prefix'", async () => {
+      const result = await run(diff, [
+        "foo/old",
+        "foo/bar",
+        "--node-prefix",
+        "factorio/inserter",
+        "--node-prefix",
+        "factorio/machine/0",
+      ]);
+      expect(result.stdout).toEqual([
+        "- node factorio/machine/0\n" +
+          "0 nodes added, 1 node removed, 0 edges added, 0 edges removed",
+      ]);
+    });
+
+    it("compares only edges matching any '--edge-prefix'", async () => {
+      const result = await run(diff, [
+        "foo/old",
+        "foo/bar",
+        "--edge-prefix",
+        "factorio/transports",
+      ]);
+      expect(result.stdout[0]).not.toContain("+ edge");
+      expect(result.stdout[0]).toMatch(/1 node added.*0 edges added/);
+    });
+
+    it("fails unless given two repositories", async () => {
+      for (const args of [[], ["foo/bar"]]) {
+        expect(await run(diff, args)).toEqual({
+          exitCode: 1,
+          stdout: [],
+          stderr: [
+            "fatal: expected two repository IDs to compare",
+            "fatal: run 'sourcecred help diff' for help",
+          ],
+        });
+      }
+      expect(await run(diff, ["foo/a", "foo/b", "foo/c"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          "fatal: too many repositories",
+          "fatal: run 'sourcecred help diff' for help",
+        ],
+      });
+    });
+
+    it("fails when a repository has not been loaded", async () => {
+      expect(await run(diff, ["foo/baz", "foo/bar"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          "fatal: no data for foo/baz; run 'sourcecred load foo/baz' first",
+          "fatal: run 'sourcecred help diff' for help",
+        ],
+      });
+    });
+
+    it("does not read the data of github.com for another host", async () => {
+      const repo = "github.example.com/foo/bar";
+      expect(await run(diff, ["foo/old", repo])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          `fatal: no data for ${repo}; run 'sourcecred load ${repo}' first`,
+          "fatal: run 'sourcecred help diff' for help",
+        ],
+      });
+    });
+
+    it("fails when a repository's data cannot be read", async () => {
+      loadDynamicAdapterSet.mockImplementation(async () => {
+        throw new Error("ENOENT: no such file");
+      });
+      expect(await run(diff, ["foo/old", "foo/bar"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          "fatal: could not load data for foo/old: ENOENT: no such file",
+          "fatal: run 'sourcecred help diff' for help",
+        ],
+      });
+    });
+
+    it("fails for an unknown format", async () => {
+      expect(
+        await run(diff, ["foo/old", "foo/bar", "--format", "csv"])
+      ).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          'fatal: unknown format: "csv"',
+          "fatal: run 'sourcecred help diff' for help",
+        ],
+      });
+    });
+
+    for (const flag of ["--format", "--node-prefix", "--edge-prefix"]) {
+      it(`fails when '${flag}' is given without a value`, async () => {
+        expect(await run(diff, ["foo/old", "foo/bar", flag])).toEqual({
+          exitCode: 1,
+          stdout: [],
+          stderr: [
+            `fatal: '${flag}' given without value`,
+            "fatal: run 'sourcecred help diff' for help",
+          ],
+        });
+      });
+    }
+  });
+});
@@ -0,0 +1,305 @@
+// @flow
+// Implementation of `sourcecred export-graph`.
+
+import {StyleSheetServer} from "aphrodite/no-important";
+import React, {type Node as ReactNode} from "react";
+import ReactDOMServer from "react-dom/server";
+
+import {Graph, type EdgeAddressT, type NodeAddressT} from "../core/graph";
+import {
+  type EdgeAnnotation,
+  type GraphExportFormat,
+  type NodeAnnotation,
+  GRAPH_EXPORT_FORMATS,
+  exportGraph as exportGraphToFormat,
+} from "../core/graphExport";
+import {pagerank} from "../core/attribution/pagerank";
+import {stringToRepoId, type RepoId} from "../core/repoId";
+import {DynamicAdapterSet} from "../app/adapters/adapterSet";
+import {OVERRIDES_FILE} from "../app/credExplorer/weights/overrides";
+import {weightsToEdgeEvaluator} from "../app/credExplorer/weights/weightsToEdgeEvaluator";
+import dedent from "../util/dedent";
+import type {Command} from "./command";
+import * as Common from "./common";
+import {PROJECT_CONFIG_FILE} from "./projectConfig";
+import {loadGraphAndWeights, parseAddress, parseEdgeAddress} from "./scores";
+
+function usage(print: (string) => void): void {
+  print(
+    dedent`\
+    usage: sourcecred export-graph REPO_ID
+                                   [--format FORMAT]
+                                   [--node-prefix PREFIX]...
+                                   [--edge-prefix PREFIX]...
+                                   [--descriptions]
+                                   [--scores]
+                                   [--weights FILE]
+                                   [--config FILE]
+                                   [--help]
+
+    Print the contribution graph of a repository that has been loaded
+    with 'sourcecred load', for exploring in general-purpose graph
+    tools such as Gephi, Cytoscape, or networkx.
+
+    Nodes and edges are given ids like 'n0' and 'e0', and carry their
+    addresses as an 'address' attribute: a JSON array of the address
+    parts. As for 'sourcecred scores', the accounts of each identity in
+    the project config are merged into a single node.
+
+    Arguments:
+        REPO_ID
+            The repository whose data to use, in the form OWNER/NAME:
+            for example, torvalds/linux. This should match the REPO_ID
+            (or '--output') given to 'sourcecred load'.
+
+        --format FORMAT
+            Output format: 'graphml' (for Cytoscape, networkx, and
+            yEd), 'gexf' (for Gephi), or 'dot' (for Graphviz).
+            Defaults to 'graphml'.
+
+        --node-prefix PREFIX
+            Only export nodes whose addresses start with this prefix,
+            given as slash-separated address parts: for example,
+            sourcecred/github/USERLIKE. May be given multiple times, to
+            export nodes matching any of the prefixes. Defaults to
+            exporting all nodes.
+
+        --edge-prefix PREFIX
+            Only export edges whose addresses start with this prefix,
+            given as for '--node-prefix'. May be given multiple times.
+            Defaults to exporting all edges. Either way, edges are only
+            exported if both of their endpoints are.
+
+        --descriptions
+            Annotate each node with the name of its type and a
+            description from its plugin (such as the title of a pull
+            request), and each edge with the name of its type.
+
+        --scores
+            Compute cred, as for 'sourcecred scores', and annotate each
+            node with its score. Scores sum to 1000 across all nodes of
+            the graph, whether or not they are exported. Overrides in
+            the file '${OVERRIDES_FILE}' in the repository's data
+            directory apply.
+
+        --weights FILE
+            Compute scores with the weights in the given file, as
+            exported from the cred explorer's weight configuration.
+            Defaults to the project config's "weights" file, if it has
+            one. Only meaningful with '--scores'.
+
+        --config FILE
+            Read project settings, including identities, from this JSON
+            file, as for 'sourcecred load'. If not specified, settings
+            are read from the file '${PROJECT_CONFIG_FILE}' in the
+            SourceCred directory, if it exists.
+
+        --help
+            Show this help message and exit, as 'sourcecred help
+            export-graph'.
+
+    Environment variables:
+        SOURCECRED_DIRECTORY
+            Directory owned by SourceCred, in which data, caches,
+            registries, etc. are stored. Optional: defaults to a
+            directory 'sourcecred' under your OS's temporary directory;
+            namely:
+                ${Common.defaultSourcecredDirectory()}
+    `.trimRight()
+  );
+}
+
+function die(std, message) {
+  std.err("fatal: " + message);
+  std.err("fatal: run 'sourcecred help export-graph' for help");
+  return 1;
+}
+
+const exportGraph: Command = async (args, std) => {
+  let repoId: RepoId | null = null;
+  let format: GraphExportFormat | null = null;
+  const nodePrefixes: NodeAddressT[] = [];
+  const edgePrefixes: EdgeAddressT[] = [];
+  let descriptions = false;
+  let scores = false;
+  let weightsFile: string | null = null;
+  let configFile: string | null = null;
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--help": {
+        usage(std.out);
+        return 0;
+      }
+      case "--format": {
+        if (format != null) return die(std, "'--format' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--format' given without value");
+        const arg = args[i];
+        const match = GRAPH_EXPORT_FORMATS.find((f) => f === arg);
+        if (match == null)
+          return die(std, "unknown format: " + JSON.stringify(arg));
+        format = match;
+        break;
+      }
+      case "--node-prefix": {
+        if (++i >= args.length)
+          return die(std, "'--node-prefix' given without value");
+        nodePrefixes.push(parseAddress(args[i]));
+        break;
+      }
+      case "--edge-prefix": {
+        if (++i >= args.length)
+          return die(std, "'--edge-prefix' given without value");
+        edgePrefixes.push(parseEdgeAddress(args[i]));
+        break;
+      }
+      case "--descriptions": {
+        descriptions = true;
+        break;
+      }
+      case "--scores": {
+        scores = true;
+        break;
+      }
+      case "--weights": {
+        if (weightsFile != null)
+          return die(std, "'--weights' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--weights' given without value");
+        weightsFile = args[i];
+        break;
+      }
+      case "--config": {
+        if (configFile != null)
+          return die(std, "'--config' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--config' given without value");
+        configFile = args[i];
+        break;
+      }
+      default: {
+        if (repoId != null) return die(std, "multiple repositories provided");
+        repoId = stringToRepoId(args[i]);
+        break;
+      }
+    }
+  }
+  if (repoId == null) {
+    return die(std, "no repository ID provided");
+  }
+  let loaded;
+  try {
+    loaded = await loadGraphAndWeights(repoId, weightsFile, configFile);
+  } catch (e) {
+    return die(std, e.message);
+  }
+  const {graph, weights, labelMultipliers, overrides, adapters} = loaded;
+
+  const nodeAnnotations: Map<NodeAddressT, NodeAnnotation> = new Map();
+  const edgeAnnotations: Map<EdgeAddressT, EdgeAnnotation> = new Map();
+  if (descriptions) {
+    for (const [node, annotation] of describeNodes(graph, adapters)) {
+      nodeAnnotations.set(node, annotation);
+    }
+    for (const [edge, annotation] of describeEdges(graph, adapters)) {
+      edgeAnnotations.set(edge, annotation);
+    }
+  }
+  if (scores) {
+    const pnd = await pagerank(
+      graph,
+      weightsToEdgeEvaluator(weights, labelMultipliers, overrides)
+    );
+    for (const [node, {score}] of pnd.entries()) {
+      nodeAnnotations.set(node, {...nodeAnnotations.get(node), score});
+    }
+  }
+
+  std.out(
+    exportGraphToFormat(graph, format == null ? "graphml" : format, {
+      nodePrefixes: nodePrefixes.length === 0 ? undefined : nodePrefixes,
+      edgePrefixes: edgePrefixes.length === 0 ? undefined : edgePrefixes,
+      nodeAnnotations,
+      edgeAnnotations,
+    })
+  );
+  return 0;
+};
+
+function describeNodes(
+  graph: Graph,
+  adapters: DynamicAdapterSet
+): Map<NodeAddressT, NodeAnnotation> {
+  const result = new Map();
+  for (const node of graph.nodes()) {
+    const type = adapters.static().typeMatchingNode(node).name;
+    let description = null;
+    try {
+      description = descriptionText(
+        adapters.adapterMatchingNode(node).nodeDescription(node)
+      );
+    } catch (e) {
+      // Nodes that a plugin cannot describe (say, because they were
+      // not in its data) are still exported, just without descriptions.
+    }
+    result.set(node, description == null ? {type} : {type, description});
+  }
+  return result;
+}
+
+function describeEdges(
+  graph: Graph,
+  adapters: DynamicAdapterSet
+): Map<EdgeAddressT, EdgeAnnotation> {
+  const result = new Map();
+  for (const {address} of graph.edges()) {
+    result.set(address, {
+      type: adapters.static().typeMatchingEdge(address).forwardName,
+    });
+  }
+  return result;
+}
+
+/**
+ * Render a node description, as plugins provide them for the cred
+ * explorer, as plain text.
+ */
+export function descriptionText(description: ReactNode): string {
+  if (typeof description === "string") {
+    return description;
+  }
+  const render = () =>
+    ReactDOMServer.renderToStaticMarkup(<span>{description}</span>);
+  // Descriptions may use components styled with Aphrodite, which can
+  // only render outside of a browser within `renderStatic`. (Within a
+  // browser, there is no `StyleSheetServer`.)
+  const html =
+    StyleSheetServer == null
+      ? render()
+      : StyleSheetServer.renderStatic(render).html;
+  return decodeEntities(html.replace(/<[^>]*>/g, ""));
+}
+
+function decodeEntities(html: string): string {
+  const named = {amp: "&", lt: "<", gt: ">", quot: '"', apos: "'"};
+  return html.replace(
+    /&(?:#x([0-9a-f]+)|#([0-9]+)|(amp|lt|gt|quot|apos));/gi,
+    (_, hex, decimal, name) => {
+      if (hex != null) return String.fromCodePoint(parseInt(hex, 16));
+      if (decimal != null) return String.fromCodePoint(parseInt(decimal, 10));
+      return named[name.toLowerCase()];
+    }
+  );
+}
+
+export const help: Command = async (args, std) => {
+  if (args.length === 0) {
+    usage(std.out);
+    return 0;
+  } else {
+    usage(std.err);
+    return 1;
+  }
+};
+
+export default exportGraph;
@@ -0,0 +1,227 @@
+// @flow
+
+import fs from "fs";
+import path from "path";
+import React from "react";
+import tmp from "tmp";
+
+import Link from "../app/Link";
+import {dynamicAdapterSet} from "../app/adapters/demoAdapters";
+import {run} from "./testUtil";
+import exportGraph, {descriptionText, help} from "./exportGraph";
+
+require("../app/testUtil").configureAphrodite();
+
+jest.mock("./loadDynamicAdapterSet", () => ({
+  loadDynamicAdapterSet: jest.fn(),
+}));
+
+type JestMockFn = $Call<typeof jest.fn>;
+const loadDynamicAdapterSet: JestMockFn = (require("./loadDynamicAdapterSet")
+  .loadDynamicAdapterSet: any);
+
+describe("cli/exportGraph", () => {
+  let sourcecredDirectory;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sourcecredDirectory = tmp.dirSync().name;
+    process.env.SOURCECRED_DIRECTORY = sourcecredDirectory;
+    fs.mkdirSync(path.join(sourcecredDirectory, "data"));
+    fs.mkdirSync(path.join(sourcecredDirectory, "data", "foo"));
+    fs.mkdirSync(path.join(sourcecredDirectory, "data", "foo", "bar"));
+    loadDynamicAdapterSet.mockImplementation(() => dynamicAdapterSet());
+  });
+
+  // Export as DOT, which has one line per node or edge, and return the
+  // node and edge lines.
+  async function dotLines(args) {
+    const result = await run(exportGraph, [
+      "foo/bar",
+      "--format",
+      "dot",
+      ...args,
+    ]);
+    expect(result.exitCode).toEqual(0);
+    expect(result.stderr).toEqual([]);
+    expect(result.stdout).toHaveLength(1);
+    const lines = result.stdout[0].split("\n").slice(1, -1);
+    return {
+      nodes: lines.filter((l) => !l.includes("->")),
+      edges: lines.filter((l) => l.includes("->")),
+    };
+  }
+
+  describe("'help' command", () => {
+    it("prints usage when given no arguments", async () => {
+      expect(await run(help, [])).toEqual({
+        exitCode: 0,
+        stdout: expect.arrayContaining([
+          expect.stringMatching(/^usage: sourcecred export-graph/),
+        ]),
+        stderr: [],
+      });
+    });
+    it("fails when given arguments", async () => {
+      expect(await run(help, ["foo/bar"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: expect.arrayContaining([
+          expect.stringMatching(/^usage: sourcecred export-graph/),
+        ]),
+      });
+    });
+  });
+
+  describe("'export-graph' command", () => {
+    it("prints usage with '--help'", async () => {
+      expect(await run(exportGraph, ["--help"])).toEqual({
+        exitCode: 0,
+        stdout: expect.arrayContaining([
+          expect.stringMatching(/^usage: sourcecred export-graph/),
+        ]),
+        stderr: [],
+      });
+    });
+
+    it("prints GraphML by default", async () => {
+      const result = await run(exportGraph, ["foo/bar"]);
+      expect(result.exitCode).toEqual(0);
+      expect(result.stdout).toHaveLength(1);
+      expect(result.stdout[0]).toMatch(/^<\?xml.*\n<graphml /);
+      expect(result.stdout[0].match(/<node /g)).toHaveLength(4);
+      expect(result.stdout[0].match(/<edge /g)).toHaveLength(3);
+    });
+
+    it("prints GEXF", async () => {
+      const result = await run(exportGraph, ["foo/bar", "--format", "gexf"]);
+      expect(result.exitCode).toEqual(0);
+      expect(result.stdout[0]).toMatch(/^<\?xml.*\n<gexf /);
+    });
+
+    it("prints DOT", async () => {
+      const {nodes, edges} = await dotLines([]);
+      expect(nodes).toHaveLength(4);
+      expect(edges).toHaveLength(3);
+      expect(nodes[0]).toEqual(
+        '  n0 [label="factorio/inserter/1", ' +
+          'address="[\\"factorio\\",\\"inserter\\",\\"1\\"]"];'
+      );
+    });
+
+    it("loads data from the SourceCred directory", async () => {
+      await dotLines([]);
+      expect(loadDynamicAdapterSet).toHaveBeenCalledTimes(1);
+      expect(loadDynamicAdapterSet.mock.calls[0][0]).toEqual(
+        sourcecredDirectory
+      );
+    });
+
+    it("exports nodes matching any '--node-prefix'", async () => {
+      const {nodes, edges} = await dotLines([
+        "--node-prefix",
+        "factorio/inserter",
+        "--node-prefix",
+        "factorio/machine/1",
+      ]);
+      expect(nodes).toHaveLength(3);
+      // Edges to the excluded machine are dropped.
+      expect(edges).toHaveLength(2);
+    });
+
+    it("exports edges matching any '--edge-prefix'", async () => {
+      const {nodes, edges} = await dotLines([
+        "--edge-prefix",
+        "factorio/assembles",
+      ]);
+      expect(nodes).toHaveLength(4);
+      expect(edges).toHaveLength(2);
+      for (const edge of edges) {
+        expect(edge).toContain('\\"assembles\\"');
+      }
+    });
+
+    it("annotates types and descriptions with '--descriptions'", async () => {
+      const {nodes, edges} = await dotLines(["--descriptions"]);
+      expect(nodes[0]).toContain('type="inserter"');
+      expect(nodes[0]).toContain(
+        'description="NodeAddress[\\"factorio\\",\\"inserter\\",\\"1\\"]"'
+      );
+      expect(edges[0]).toContain('type="transports"');
+      expect(nodes[0]).not.toContain("score=");
+    });
+
+    it("annotates scores with '--scores'", async () => {
+      const {nodes} = await dotLines(["--scores"]);
+      const scores = nodes.map((line) => {
+        const match = line.match(/score="([^"]*)"/);
+        if (match == null) {
+          throw new Error("No score: " + line);
+        }
+        return Number(match[1]);
+      });
+      expect(scores.reduce((a, b) => a + b, 0)).toBeCloseTo(1000, 6);
+      expect(nodes[0]).not.toContain("type=");
+    });
+
+    it("fails when no repository is given", async () => {
+      expect(await run(exportGraph, [])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          "fatal: no repository ID provided",
+          "fatal: run 'sourcecred help export-graph' for help",
+        ],
+      });
+    });
+
+    it("fails when the repository has not been loaded", async () => {
+      expect(await run(exportGraph, ["foo/baz"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          "fatal: no data for foo/baz; run 'sourcecred load foo/baz' first",
+          "fatal: run 'sourcecred help export-graph' for help",
+        ],
+      });
+      expect(loadDynamicAdapterSet).not.toHaveBeenCalled();
+    });
+
+    it("fails for an unknown format", async () => {
+      expect(await run(exportGraph, ["foo/bar", "--format", "csv"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          'fatal: unknown format: "csv"',
+          "fatal: run 'sourcecred help export-graph' for help",
+        ],
+      });
+    });
+
+    for (const flag of ["--format", "--node-prefix", "--edge-prefix"]) {
+      it(`fails when '${flag}' is given without a value`, async () => {
+        expect(await run(exportGraph, ["foo/bar", flag])).toEqual({
+          exitCode: 1,
+          stdout: [],
+          stderr: [
+            `fatal: '${flag}' given without value`,
+            "fatal: run 'sourcecred help export-graph' for help",
+          ],
+        });
+      });
+    }
+  });
+
+  describe("descriptionText", () => {
+    it("returns strings as is", () => {
+      expect(descriptionText("<b>&amp;</b>")).toEqual("<b>&amp;</b>");
+    });
+    it("renders elements as plain text", () => {
+      const description = (
+        <span>
+          <Link href="https://example.com/">#12</Link>: Fix "a" & 'b' {"<c>"}
+        </span>
+      );
+      expect(descriptionText(description)).toEqual("#12: Fix \"a\" & 'b' <c>");
+    });
+  });
+});
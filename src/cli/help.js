@@ -4,7 +4,11 @@
 import type {Command} from "./command";
 import dedent from "../util/dedent";
 
+import {help as diffHelp} from "./diff";
+import {help as exportGraphHelp} from "./exportGraph";
 import {help as loadHelp} from "./load";
+import {help as scoresHelp} from "./scores";
+import {help as sensitivityHelp} from "./sensitivity";
 
 const help: Command = async (args, std) => {
   if (args.length === 0) {
@@ -15,6 +19,10 @@ const help: Command = async (args, std) => {
   const subHelps: {[string]: Command} = {
     help: metaHelp,
     load: loadHelp,
+    scores: scoresHelp,
+    sensitivity: sensitivityHelp,
+    "export-graph": exportGraphHelp,
+    diff: diffHelp,
   };
   if (subHelps[command] !== undefined) {
     return subHelps[command](args.slice(1), std);
@@ -32,6 +40,12 @@ function usage(print: (string) => void): void {
 
     Commands:
       load      load repository data into SourceCred
+      scores    print cred scores for a loaded repository
+      sensitivity
+                find which weights matter for a loaded repository
+      export-graph
+                export a loaded repository's graph for other tools
+      diff      compare the graphs of two loads of a repository
       help      show this help message
 
     Use 'sourcecred help COMMAND' for help about an individual command.
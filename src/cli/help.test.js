@@ -35,6 +35,46 @@ describe("cli/help", () => {
     });
   });
 
+  it("prints help about 'sourcecred scores'", async () => {
+    expect(await run(help, ["scores"])).toEqual({
+      exitCode: 0,
+      stdout: expect.arrayContaining([
+        expect.stringMatching(/^usage: sourcecred scores/),
+      ]),
+      stderr: [],
+    });
+  });
+
+  it("prints help about 'sourcecred sensitivity'", async () => {
+    expect(await run(help, ["sensitivity"])).toEqual({
+      exitCode: 0,
+      stdout: expect.arrayContaining([
+        expect.stringMatching(/^usage: sourcecred sensitivity/),
+      ]),
+      stderr: [],
+    });
+  });
+
+  it("prints help about 'sourcecred export-graph'", async () => {
+    expect(await run(help, ["export-graph"])).toEqual({
+      exitCode: 0,
+      stdout: expect.arrayContaining([
+        expect.stringMatching(/^usage: sourcecred export-graph/),
+      ]),
+      stderr: [],
+    });
+  });
+
+  it("prints help about 'sourcecred diff'", async () => {
+    expect(await run(help, ["diff"])).toEqual({
+      exitCode: 0,
+      stdout: expect.arrayContaining([
+        expect.stringMatching(/^usage: sourcecred diff/),
+      ]),
+      stderr: [],
+    });
+  });
+
   it("fails when given an unknown command", async () => {
     expect(await run(help, ["wat"])).toEqual({
       exitCode: 1,
@@ -7,30 +7,63 @@ import mkdirp from "mkdirp";
 import path from "path";
 
 import * as RepoIdRegistry from "../app/credExplorer/repoIdRegistry";
-import {repoIdToString, stringToRepoId, type RepoId} from "../core/repoId";
+import {
+  type RepoId,
+  type RepoIdString,
+  repoIdPathParts,
+  repoIdToString,
+  stringToRepoId,
+} from "../core/repoId";
+import * as TimeWindow from "../core/timeWindow";
 import dedent from "../util/dedent";
+import * as NullUtil from "../util/null";
 import type {Command} from "./command";
 import * as Common from "./common";
+import {
+  type ProjectConfig,
+  PROJECT_CONFIG_FILE,
+  readProjectConfig,
+} from "./projectConfig";
 
 import execDependencyGraph from "../tools/execDependencyGraph";
 import {loadGithubData} from "../plugins/github/loadGithubData";
+import {type Credentials, validateToken} from "../plugins/github/auth";
+import {
+  fetchOrgRepositories,
+  filterOrgRepositories,
+  orgToString,
+  stringToOrg,
+} from "../plugins/github/orgRepositories";
 import {loadGitData} from "../plugins/git/loadGitData";
+import {githubRemote} from "../plugins/git/cloneAndLoadRepository";
 
 function usage(print: (string) => void): void {
   print(
     dedent`\
     usage: sourcecred load [REPO_ID...] [--output REPO_ID]
+                           [--org ORG] [--include GLOB...] [--exclude GLOB...]
+                           [--topic TOPIC...]
+                           [--include-archived] [--include-forks]
                            [--plugin PLUGIN]
+                           [--since DATE] [--until DATE]
+                           [--config FILE]
+                           [--git-remote REPO_ID=LOCATION...]
+                           [--git-ref REF]
                            [--help]
 
     Load a repository's data into SourceCred.
 
     Each REPO_ID refers to a GitHub repository in the form OWNER/NAME: for
-    example, torvalds/linux.
+    example, torvalds/linux. Repositories on a GitHub Enterprise server
+    may be given as HOST/OWNER/NAME: for example,
+    github.example.com/foo/bar. (Data is stored by owner and name only,
+    so repositories with the same owner and name on different hosts
+    should be loaded with different '--output's.)
 
     Arguments:
         REPO_ID...
-            Repositories for which to load data.
+            Repositories for which to load data. If none are given, the
+            repositories listed in the project config are loaded.
 
         --output REPO_ID
             Store the data under the name of this repository. When
@@ -39,28 +72,158 @@ function usage(print: (string) => void): void {
             repositories 'foo/bar' and 'foo/baz', the output name might
             be 'foo/combined'.
 
-            If only one repository is given, the output defaults to that
-            repository. Otherwise, an output must be specified.
+            If no repositories are given on the command line, the output
+            defaults to the one in the project config. Otherwise, or if
+            the project config has none, it defaults to the repository
+            being loaded if there is only one; else, an output must be
+            specified.
+
+        --org ORG
+            Load the repositories of this GitHub organization, given as
+            its login (like 'sourcecred') or as HOST/LOGIN for an
+            organization on a GitHub Enterprise server, instead of
+            listing them. The repositories are listed anew each time,
+            so repositories created since the last load are included.
+            Requires '--output', and may not be given with REPO_IDs.
+
+        --include GLOB
+        --exclude GLOB
+            With '--org', load only repositories whose names match at
+            least one '--include' glob, if any are given, and no
+            '--exclude' glob. In a glob, '*' matches any characters and
+            '?' any one character; matching ignores case. Each may be
+            given multiple times.
+
+        --topic TOPIC
+            With '--org', load only repositories with at least one of
+            the given topics. May be given multiple times.
+
+        --include-archived
+        --include-forks
+            With '--org', also load archived repositories or forks,
+            which are skipped by default.
 
         --plugin PLUGIN
             Plugin for which to load data. Valid options are 'git' and
-            'github'. If not specified, data for all plugins will be
-            loaded.
+            'github'. If not specified, data for the plugins enabled in
+            the project config, or for all plugins, will be loaded.
+
+        --since DATE
+            Only load data created on or after this date, given in ISO
+            8601 format: for example, 2018-06-01 or
+            2018-06-01T12:00:00Z. Issues, pull requests, and reviews
+            created earlier are still loaded if they have comments or
+            reviews within the time window.
+
+        --until DATE
+            Only load data created before this date, given in the same
+            format as for '--since'.
+
+        --config FILE
+            Read project settings from this JSON file. If not
+            specified, settings are read from the file
+            '${PROJECT_CONFIG_FILE}' in the SourceCred directory, if it
+            exists. The file may contain the following keys, all
+            optional:
+
+                "repositories": an array of repositories to load when
+                none are given on the command line, like ["foo/bar",
+                "foo/baz"].
+
+                "output": the repository under which to store the data
+                for "repositories", as for '--output'.
+
+                "host": the GitHub host, like "github.example.com", of
+                repository IDs that do not name one, both in the config
+                and on the command line. Defaults to github.com.
+
+                "plugins": an object whose keys are the plugins to load
+                and whose values are their options, like {"github": {},
+                "git": {"ref": "main", "remotes": {"foo/bar":
+                "/srv/git/bar.git"}}}. The Git plugin's "ref" and
+                "remotes" are as for '--git-ref' and '--git-remote',
+                which take precedence over them. The GitHub plugin's
+                "graphqlUrl" and "apiUrl" are as for
+                SOURCECRED_GITHUB_GRAPHQL_URL and SOURCECRED_GITHUB_API_URL,
+                which take precedence over them. If this key is absent,
+                all plugins are loaded.
+
+                "weights": the path of a weights file, relative to the
+                config file, for 'sourcecred scores' and other commands
+                that compute cred, as for their '--weights' option.
+
+                "bots": an array of GitHub logins to treat as bots,
+                in addition to SourceCred's built-in list. Bots are
+                scored separately from users.
+
+                "identities": an array of objects like
+                {"name": "alice", "aliases": ["github/alice",
+                "git/alice@example.com"]}, each listing the GitHub
+                logins and Git author emails of one person. These are
+                used by 'sourcecred scores'.
+
+        --git-remote REPO_ID=LOCATION
+            For the Git plugin, load the repository REPO_ID from
+            LOCATION, which may be a local path or any URL that 'git
+            clone' accepts, instead of from its GitHub host. May be
+            given once for each repository.
+
+            Each repository is cloned into the cache directory the first
+            time it is loaded, and only fetched on later loads.
+
+        --git-ref REF
+            For the Git plugin, load commits reachable from this
+            revision, such as a branch, tag, or commit hash. Defaults to
+            HEAD.
 
         --help
             Show this help message and exit, as 'sourcecred help load'.
 
     Environment variables:
         SOURCECRED_GITHUB_TOKEN
-            API token for GitHub. This should be a 40-character hex
-            string. Required if using the GitHub plugin; ignored
-            otherwise.
+            API token for GitHub: a 40-character hex string, or a token
+            with a prefix like "ghp_". Required if using the GitHub
+            plugin, unless authenticating as a GitHub App (see below);
+            ignored otherwise.
 
             To generate a token, create a "Personal access token" at
             <https://github.com/settings/tokens>. When loading data for
             public repositories, no special permissions are required.
             For private repositories, the 'repo' scope is required.
 
+        SOURCECRED_GITHUB_APP_ID
+        SOURCECRED_GITHUB_APP_PRIVATE_KEY
+        SOURCECRED_GITHUB_APP_INSTALLATION_ID
+            Authenticate to GitHub as an installation of a GitHub App,
+            instead of with SOURCECRED_GITHUB_TOKEN. The app needs
+            read-only access to the contents, issues, metadata, and pull
+            requests of the repositories to load.
+
+            SOURCECRED_GITHUB_APP_ID is the ID of the app, and
+            SOURCECRED_GITHUB_APP_PRIVATE_KEY is one of its private
+            keys, either in PEM format or as the path of a file
+            containing it. SOURCECRED_GITHUB_APP_INSTALLATION_ID is the
+            ID of the installation to authenticate as; it is optional,
+            and defaults to the installation on each repository loaded.
+            Installation tokens are created as needed, and renewed
+            before they expire.
+
+        SOURCECRED_GITHUB_GRAPHQL_URL
+            URL of the GitHub GraphQL API to query: for instance, that
+            of a local stand-in server for testing. Optional: defaults
+            to https://api.github.com/graphql for repositories on
+            github.com, and to https://HOST/api/graphql for those on a
+            GitHub Enterprise server HOST.
+
+        SOURCECRED_GITHUB_API_URL
+            Base URL of the GitHub REST API with which to mint
+            installation tokens when authenticating as a GitHub App:
+            for instance, that of the server behind
+            SOURCECRED_GITHUB_GRAPHQL_URL. Optional: defaults to
+            https://api.github.com for repositories on github.com, and
+            to https://HOST/api/v3 for those on a GitHub Enterprise
+            server HOST.
+
         SOURCECRED_DIRECTORY
             Directory owned by SourceCred, in which data, caches,
             registries, etc. are stored. Optional: defaults to a
@@ -78,9 +241,22 @@ function die(std, message) {
 }
 
 const load: Command = async (args, std) => {
-  const repoIds = [];
-  let explicitOutput: RepoId | null = null;
+  // Repository IDs are parsed once the project config, which may give
+  // their default host, has been read; they are validated here.
+  const repoIdArgs: string[] = [];
+  let outputArg: string | null = null;
   let plugin: Common.PluginName | null = null;
+  let since: string | null = null;
+  let until: string | null = null;
+  let configFile: string | null = null;
+  const gitRemoteArgs: Array<[string, string]> = [];
+  let gitRef: string | null = null;
+  let orgArg: string | null = null;
+  const include: string[] = [];
+  const exclude: string[] = [];
+  const topics: string[] = [];
+  let includeArchived = false;
+  let includeForks = false;
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
       case "--help": {
@@ -88,11 +264,49 @@ const load: Command = async (args, std) => {
         return 0;
       }
       case "--output": {
-        if (explicitOutput != null)
+        if (outputArg != null)
           return die(std, "'--output' given multiple times");
         if (++i >= args.length)
           return die(std, "'--output' given without value");
-        explicitOutput = stringToRepoId(args[i]);
+        stringToRepoId(args[i]);
+        outputArg = args[i];
+        break;
+      }
+      case "--org": {
+        if (orgArg != null) return die(std, "'--org' given multiple times");
+        if (++i >= args.length) return die(std, "'--org' given without value");
+        try {
+          stringToOrg(args[i]);
+        } catch (e) {
+          return die(std, e.message);
+        }
+        orgArg = args[i];
+        break;
+      }
+      case "--include": {
+        if (++i >= args.length)
+          return die(std, "'--include' given without value");
+        include.push(args[i]);
+        break;
+      }
+      case "--exclude": {
+        if (++i >= args.length)
+          return die(std, "'--exclude' given without value");
+        exclude.push(args[i]);
+        break;
+      }
+      case "--topic": {
+        if (++i >= args.length)
+          return die(std, "'--topic' given without value");
+        topics.push(args[i]);
+        break;
+      }
+      case "--include-archived": {
+        includeArchived = true;
+        break;
+      }
+      case "--include-forks": {
+        includeForks = true;
         break;
       }
       case "--plugin": {
@@ -105,43 +319,241 @@ const load: Command = async (args, std) => {
         plugin = arg;
         break;
       }
+      case "--since": {
+        if (since != null) return die(std, "'--since' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--since' given without value");
+        since = args[i];
+        break;
+      }
+      case "--until": {
+        if (until != null) return die(std, "'--until' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--until' given without value");
+        until = args[i];
+        break;
+      }
+      case "--config": {
+        if (configFile != null)
+          return die(std, "'--config' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--config' given without value");
+        configFile = args[i];
+        break;
+      }
+      case "--git-remote": {
+        if (++i >= args.length)
+          return die(std, "'--git-remote' given without value");
+        const arg = args[i];
+        const equalsIndex = arg.indexOf("=");
+        if (equalsIndex === -1)
+          return die(std, "invalid '--git-remote': " + JSON.stringify(arg));
+        const repoIdArg = arg.slice(0, equalsIndex);
+        stringToRepoId(repoIdArg);
+        gitRemoteArgs.push([repoIdArg, arg.slice(equalsIndex + 1)]);
+        break;
+      }
+      case "--git-ref": {
+        if (gitRef != null) return die(std, "'--git-ref' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--git-ref' given without value");
+        gitRef = args[i];
+        break;
+      }
       default: {
         // Should be a repository.
-        repoIds.push(stringToRepoId(args[i]));
+        stringToRepoId(args[i]);
+        repoIdArgs.push(args[i]);
         break;
       }
     }
   }
 
+  if (orgArg == null) {
+    const orgOptions = [
+      ...(include.length > 0 ? ["--include"] : []),
+      ...(exclude.length > 0 ? ["--exclude"] : []),
+      ...(topics.length > 0 ? ["--topic"] : []),
+      ...(includeArchived ? ["--include-archived"] : []),
+      ...(includeForks ? ["--include-forks"] : []),
+    ];
+    if (orgOptions.length > 0) {
+      return die(std, `'${orgOptions[0]}' given without '--org'`);
+    }
+  } else {
+    if (repoIdArgs.length > 0) {
+      return die(std, "'--org' given with repositories");
+    }
+    if (outputArg == null) {
+      return die(std, "'--org' given without '--output'");
+    }
+  }
+
+  let config: ProjectConfig;
+  try {
+    config = readProjectConfig(configFile, Common.sourcecredDirectory());
+  } catch (e) {
+    return die(std, e.message);
+  }
+
+  const parseRepoId = (x) => stringToRepoId(x, config.host);
+  const repoIds = repoIdArgs.map(parseRepoId);
+  if (orgArg != null) {
+    const org = stringToOrg(orgArg, config.host);
+    let credentials;
+    try {
+      credentials = githubCredentials();
+    } catch (e) {
+      return die(std, e.message);
+    }
+    let repositories;
+    try {
+      repositories = await fetchOrgRepositories(org, {
+        credentials,
+        graphqlUrl: NullUtil.orElse(
+          Common.githubGraphqlUrl(),
+          config.github.graphqlUrl
+        ),
+        apiUrl: NullUtil.orElse(Common.githubApiUrl(), config.github.apiUrl),
+      });
+    } catch (e) {
+      // Failed queries reject with GitHub response errors, whose
+      // details have already been logged, rather than `Error`s.
+      const reason = e instanceof Error ? e.message : String(e.type);
+      return die(
+        std,
+        `could not list the repositories of ${orgToString(org)}: ${reason}`
+      );
+    }
+    repoIds.push(
+      ...filterOrgRepositories(org, repositories, {
+        include,
+        exclude,
+        archived: includeArchived,
+        forks: includeForks,
+        topics,
+      })
+    );
+    if (repoIds.length === 0) {
+      return die(std, `no repositories of ${orgToString(org)} to load`);
+    }
+  }
+  // Remotes are matched to repositories only now, so that "owner/name"
+  // and "host/owner/name" are the same repository on the config's host.
+  const gitRemotes: Map<RepoIdString, string> = new Map();
+  for (const [repoIdArg, remote] of gitRemoteArgs) {
+    const repoId = repoIdToString(parseRepoId(repoIdArg));
+    if (gitRemotes.has(repoId)) {
+      return die(std, `'--git-remote' given multiple times for ${repoId}`);
+    }
+    gitRemotes.set(repoId, remote);
+  }
+
+  // The project's repositories and output apply only when no
+  // repositories are given on the command line.
+  const useConfigRepositories = repoIds.length === 0 && orgArg == null;
+  if (useConfigRepositories) {
+    repoIds.push(...config.repositories);
+  }
   let output: RepoId;
-  if (explicitOutput != null) {
-    output = explicitOutput;
+  if (outputArg != null) {
+    output = parseRepoId(outputArg);
+  } else if (useConfigRepositories && config.output != null) {
+    output = config.output;
   } else if (repoIds.length === 1) {
     output = repoIds[0];
   } else {
     return die(std, "output repository not specified");
   }
 
+  for (const repoId of gitRemotes.keys()) {
+    if (!repoIds.some((r) => repoIdToString(r) === repoId)) {
+      return die(std, `'--git-remote' given for unlisted repository ${repoId}`);
+    }
+  }
+  const remotes = new Map([...config.git.remotes, ...gitRemotes]);
+  const gitSources = repoIds.map((repoId) => ({
+    repoId,
+    remote: NullUtil.orElse(
+      remotes.get(repoIdToString(repoId)),
+      githubRemote(repoId)
+    ),
+    ref: NullUtil.orElse(gitRef, NullUtil.orElse(config.git.ref, "HEAD")),
+  }));
+
+  let timeWindow: TimeWindow.TimeWindow;
+  try {
+    timeWindow = {
+      since: since == null ? null : TimeWindow.parseDate(since),
+      until: until == null ? null : TimeWindow.parseDate(until),
+    };
+  } catch (e) {
+    return die(std, e.message);
+  }
+  if (
+    timeWindow.since != null &&
+    timeWindow.until != null &&
+    timeWindow.since >= timeWindow.until
+  ) {
+    return die(std, "'--since' must be earlier than '--until'");
+  }
+
   if (plugin == null) {
-    return loadDefaultPlugins({std, output, repoIds});
+    const pluginArgs = [
+      ...(since == null ? [] : ["--since", since]),
+      ...(until == null ? [] : ["--until", until]),
+      ...(configFile == null ? [] : ["--config", configFile]),
+      ...(gitRef == null ? [] : ["--git-ref", gitRef]),
+    ];
+    for (const [repoId, remote] of gitRemotes) {
+      pluginArgs.push("--git-remote", `${repoId}=${remote}`);
+    }
+    const plugins = NullUtil.orElse(config.plugins, Common.defaultPlugins());
+    if (plugins.length === 0) {
+      return die(std, "no plugins enabled in the project config");
+    }
+    return loadDefaultPlugins({std, output, repoIds, plugins, pluginArgs});
   } else {
-    return loadPlugin({std, output, repoIds, plugin});
+    return loadPlugin({
+      std,
+      output,
+      repoIds,
+      plugin,
+      timeWindow,
+      config,
+      gitSources,
+    });
   }
 };
 
-const loadDefaultPlugins = async ({std, output, repoIds}) => {
-  if (Common.githubToken() == null) {
+const loadDefaultPlugins = async ({
+  std,
+  output,
+  repoIds,
+  plugins,
+  pluginArgs,
+}) => {
+  if (plugins.includes("github")) {
     // TODO(#638): This check should be abstracted so that plugins can
     // specify their argument dependencies and get nicely formatted
     // errors.
-    return die(std, "no GitHub token specified");
+    try {
+      githubCredentials();
+    } catch (e) {
+      return die(std, e.message);
+    }
   }
 
   const tasks = [
-    ...Common.defaultPlugins().map((pluginName) => ({
+    ...plugins.map((pluginName) => ({
       id: `load-${pluginName}`,
       cmd: [
         process.execPath,
+        // Each plugin holds all of its data in memory: the Git plugin
+        // holds the repository, its graph, and the graph's encoding at
+        // once. On a synthetic repository of 300k commits that peaks at
+        // about 1.8 GB of heap (about 0.8 GB at 100k commits), beyond
+        // Node's default limit, so raise the limit.
         "--max_old_space_size=8192",
         process.argv[1],
         "load",
@@ -150,6 +562,7 @@ const loadDefaultPlugins = async ({std, output, repoIds}) => {
         repoIdToString(output),
         "--plugin",
         pluginName,
+        ...pluginArgs,
       ],
       deps: [],
     })),
@@ -162,12 +575,20 @@ const loadDefaultPlugins = async ({std, output, repoIds}) => {
   return success ? 0 : 1;
 };
 
-const loadPlugin = async ({std, output, repoIds, plugin}) => {
+const loadPlugin = async ({
+  std,
+  output,
+  repoIds,
+  plugin,
+  timeWindow,
+  config,
+  gitSources,
+}) => {
   function scopedDirectory(key) {
     const directory = path.join(
       Common.sourcecredDirectory(),
       key,
-      repoIdToString(output),
+      ...repoIdPathParts(output),
       plugin
     );
     mkdirp.sync(directory);
@@ -177,18 +598,34 @@ const loadPlugin = async ({std, output, repoIds, plugin}) => {
   const cacheDirectory = scopedDirectory("cache");
   switch (plugin) {
     case "github": {
-      const token = Common.githubToken();
-      if (token == null) {
-        // TODO(#638): This check should be abstracted so that plugins
-        // can specify their argument dependencies and get nicely
-        // formatted errors.
-        return die(std, "no GitHub token specified");
-      }
-      await loadGithubData({token, repoIds, outputDirectory, cacheDirectory});
+      let credentials;
+      try {
+        credentials = githubCredentials();
+      } catch (e) {
+        return die(std, e.message);
+      }
+      await loadGithubData({
+        credentials,
+        graphqlUrl: NullUtil.orElse(
+          Common.githubGraphqlUrl(),
+          config.github.graphqlUrl
+        ),
+        apiUrl: NullUtil.orElse(Common.githubApiUrl(), config.github.apiUrl),
+        repoIds,
+        outputDirectory,
+        cacheDirectory,
+        timeWindow,
+        bots: config.bots,
+      });
       return 0;
     }
     case "git":
-      await loadGitData({repoIds, outputDirectory, cacheDirectory});
+      await loadGitData({
+        sources: gitSources,
+        outputDirectory,
+        cacheDirectory,
+        timeWindow,
+      });
       return 0;
     // Unlike the previous check, which was validating user input and
     // was reachable, this really should not occur.
@@ -198,6 +635,50 @@ const loadPlugin = async ({std, output, repoIds, plugin}) => {
   }
 };
 
+/**
+ * Read the credentials for the GitHub API from the environment: either
+ * a token or a GitHub App. Throws an error describing what is wrong if
+ * neither or both are given, or if they are invalid.
+ */
+function githubCredentials(): Credentials {
+  const token = Common.githubToken();
+  const appId = Common.githubAppId();
+  if (appId == null) {
+    if (token == null) {
+      throw new Error("no GitHub token specified");
+    }
+    validateToken(token);
+    return {type: "TOKEN", token};
+  }
+  if (token != null) {
+    throw new Error(
+      "both a GitHub token and a GitHub App specified; unset " +
+        "SOURCECRED_GITHUB_TOKEN or SOURCECRED_GITHUB_APP_ID"
+    );
+  }
+  const keyOrFilename = Common.githubAppPrivateKey();
+  if (keyOrFilename == null) {
+    throw new Error("no private key specified for the GitHub App");
+  }
+  let privateKey = keyOrFilename;
+  if (!keyOrFilename.includes("-----BEGIN")) {
+    try {
+      privateKey = fs.readFileSync(keyOrFilename).toString();
+    } catch (e) {
+      throw new Error(
+        `could not read the GitHub App private key: ${e.message}`
+      );
+    }
+  }
+  const installationId = Common.githubAppInstallationId();
+  if (installationId != null && !installationId.match(/^[0-9]+$/)) {
+    throw new Error(
+      "invalid GitHub App installation ID: " + JSON.stringify(installationId)
+    );
+  }
+  return {type: "APP", app: {appId, privateKey, installationId}};
+}
+
 function addToRepoIdRegistry(repoId) {
   // TODO: Make this function transactional before loading repositories in
   // parallel.
@@ -0,0 +1,67 @@
+// @flow
+// Load the data stored by `sourcecred load` into a set of plugin
+// adapters. This is the filesystem counterpart to
+// `StaticAdapterSet.load`, which fetches the same files over HTTP.
+
+import fs from "fs-extra";
+import path from "path";
+import pako from "pako";
+
+import {Graph} from "../core/graph";
+import {decodeGraph} from "../core/graphBinary";
+import {repoIdPathParts, type RepoId} from "../core/repoId";
+import {DynamicAdapterSet} from "../app/adapters/adapterSet";
+import {defaultStaticAdapters} from "../app/adapters/defaultPlugins";
+import {FallbackDynamicAdapter} from "../app/adapters/fallbackAdapter";
+import {DynamicPluginAdapter as GitAdapter} from "../plugins/git/pluginAdapter";
+import {DynamicPluginAdapter as GithubAdapter} from "../plugins/github/pluginAdapter";
+import {GithubGitGateway} from "../plugins/github/githubGitGateway";
+import {RelationalView} from "../plugins/github/relationalView";
+import {createGraph as createGithubGraph} from "../plugins/github/createGraph";
+
+export async function loadDynamicAdapterSet(
+  sourcecredDirectory: string,
+  repoId: RepoId
+): Promise<DynamicAdapterSet> {
+  const dataDirectory = path.join(
+    sourcecredDirectory,
+    "data",
+    ...repoIdPathParts(repoId)
+  );
+  const [githubAdapter, gitAdapter] = await Promise.all([
+    loadGithubAdapter(path.join(dataDirectory, "github")),
+    loadGitAdapter(path.join(dataDirectory, "git")),
+  ]);
+  return new DynamicAdapterSet(defaultStaticAdapters(), [
+    new FallbackDynamicAdapter(),
+    githubAdapter,
+    gitAdapter,
+  ]);
+}
+
+async function loadGithubAdapter(directory: string): Promise<GithubAdapter> {
+  const blob = await fs.readFile(path.join(directory, "view.json.gz"));
+  const json = JSON.parse(pako.ungzip(blob, {to: "string"}));
+  const view = RelationalView.fromJSON(json);
+  return new GithubAdapter(view, createGithubGraph(view));
+}
+
+async function loadGitAdapter(directory: string): Promise<GitAdapter> {
+  async function readJson(filename) {
+    const contents = await fs.readFile(path.join(directory, filename));
+    return JSON.parse(contents.toString());
+  }
+  async function readGraph(): Promise<Graph> {
+    const binaryFile = path.join(directory, "graph.bin");
+    if (await fs.pathExists(binaryFile)) {
+      return decodeGraph(await fs.readFile(binaryFile));
+    }
+    // Data loaded before graphs were stored in binary.
+    return Graph.fromJSON(await readJson("graph.json"));
+  }
+  const [graph, repository] = await Promise.all([
+    readGraph(),
+    readJson("repository.json"),
+  ]);
+  return new GitAdapter(new GithubGitGateway(), graph, repository);
+}
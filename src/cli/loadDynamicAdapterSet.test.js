@@ -0,0 +1,138 @@
+// @flow
+
+import fs from "fs-extra";
+import path from "path";
+import pako from "pako";
+import stringify from "json-stable-stringify";
+import tmp from "tmp";
+
+import {Graph, NodeAddress} from "../core/graph";
+import {encodeGraph} from "../core/graphBinary";
+import {makeRepoId} from "../core/repoId";
+import {createGraph as createGitGraph} from "../plugins/git/createGraph";
+import type {Repository} from "../plugins/git/types";
+import * as GitNode from "../plugins/git/nodes";
+import {
+  exampleGraph as exampleGithubGraph,
+  exampleRelationalView,
+} from "../plugins/github/example/example";
+import * as GithubNode from "../plugins/github/nodes";
+import {loadDynamicAdapterSet} from "./loadDynamicAdapterSet";
+
+describe("cli/loadDynamicAdapterSet", () => {
+  const repoId = makeRepoId("foo", "bar");
+  function exampleRepository(): Repository {
+    return require("../plugins/git/example/example-git.json");
+  }
+  async function writeExampleData(): Promise<string> {
+    const sourcecredDirectory = tmp.dirSync({unsafeCleanup: true}).name;
+    const dataDirectory = path.join(sourcecredDirectory, "data", "foo", "bar");
+    const githubDirectory = path.join(dataDirectory, "github");
+    const gitDirectory = path.join(dataDirectory, "git");
+    await fs.mkdirp(githubDirectory);
+    await fs.mkdirp(gitDirectory);
+    const view = exampleRelationalView();
+    await fs.writeFile(
+      path.join(githubDirectory, "view.json.gz"),
+      pako.gzip(JSON.stringify(view))
+    );
+    const repository = exampleRepository();
+    await fs.writeFile(
+      path.join(gitDirectory, "repository.json"),
+      stringify(repository)
+    );
+    await fs.writeFile(
+      path.join(gitDirectory, "graph.bin"),
+      encodeGraph(createGitGraph(repository))
+    );
+    return sourcecredDirectory;
+  }
+  function expectedGraph(): Graph {
+    return Graph.merge([
+      exampleGithubGraph(),
+      createGitGraph(exampleRepository()),
+    ]);
+  }
+
+  it("loads the graphs for all plugins", async () => {
+    const adapters = await loadDynamicAdapterSet(
+      await writeExampleData(),
+      repoId
+    );
+    expect(adapters.graph().equals(expectedGraph())).toBe(true);
+  });
+
+  it("loads a repository on another host from its own directory", async () => {
+    const sourcecredDirectory = await writeExampleData();
+    await fs.move(
+      path.join(sourcecredDirectory, "data", "foo"),
+      path.join(sourcecredDirectory, "data", "github.example.com", "foo")
+    );
+    const adapters = await loadDynamicAdapterSet(
+      sourcecredDirectory,
+      makeRepoId("foo", "bar", "github.example.com")
+    );
+    expect(adapters.graph().equals(expectedGraph())).toBe(true);
+    await expect(
+      loadDynamicAdapterSet(sourcecredDirectory, repoId)
+    ).rejects.toThrow();
+  });
+
+  it("loads a JSON Git graph from an older load", async () => {
+    const sourcecredDirectory = await writeExampleData();
+    const gitDirectory = path.join(
+      sourcecredDirectory,
+      "data",
+      "foo",
+      "bar",
+      "git"
+    );
+    await fs.remove(path.join(gitDirectory, "graph.bin"));
+    await fs.writeFile(
+      path.join(gitDirectory, "graph.json"),
+      stringify(createGitGraph(exampleRepository()))
+    );
+    const adapters = await loadDynamicAdapterSet(sourcecredDirectory, repoId);
+    expect(adapters.graph().equals(expectedGraph())).toBe(true);
+  });
+
+  it("loads the default static adapters", async () => {
+    const adapters = await loadDynamicAdapterSet(
+      await writeExampleData(),
+      repoId
+    );
+    expect(
+      adapters
+        .static()
+        .adapters()
+        .map((x) => x.name())
+    ).toEqual(["FALLBACK_ADAPTER", "GitHub", "Git"]);
+  });
+
+  it("provides creation times from the loaded data", async () => {
+    const adapters = await loadDynamicAdapterSet(
+      await writeExampleData(),
+      repoId
+    );
+    const issue = Array.from(exampleRelationalView().issues())[0];
+    expect(adapters.createdAt(GithubNode.toRaw(issue.address()))).toEqual(
+      issue.createdAt()
+    );
+    const repository = exampleRepository();
+    const commit = repository.commits[Object.keys(repository.commits)[0]];
+    const commitNode = GitNode.toRaw({
+      type: GitNode.COMMIT_TYPE,
+      hash: commit.hash,
+    });
+    expect(adapters.createdAt(commitNode)).toEqual(commit.authoredAt);
+    expect(adapters.createdAt(NodeAddress.fromParts(["weird"]))).toBe(null);
+  });
+
+  it("rejects if the data has not been loaded", async () => {
+    const sourcecredDirectory = tmp.dirSync({unsafeCleanup: true}).name;
+    expect.assertions(1);
+    await expect(
+      loadDynamicAdapterSet(sourcecredDirectory, repoId)
+    ).rejects.toThrow("ENOENT");
+  });
+});
@@ -0,0 +1,424 @@
+// @flow
+// Per-project settings for the CLI, read from a JSON file like:
+//
+//     {
+//       "repositories": ["foo/bar", "foo/baz"],
+//       "output": "foo/combined",
+//       "host": "github.example.com",
+//       "plugins": {
+//         "github": {
+//           "graphqlUrl": "https://api.example.com/graphql",
+//           "apiUrl": "https://api.example.com"
+//         },
+//         "git": {"ref": "main", "remotes": {"foo/baz": "/srv/git/baz.git"}}
+//       },
+//       "weights": "weights.json",
+//       "bots": ["our-ci-bot", "our-deploy-bot"],
+//       "identities": [
+//         {"name": "alice", "aliases": ["github/alice", "git/alice@example.com"]}
+//       ],
+//       "inferIdentities": true
+//     }
+//
+// All keys are optional.
+
+import fs from "fs";
+import path from "path";
+
+import type {NodeAddressT} from "../core/graph";
+import type {Identity} from "../core/identity";
+import {
+  type RepoId,
+  type RepoIdString,
+  githubHostPattern,
+  repoIdToString,
+  stringToRepoId,
+} from "../core/repoId";
+import * as GitNode from "../plugins/git/nodes";
+import * as GithubNode from "../plugins/github/nodes";
+import type {PluginName} from "./common";
+
+export type GithubPluginConfig = {|
+  // GitHub GraphQL API to query, or null for that of each
+  // repository's host.
+  +graphqlUrl: string | null,
+  // GitHub REST API with which to mint GitHub App installation tokens,
+  // or null for that of each repository's host.
+  +apiUrl: string | null,
+|};
+
+export type GitPluginConfig = {|
+  // Revision from which to load commits, or null for HEAD.
+  +ref: string | null,
+  // Locations from which to clone repositories instead of GitHub, as
+  // with `sourcecred load --git-remote`.
+  +remotes: Map<RepoIdString, string>,
+|};
+
+export type ProjectConfig = {|
+  // Repositories to load when none are given on the command line.
+  +repositories: $ReadOnlyArray<RepoId>,
+  // Name under which to store the data for `repositories`, as with
+  // `sourcecred load --output`.
+  +output: RepoId | null,
+  // GitHub host, like "github.example.com", of repositories whose IDs
+  // do not name one, or null for github.com.
+  +host: string | null,
+  // Plugins to load, or null to load all of them.
+  +plugins: $ReadOnlyArray<PluginName> | null,
+  +github: GithubPluginConfig,
+  +git: GitPluginConfig,
+  // Path to a weights file, as exported from the cred explorer, with
+  // which to compute scores. Relative paths in a config file are
+  // resolved against the directory containing the file.
+  +weights: string | null,
+  // GitHub logins to treat as bots, in addition to the defaults in
+  // `plugins/github/bots.js`.
+  +bots: $ReadOnlyArray<string>,
+  // People whose accounts should be scored as one.
+  +identities: $ReadOnlyArray<Identity>,
+  // Whether to also merge Git authors into GitHub accounts by email
+  // (see `plugins/github/emailIdentities`).
+  +inferIdentities: boolean,
+|};
+
+/**
+ * Name of the project config file that commands read from the
+ * SourceCred directory when no config file is given explicitly.
+ */
+export const PROJECT_CONFIG_FILE = "sourcecred.json";
+
+export function emptyProjectConfig(): ProjectConfig {
+  return {
+    repositories: [],
+    output: null,
+    host: null,
+    plugins: null,
+    github: {graphqlUrl: null, apiUrl: null},
+    git: {ref: null, remotes: new Map()},
+    weights: null,
+    bots: [],
+    identities: [],
+    inferIdentities: false,
+  };
+}
+
+export function defaultProjectConfigPath(sourcecredDirectory: string): string {
+  return path.join(sourcecredDirectory, PROJECT_CONFIG_FILE);
+}
+
+/**
+ * Validate the parsed contents of a project config file. Throws an
+ * error describing the first problem found.
+ */
+export function parseProjectConfig(json: mixed): ProjectConfig {
+  if (json == null || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error("expected a JSON object");
+  }
+  // Repository IDs throughout the config are on its host, so read
+  // that first.
+  const host = parseHost(json.host);
+  let {
+    repositories,
+    output,
+    plugins,
+    github,
+    git,
+    weights,
+    bots,
+    identities,
+    inferIdentities,
+  } = emptyProjectConfig();
+  for (const key of Object.keys(json)) {
+    const value = json[key];
+    switch (key) {
+      case "repositories":
+        if (!Array.isArray(value)) {
+          throw new Error("'repositories' must be an array");
+        }
+        repositories = value.map((x, i) =>
+          parseRepoId(x, `repositories[${i}]`, host)
+        );
+        break;
+      case "output":
+        output = parseRepoId(value, "'output'", host);
+        break;
+      case "host":
+        break;
+      case "plugins": {
+        const parsed = parsePlugins(value, host);
+        plugins = parsed.plugins;
+        github = parsed.github;
+        git = parsed.git;
+        break;
+      }
+      case "weights":
+        if (typeof value !== "string" || value === "") {
+          throw new Error("'weights' must be a nonempty string");
+        }
+        weights = value;
+        break;
+      case "bots":
+        if (
+          !Array.isArray(value) ||
+          !value.every((x) => typeof x === "string")
+        ) {
+          throw new Error("'bots' must be an array of strings");
+        }
+        bots = value.slice();
+        break;
+      case "identities":
+        if (!Array.isArray(value)) {
+          throw new Error("'identities' must be an array");
+        }
+        identities = value.map((x, i) => parseIdentity(x, i));
+        break;
+      case "inferIdentities":
+        if (typeof value !== "boolean") {
+          throw new Error("'inferIdentities' must be a boolean");
+        }
+        inferIdentities = value;
+        break;
+      default:
+        throw new Error("unknown key: " + JSON.stringify(key));
+    }
+  }
+  return {
+    repositories,
+    output,
+    host,
+    plugins,
+    github,
+    git,
+    weights,
+    bots,
+    identities,
+    inferIdentities,
+  };
+}
+
+function parseHost(json: mixed): string | null {
+  if (json === undefined) {
+    return null;
+  }
+  if (
+    typeof json !== "string" ||
+    !json.match(new RegExp(`^${githubHostPattern}$`))
+  ) {
+    throw new Error(`'host' must be a host name like "github.example.com"`);
+  }
+  return json;
+}
+
+function parseRepoId(
+  json: mixed,
+  context: string,
+  host: string | null
+): RepoId {
+  if (typeof json !== "string") {
+    throw new Error(`${context} must be a repository ID like "owner/name"`);
+  }
+  try {
+    return stringToRepoId(json, host);
+  } catch (e) {
+    throw new Error(`${context}: ${e.message}`);
+  }
+}
+
+function parsePlugins(
+  json: mixed,
+  host: string | null
+): {|
+  +plugins: $ReadOnlyArray<PluginName>,
+  +github: GithubPluginConfig,
+  +git: GitPluginConfig,
+|} {
+  if (json == null || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error("'plugins' must be an object");
+  }
+  const plugins = [];
+  let {github, git} = emptyProjectConfig();
+  for (const name of Object.keys(json)) {
+    const options = json[name];
+    const context = `plugins.${name}`;
+    if (
+      options == null ||
+      typeof options !== "object" ||
+      Array.isArray(options)
+    ) {
+      throw new Error(`${context} must be an object of options`);
+    }
+    switch (name) {
+      case "github":
+        github = parseGithubPluginConfig(options, context);
+        plugins.push(name);
+        break;
+      case "git":
+        git = parseGitPluginConfig(options, context, host);
+        plugins.push(name);
+        break;
+      default:
+        throw new Error("'plugins': unknown plugin: " + JSON.stringify(name));
+    }
+  }
+  return {plugins, github, git};
+}
+
+function parseGithubPluginConfig(
+  json: {[string]: mixed},
+  context: string
+): GithubPluginConfig {
+  let graphqlUrl = null;
+  let apiUrl = null;
+  for (const key of Object.keys(json)) {
+    const value = json[key];
+    switch (key) {
+      case "graphqlUrl":
+        if (typeof value !== "string" || !value.match(/^https?:\/\/./)) {
+          throw new Error(`${context}: 'graphqlUrl' must be an HTTP(S) URL`);
+        }
+        graphqlUrl = value;
+        break;
+      case "apiUrl":
+        if (typeof value !== "string" || !value.match(/^https?:\/\/./)) {
+          throw new Error(`${context}: 'apiUrl' must be an HTTP(S) URL`);
+        }
+        apiUrl = value;
+        break;
+      default:
+        throw new Error(`${context}: unknown key: ${JSON.stringify(key)}`);
+    }
+  }
+  return {graphqlUrl, apiUrl};
+}
+
+function parseGitPluginConfig(
+  json: {[string]: mixed},
+  context: string,
+  host: string | null
+): GitPluginConfig {
+  let ref = null;
+  const remotes = new Map();
+  for (const key of Object.keys(json)) {
+    const value = json[key];
+    switch (key) {
+      case "ref":
+        if (typeof value !== "string" || value === "") {
+          throw new Error(`${context}: 'ref' must be a nonempty string`);
+        }
+        ref = value;
+        break;
+      case "remotes":
+        if (
+          value == null ||
+          typeof value !== "object" ||
+          Array.isArray(value)
+        ) {
+          throw new Error(
+            `${context}: 'remotes' must be an object mapping ` +
+              "repository IDs to locations"
+          );
+        }
+        for (const repoIdString of Object.keys(value)) {
+          const remoteContext = `${context}.remotes[${JSON.stringify(
+            repoIdString
+          )}]`;
+          const repoId = parseRepoId(repoIdString, remoteContext, host);
+          const remote = value[repoIdString];
+          if (typeof remote !== "string" || remote === "") {
+            throw new Error(`${remoteContext} must be a nonempty string`);
+          }
+          remotes.set(repoIdToString(repoId), remote);
+        }
+        break;
+      default:
+        throw new Error(`${context}: unknown key: ${JSON.stringify(key)}`);
+    }
+  }
+  return {ref, remotes};
+}
+
+function parseIdentity(json: mixed, index: number): Identity {
+  const context = `identities[${index}]`;
+  if (json == null || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error(`${context} must be an object`);
+  }
+  const {name, aliases} = json;
+  for (const key of Object.keys(json)) {
+    if (key !== "name" && key !== "aliases") {
+      throw new Error(`${context}: unknown key: ${JSON.stringify(key)}`);
+    }
+  }
+  if (typeof name !== "string" || name === "") {
+    throw new Error(`${context}: 'name' must be a nonempty string`);
+  }
+  if (!Array.isArray(aliases) || !aliases.every((x) => typeof x === "string")) {
+    throw new Error(`${context}: 'aliases' must be an array of strings`);
+  }
+  const addresses = [];
+  for (const alias of aliases) {
+    addresses.push(...parseAlias(String(alias), context));
+  }
+  return {name, aliases: addresses};
+}
+
+/**
+ * Resolve an alias, like "github/alice" or "git/alice@example.com", to
+ * the addresses of the nodes that it may refer to.
+ */
+function parseAlias(alias: string, context: string): NodeAddressT[] {
+  const githubMatch = alias.match(/^github\/([^/]+)$/);
+  if (githubMatch != null) {
+    const login = githubMatch[1];
+    // The same login is a user or a bot depending on the bot list, so
+    // match either.
+    return [GithubNode.USER_SUBTYPE, GithubNode.BOT_SUBTYPE].map((subtype) =>
+      GithubNode.toRaw({type: GithubNode.USERLIKE_TYPE, subtype, login})
+    );
+  }
+  const gitMatch = alias.match(/^git\/([^/]+@[^/]+)$/);
+  if (gitMatch != null) {
+    return [GitNode.toRaw(GitNode.authorAddress(gitMatch[1]))];
+  }
+  throw new Error(
+    `${context}: invalid alias ${JSON.stringify(alias)}; ` +
+      "expected 'github/LOGIN' or 'git/EMAIL'"
+  );
+}
+
+/**
+ * Read and validate the project config file at the given path. Errors
+ * are prefixed with the path so that they can be shown to the user
+ * directly.
+ */
+export function loadProjectConfig(filename: string): ProjectConfig {
+  let config;
+  try {
+    const contents = fs.readFileSync(filename).toString();
+    config = parseProjectConfig(JSON.parse(contents));
+  } catch (e) {
+    throw new Error(`${filename}: ${e.message}`);
+  }
+  const {weights} = config;
+  return weights == null
+    ? config
+    : {...config, weights: path.resolve(path.dirname(filename), weights)};
+}
+
+/**
+ * Load the given project config file, if any; otherwise, load the
+ * default project config file from the SourceCred directory, if it
+ * exists; otherwise, return an empty config.
+ */
+export function readProjectConfig(
+  configFile: string | null,
+  sourcecredDirectory: string
+): ProjectConfig {
+  if (configFile != null) {
+    return loadProjectConfig(configFile);
+  }
+  const defaultFile = defaultProjectConfigPath(sourcecredDirectory);
+  return fs.existsSync(defaultFile)
+    ? loadProjectConfig(defaultFile)
+    : emptyProjectConfig();
+}
@@ -0,0 +1,373 @@
+// @flow
+
+import fs from "fs";
+import path from "path";
+import tmp from "tmp";
+
+import {
+  PROJECT_CONFIG_FILE,
+  defaultProjectConfigPath,
+  emptyProjectConfig,
+  loadProjectConfig,
+  parseProjectConfig,
+  readProjectConfig,
+} from "./projectConfig";
+import {makeRepoId} from "../core/repoId";
+import * as GitNode from "../plugins/git/nodes";
+import * as GithubNode from "../plugins/github/nodes";
+
+describe("cli/projectConfig", () => {
+  describe("defaultProjectConfigPath", () => {
+    it("gives a file in the SourceCred directory", () => {
+      expect(defaultProjectConfigPath("/some/dir")).toEqual(
+        path.join("/some/dir", PROJECT_CONFIG_FILE)
+      );
+    });
+  });
+
+  describe("parseProjectConfig", () => {
+    it("uses defaults for an empty config", () => {
+      expect(parseProjectConfig({})).toEqual(emptyProjectConfig());
+    });
+    it("reads bots", () => {
+      expect(parseProjectConfig({bots: ["ci-bot", "deploy-bot"]})).toEqual({
+        ...emptyProjectConfig(),
+        bots: ["ci-bot", "deploy-bot"],
+      });
+    });
+    it("rejects a non-object", () => {
+      for (const json of [null, 1, "bots", ["ci-bot"]]) {
+        expect(() => parseProjectConfig(json)).toThrow(
+          "expected a JSON object"
+        );
+      }
+    });
+    it("rejects bots that are not an array of strings", () => {
+      for (const bots of ["ci-bot", [1], null]) {
+        expect(() => parseProjectConfig({bots})).toThrow(
+          "'bots' must be an array of strings"
+        );
+      }
+    });
+    it("reads whether to infer identities", () => {
+      expect(parseProjectConfig({}).inferIdentities).toBe(false);
+      expect(parseProjectConfig({inferIdentities: true}).inferIdentities).toBe(
+        true
+      );
+      expect(() => parseProjectConfig({inferIdentities: "yes"})).toThrow(
+        "'inferIdentities' must be a boolean"
+      );
+    });
+    describe("identities", () => {
+      const userlike = (subtype, login) =>
+        GithubNode.toRaw({type: GithubNode.USERLIKE_TYPE, subtype, login});
+      it("resolves GitHub aliases to both users and bots", () => {
+        const config = parseProjectConfig({
+          identities: [
+            {name: "alice", aliases: ["github/alice", "github/alice-work"]},
+          ],
+        });
+        expect(config.identities).toEqual([
+          {
+            name: "alice",
+            aliases: [
+              userlike(GithubNode.USER_SUBTYPE, "alice"),
+              userlike(GithubNode.BOT_SUBTYPE, "alice"),
+              userlike(GithubNode.USER_SUBTYPE, "alice-work"),
+              userlike(GithubNode.BOT_SUBTYPE, "alice-work"),
+            ],
+          },
+        ]);
+      });
+      it("resolves git aliases to authors by lowercased email", () => {
+        const config = parseProjectConfig({
+          identities: [{name: "alice", aliases: ["git/Alice@Example.com"]}],
+        });
+        expect(config.identities).toEqual([
+          {
+            name: "alice",
+            aliases: [
+              GitNode.toRaw({
+                type: GitNode.AUTHOR_TYPE,
+                email: "alice@example.com",
+              }),
+            ],
+          },
+        ]);
+      });
+      function expectError(identities, message) {
+        expect(() => parseProjectConfig({identities})).toThrow(message);
+      }
+      it("rejects a non-array", () => {
+        expectError({name: "alice"}, "'identities' must be an array");
+      });
+      it("rejects a non-object identity", () => {
+        expectError(["alice"], "identities[0] must be an object");
+      });
+      it("rejects a missing or empty name", () => {
+        expectError(
+          [{aliases: []}],
+          "identities[0]: 'name' must be a nonempty string"
+        );
+        expectError(
+          [{name: "", aliases: []}],
+          "identities[0]: 'name' must be a nonempty string"
+        );
+      });
+      it("rejects invalid aliases", () => {
+        expectError(
+          [{name: "alice", aliases: "github/alice"}],
+          "identities[0]: 'aliases' must be an array of strings"
+        );
+        expectError(
+          [{name: "alice", aliases: []}, {name: "bob", aliases: ["bob"]}],
+          `identities[1]: invalid alias "bob"; expected 'github/LOGIN' or 'git/EMAIL'`
+        );
+        expectError(
+          [{name: "bob", aliases: ["git/bob"]}],
+          `identities[0]: invalid alias "git/bob"`
+        );
+        expectError(
+          [{name: "bob", aliases: ["github/bob/extra"]}],
+          `identities[0]: invalid alias "github/bob/extra"`
+        );
+      });
+      it("rejects unknown keys", () => {
+        expectError(
+          [{name: "alice", aliases: [], email: "alice@example.com"}],
+          'identities[0]: unknown key: "email"'
+        );
+      });
+    });
+    it("rejects unknown keys", () => {
+      expect(() => parseProjectConfig({bots: [], bot: ["ci-bot"]})).toThrow(
+        'unknown key: "bot"'
+      );
+    });
+
+    describe("repositories and output", () => {
+      it("reads them", () => {
+        const config = parseProjectConfig({
+          repositories: ["foo/bar", "foo/baz"],
+          output: "foo/combined",
+        });
+        expect(config).toEqual({
+          ...emptyProjectConfig(),
+          repositories: [makeRepoId("foo", "bar"), makeRepoId("foo", "baz")],
+          output: makeRepoId("foo", "combined"),
+        });
+      });
+      it("rejects a non-array of repositories", () => {
+        expect(() => parseProjectConfig({repositories: "foo/bar"})).toThrow(
+          "'repositories' must be an array"
+        );
+      });
+      it("rejects invalid repository IDs", () => {
+        expect(() =>
+          parseProjectConfig({repositories: ["foo/bar", "foo"]})
+        ).toThrow("repositories[1]: Invalid repo string: foo");
+        expect(() => parseProjectConfig({repositories: [1]})).toThrow(
+          'repositories[0] must be a repository ID like "owner/name"'
+        );
+        expect(() => parseProjectConfig({output: "a/foo/bar/baz"})).toThrow(
+          "'output': Invalid repo string: a/foo/bar/baz"
+        );
+      });
+    });
+
+    describe("host", () => {
+      it("applies to repository IDs without a host", () => {
+        const config = parseProjectConfig({
+          repositories: ["foo/bar", "github.com/foo/baz"],
+          plugins: {git: {remotes: {"foo/bar": "/srv/git/bar.git"}}},
+          // Keys may come in any order.
+          host: "github.example.com",
+          output: "foo/combined",
+        });
+        expect(config.host).toEqual("github.example.com");
+        expect(config.repositories).toEqual([
+          makeRepoId("foo", "bar", "github.example.com"),
+          makeRepoId("foo", "baz"),
+        ]);
+        expect(config.output).toEqual(
+          makeRepoId("foo", "combined", "github.example.com")
+        );
+        expect(Array.from(config.git.remotes.keys())).toEqual([
+          "github.example.com/foo/bar",
+        ]);
+      });
+      it("rejects an invalid host", () => {
+        for (const host of ["", "https://github.example.com", 1]) {
+          expect(() => parseProjectConfig({host})).toThrow(
+            `'host' must be a host name like "github.example.com"`
+          );
+        }
+      });
+    });
+
+    describe("plugins", () => {
+      it("reads the enabled plugins with their options", () => {
+        const config = parseProjectConfig({
+          plugins: {
+            github: {},
+            git: {ref: "main", remotes: {"foo/bar": "/srv/git/bar.git"}},
+          },
+        });
+        expect(config).toEqual({
+          ...emptyProjectConfig(),
+          plugins: ["github", "git"],
+          git: {
+            ref: "main",
+            remotes: new Map([["foo/bar", "/srv/git/bar.git"]]),
+          },
+        });
+      });
+      it("reads the GitHub GraphQL URL", () => {
+        const config = parseProjectConfig({
+          plugins: {github: {graphqlUrl: "http://localhost:4000/graphql"}},
+        });
+        expect(config.github).toEqual({
+          graphqlUrl: "http://localhost:4000/graphql",
+          apiUrl: null,
+        });
+        expect(() =>
+          parseProjectConfig({plugins: {github: {graphqlUrl: "localhost"}}})
+        ).toThrow("plugins.github: 'graphqlUrl' must be an HTTP(S) URL");
+      });
+      it("reads the GitHub REST API URL", () => {
+        const config = parseProjectConfig({
+          plugins: {github: {apiUrl: "http://localhost:4000"}},
+        });
+        expect(config.github).toEqual({
+          graphqlUrl: null,
+          apiUrl: "http://localhost:4000",
+        });
+        expect(() =>
+          parseProjectConfig({plugins: {github: {apiUrl: "localhost"}}})
+        ).toThrow("plugins.github: 'apiUrl' must be an HTTP(S) URL");
+      });
+      it("may enable no plugins", () => {
+        expect(parseProjectConfig({plugins: {}}).plugins).toEqual([]);
+      });
+      it("rejects unknown plugins", () => {
+        expect(() => parseProjectConfig({plugins: {gitlab: {}}})).toThrow(
+          `'plugins': unknown plugin: "gitlab"`
+        );
+      });
+      it("rejects non-object options", () => {
+        expect(() => parseProjectConfig({plugins: ["git"]})).toThrow(
+          "'plugins' must be an object"
+        );
+        expect(() => parseProjectConfig({plugins: {git: true}})).toThrow(
+          "plugins.git must be an object of options"
+        );
+      });
+      it("rejects unknown options", () => {
+        expect(() =>
+          parseProjectConfig({plugins: {github: {token: "x"}}})
+        ).toThrow('plugins.github: unknown key: "token"');
+        expect(() =>
+          parseProjectConfig({plugins: {git: {branch: "x"}}})
+        ).toThrow('plugins.git: unknown key: "branch"');
+      });
+      it("rejects invalid Git options", () => {
+        const expectError = (git, message) => {
+          expect(() => parseProjectConfig({plugins: {git}})).toThrow(message);
+        };
+        expectError({ref: ""}, "plugins.git: 'ref' must be a nonempty string");
+        expectError(
+          {remotes: ["/srv/git/bar.git"]},
+          "plugins.git: 'remotes' must be an object mapping repository IDs"
+        );
+        expectError(
+          {remotes: {foo: "/srv/git/bar.git"}},
+          'plugins.git.remotes["foo"]: Invalid repo string: foo'
+        );
+        expectError(
+          {remotes: {"foo/bar": 1}},
+          'plugins.git.remotes["foo/bar"] must be a nonempty string'
+        );
+      });
+    });
+
+    describe("weights", () => {
+      it("reads the path", () => {
+        expect(parseProjectConfig({weights: "weights.json"}).weights).toEqual(
+          "weights.json"
+        );
+      });
+      it("rejects a non-string", () => {
+        for (const weights of ["", 1, {}]) {
+          expect(() => parseProjectConfig({weights})).toThrow(
+            "'weights' must be a nonempty string"
+          );
+        }
+      });
+    });
+  });
+
+  describe("loadProjectConfig", () => {
+    function writeConfig(contents: string): string {
+      const filename = path.join(tmp.dirSync().name, PROJECT_CONFIG_FILE);
+      fs.writeFileSync(filename, contents);
+      return filename;
+    }
+    it("loads a valid config", () => {
+      const filename = writeConfig('{"bots": ["ci-bot"]}');
+      expect(loadProjectConfig(filename)).toEqual({
+        ...emptyProjectConfig(),
+        bots: ["ci-bot"],
+      });
+    });
+    it("resolves the weights file against the config's directory", () => {
+      const filename = writeConfig('{"weights": "cred/weights.json"}');
+      expect(loadProjectConfig(filename).weights).toEqual(
+        path.join(path.dirname(filename), "cred", "weights.json")
+      );
+      const absolute = writeConfig('{"weights": "/srv/weights.json"}');
+      expect(loadProjectConfig(absolute).weights).toEqual("/srv/weights.json");
+    });
+    it("prefixes validation errors with the filename", () => {
+      const filename = writeConfig('{"bots": "ci-bot"}');
+      expect(() => loadProjectConfig(filename)).toThrow(
+        `${filename}: 'bots' must be an array of strings`
+      );
+    });
+    it("fails on invalid JSON", () => {
+      const filename = writeConfig("{bots: []}");
+      expect(() => loadProjectConfig(filename)).toThrow(
+        new RegExp("^" + filename + ": .*JSON")
+      );
+    });
+    it("fails on a missing file", () => {
+      const filename = path.join(tmp.dirSync().name, "nope.json");
+      expect(() => loadProjectConfig(filename)).toThrow(`${filename}: ENOENT`);
+    });
+  });
+
+  describe("readProjectConfig", () => {
+    it("reads the given file", () => {
+      const directory = tmp.dirSync().name;
+      const filename = path.join(directory, "project.json");
+      fs.writeFileSync(filename, '{"bots": ["ci-bot"]}');
+      expect(readProjectConfig(filename, directory).bots).toEqual(["ci-bot"]);
+    });
+    it("falls back to the file in the SourceCred directory", () => {
+      const directory = tmp.dirSync().name;
+      fs.writeFileSync(
+        defaultProjectConfigPath(directory),
+        '{"bots": ["ci-bot"]}'
+      );
+      expect(readProjectConfig(null, directory).bots).toEqual(["ci-bot"]);
+    });
+    it("gives an empty config if there is no file", () => {
+      const directory = tmp.dirSync().name;
+      expect(readProjectConfig(null, directory)).toEqual(emptyProjectConfig());
+    });
+    it("fails if the given file does not exist", () => {
+      const directory = tmp.dirSync().name;
+      const filename = path.join(directory, "project.json");
+      expect(() => readProjectConfig(filename, directory)).toThrow("ENOENT");
+    });
+  });
+});
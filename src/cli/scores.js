@@ -0,0 +1,567 @@
+// @flow
+// Implementation of `sourcecred scores`.
+
+import fs from "fs";
+import path from "path";
+
+import {
+  EdgeAddress,
+  Graph,
+  NodeAddress,
+  type EdgeAddressT,
+  type NodeAddressT,
+} from "../core/graph";
+import {
+  IDENTITY_PREFIX,
+  contractIdentities,
+  mergeIdentities,
+} from "../core/identity";
+import {pagerank} from "../core/attribution/pagerank";
+import {
+  type Interval,
+  intervalPagerank,
+} from "../core/attribution/intervalPagerank";
+import {
+  repoIdPathParts,
+  repoIdToString,
+  stringToRepoId,
+  type RepoId,
+} from "../core/repoId";
+import {
+  type WeightedTypes,
+  defaultWeightsForAdapterSet,
+  fromJSON as weightsFromJSON,
+} from "../app/credExplorer/weights/weights";
+import {DynamicAdapterSet} from "../app/adapters/adapterSet";
+import {weightsToEdgeEvaluator} from "../app/credExplorer/weights/weightsToEdgeEvaluator";
+import {
+  type WeightOverrides,
+  OVERRIDES_FILE,
+  emptyOverrides,
+  fromJSON as overridesFromJSON,
+} from "../app/credExplorer/weights/overrides";
+import {Prefix as GitPrefix} from "../plugins/git/nodes";
+import {Prefix as GithubPrefix} from "../plugins/github/nodes";
+import {emailIdentities} from "../plugins/github/emailIdentities";
+import {toCompat} from "../util/compat";
+import * as MapUtil from "../util/map";
+import * as NullUtil from "../util/null";
+import dedent from "../util/dedent";
+import type {Command} from "./command";
+import * as Common from "./common";
+import {loadDynamicAdapterSet} from "./loadDynamicAdapterSet";
+import {PROJECT_CONFIG_FILE, readProjectConfig} from "./projectConfig";
+
+const COMPAT_INFO = {type: "sourcecred/cli/scores", version: "0.1.0"};
+const INTERVAL_COMPAT_INFO = {
+  type: "sourcecred/cli/intervalScores",
+  version: "0.1.0",
+};
+
+const TOTAL_SCORE = 1000;
+
+export const DEFAULT_NODE_PREFIXES = [
+  GithubPrefix.user,
+  GitPrefix.author,
+  IDENTITY_PREFIX,
+];
+
+export type Format = "json" | "csv";
+
+export type ScoreRow = {|
+  +address: $ReadOnlyArray<string>,
+  +score: number,
+|};
+
+export type IntervalScoreRows = {|
+  // Start of the interval, in milliseconds since the Unix epoch.
+  +intervalStart: number,
+  +scores: ScoreRow[],
+|};
+
+function usage(print: (string) => void): void {
+  print(
+    dedent`\
+    usage: sourcecred scores REPO_ID
+                             [--format FORMAT]
+                             [--node-prefix PREFIX]
+                             [--limit N]
+                             [--interval week|month [--decay D]]
+                             [--weights FILE]
+                             [--config FILE]
+                             [--help]
+
+    Compute cred for a repository that has been loaded with
+    'sourcecred load', and print the scores, highest first.
+
+    Scores are computed with the default weights, as in the cred
+    explorer, unless a weights file is given. They are normalized to
+    sum to 1000 across all nodes that are printed (before applying
+    any limit).
+
+    If the project config declares identities, then all accounts of
+    each identity are merged into a single node before computing cred,
+    and that node is scored in their place. If it sets
+    "inferIdentities", then each Git author is also merged with the
+    GitHub account of the same email: the account credited with their
+    commits, or named by their GitHub noreply email.
+
+    If the repository's data directory contains a file named
+    '${OVERRIDES_FILE}', as exported from the cred explorer, then the
+    weights of the nodes and edges that it lists are multiplied as it
+    says.
+
+    Arguments:
+        REPO_ID
+            The repository whose data to use, in the form OWNER/NAME:
+            for example, torvalds/linux. This should match the REPO_ID
+            (or '--output') given to 'sourcecred load'.
+
+        --format FORMAT
+            Output format: either 'json' or 'csv'. Defaults to 'json'.
+
+        --node-prefix PREFIX
+            Only print scores for nodes whose addresses start with
+            this prefix, given as slash-separated address parts: for
+            example, sourcecred/github/USERLIKE/BOT. Defaults to
+            GitHub users, Git authors, and identities, namely:
+                ${formatAddress(GithubPrefix.user)}
+                ${formatAddress(GitPrefix.author)}
+                ${formatAddress(IDENTITY_PREFIX)}
+
+        --limit N
+            Print at most N scores. Defaults to printing all of them.
+            With '--interval', print at most N scores per interval.
+
+        --interval week|month
+            Print a series of scores, one per week or per calendar
+            month (in UTC), instead of all-time scores. The scores for
+            an interval are computed from the contributions created by
+            its end, and normalized separately. The JSON output is a
+            list of {intervalStart, scores}, with the start of each
+            interval in milliseconds since the Unix epoch; the CSV
+            output has an additional 'intervalStart' column, with the
+            start of each interval as an ISO 8601 date.
+
+        --decay D
+            With '--interval', scale the weight of each contribution
+            by (1 - D) for every interval of its age, so that recent
+            work counts for more. Must be at least 0 and less than 1.
+            Defaults to 0, for no decay.
+
+        --weights FILE
+            Use the weights in the given file, as exported from the
+            cred explorer's weight configuration. Types that the file
+            does not mention keep their default weights. Defaults to
+            the project config's "weights" file, if it has one.
+
+        --config FILE
+            Read project settings, including identities, from this JSON
+            file, as for 'sourcecred load'. If not specified, settings
+            are read from the file '${PROJECT_CONFIG_FILE}' in the
+            SourceCred directory, if it exists.
+
+        --help
+            Show this help message and exit, as 'sourcecred help scores'.
+
+    Environment variables:
+        SOURCECRED_DIRECTORY
+            Directory owned by SourceCred, in which data, caches,
+            registries, etc. are stored. Optional: defaults to a
+            directory 'sourcecred' under your OS's temporary directory;
+            namely:
+                ${Common.defaultSourcecredDirectory()}
+    `.trimRight()
+  );
+}
+
+function die(std, message) {
+  std.err("fatal: " + message);
+  std.err("fatal: run 'sourcecred help scores' for help");
+  return 1;
+}
+
+const scores: Command = async (args, std) => {
+  let repoId: RepoId | null = null;
+  let format: Format | null = null;
+  let nodePrefix: NodeAddressT | null = null;
+  let limit: number | null = null;
+  let weightsFile: string | null = null;
+  let configFile: string | null = null;
+  let interval: Interval | null = null;
+  let decay: number | null = null;
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--help": {
+        usage(std.out);
+        return 0;
+      }
+      case "--format": {
+        if (format != null) return die(std, "'--format' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--format' given without value");
+        const arg = args[i];
+        if (arg !== "json" && arg !== "csv")
+          return die(std, "unknown format: " + JSON.stringify(arg));
+        format = arg;
+        break;
+      }
+      case "--node-prefix": {
+        if (nodePrefix != null)
+          return die(std, "'--node-prefix' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--node-prefix' given without value");
+        nodePrefix = parseAddress(args[i]);
+        break;
+      }
+      case "--limit": {
+        if (limit != null) return die(std, "'--limit' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--limit' given without value");
+        const arg = args[i];
+        if (!/^[0-9]+$/.test(arg))
+          return die(std, "invalid limit: " + JSON.stringify(arg));
+        limit = Number(arg);
+        break;
+      }
+      case "--interval": {
+        if (interval != null)
+          return die(std, "'--interval' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--interval' given without value");
+        const arg = args[i];
+        if (arg === "week") {
+          interval = "WEEK";
+        } else if (arg === "month") {
+          interval = "MONTH";
+        } else {
+          return die(std, "unknown interval: " + JSON.stringify(arg));
+        }
+        break;
+      }
+      case "--decay": {
+        if (decay != null) return die(std, "'--decay' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--decay' given without value");
+        const arg = args[i];
+        const value = Number(arg);
+        if (!/^[0-9.]+$/.test(arg) || !(value >= 0 && value < 1))
+          return die(std, "invalid decay: " + JSON.stringify(arg));
+        decay = value;
+        break;
+      }
+      case "--weights": {
+        if (weightsFile != null)
+          return die(std, "'--weights' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--weights' given without value");
+        weightsFile = args[i];
+        break;
+      }
+      case "--config": {
+        if (configFile != null)
+          return die(std, "'--config' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--config' given without value");
+        configFile = args[i];
+        break;
+      }
+      default: {
+        if (repoId != null) return die(std, "multiple repositories provided");
+        repoId = stringToRepoId(args[i]);
+        break;
+      }
+    }
+  }
+  if (repoId == null) {
+    return die(std, "no repository ID provided");
+  }
+  if (decay != null && interval == null) {
+    return die(std, "'--decay' given without '--interval'");
+  }
+  let graphAndWeights;
+  try {
+    graphAndWeights = await loadGraphAndWeights(
+      repoId,
+      weightsFile,
+      configFile
+    );
+  } catch (e) {
+    return die(std, e.message);
+  }
+  const {
+    graph,
+    weights,
+    labelMultipliers,
+    overrides,
+    adapters,
+  } = graphAndWeights;
+  const prefixes = nodePrefix == null ? DEFAULT_NODE_PREFIXES : [nodePrefix];
+  const limitRows = (rows) => (limit == null ? rows : rows.slice(0, limit));
+  const outputFormat: Format = format == null ? "json" : format;
+  if (interval != null) {
+    const series = await computeIntervalScores(
+      graph,
+      weights,
+      labelMultipliers,
+      prefixes,
+      {
+        interval,
+        decay: NullUtil.orElse(decay, 0),
+        nodeTimestamp: (node) => adapters.createdAt(node),
+        overrides,
+      }
+    );
+    const limitedSeries = series.map(({intervalStart, scores}) => ({
+      intervalStart,
+      scores: limitRows(scores),
+    }));
+    switch (outputFormat) {
+      case "json":
+        std.out(JSON.stringify(toCompat(INTERVAL_COMPAT_INFO, limitedSeries)));
+        break;
+      case "csv":
+        std.out(formatIntervalCsv(limitedSeries));
+        break;
+      // istanbul ignore next
+      default:
+        throw new Error((outputFormat: empty));
+    }
+    return 0;
+  }
+  const limitedRows = limitRows(
+    await computeScores(graph, weights, labelMultipliers, prefixes, overrides)
+  );
+  switch (outputFormat) {
+    case "json":
+      std.out(JSON.stringify(toCompat(COMPAT_INFO, limitedRows)));
+      break;
+    case "csv":
+      std.out(formatCsv(limitedRows));
+      break;
+    // istanbul ignore next
+    default:
+      throw new Error((outputFormat: empty));
+  }
+  return 0;
+};
+
+/**
+ * Load the graph of a repository that has been loaded with `sourcecred
+ * load`, with identities contracted as the project config says, along
+ * with the weights from the given file (or else the project config's
+ * weights file, or else the default weights), the overrides from the
+ * repository's data directory (if any), and the plugin adapters.
+ * Throws an error whose message is fit for the user if anything is
+ * missing or invalid.
+ */
+export async function loadGraphAndWeights(
+  repoId: RepoId,
+  weightsFile: string | null,
+  configFile: string | null
+): Promise<{|
+  +graph: Graph,
+  +weights: WeightedTypes,
+  +labelMultipliers: Map<NodeAddressT, number>,
+  +overrides: WeightOverrides,
+  +adapters: DynamicAdapterSet,
+|}> {
+  const dataDirectory = path.join(
+    Common.sourcecredDirectory(),
+    "data",
+    ...repoIdPathParts(repoId)
+  );
+  if (!fs.existsSync(dataDirectory)) {
+    const repoIdString = repoIdToString(repoId);
+    throw new Error(
+      `no data for ${repoIdString}; run 'sourcecred load ${repoIdString}' first`
+    );
+  }
+
+  const config = readProjectConfig(configFile, Common.sourcecredDirectory());
+
+  let weightsJson = null;
+  const weightsPath = weightsFile != null ? weightsFile : config.weights;
+  if (weightsPath != null) {
+    try {
+      weightsJson = JSON.parse(fs.readFileSync(weightsPath).toString());
+    } catch (e) {
+      throw new Error(`could not read weights file: ${e.message}`);
+    }
+  }
+
+  let overrides = emptyOverrides();
+  const overridesFile = path.join(dataDirectory, OVERRIDES_FILE);
+  if (fs.existsSync(overridesFile)) {
+    let overridesJson;
+    try {
+      overridesJson = JSON.parse(fs.readFileSync(overridesFile).toString());
+    } catch (e) {
+      throw new Error(`could not read overrides file: ${e.message}`);
+    }
+    try {
+      overrides = overridesFromJSON(overridesJson);
+    } catch (e) {
+      throw new Error(`invalid overrides file: ${e.message}`);
+    }
+  }
+
+  const adapters = await loadDynamicAdapterSet(
+    Common.sourcecredDirectory(),
+    repoId
+  );
+  let weights: WeightedTypes;
+  if (weightsJson == null) {
+    weights = defaultWeightsForAdapterSet(adapters.static());
+  } else {
+    try {
+      weights = weightsFromJSON(weightsJson, adapters.static());
+    } catch (e) {
+      throw new Error(`invalid weights file: ${e.message}`);
+    }
+  }
+  let graph: Graph;
+  try {
+    const identities = config.inferIdentities
+      ? mergeIdentities(config.identities, emailIdentities(adapters.graph()))
+      : config.identities;
+    graph = contractIdentities(adapters.graph(), identities);
+  } catch (e) {
+    throw new Error(`invalid identities: ${e.message}`);
+  }
+  const labelMultipliers = adapters.labelMultipliers(weights.labels);
+  return {graph, weights, labelMultipliers, overrides, adapters};
+}
+
+/**
+ * Run PageRank on the given graph with the given weights, label
+ * multipliers (see `weightsToEdgeEvaluator`), and overrides, if any,
+ * and return
+ * the scores for nodes matching any of the given prefixes, highest
+ * first. The returned scores sum to 1000.
+ */
+export async function computeScores(
+  graph: Graph,
+  weights: WeightedTypes,
+  labelMultipliers: Map<NodeAddressT, number>,
+  nodePrefixes: $ReadOnlyArray<NodeAddressT>,
+  overrides?: WeightOverrides
+): Promise<ScoreRow[]> {
+  const matches = (node) =>
+    nodePrefixes.some((prefix) => NodeAddress.hasPrefix(node, prefix));
+  if (!Array.from(graph.nodes()).some(matches)) {
+    // No nodes to report, and nothing to normalize against.
+    return [];
+  }
+  const decomposition = await pagerank(
+    graph,
+    weightsToEdgeEvaluator(weights, labelMultipliers, overrides)
+  );
+  return normalizedRows(
+    MapUtil.mapValues(decomposition, (_, {score}) => score),
+    matches
+  );
+}
+
+/**
+ * Run interval PageRank (see `intervalPagerank`) on the given graph,
+ * and return the scores for each interval as `computeScores` does,
+ * normalized separately. Intervals in which no nodes match any of the
+ * given prefixes have no scores.
+ */
+export async function computeIntervalScores(
+  graph: Graph,
+  weights: WeightedTypes,
+  labelMultipliers: Map<NodeAddressT, number>,
+  nodePrefixes: $ReadOnlyArray<NodeAddressT>,
+  options: {|
+    +interval: Interval,
+    +decay: number,
+    +nodeTimestamp: (NodeAddressT) => number | null,
+    +overrides?: WeightOverrides,
+  |}
+): Promise<IntervalScoreRows[]> {
+  const matches = (node) =>
+    nodePrefixes.some((prefix) => NodeAddress.hasPrefix(node, prefix));
+  const series = await intervalPagerank(
+    graph,
+    weightsToEdgeEvaluator(weights, labelMultipliers, options.overrides),
+    options.nodeTimestamp,
+    {interval: options.interval, decay: options.decay}
+  );
+  return series.map(({intervalStart, scores}) => ({
+    intervalStart,
+    scores: normalizedRows(scores, matches),
+  }));
+}
+
+// The scores of the matching nodes, scaled to sum to 1000, highest
+// first.
+function normalizedRows(
+  scores: Map<NodeAddressT, number>,
+  matches: (NodeAddressT) => boolean
+): ScoreRow[] {
+  const selected = [];
+  let total = 0;
+  for (const [node, score] of scores.entries()) {
+    if (matches(node)) {
+      selected.push({node, score});
+      total += score;
+    }
+  }
+  const rows = selected.map(({node, score}) => ({
+    address: NodeAddress.toParts(node),
+    score: (score / total) * TOTAL_SCORE,
+  }));
+  rows.sort((a, b) => b.score - a.score);
+  return rows;
+}
+
+export function parseAddress(slashSeparated: string): NodeAddressT {
+  const parts = slashSeparated === "" ? [] : slashSeparated.split("/");
+  return NodeAddress.fromParts(parts);
+}
+
+export function parseEdgeAddress(slashSeparated: string): EdgeAddressT {
+  const parts = slashSeparated === "" ? [] : slashSeparated.split("/");
+  return EdgeAddress.fromParts(parts);
+}
+
+export function formatAddress(address: NodeAddressT): string {
+  return NodeAddress.toParts(address).join("/");
+}
+
+function csvField(x: string): string {
+  return /[",\r\n]/.test(x) ? `"${x.replace(/"/g, '""')}"` : x;
+}
+
+function formatCsv(rows: $ReadOnlyArray<ScoreRow>): string {
+  const lines = ["address,score"];
+  for (const {address, score} of rows) {
+    lines.push(`${csvField(address.join("/"))},${String(score)}`);
+  }
+  return lines.join("\n");
+}
+
+function formatIntervalCsv(series: $ReadOnlyArray<IntervalScoreRows>): string {
+  const lines = ["intervalStart,address,score"];
+  for (const {intervalStart, scores} of series) {
+    const start = new Date(intervalStart).toISOString();
+    for (const {address, score} of scores) {
+      lines.push(`${start},${csvField(address.join("/"))},${String(score)}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+export const help: Command = async (args, std) => {
+  if (args.length === 0) {
+    usage(std.out);
+    return 0;
+  } else {
+    usage(std.err);
+    return 1;
+  }
+};
+
+export default scores;
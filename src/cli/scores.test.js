@@ -0,0 +1,843 @@
+// @flow
+
+import fs from "fs";
+import path from "path";
+import tmp from "tmp";
+
+import {fromCompat} from "../util/compat";
+import * as NullUtil from "../util/null";
+import {NodeAddress} from "../core/graph";
+import {
+  dynamicAdapterSet,
+  factorioEdges,
+  factorioNodes,
+  inserterNodeType,
+  staticAdapterSet,
+} from "../app/adapters/demoAdapters";
+import {
+  defaultWeightsForAdapterSet,
+  setLabelWeight,
+  toJSON as weightsToJSON,
+} from "../app/credExplorer/weights/weights";
+import {
+  emptyOverrides,
+  setEdgeOverride,
+  setNodeOverride,
+  toJSON as overridesToJSON,
+} from "../app/credExplorer/weights/overrides";
+import {DynamicAdapterSet} from "../app/adapters/adapterSet";
+import {defaultStaticAdapters} from "../app/adapters/defaultPlugins";
+import {FallbackDynamicAdapter} from "../app/adapters/fallbackAdapter";
+import {DynamicPluginAdapter as GitAdapter} from "../plugins/git/pluginAdapter";
+import {createGraph as createGitGraph} from "../plugins/git/createGraph";
+import {DynamicPluginAdapter as GithubAdapter} from "../plugins/github/pluginAdapter";
+import {createGraph} from "../plugins/github/createGraph";
+import * as GithubEdge from "../plugins/github/edges";
+import * as GithubNode from "../plugins/github/nodes";
+import * as GitNode from "../plugins/git/nodes";
+import {
+  exampleLabeledView,
+  exampleRelationalView,
+} from "../plugins/github/example/example";
+import {run} from "./testUtil";
+import scores, {help} from "./scores";
+
+jest.mock("./loadDynamicAdapterSet", () => ({
+  loadDynamicAdapterSet: jest.fn(),
+}));
+
+type JestMockFn = $Call<typeof jest.fn>;
+const loadDynamicAdapterSet: JestMockFn = (require("./loadDynamicAdapterSet")
+  .loadDynamicAdapterSet: any);
+
+describe("cli/scores", () => {
+  let sourcecredDirectory;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sourcecredDirectory = tmp.dirSync().name;
+    process.env.SOURCECRED_DIRECTORY = sourcecredDirectory;
+    fs.mkdirSync(path.join(sourcecredDirectory, "data"));
+    fs.mkdirSync(path.join(sourcecredDirectory, "data", "foo"));
+    fs.mkdirSync(path.join(sourcecredDirectory, "data", "foo", "bar"));
+    loadDynamicAdapterSet.mockImplementation(() => dynamicAdapterSet());
+  });
+
+  const inserters = "factorio/inserter";
+  function parseJson(stdout) {
+    expect(stdout).toHaveLength(1);
+    return fromCompat(
+      {type: "sourcecred/cli/scores", version: "0.1.0"},
+      JSON.parse(stdout[0])
+    );
+  }
+
+  describe("'help' command", () => {
+    it("prints usage when given no arguments", async () => {
+      expect(await run(help, [])).toEqual({
+        exitCode: 0,
+        stdout: expect.arrayContaining([
+          expect.stringMatching(/^usage: sourcecred scores/),
+        ]),
+        stderr: [],
+      });
+    });
+    it("fails when given arguments", async () => {
+      expect(await run(help, ["foo/bar"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: expect.arrayContaining([
+          expect.stringMatching(/^usage: sourcecred scores/),
+        ]),
+      });
+    });
+  });
+
+  describe("'scores' command", () => {
+    it("prints usage with '--help'", async () => {
+      expect(await run(scores, ["--help"])).toEqual({
+        exitCode: 0,
+        stdout: expect.arrayContaining([
+          expect.stringMatching(/^usage: sourcecred scores/),
+        ]),
+        stderr: [],
+      });
+    });
+
+    it("prints scores as JSON, highest first", async () => {
+      const result = await run(scores, [
+        "foo/bar",
+        "--node-prefix",
+        "factorio",
+      ]);
+      expect(result.exitCode).toEqual(0);
+      expect(result.stderr).toEqual([]);
+      const rows = parseJson(result.stdout);
+      expect(rows.map((x) => x.address).sort()).toEqual([
+        ["factorio", "inserter", "1"],
+        ["factorio", "inserter", "2"],
+        ["factorio", "machine", "1"],
+        ["factorio", "machine", "2"],
+      ]);
+      const scoreValues = rows.map((x) => x.score);
+      expect(scoreValues).toEqual(scoreValues.slice().sort((a, b) => b - a));
+      const total = scoreValues.reduce((a, b) => a + b, 0);
+      expect(total).toBeCloseTo(1000, 6);
+    });
+
+    it("loads data from the SourceCred directory", async () => {
+      await run(scores, ["foo/bar", "--node-prefix", "factorio"]);
+      expect(loadDynamicAdapterSet).toHaveBeenCalledTimes(1);
+      expect(loadDynamicAdapterSet.mock.calls[0][0]).toEqual(
+        sourcecredDirectory
+      );
+      expect(loadDynamicAdapterSet.mock.calls[0][1]).toEqual({
+        owner: "foo",
+        name: "bar",
+      });
+    });
+
+    it("normalizes scores across nodes matching the prefix", async () => {
+      const result = await run(scores, ["foo/bar", "--node-prefix", inserters]);
+      const rows = parseJson(result.stdout);
+      expect(rows.map((x) => x.address.join("/")).sort()).toEqual([
+        "factorio/inserter/1",
+        "factorio/inserter/2",
+      ]);
+      const total = rows.map((x) => x.score).reduce((a, b) => a + b, 0);
+      expect(total).toBeCloseTo(1000, 6);
+    });
+
+    it("respects '--limit'", async () => {
+      const all = parseJson(
+        (await run(scores, ["foo/bar", "--node-prefix", "factorio"])).stdout
+      );
+      const limited = parseJson(
+        (await run(scores, [
+          "foo/bar",
+          "--node-prefix",
+          "factorio",
+          "--limit",
+          "2",
+        ])).stdout
+      );
+      expect(limited).toEqual(all.slice(0, 2));
+    });
+
+    it("prints scores as CSV", async () => {
+      const json = parseJson(
+        (await run(scores, ["foo/bar", "--node-prefix", inserters])).stdout
+      );
+      const result = await run(scores, [
+        "foo/bar",
+        "--node-prefix",
+        inserters,
+        "--format",
+        "csv",
+      ]);
+      expect(result).toEqual({
+        exitCode: 0,
+        stdout: [
+          [
+            "address,score",
+            ...json.map((x) => `${x.address.join("/")},${x.score}`),
+          ].join("\n"),
+        ],
+        stderr: [],
+      });
+    });
+
+    it("prints nothing when no nodes match the prefix", async () => {
+      expect(await run(scores, ["foo/bar"])).toEqual({
+        exitCode: 0,
+        stdout: ['[{"type":"sourcecred/cli/scores","version":"0.1.0"},[]]'],
+        stderr: [],
+      });
+    });
+
+    it("uses the empty prefix to select all nodes", async () => {
+      const rows = parseJson(
+        (await run(scores, ["foo/bar", "--node-prefix", ""])).stdout
+      );
+      const graph = (await dynamicAdapterSet()).graph();
+      expect(rows).toHaveLength(Array.from(graph.nodes()).length);
+    });
+
+    it("fails when no repository is given", async () => {
+      expect(await run(scores, [])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          "fatal: no repository ID provided",
+          "fatal: run 'sourcecred help scores' for help",
+        ],
+      });
+    });
+
+    it("fails when multiple repositories are given", async () => {
+      expect(await run(scores, ["foo/bar", "foo/baz"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          "fatal: multiple repositories provided",
+          "fatal: run 'sourcecred help scores' for help",
+        ],
+      });
+    });
+
+    it("fails when the repository has not been loaded", async () => {
+      expect(await run(scores, ["foo/baz"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          "fatal: no data for foo/baz; run 'sourcecred load foo/baz' first",
+          "fatal: run 'sourcecred help scores' for help",
+        ],
+      });
+      expect(loadDynamicAdapterSet).not.toHaveBeenCalled();
+    });
+
+    it("does not read the data of github.com for another host", async () => {
+      const repo = "github.example.com/foo/bar";
+      expect(await run(scores, [repo])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          `fatal: no data for ${repo}; run 'sourcecred load ${repo}' first`,
+          "fatal: run 'sourcecred help scores' for help",
+        ],
+      });
+      expect(loadDynamicAdapterSet).not.toHaveBeenCalled();
+    });
+
+    it("fails for an unknown format", async () => {
+      expect(await run(scores, ["foo/bar", "--format", "xml"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          'fatal: unknown format: "xml"',
+          "fatal: run 'sourcecred help scores' for help",
+        ],
+      });
+    });
+
+    it("fails for an invalid limit", async () => {
+      expect(await run(scores, ["foo/bar", "--limit", "-1"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          'fatal: invalid limit: "-1"',
+          "fatal: run 'sourcecred help scores' for help",
+        ],
+      });
+    });
+
+    describe("with '--weights'", () => {
+      function writeWeights(contents: string): string {
+        const file = tmp.fileSync().name;
+        fs.writeFileSync(file, contents);
+        return file;
+      }
+      async function inserterTotal(args) {
+        const result = await run(scores, [
+          "foo/bar",
+          "--node-prefix",
+          "factorio",
+          ...args,
+        ]);
+        expect(result.stderr).toEqual([]);
+        return parseJson(result.stdout)
+          .filter((x) => x.address[1] === "inserter")
+          .map((x) => x.score)
+          .reduce((a, b) => a + b, 0);
+      }
+
+      it("uses the weights from the file", async () => {
+        const weights = defaultWeightsForAdapterSet(staticAdapterSet());
+        weights.nodes.set(inserterNodeType.prefix, {
+          type: inserterNodeType,
+          weight: 100,
+        });
+        const file = writeWeights(JSON.stringify(weightsToJSON(weights)));
+        const defaultTotal = await inserterTotal([]);
+        const weightedTotal = await inserterTotal(["--weights", file]);
+        expect(weightedTotal).toBeGreaterThan(defaultTotal);
+      });
+
+      it("uses the project config's weights file by default", async () => {
+        const weights = defaultWeightsForAdapterSet(staticAdapterSet());
+        weights.nodes.set(inserterNodeType.prefix, {
+          type: inserterNodeType,
+          weight: 100,
+        });
+        const configDirectory = tmp.dirSync().name;
+        fs.writeFileSync(
+          path.join(configDirectory, "weights.json"),
+          JSON.stringify(weightsToJSON(weights))
+        );
+        const configFile = path.join(configDirectory, "project.json");
+        fs.writeFileSync(configFile, JSON.stringify({weights: "weights.json"}));
+        const configTotal = await inserterTotal(["--config", configFile]);
+        expect(configTotal).toBeGreaterThan(await inserterTotal([]));
+        const defaultsFile = writeWeights(
+          JSON.stringify(
+            weightsToJSON(defaultWeightsForAdapterSet(staticAdapterSet()))
+          )
+        );
+        // An explicit '--weights' takes precedence.
+        expect(
+          await inserterTotal([
+            "--config",
+            configFile,
+            "--weights",
+            defaultsFile,
+          ])
+        ).toBeCloseTo(await inserterTotal([]), 6);
+      });
+
+      it("gives the same scores for a file with default weights", async () => {
+        const weights = defaultWeightsForAdapterSet(staticAdapterSet());
+        const file = writeWeights(JSON.stringify(weightsToJSON(weights)));
+        expect(await inserterTotal(["--weights", file])).toBeCloseTo(
+          await inserterTotal([]),
+          6
+        );
+      });
+
+      it("fails when the file does not exist", async () => {
+        const file = path.join(sourcecredDirectory, "nonexistent.json");
+        const result = await run(scores, ["foo/bar", "--weights", file]);
+        expect(result.exitCode).toEqual(1);
+        expect(result.stdout).toEqual([]);
+        expect(result.stderr).toEqual([
+          expect.stringMatching(/^fatal: could not read weights file: ENOENT/),
+          "fatal: run 'sourcecred help scores' for help",
+        ]);
+        expect(loadDynamicAdapterSet).not.toHaveBeenCalled();
+      });
+
+      it("fails when the file is not JSON", async () => {
+        const file = writeWeights("not json");
+        const result = await run(scores, ["foo/bar", "--weights", file]);
+        expect(result.exitCode).toEqual(1);
+        expect(result.stderr).toEqual([
+          expect.stringMatching(/^fatal: could not read weights file: .*JSON/),
+          "fatal: run 'sourcecred help scores' for help",
+        ]);
+      });
+
+      it("fails when the file has invalid weights", async () => {
+        const json: any = weightsToJSON(
+          defaultWeightsForAdapterSet(staticAdapterSet())
+        );
+        json[1].nodes[inserterNodeType.prefix] = -1;
+        const file = writeWeights(JSON.stringify(json));
+        expect(await run(scores, ["foo/bar", "--weights", file])).toEqual({
+          exitCode: 1,
+          stdout: [],
+          stderr: [
+            "fatal: invalid weights file: Invalid weight: -1",
+            "fatal: run 'sourcecred help scores' for help",
+          ],
+        });
+      });
+    });
+
+    describe("with overrides", () => {
+      function writeOverrides(contents: string) {
+        fs.writeFileSync(
+          path.join(
+            sourcecredDirectory,
+            "data",
+            "foo",
+            "bar",
+            "overrides.json"
+          ),
+          contents
+        );
+      }
+      async function scoreOf(node) {
+        const result = await run(scores, [
+          "foo/bar",
+          "--node-prefix",
+          "factorio",
+        ]);
+        expect(result.stderr).toEqual([]);
+        const row = parseJson(result.stdout).find(
+          (x) => x.address.join("/") === NodeAddress.toParts(node).join("/")
+        );
+        return NullUtil.get(row).score;
+      }
+
+      it("multiplies node weights by the overrides", async () => {
+        const node = factorioNodes.inserter1;
+        const defaultScore = await scoreOf(node);
+        writeOverrides(
+          JSON.stringify(
+            overridesToJSON(setNodeOverride(emptyOverrides(), node, 10))
+          )
+        );
+        expect(await scoreOf(node)).toBeGreaterThan(defaultScore);
+      });
+
+      it("multiplies edge weights by the overrides", async () => {
+        const node = factorioNodes.machine1;
+        const defaultScore = await scoreOf(node);
+        writeOverrides(
+          JSON.stringify(
+            overridesToJSON(
+              setEdgeOverride(
+                emptyOverrides(),
+                factorioEdges.transports1.address,
+                0
+              )
+            )
+          )
+        );
+        expect(await scoreOf(node)).not.toBeCloseTo(defaultScore, 2);
+      });
+
+      it("fails when the file is not JSON", async () => {
+        writeOverrides("not json");
+        const result = await run(scores, ["foo/bar"]);
+        expect(result.exitCode).toEqual(1);
+        expect(result.stderr).toEqual([
+          expect.stringMatching(
+            /^fatal: could not read overrides file: .*JSON/
+          ),
+          "fatal: run 'sourcecred help scores' for help",
+        ]);
+        expect(loadDynamicAdapterSet).not.toHaveBeenCalled();
+      });
+
+      it("fails when the file has an invalid multiplier", async () => {
+        const json: any = overridesToJSON(
+          setNodeOverride(emptyOverrides(), factorioNodes.inserter1, 10)
+        );
+        json[1].nodes[0].multiplier = -1;
+        writeOverrides(JSON.stringify(json));
+        expect(await run(scores, ["foo/bar"])).toEqual({
+          exitCode: 1,
+          stdout: [],
+          stderr: [
+            "fatal: invalid overrides file: Invalid multiplier: -1",
+            "fatal: run 'sourcecred help scores' for help",
+          ],
+        });
+      });
+    });
+
+    describe("with identities", () => {
+      function exampleAdapterSet() {
+        const view = exampleRelationalView();
+        const repository = require("../plugins/git/example/example-git.json");
+        const gitGateway = {
+          commitUrl: () => {
+            throw new Error("unused");
+          },
+        };
+        return new DynamicAdapterSet(defaultStaticAdapters(), [
+          new FallbackDynamicAdapter(),
+          new GitAdapter(gitGateway, createGitGraph(repository), repository),
+          new GithubAdapter(view, createGraph(view)),
+        ]);
+      }
+      function writeConfig(config): string {
+        const file = path.join(tmp.dirSync().name, "sourcecred.json");
+        fs.writeFileSync(file, JSON.stringify(config));
+        return file;
+      }
+      const identities = [
+        {name: "wchargin", aliases: ["github/wchargin", "github/credbot"]},
+      ];
+      async function scoresByAddress(args) {
+        loadDynamicAdapterSet.mockImplementation(() => exampleAdapterSet());
+        const result = await run(scores, ["foo/bar", ...args]);
+        expect(result.stderr).toEqual([]);
+        expect(result.exitCode).toEqual(0);
+        const byAddress = new Map();
+        for (const {address, score} of parseJson(result.stdout)) {
+          byAddress.set(address.join("/"), score);
+        }
+        return byAddress;
+      }
+
+      it("scores users by default when there are no identities", async () => {
+        const result = await scoresByAddress([]);
+        expect(result.has("sourcecred/github/USERLIKE/USER/wchargin")).toBe(
+          true
+        );
+        expect(result.has("sourcecred/git/AUTHOR/nobody@example.com")).toBe(
+          true
+        );
+        const total = Array.from(result.values()).reduce((a, b) => a + b, 0);
+        expect(total).toBeCloseTo(1000, 6);
+      });
+
+      it("merges aliases into one identity", async () => {
+        const before = await scoresByAddress([]);
+        const file = writeConfig({identities});
+        const after = await scoresByAddress(["--config", file]);
+        expect(after.has("sourcecred/github/USERLIKE/USER/wchargin")).toBe(
+          false
+        );
+        const identityScore = NullUtil.get(
+          after.get("sourcecred/identity/wchargin")
+        );
+        expect(identityScore).toBeGreaterThan(
+          NullUtil.get(before.get("sourcecred/github/USERLIKE/USER/wchargin"))
+        );
+        const total = Array.from(after.values()).reduce((a, b) => a + b, 0);
+        expect(total).toBeCloseTo(1000, 6);
+      });
+
+      it("merges git authors into an identity", async () => {
+        const file = writeConfig({
+          identities: [{name: "runner", aliases: ["git/Nobody@Example.com"]}],
+        });
+        const result = await scoresByAddress(["--config", file]);
+        expect(result.has("sourcecred/git/AUTHOR/nobody@example.com")).toBe(
+          false
+        );
+        expect(result.has("sourcecred/identity/runner")).toBe(true);
+      });
+
+      it("infers identities by email when asked", async () => {
+        // Credit a commit of the example Git repository to wchargin on
+        // GitHub, so that its author's email is matched to wchargin.
+        const adapters = exampleAdapterSet();
+        const graph = adapters.graph();
+        const commit = GitNode.fromRaw(
+          (NullUtil.get(
+            Array.from(graph.nodes({prefix: GitNode.Prefix.commit}))[0]
+          ): any)
+        );
+        if (commit.type !== GitNode.COMMIT_TYPE) {
+          throw new Error(commit.type);
+        }
+        const wchargin = {
+          type: GithubNode.USERLIKE_TYPE,
+          subtype: GithubNode.USER_SUBTYPE,
+          login: "wchargin",
+        };
+        graph.addEdge(GithubEdge.createEdge.authors(wchargin, commit));
+        jest.spyOn(adapters, "graph").mockReturnValue(graph);
+        loadDynamicAdapterSet.mockImplementation(async () => adapters);
+        const file = writeConfig({identities, inferIdentities: true});
+        const result = await run(scores, ["foo/bar", "--config", file]);
+        expect(result.stderr).toEqual([]);
+        const addresses = parseJson(result.stdout).map((x) =>
+          x.address.join("/")
+        );
+        expect(addresses).toContain("sourcecred/identity/wchargin");
+        expect(addresses).not.toContain(
+          "sourcecred/git/AUTHOR/nobody@example.com"
+        );
+      });
+
+      it("reads identities from the SourceCred directory", async () => {
+        fs.writeFileSync(
+          path.join(sourcecredDirectory, "sourcecred.json"),
+          JSON.stringify({identities})
+        );
+        const result = await scoresByAddress([]);
+        expect(result.has("sourcecred/identity/wchargin")).toBe(true);
+      });
+
+      it("fails on an invalid config", async () => {
+        const file = writeConfig({identities: [{name: "x", aliases: ["y"]}]});
+        expect(await run(scores, ["foo/bar", "--config", file])).toEqual({
+          exitCode: 1,
+          stdout: [],
+          stderr: [
+            `fatal: ${file}: identities[0]: invalid alias "y"; ` +
+              "expected 'github/LOGIN' or 'git/EMAIL'",
+            "fatal: run 'sourcecred help scores' for help",
+          ],
+        });
+        expect(loadDynamicAdapterSet).not.toHaveBeenCalled();
+      });
+
+      it("fails when identities share an alias", async () => {
+        const file = writeConfig({
+          identities: [
+            {name: "a", aliases: ["github/wchargin"]},
+            {name: "b", aliases: ["github/wchargin"]},
+          ],
+        });
+        const result = await run(scores, ["foo/bar", "--config", file]);
+        expect(result.exitCode).toEqual(1);
+        expect(result.stderr).toEqual([
+          expect.stringMatching(/^fatal: invalid identities: .*contracted/),
+          "fatal: run 'sourcecred help scores' for help",
+        ]);
+      });
+    });
+
+    describe("with label multipliers", () => {
+      async function userScores(args) {
+        loadDynamicAdapterSet.mockImplementation(async () => {
+          const view = exampleLabeledView();
+          return new DynamicAdapterSet(defaultStaticAdapters(), [
+            new FallbackDynamicAdapter(),
+            new GithubAdapter(view, createGraph(view)),
+          ]);
+        });
+        const result = await run(scores, ["foo/bar", ...args]);
+        expect(result.stderr).toEqual([]);
+        expect(result.exitCode).toEqual(0);
+        return new Map(
+          parseJson(result.stdout).map((x) => [x.address.join("/"), x.score])
+        );
+      }
+      function writeLabelWeights(label: string, weight: number): string {
+        const weights = setLabelWeight(
+          defaultWeightsForAdapterSet(defaultStaticAdapters()),
+          label,
+          weight
+        );
+        const file = tmp.fileSync().name;
+        fs.writeFileSync(file, JSON.stringify(weightsToJSON(weights)));
+        return file;
+      }
+
+      it("scales the weights of labeled issues and pulls", async () => {
+        const defaults = await userScores([]);
+        const file = writeLabelWeights("Bounty", 100);
+        const weighted = await userScores(["--weights", file]);
+        expect(Array.from(weighted.keys())).toEqual(
+          Array.from(defaults.keys())
+        );
+        expect(
+          Array.from(weighted.keys()).some(
+            (user) =>
+              Math.abs(
+                NullUtil.get(weighted.get(user)) -
+                  NullUtil.get(defaults.get(user))
+              ) > 1e-3
+          )
+        ).toBe(true);
+      });
+
+      it("ignores multipliers of labels that no one uses", async () => {
+        const defaults = await userScores([]);
+        const file = writeLabelWeights("wontfix", 100);
+        const weighted = await userScores(["--weights", file]);
+        for (const [user, score] of defaults.entries()) {
+          expect(NullUtil.get(weighted.get(user))).toBeCloseTo(score, 6);
+        }
+      });
+    });
+
+    describe("with '--interval'", () => {
+      // The second inserter is created in March 2018, and everything
+      // else in January.
+      function timestamp(node) {
+        if (node === factorioNodes.inserter2) {
+          return Date.UTC(2018, 2, 3);
+        }
+        return node === factorioNodes.machine1
+          ? Date.UTC(2018, 0, 15)
+          : Date.UTC(2018, 0, 20);
+      }
+      beforeEach(() => {
+        loadDynamicAdapterSet.mockImplementation(async () => {
+          const adapters = await dynamicAdapterSet();
+          jest.spyOn(adapters, "createdAt").mockImplementation(timestamp);
+          return adapters;
+        });
+      });
+      function parseSeries(stdout) {
+        expect(stdout).toHaveLength(1);
+        return fromCompat(
+          {type: "sourcecred/cli/intervalScores", version: "0.1.0"},
+          JSON.parse(stdout[0])
+        );
+      }
+      const run_ = (...extraArgs) =>
+        run(scores, ["foo/bar", "--node-prefix", "factorio", ...extraArgs]);
+
+      it("prints a monthly series of scores", async () => {
+        const result = await run_("--interval", "month");
+        expect(result.stderr).toEqual([]);
+        expect(result.exitCode).toEqual(0);
+        const series = parseSeries(result.stdout);
+        expect(series.map((x) => x.intervalStart)).toEqual([
+          Date.UTC(2018, 0, 1),
+          Date.UTC(2018, 1, 1),
+          Date.UTC(2018, 2, 1),
+        ]);
+        const addresses = (rows) => rows.map((x) => x.address.join("/"));
+        expect(addresses(series[0].scores).sort()).toEqual([
+          "factorio/inserter/1",
+          "factorio/machine/1",
+          "factorio/machine/2",
+        ]);
+        expect(addresses(series[2].scores)).toHaveLength(4);
+        for (const {scores} of series) {
+          const total = scores.map((x) => x.score).reduce((a, b) => a + b, 0);
+          expect(total).toBeCloseTo(1000, 6);
+        }
+      });
+      it("prints a weekly series of scores", async () => {
+        const series = parseSeries((await run_("--interval", "week")).stdout);
+        // The weeks from mid-January to early March.
+        expect(series).toHaveLength(8);
+        for (const {intervalStart} of series) {
+          expect(new Date(intervalStart).getUTCDay()).toEqual(4);
+        }
+      });
+      it("favors recent contributions with '--decay'", async () => {
+        const newShare = async (...args) => {
+          const series = parseSeries((await run_(...args)).stdout);
+          const last = series[series.length - 1].scores;
+          const row = last.find(
+            (x) => x.address.join("/") === inserters + "/2"
+          );
+          return NullUtil.get(row).score;
+        };
+        const plain = await newShare("--interval", "month");
+        const decayed = await newShare("--interval", "month", "--decay", "0.5");
+        expect(decayed).toBeGreaterThan(plain);
+      });
+      it("limits the scores of each interval", async () => {
+        const series = parseSeries(
+          (await run_("--interval", "month", "--limit", "1")).stdout
+        );
+        expect(series.map((x) => x.scores.length)).toEqual([1, 1, 1]);
+      });
+      it("prints the series as CSV", async () => {
+        const series = parseSeries((await run_("--interval", "month")).stdout);
+        const result = await run_("--interval", "month", "--format", "csv");
+        expect(result.exitCode).toEqual(0);
+        const lines = result.stdout[0].split("\n");
+        expect(lines[0]).toEqual("intervalStart,address,score");
+        expect(lines[1]).toEqual(
+          [
+            "2018-01-01T00:00:00.000Z",
+            series[0].scores[0].address.join("/"),
+            series[0].scores[0].score,
+          ].join(",")
+        );
+        expect(lines).toHaveLength(
+          1 + series.map((x) => x.scores.length).reduce((a, b) => a + b, 0)
+        );
+      });
+      it("prints an empty series if nothing has a timestamp", async () => {
+        loadDynamicAdapterSet.mockImplementation(() => dynamicAdapterSet());
+        expect(await run_("--interval", "week")).toEqual({
+          exitCode: 0,
+          stdout: [
+            '[{"type":"sourcecred/cli/intervalScores","version":"0.1.0"},[]]',
+          ],
+          stderr: [],
+        });
+      });
+      it("fails for an unknown interval", async () => {
+        expect(await run_("--interval", "day")).toEqual({
+          exitCode: 1,
+          stdout: [],
+          stderr: [
+            'fatal: unknown interval: "day"',
+            "fatal: run 'sourcecred help scores' for help",
+          ],
+        });
+      });
+      it("fails for an invalid decay", async () => {
+        for (const decay of ["1", "-0.5", "x"]) {
+          expect(await run_("--interval", "week", "--decay", decay)).toEqual({
+            exitCode: 1,
+            stdout: [],
+            stderr: [
+              `fatal: invalid decay: ${JSON.stringify(decay)}`,
+              "fatal: run 'sourcecred help scores' for help",
+            ],
+          });
+        }
+      });
+      it("fails for '--decay' without '--interval'", async () => {
+        expect(await run_("--decay", "0.5")).toEqual({
+          exitCode: 1,
+          stdout: [],
+          stderr: [
+            "fatal: '--decay' given without '--interval'",
+            "fatal: run 'sourcecred help scores' for help",
+          ],
+        });
+      });
+    });
+
+    for (const flag of [
+      "--format",
+      "--node-prefix",
+      "--limit",
+      "--interval",
+      "--decay",
+      "--weights",
+      "--config",
+    ]) {
+      it(`fails when '${flag}' is given without a value`, async () => {
+        expect(await run(scores, ["foo/bar", flag])).toEqual({
+          exitCode: 1,
+          stdout: [],
+          stderr: [
+            `fatal: '${flag}' given without value`,
+            "fatal: run 'sourcecred help scores' for help",
+          ],
+        });
+      });
+    }
+
+    it("fails when a flag is given multiple times", async () => {
+      expect(
+        await run(scores, ["foo/bar", "--limit", "1", "--limit", "2"])
+      ).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          "fatal: '--limit' given multiple times",
+          "fatal: run 'sourcecred help scores' for help",
+        ],
+      });
+    });
+  });
+});
@@ -0,0 +1,311 @@
+// @flow
+// Implementation of `sourcecred sensitivity`.
+
+import {EdgeAddress, NodeAddress, type NodeAddressT} from "../core/graph";
+import {stringToRepoId, type RepoId} from "../core/repoId";
+import {
+  type SensitivityReport,
+  type WeightKey,
+  weightSensitivity,
+} from "../app/credExplorer/weights/sensitivity";
+import {OVERRIDES_FILE} from "../app/credExplorer/weights/overrides";
+import {toCompat} from "../util/compat";
+import dedent from "../util/dedent";
+import type {Command} from "./command";
+import * as Common from "./common";
+import {PROJECT_CONFIG_FILE} from "./projectConfig";
+import {
+  DEFAULT_NODE_PREFIXES,
+  formatAddress,
+  loadGraphAndWeights,
+  parseAddress,
+} from "./scores";
+
+const COMPAT_INFO = {type: "sourcecred/cli/sensitivity", version: "0.1.0"};
+
+const DEFAULT_TOP = 10;
+const DEFAULT_FACTOR = 2;
+
+export type Format = "text" | "json";
+
+function usage(print: (string) => void): void {
+  print(
+    dedent`\
+    usage: sourcecred sensitivity REPO_ID
+                                  [--format FORMAT]
+                                  [--node-prefix PREFIX]
+                                  [--top N]
+                                  [--factor FACTOR]
+                                  [--weights FILE]
+                                  [--config FILE]
+                                  [--help]
+
+    Find which weights matter for the cred of a repository that has
+    been loaded with 'sourcecred load'.
+
+    Cred is computed once with the given weights, and then once more
+    for each weight (of each node type, and each direction of each
+    edge type) with only that weight multiplied by a factor. For each
+    weight, the changes in the scores of the top nodes are reported,
+    along with how many of them changed rank. Weights are listed with
+    the ones that change the top scores most first.
+
+    Scores are shares of the cred of all nodes that match the node
+    prefix, so they sum to 1 across those nodes.
+
+    As for 'sourcecred scores', overrides in the file
+    '${OVERRIDES_FILE}' in the repository's data directory apply to
+    every run.
+
+    Arguments:
+        REPO_ID
+            The repository whose data to use, in the form OWNER/NAME:
+            for example, torvalds/linux. This should match the REPO_ID
+            (or '--output') given to 'sourcecred load'.
+
+        --format FORMAT
+            Output format: either 'text', a report for reading, or
+            'json'. Defaults to 'text'.
+
+        --node-prefix PREFIX
+            Analyze the scores of nodes whose addresses start with
+            this prefix, given as slash-separated address parts. As
+            for 'sourcecred scores', defaults to GitHub users, Git
+            authors, and identities.
+
+        --top N
+            Report the score changes of the N highest-scoring nodes.
+            Defaults to ${String(DEFAULT_TOP)}.
+
+        --factor FACTOR
+            Multiply each weight by this positive number. Defaults to
+            ${String(DEFAULT_FACTOR)}: one step of a weight slider in the cred
+            explorer.
+
+        --weights FILE
+            Start from the weights in the given file, as exported from
+            the cred explorer's weight configuration. Types that the
+            file does not mention keep their default weights. Defaults
+            to the project config's "weights" file, if it has one.
+
+        --config FILE
+            Read project settings, including identities, from this JSON
+            file, as for 'sourcecred load'. If not specified, settings
+            are read from the file '${PROJECT_CONFIG_FILE}' in the
+            SourceCred directory, if it exists.
+
+        --help
+            Show this help message and exit, as 'sourcecred help
+            sensitivity'.
+
+    Environment variables:
+        SOURCECRED_DIRECTORY
+            Directory owned by SourceCred, in which data, caches,
+            registries, etc. are stored. Optional: defaults to a
+            directory 'sourcecred' under your OS's temporary directory;
+            namely:
+                ${Common.defaultSourcecredDirectory()}
+    `.trimRight()
+  );
+}
+
+function die(std, message) {
+  std.err("fatal: " + message);
+  std.err("fatal: run 'sourcecred help sensitivity' for help");
+  return 1;
+}
+
+const sensitivity: Command = async (args, std) => {
+  let repoId: RepoId | null = null;
+  let format: Format | null = null;
+  let nodePrefix: NodeAddressT | null = null;
+  let top: number | null = null;
+  let factor: number | null = null;
+  let weightsFile: string | null = null;
+  let configFile: string | null = null;
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case "--help": {
+        usage(std.out);
+        return 0;
+      }
+      case "--format": {
+        if (format != null) return die(std, "'--format' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--format' given without value");
+        const arg = args[i];
+        if (arg !== "text" && arg !== "json")
+          return die(std, "unknown format: " + JSON.stringify(arg));
+        format = arg;
+        break;
+      }
+      case "--node-prefix": {
+        if (nodePrefix != null)
+          return die(std, "'--node-prefix' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--node-prefix' given without value");
+        nodePrefix = parseAddress(args[i]);
+        break;
+      }
+      case "--top": {
+        if (top != null) return die(std, "'--top' given multiple times");
+        if (++i >= args.length) return die(std, "'--top' given without value");
+        const arg = args[i];
+        if (!/^[0-9]+$/.test(arg))
+          return die(std, "invalid top: " + JSON.stringify(arg));
+        top = Number(arg);
+        break;
+      }
+      case "--factor": {
+        if (factor != null) return die(std, "'--factor' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--factor' given without value");
+        const arg = args[i];
+        const value = Number(arg);
+        if (arg.trim() === "" || !(value > 0) || !isFinite(value))
+          return die(std, "invalid factor: " + JSON.stringify(arg));
+        factor = value;
+        break;
+      }
+      case "--weights": {
+        if (weightsFile != null)
+          return die(std, "'--weights' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--weights' given without value");
+        weightsFile = args[i];
+        break;
+      }
+      case "--config": {
+        if (configFile != null)
+          return die(std, "'--config' given multiple times");
+        if (++i >= args.length)
+          return die(std, "'--config' given without value");
+        configFile = args[i];
+        break;
+      }
+      default: {
+        if (repoId != null) return die(std, "multiple repositories provided");
+        repoId = stringToRepoId(args[i]);
+        break;
+      }
+    }
+  }
+  if (repoId == null) {
+    return die(std, "no repository ID provided");
+  }
+  let graphAndWeights;
+  try {
+    graphAndWeights = await loadGraphAndWeights(
+      repoId,
+      weightsFile,
+      configFile
+    );
+  } catch (e) {
+    return die(std, e.message);
+  }
+  const {graph, weights, labelMultipliers, overrides} = graphAndWeights;
+  const report = await weightSensitivity(graph, weights, labelMultipliers, {
+    nodePrefixes: nodePrefix == null ? DEFAULT_NODE_PREFIXES : [nodePrefix],
+    topNodes: top == null ? DEFAULT_TOP : top,
+    factor: factor == null ? DEFAULT_FACTOR : factor,
+    overrides,
+  });
+  const outputFormat: Format = format == null ? "text" : format;
+  switch (outputFormat) {
+    case "text":
+      std.out(formatText(report));
+      break;
+    case "json":
+      std.out(JSON.stringify(toCompat(COMPAT_INFO, reportToJSON(report))));
+      break;
+    // istanbul ignore next
+    default:
+      throw new Error((outputFormat: empty));
+  }
+  return 0;
+};
+
+function formatWeightKey(key: WeightKey): string {
+  switch (key.type) {
+    case "NODE":
+      return NodeAddress.toParts(key.prefix).join("/");
+    case "EDGE_FORWARD":
+      return EdgeAddress.toParts(key.prefix).join("/") + " (forward)";
+    case "EDGE_BACKWARD":
+      return EdgeAddress.toParts(key.prefix).join("/") + " (backward)";
+    default:
+      throw new Error((key.type: empty));
+  }
+}
+
+function reportToJSON(report: SensitivityReport) {
+  return {
+    topNodes: report.topNodes.map(({node, score}) => ({
+      address: NodeAddress.toParts(node),
+      score,
+    })),
+    sensitivities: report.sensitivities.map((s) => ({
+      type: s.key.type,
+      prefix:
+        s.key.type === "NODE"
+          ? NodeAddress.toParts(s.key.prefix)
+          : EdgeAddress.toParts(s.key.prefix),
+      name: s.name,
+      baseWeight: s.baseWeight,
+      perturbedWeight: s.perturbedWeight,
+      totalChange: s.totalChange,
+      rankChanges: s.rankChanges,
+      changes: s.changes.map(({node, baseScore, perturbedScore}) => ({
+        address: NodeAddress.toParts(node),
+        baseScore,
+        perturbedScore,
+      })),
+    })),
+  };
+}
+
+function percent(share: number): string {
+  return (share * 100).toFixed(2) + "%";
+}
+
+function formatText(report: SensitivityReport): string {
+  const lines = ["Top nodes:"];
+  report.topNodes.forEach(({node, score}, i) => {
+    lines.push(`  ${i + 1}. ${formatAddress(node)}: ${percent(score)}`);
+  });
+  lines.push("", "Weights, most sensitive first:");
+  for (const s of report.sensitivities) {
+    const points = (s.totalChange * 100).toFixed(2);
+    const ranks = s.rankChanges === 1 ? "rank" : "ranks";
+    lines.push(
+      `  ${formatWeightKey(s.key)} [${s.name}]: ` +
+        `${s.baseWeight} -> ${s.perturbedWeight}, ` +
+        `${points} points of change, ${s.rankChanges} ${ranks} changed`
+    );
+    for (const {node, baseScore, perturbedScore} of s.changes) {
+      const change = perturbedScore - baseScore;
+      // Skip changes that would print as zero.
+      if (Math.abs(change) >= 0.00005) {
+        const delta = (change * 100).toFixed(2);
+        const sign = change > 0 ? "+" : "";
+        lines.push(
+          `      ${formatAddress(node)}: ${percent(baseScore)} -> ` +
+            `${percent(perturbedScore)} (${sign}${delta})`
+        );
+      }
+    }
+  }
+  return lines.join("\n");
+}
+
+export const help: Command = async (args, std) => {
+  if (args.length === 0) {
+    usage(std.out);
+    return 0;
+  } else {
+    usage(std.err);
+    return 1;
+  }
+};
+
+export default sensitivity;
@@ -0,0 +1,223 @@
+// @flow
+
+import fs from "fs";
+import path from "path";
+import tmp from "tmp";
+
+import {fromCompat} from "../util/compat";
+import {dynamicAdapterSet, factorioNodes} from "../app/adapters/demoAdapters";
+import {
+  emptyOverrides,
+  setNodeOverride,
+  toJSON as overridesToJSON,
+} from "../app/credExplorer/weights/overrides";
+import {run} from "./testUtil";
+import sensitivity, {help} from "./sensitivity";
+
+jest.mock("./loadDynamicAdapterSet", () => ({
+  loadDynamicAdapterSet: jest.fn(),
+}));
+
+type JestMockFn = $Call<typeof jest.fn>;
+const loadDynamicAdapterSet: JestMockFn = (require("./loadDynamicAdapterSet")
+  .loadDynamicAdapterSet: any);
+
+describe("cli/sensitivity", () => {
+  let sourcecredDirectory;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sourcecredDirectory = tmp.dirSync().name;
+    process.env.SOURCECRED_DIRECTORY = sourcecredDirectory;
+    fs.mkdirSync(path.join(sourcecredDirectory, "data"));
+    fs.mkdirSync(path.join(sourcecredDirectory, "data", "foo"));
+    fs.mkdirSync(path.join(sourcecredDirectory, "data", "foo", "bar"));
+    loadDynamicAdapterSet.mockImplementation(() => dynamicAdapterSet());
+  });
+
+  function parseJson(stdout) {
+    expect(stdout).toHaveLength(1);
+    return fromCompat(
+      {type: "sourcecred/cli/sensitivity", version: "0.1.0"},
+      JSON.parse(stdout[0])
+    );
+  }
+
+  describe("'help' command", () => {
+    it("prints usage when given no arguments", async () => {
+      expect(await run(help, [])).toEqual({
+        exitCode: 0,
+        stdout: expect.arrayContaining([
+          expect.stringMatching(/^usage: sourcecred sensitivity/),
+        ]),
+        stderr: [],
+      });
+    });
+    it("fails when given arguments", async () => {
+      expect(await run(help, ["foo/bar"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: expect.arrayContaining([
+          expect.stringMatching(/^usage: sourcecred sensitivity/),
+        ]),
+      });
+    });
+  });
+
+  describe("'sensitivity' command", () => {
+    it("prints usage with '--help'", async () => {
+      expect(await run(sensitivity, ["--help"])).toEqual({
+        exitCode: 0,
+        stdout: expect.arrayContaining([
+          expect.stringMatching(/^usage: sourcecred sensitivity/),
+        ]),
+        stderr: [],
+      });
+    });
+
+    it("prints a report as JSON", async () => {
+      const result = await run(sensitivity, [
+        "foo/bar",
+        "--node-prefix",
+        "factorio",
+        "--top",
+        "2",
+        "--format",
+        "json",
+      ]);
+      expect(result.exitCode).toEqual(0);
+      expect(result.stderr).toEqual([]);
+      const report = parseJson(result.stdout);
+      expect(report.topNodes).toHaveLength(2);
+      // Two node types and two directions of two edge types from the
+      // demo adapter, and a node type and two directions of an edge
+      // type from the fallback adapter.
+      expect(report.sensitivities).toHaveLength(9);
+      for (const s of report.sensitivities) {
+        expect(s.perturbedWeight).toEqual(2 * s.baseWeight);
+        expect(s.changes.map((c) => c.address)).toEqual(
+          report.topNodes.map((n) => n.address)
+        );
+      }
+      const totals = report.sensitivities.map((s) => s.totalChange);
+      expect(totals).toEqual(totals.slice().sort((a, b) => b - a));
+    });
+
+    it("respects '--factor'", async () => {
+      const result = await run(sensitivity, [
+        "foo/bar",
+        "--node-prefix",
+        "factorio",
+        "--factor",
+        "0.5",
+        "--format",
+        "json",
+      ]);
+      const report = parseJson(result.stdout);
+      for (const s of report.sensitivities) {
+        expect(s.perturbedWeight).toEqual(0.5 * s.baseWeight);
+      }
+    });
+
+    it("prints a report as text by default", async () => {
+      const result = await run(sensitivity, [
+        "foo/bar",
+        "--node-prefix",
+        "factorio",
+      ]);
+      expect(result.exitCode).toEqual(0);
+      expect(result.stdout).toHaveLength(1);
+      const lines = result.stdout[0].split("\n");
+      expect(lines[0]).toEqual("Top nodes:");
+      expect(lines[1]).toMatch(/^ {2}1\. factorio\/\w+\/\d: \d+\.\d\d%$/);
+      expect(lines).toContainEqual("Weights, most sensitive first:");
+      expect(lines).toContainEqual(
+        expect.stringMatching(
+          /^ {2}factorio\/transports \(forward\) \[transports\]: 1 -> 2, /
+        )
+      );
+    });
+
+    it("applies the overrides in the repository's data", async () => {
+      const args = ["foo/bar", "--node-prefix", "factorio", "--format", "json"];
+      const before = parseJson((await run(sensitivity, args)).stdout);
+      fs.writeFileSync(
+        path.join(sourcecredDirectory, "data", "foo", "bar", "overrides.json"),
+        JSON.stringify(
+          overridesToJSON(
+            setNodeOverride(emptyOverrides(), factorioNodes.inserter1, 10)
+          )
+        )
+      );
+      const after = parseJson((await run(sensitivity, args)).stdout);
+      expect(after.topNodes).not.toEqual(before.topNodes);
+    });
+
+    it("loads data from the SourceCred directory", async () => {
+      await run(sensitivity, ["foo/bar", "--node-prefix", "factorio"]);
+      expect(loadDynamicAdapterSet).toHaveBeenCalledTimes(1);
+      expect(loadDynamicAdapterSet.mock.calls[0][0]).toEqual(
+        sourcecredDirectory
+      );
+    });
+
+    it("fails when no repository is given", async () => {
+      expect(await run(sensitivity, [])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          "fatal: no repository ID provided",
+          "fatal: run 'sourcecred help sensitivity' for help",
+        ],
+      });
+    });
+
+    it("fails when the repository has not been loaded", async () => {
+      expect(await run(sensitivity, ["foo/baz"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          "fatal: no data for foo/baz; run 'sourcecred load foo/baz' first",
+          "fatal: run 'sourcecred help sensitivity' for help",
+        ],
+      });
+      expect(loadDynamicAdapterSet).not.toHaveBeenCalled();
+    });
+
+    it("fails for an unknown format", async () => {
+      expect(await run(sensitivity, ["foo/bar", "--format", "csv"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          'fatal: unknown format: "csv"',
+          "fatal: run 'sourcecred help sensitivity' for help",
+        ],
+      });
+    });
+
+    it("fails for an invalid top", async () => {
+      expect(await run(sensitivity, ["foo/bar", "--top", "x"])).toEqual({
+        exitCode: 1,
+        stdout: [],
+        stderr: [
+          'fatal: invalid top: "x"',
+          "fatal: run 'sourcecred help sensitivity' for help",
+        ],
+      });
+    });
+
+    it("fails for an invalid factor", async () => {
+      for (const factor of ["0", "-2", "", "x", "Infinity"]) {
+        expect(await run(sensitivity, ["foo/bar", "--factor", factor])).toEqual(
+          {
+            exitCode: 1,
+            stdout: [],
+            stderr: [
+              `fatal: invalid factor: ${JSON.stringify(factor)}`,
+              "fatal: run 'sourcecred help sensitivity' for help",
+            ],
+          }
+        );
+      }
+    });
+  });
+});
@@ -5,8 +5,12 @@ import type {Command} from "./command";
 
 import {VERSION_SHORT} from "../app/version";
 
+import diff from "./diff";
+import exportGraph from "./exportGraph";
 import help from "./help";
 import load from "./load";
+import scores from "./scores";
+import sensitivity from "./sensitivity";
 
 const sourcecred: Command = async (args, std) => {
   if (args.length === 0) {
@@ -22,6 +26,14 @@ const sourcecred: Command = async (args, std) => {
       return help(args.slice(1), std);
     case "load":
       return load(args.slice(1), std);
+    case "scores":
+      return scores(args.slice(1), std);
+    case "sensitivity":
+      return sensitivity(args.slice(1), std);
+    case "export-graph":
+      return exportGraph(args.slice(1), std);
+    case "diff":
+      return diff(args.slice(1), std);
     default:
       std.err("fatal: unknown command: " + JSON.stringify(args[0]));
       std.err("fatal: run 'sourcecred help' for commands and usage");
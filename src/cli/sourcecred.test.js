@@ -13,6 +13,10 @@ function mockCommand(name) {
 
 jest.mock("./help", () => mockCommand("help"));
 jest.mock("./load", () => mockCommand("load"));
+jest.mock("./scores", () => mockCommand("scores"));
+jest.mock("./sensitivity", () => mockCommand("sensitivity"));
+jest.mock("./exportGraph", () => mockCommand("export-graph"));
+jest.mock("./diff", () => mockCommand("diff"));
 
 describe("cli/sourcecred", () => {
   it("fails with usage when invoked with no arguments", async () => {
@@ -55,6 +59,38 @@ describe("cli/sourcecred", () => {
     });
   });
 
+  it("responds to 'scores'", async () => {
+    expect(await run(sourcecred, ["scores", "foo/bar"])).toEqual({
+      exitCode: 1,
+      stdout: ['out(scores): ["foo/bar"]'],
+      stderr: ["err(scores)"],
+    });
+  });
+
+  it("responds to 'sensitivity'", async () => {
+    expect(await run(sourcecred, ["sensitivity", "foo/bar"])).toEqual({
+      exitCode: 1,
+      stdout: ['out(sensitivity): ["foo/bar"]'],
+      stderr: ["err(sensitivity)"],
+    });
+  });
+
+  it("responds to 'export-graph'", async () => {
+    expect(await run(sourcecred, ["export-graph", "foo/bar"])).toEqual({
+      exitCode: 1,
+      stdout: ['out(export-graph): ["foo/bar"]'],
+      stderr: ["err(export-graph)"],
+    });
+  });
+
+  it("responds to 'diff'", async () => {
+    expect(await run(sourcecred, ["diff", "foo/old", "foo/bar"])).toEqual({
+      exitCode: 2,
+      stdout: ['out(diff): ["foo/old","foo/bar"]'],
+      stderr: ["err(diff)"],
+    });
+  });
+
   it("fails given an unknown command", async () => {
     expect(await run(sourcecred, ["wat"])).toEqual({
       exitCode: 1,
@@ -0,0 +1,195 @@
+// @flow
+
+import {NodeAddress, type NodeAddressT} from "../graph";
+import type {
+  PagerankNodeDecomposition,
+  ScoredConnection,
+} from "./pagerankNodeDecomposition";
+import * as NullUtil from "../../util/null";
+
+/**
+ * A chain of connections along which cred flows into a node. The first
+ * connection goes into the node itself, and each later one goes into
+ * the source of the connection before it; so the path starts at the
+ * source of the last connection.
+ */
+export type CredPath = {|
+  +connections: $ReadOnlyArray<ScoredConnection>,
+  // How much of the node's cred flowed along the whole path: the cred
+  // of the first connection, times the fraction of each intermediate
+  // node's cred that came in by the next connection.
+  +contribution: number,
+|};
+
+export type CredPathOptions = {|
+  // How many paths to find.
+  +maxPaths: number,
+  // How many connections a path may have.
+  +maxDepth: number,
+|};
+
+/**
+ * Find the paths that contribute the most cred to the given node, as
+ * one-hop `scoredConnections` do but reaching further back. Each path
+ * with fewer than `maxDepth` connections is split into its extensions
+ * by the connections into its start, which take their shares of the
+ * path's cred. The rest of that cred stays with the path itself: it
+ * reached the start by its synthetic loop, by teleportation, or by a
+ * connection from a node already on the path (paths never visit a node
+ * twice). So the contributions of all paths add up to the node's cred
+ * that came in by connections other than its own synthetic loop.
+ *
+ * Returns up to `maxPaths` paths, ordered by contribution descending.
+ */
+export function topCredPaths(
+  pnd: PagerankNodeDecomposition,
+  node: NodeAddressT,
+  options: CredPathOptions
+): $ReadOnlyArray<CredPath> {
+  const {maxPaths, maxDepth} = options;
+  if (maxDepth < 1) {
+    throw new Error(`maxDepth must be at least 1, but got ${maxDepth}`);
+  }
+  if (!pnd.has(node)) {
+    throw new Error(`No such node: ${NodeAddress.toString(node)}`);
+  }
+  // Splitting a path never increases its contribution, so the best
+  // path taken from the frontier is always at least as good as any
+  // path found later.
+  const frontier = new MaxHeap((p: PartialPath) => p.contribution);
+  const root = {
+    connections: [],
+    contribution: 1,
+    visited: new Set([node]),
+    final: false,
+  };
+  extensions(pnd, root, node).forEach((p) => frontier.push(p));
+  const result = [];
+  while (result.length < maxPaths) {
+    const path = frontier.pop();
+    if (path == null) {
+      break;
+    }
+    if (path.final || path.connections.length >= maxDepth) {
+      result.push({
+        connections: path.connections,
+        contribution: path.contribution,
+      });
+      continue;
+    }
+    const start = path.connections[path.connections.length - 1].source;
+    let rest = path.contribution;
+    for (const extension of extensions(pnd, path, start)) {
+      frontier.push(extension);
+      rest -= extension.contribution;
+    }
+    // Guard against rounding error.
+    if (rest > path.contribution * 1e-9) {
+      frontier.push({...path, contribution: rest, final: true});
+    }
+  }
+  return result;
+}
+
+type PartialPath = {|
+  +connections: $ReadOnlyArray<ScoredConnection>,
+  +contribution: number,
+  +visited: Set<NodeAddressT>,
+  // Whether the path has already been split.
+  +final: boolean,
+|};
+
+// The paths that extend the given one by a connection into `target`,
+// its start.
+function extensions(
+  pnd: PagerankNodeDecomposition,
+  path: PartialPath,
+  target: NodeAddressT
+): PartialPath[] {
+  const {score, scoredConnections} = NullUtil.get(pnd.get(target));
+  // The first connection carries its own cred; each later one, its
+  // share of its target's cred.
+  const scale = path.connections.length === 0 ? 1 : 1 / score;
+  const result = [];
+  for (const sc of scoredConnections) {
+    if (
+      sc.connection.adjacency.type === "SYNTHETIC_LOOP" ||
+      path.visited.has(sc.source) ||
+      !(sc.connectionScore > 0)
+    ) {
+      continue;
+    }
+    result.push({
+      connections: [...path.connections, sc],
+      contribution: path.contribution * sc.connectionScore * scale,
+      visited: new Set([...path.visited, sc.source]),
+      final: false,
+    });
+  }
+  return result;
+}
+
+class MaxHeap<T> {
+  _key: (T) => number;
+  _items: T[];
+
+  constructor(key: (T) => number) {
+    this._key = key;
+    this._items = [];
+  }
+
+  push(item: T): void {
+    const items = this._items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this._key(items[parent]) >= this._key(items[i])) {
+        break;
+      }
+      swap(items, parent, i);
+      i = parent;
+    }
+  }
+
+  pop(): T | void {
+    const items = this._items;
+    if (items.length <= 1) {
+      return items.pop();
+    }
+    const top = items[0];
+    items[0] = items.pop();
+    let i = 0;
+    while (true) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let largest = i;
+      if (
+        left < items.length &&
+        this._key(items[left]) > this._key(items[largest])
+      ) {
+        largest = left;
+      }
+      if (
+        right < items.length &&
+        this._key(items[right]) > this._key(items[largest])
+      ) {
+        largest = right;
+      }
+      if (largest === i) {
+        return top;
+      }
+      swap(items, largest, i);
+      i = largest;
+    }
+    // ESLint knows that this next line is unreachable, but Flow doesn't. :-)
+    // eslint-disable-next-line no-unreachable
+    throw new Error("Unreachable.");
+  }
+}
+
+function swap<T>(items: T[], i: number, j: number): void {
+  const item = items[i];
+  items[i] = items[j];
+  items[j] = item;
+}
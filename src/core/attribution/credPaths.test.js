@@ -0,0 +1,96 @@
+// @flow
+
+import {EdgeAddress, NodeAddress, type NodeAddressT} from "../graph";
+import type {Adjacency} from "./graphToMarkovChain";
+import type {
+  PagerankNodeDecomposition,
+  ScoredConnection,
+} from "./pagerankNodeDecomposition";
+import {topCredPaths} from "./credPaths";
+
+describe("core/attribution/credPaths", () => {
+  const t = NodeAddress.fromParts(["t"]);
+  const p = NodeAddress.fromParts(["p"]);
+  const q = NodeAddress.fromParts(["q"]);
+  const r = NodeAddress.fromParts(["r"]);
+  const scores = new Map([[t, 50], [p, 60], [q, 20], [r, 40]]);
+
+  function edge(src: NodeAddressT, dst: NodeAddressT) {
+    const address = EdgeAddress.fromParts([
+      NodeAddress.toParts(src)[0],
+      NodeAddress.toParts(dst)[0],
+    ]);
+    return {src, dst, address};
+  }
+  function scored(
+    source: NodeAddressT,
+    adjacency: Adjacency,
+    connectionScore: number
+  ): ScoredConnection {
+    const sourceScore = scores.get(source) || 0;
+    return {
+      connection: {adjacency, weight: connectionScore / sourceScore},
+      source,
+      sourceScore,
+      connectionScore,
+    };
+  }
+  // Cred flows p -> t, q -> t, r -> p, and t -> r (along an edge from
+  // r to t), and each node keeps some of its own by its loop.
+  const inPT = scored(p, {type: "IN_EDGE", edge: edge(p, t)}, 30);
+  const inQT = scored(q, {type: "IN_EDGE", edge: edge(q, t)}, 15);
+  const inRP = scored(r, {type: "IN_EDGE", edge: edge(r, p)}, 20);
+  const outTR = scored(t, {type: "OUT_EDGE", edge: edge(r, t)}, 5);
+  const loop = (node) => scored(node, {type: "SYNTHETIC_LOOP"}, 1);
+  const pnd: PagerankNodeDecomposition = new Map([
+    [t, {score: 50, scoredConnections: [inPT, inQT, loop(t)]}],
+    [p, {score: 60, scoredConnections: [loop(p), inRP]}],
+    [q, {score: 20, scoredConnections: [loop(q)]}],
+    [r, {score: 40, scoredConnections: [loop(r), outTR]}],
+  ]);
+
+  it("splits paths by the connections into their starts", () => {
+    const paths = topCredPaths(pnd, t, {maxPaths: 10, maxDepth: 3});
+    expect(paths).toEqual([
+      // The 30 cred from p, less the third of it that p got from r.
+      {connections: [inPT], contribution: 20},
+      {connections: [inQT], contribution: 15},
+      // The connection from t into r is not followed, as it would
+      // revisit t.
+      {connections: [inPT, inRP], contribution: 10},
+    ]);
+  });
+  it("stops splitting paths at the maximum depth", () => {
+    const paths = topCredPaths(pnd, t, {maxPaths: 10, maxDepth: 1});
+    expect(paths).toEqual([
+      {connections: [inPT], contribution: 30},
+      {connections: [inQT], contribution: 15},
+    ]);
+  });
+  it("finds only the best paths", () => {
+    const paths = topCredPaths(pnd, t, {maxPaths: 1, maxDepth: 3});
+    expect(paths).toEqual([{connections: [inPT], contribution: 20}]);
+  });
+  it("follows out-edges", () => {
+    const paths = topCredPaths(pnd, r, {maxPaths: 10, maxDepth: 2});
+    expect(paths).toEqual([
+      {connections: [outTR, inPT], contribution: 3},
+      {connections: [outTR, inQT], contribution: 1.5},
+      {connections: [outTR], contribution: 0.5},
+    ]);
+  });
+  it("finds no paths into a node with only a loop", () => {
+    expect(topCredPaths(pnd, q, {maxPaths: 10, maxDepth: 3})).toEqual([]);
+  });
+  it("rejects a maximum depth below 1", () => {
+    expect(() => topCredPaths(pnd, t, {maxPaths: 10, maxDepth: 0})).toThrow(
+      "maxDepth must be at least 1, but got 0"
+    );
+  });
+  it("rejects a node that is not in the decomposition", () => {
+    const missing = NodeAddress.fromParts(["missing"]);
+    expect(() =>
+      topCredPaths(pnd, missing, {maxPaths: 10, maxDepth: 3})
+    ).toThrow('No such node: NodeAddress["missing"]');
+  });
+});
@@ -1,7 +1,7 @@
 // @flow
 
-import {type Edge, type Graph, type NodeAddressT} from "../graph";
-import type {Distribution, SparseMarkovChain} from "./markovChain";
+import {type Edge, type Graph, NodeAddress, type NodeAddressT} from "../graph";
+import {type Distribution, type SparseMarkovChain} from "./markovChain";
 import * as MapUtil from "../../util/map";
 import * as NullUtil from "../../util/null";
 
@@ -109,6 +109,139 @@ export function createConnections(
   return result;
 }
 
+/**
+ * The parts of a graph's Markov chain that do not depend on edge
+ * weights: the order of the nodes, and the connections into each node
+ * together with their sources. Computing this once per graph lets the
+ * chain be reweighted, for instance to rerun PageRank as the user
+ * adjusts weights, without walking the graph again.
+ *
+ * The graph must not be modified while its structure is in use.
+ */
+export type MarkovChainStructure = {|
+  +nodeOrder: $ReadOnlyArray<NodeAddressT>,
+  +edges: $ReadOnlyArray<Edge>,
+  // For each node in `nodeOrder`, its connections, in the order in
+  // which `createConnections` lists them.
+  +targets: $ReadOnlyArray<{|
+    +adjacencies: $ReadOnlyArray<Adjacency>,
+    // Index in `nodeOrder` of the source of each connection.
+    +sources: Uint32Array,
+    // Index in `edges` of the edge of each connection, or -1 for the
+    // synthetic loop.
+    +edgeIndices: Int32Array,
+  |}>,
+|};
+
+export function createMarkovChainStructure(graph: Graph): MarkovChainStructure {
+  const nodeOrder = Array.from(graph.nodes());
+  const edges = Array.from(graph.edges());
+  const nodeIndex: Map<NodeAddressT, number> = new Map();
+  nodeOrder.forEach((node, i) => {
+    nodeIndex.set(node, i);
+  });
+  const index = (node) => NullUtil.get(nodeIndex.get(node));
+  const targets = nodeOrder.map((_, i) => ({
+    adjacencies: [{type: "SYNTHETIC_LOOP"}],
+    sources: [i],
+    edgeIndices: [-1],
+  }));
+  edges.forEach((edge, edgeIndex) => {
+    const src = index(edge.src);
+    const dst = index(edge.dst);
+    targets[dst].adjacencies.push({type: "IN_EDGE", edge});
+    targets[dst].sources.push(src);
+    targets[dst].edgeIndices.push(edgeIndex);
+    targets[src].adjacencies.push({type: "OUT_EDGE", edge});
+    targets[src].sources.push(dst);
+    targets[src].edgeIndices.push(edgeIndex);
+  });
+  return {
+    nodeOrder,
+    edges,
+    targets: targets.map(({adjacencies, sources, edgeIndices}) => ({
+      adjacencies,
+      sources: new Uint32Array(sources),
+      edgeIndices: new Int32Array(edgeIndices),
+    })),
+  };
+}
+
+/**
+ * Weight the connections of a chain structure as `createConnections`
+ * would, giving both the connections and the corresponding chain, whose
+ * node order is that of the structure. Unlike the result of
+ * `createOrderedSparseMarkovChain`, the chain may list a neighbor more
+ * than once, if several connections share a source.
+ */
+export function weightMarkovChainStructure(
+  structure: MarkovChainStructure,
+  edgeWeight: (Edge) => EdgeWeight,
+  syntheticLoopWeight: number
+): {|
+  +connections: NodeToConnections,
+  +osmc: OrderedSparseMarkovChain,
+|} {
+  const {nodeOrder, edges, targets} = structure;
+  const toWeights = new Float64Array(edges.length);
+  const froWeights = new Float64Array(edges.length);
+  edges.forEach((edge, i) => {
+    const {toWeight, froWeight} = edgeWeight(edge);
+    toWeights[i] = toWeight;
+    froWeights[i] = froWeight;
+  });
+  const totalOutWeight = new Float64Array(nodeOrder.length);
+  const weights = targets.map(({adjacencies, sources, edgeIndices}) => {
+    const result = new Float64Array(sources.length);
+    adjacencies.forEach((adjacency, j) => {
+      let weight;
+      switch (adjacency.type) {
+        case "SYNTHETIC_LOOP":
+          weight = syntheticLoopWeight;
+          break;
+        case "IN_EDGE":
+          weight = toWeights[edgeIndices[j]];
+          break;
+        case "OUT_EDGE":
+          weight = froWeights[edgeIndices[j]];
+          break;
+        default:
+          throw new Error((adjacency.type: empty));
+      }
+      result[j] = weight;
+      totalOutWeight[sources[j]] += weight;
+    });
+    return result;
+  });
+  // Normalize in-weights.
+  weights.forEach((weight, i) => {
+    const {sources} = targets[i];
+    for (let j = 0; j < weight.length; j++) {
+      weight[j] /= totalOutWeight[sources[j]];
+    }
+  });
+  const connections = new Map();
+  nodeOrder.forEach((node, i) => {
+    connections.set(
+      node,
+      targets[i].adjacencies.map((adjacency, j) => ({
+        adjacency,
+        weight: weights[i][j],
+      }))
+    );
+  });
+  return {
+    connections,
+    osmc: {
+      nodeOrder,
+      chain: targets.map(({sources}, i) => ({
+        neighbor: sources,
+        weight: weights[i],
+      })),
+    },
+  };
+}
+
 function createNodeAddressMarkovChain(
   ntc: NodeToConnections
 ): NodeAddressMarkovChain {
@@ -233,3 +366,31 @@ export function distributionToNodeDistribution(
   });
   return result;
 }
+
+/**
+ * Create a distribution over the given nodes in which each node's
+ * probability is proportional to its weight, as a seed for
+ * teleportation (or a starting point for the iteration). Throws if no
+ * node has positive weight, as there is then no such distribution.
+ */
+export function createSeedDistribution(
+  nodeOrder: $ReadOnlyArray<NodeAddressT>,
+  nodeWeight: (NodeAddressT) => number
+): Distribution {
+  const result = new Float64Array(nodeOrder.length);
+  let total = 0;
+  nodeOrder.forEach((node, i) => {
+    const weight = nodeWeight(node);
+    if (isNaN(weight) || !isFinite(weight) || weight < 0) {
+      throw new Error(
+        `Invalid seed weight for ${NodeAddress.toString(node)}: ${weight}`
+      );
+    }
+    result[i] = weight;
+    total += weight;
+  });
+  if (total === 0 && nodeOrder.length > 0) {
+    throw new Error("No node has positive seed weight");
+  }
+  return result.map((x) => x / total);
+}
@@ -6,11 +6,15 @@ import {EdgeAddress, Graph, NodeAddress} from "../graph";
 import {
   distributionToNodeDistribution,
   createConnections,
+  createMarkovChainStructure,
   createOrderedSparseMarkovChain,
+  createSeedDistribution,
   normalize,
   normalizeNeighbors,
   permute,
+  weightMarkovChainStructure,
 } from "./graphToMarkovChain";
+import {sparseMarkovChainAction} from "./markovChain";
 import * as MapUtil from "../../util/map";
 
 import {advancedGraph} from "../graphTestUtil";
@@ -288,4 +292,89 @@ describe("core/attribution/graphToMarkovChain", () => {
       );
     });
   });
+
+  describe("weightMarkovChainStructure", () => {
+    const {graph1, nodes} = advancedGraph();
+    // Weights that differ by direction, so that mixing up in- and
+    // out-edge connections would show.
+    const edgeWeight = (edge) => ({
+      toWeight: edge.address.length,
+      froWeight: 1 / edge.address.length,
+    });
+    it("gives the same connections as createConnections", () => {
+      const structure = createMarkovChainStructure(graph1());
+      const {connections} = weightMarkovChainStructure(
+        structure,
+        edgeWeight,
+        0.5
+      );
+      expect(connections).toEqual(createConnections(graph1(), edgeWeight, 0.5));
+    });
+    it("gives a chain equivalent to createOrderedSparseMarkovChain's", () => {
+      const structure = createMarkovChainStructure(graph1());
+      const {osmc} = weightMarkovChainStructure(structure, edgeWeight, 0.5);
+      const expected = createOrderedSparseMarkovChain(
+        createConnections(graph1(), edgeWeight, 0.5)
+      );
+      expect(osmc.nodeOrder).toEqual(expected.nodeOrder);
+      // The chains may differ in how they list repeated neighbors (the
+      // graph has parallel edges), but must act alike.
+      const pi = new Float64Array([0.1, 0.2, 0.3, 0.4]);
+      const actualAction = sparseMarkovChainAction(osmc.chain, pi);
+      const expectedAction = sparseMarkovChainAction(expected.chain, pi);
+      actualAction.forEach((x, i) => {
+        expect(x).toBeCloseTo(expectedAction[i], 12);
+      });
+    });
+    it("can be reweighted", () => {
+      const structure = createMarkovChainStructure(graph1());
+      weightMarkovChainStructure(structure, edgeWeight, 0.5);
+      const uniformWeight = () => ({toWeight: 1, froWeight: 1});
+      const {connections} = weightMarkovChainStructure(
+        structure,
+        uniformWeight,
+        1
+      );
+      expect(connections).toEqual(
+        createConnections(graph1(), uniformWeight, 1)
+      );
+    });
+    it("includes isolated nodes", () => {
+      const structure = createMarkovChainStructure(graph1());
+      expect(structure.nodeOrder).toContain(nodes.isolated());
+    });
+  });
+
+  describe("createSeedDistribution", () => {
+    const n1 = NodeAddress.fromParts(["n1"]);
+    const n2 = NodeAddress.fromParts(["n2"]);
+    const n3 = NodeAddress.fromParts(["n3"]);
+    const weights = new Map([[n1, 1], [n2, 3], [n3, 0]]);
+    const nodeWeight = (node) => weights.get(node) || 0;
+    it("is proportional to the node weights", () => {
+      expect(createSeedDistribution([n1, n2, n3], nodeWeight)).toEqual(
+        new Float64Array([0.25, 0.75, 0])
+      );
+    });
+    it("follows the node order", () => {
+      expect(createSeedDistribution([n3, n2, n1], nodeWeight)).toEqual(
+        new Float64Array([0, 0.75, 0.25])
+      );
+    });
+    it("rejects weights that are all zero", () => {
+      expect(() => createSeedDistribution([n1, n2], () => 0)).toThrow(
+        "No node has positive seed weight"
+      );
+    });
+    it("is empty for no nodes", () => {
+      expect(createSeedDistribution([], () => 0)).toEqual(new Float64Array([]));
+    });
+    it("rejects invalid weights", () => {
+      for (const bad of [-1, NaN, Infinity]) {
+        expect(() => createSeedDistribution([n1, n2], () => bad)).toThrow(
+          `Invalid seed weight for ${NodeAddress.toString(n1)}: ${bad}`
+        );
+      }
+    });
+  });
 });
@@ -0,0 +1,187 @@
+// @flow
+
+import {type Edge, Graph, type NodeAddressT} from "../graph";
+import {type EdgeEvaluator, type PagerankOptions, pagerank} from "./pagerank";
+import type {NodeScore} from "./nodeScore";
+import * as MapUtil from "../../util/map";
+
+/**
+ * The creation time of a node, in milliseconds since the Unix epoch,
+ * or `null` if the node has no meaningful creation time (like a user
+ * or a repository). Nodes without a creation time are present in every
+ * interval.
+ */
+export type NodeTimestamp = (NodeAddressT) => number | null;
+
+export type IntervalScores = {|
+  // Start of the interval, in milliseconds since the Unix epoch.
+  +intervalStart: number,
+  +scores: NodeScore,
+|};
+
+/**
+ * The length of each interval: either a week, or a calendar month (in
+ * UTC), as for monthly payouts.
+ */
+export type Interval = "WEEK" | "MONTH";
+
+export type IntervalPagerankOptions = {|
+  // Defaults to "WEEK".
+  +interval?: Interval,
+  // Fraction of an edge's weight that is lost for each interval of
+  // age; 0 (the default) disables decay.
+  +decay?: number,
+  +pagerankOptions?: PagerankOptions,
+|};
+
+export const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Intervals are numbered consecutively: weeks since the Unix epoch, or
+// months since January 1970.
+function intervalIndex(interval: Interval, time: number): number {
+  switch (interval) {
+    case "WEEK":
+      return Math.floor(time / WEEK_MS);
+    case "MONTH": {
+      const date = new Date(time);
+      return (date.getUTCFullYear() - 1970) * 12 + date.getUTCMonth();
+    }
+    // istanbul ignore next
+    default:
+      throw new Error((interval: empty));
+  }
+}
+
+function intervalStartTime(interval: Interval, index: number): number {
+  switch (interval) {
+    case "WEEK":
+      return index * WEEK_MS;
+    case "MONTH":
+      // `Date.UTC` carries months past December into later years.
+      return Date.UTC(1970, index);
+    // istanbul ignore next
+    default:
+      throw new Error((interval: empty));
+  }
+}
+
+/**
+ * Compute a time series of scores, with one entry per interval.
+ *
+ * Weekly intervals are aligned to multiples of a week since the Unix
+ * epoch, and monthly intervals to the start of each calendar month in
+ * UTC. The intervals span from the earliest to the latest timestamped
+ * node. The scores for an interval are computed by running PageRank on
+ * the subgraph of nodes that existed by the end of that interval.
+ *
+ * When `decay` is positive, the weight of each edge is scaled by
+ * `(1 - decay) ** age`, where `age` is the number of intervals between
+ * the creation of the edge and the end of the interval being scored.
+ * An edge is considered to be created with the newer of its endpoints,
+ * so a new comment on an old issue yields a fresh edge.
+ */
+export async function intervalPagerank(
+  graph: Graph,
+  edgeWeight: EdgeEvaluator,
+  nodeTimestamp: NodeTimestamp,
+  options?: IntervalPagerankOptions
+): Promise<IntervalScores[]> {
+  const {interval, decay, pagerankOptions} = {
+    interval: "WEEK",
+    decay: 0,
+    pagerankOptions: undefined,
+    ...(options || {}),
+  };
+  if (interval !== "WEEK" && interval !== "MONTH") {
+    throw new Error(`Invalid interval: ${JSON.stringify(interval)}`);
+  }
+  if (!(decay >= 0 && decay < 1)) {
+    throw new Error(`Invalid decay: ${decay}`);
+  }
+
+  // The first and last timestamps are found with a loop, not by
+  // spreading them into `Math.min` and `Math.max`: large graphs have
+  // more nodes than fit in an argument list.
+  const timestamps: Map<NodeAddressT, number | null> = new Map();
+  let first: number | null = null;
+  let last: number | null = null;
+  for (const node of graph.nodes()) {
+    const timestamp = nodeTimestamp(node);
+    timestamps.set(node, timestamp);
+    if (timestamp != null) {
+      first = first == null || timestamp < first ? timestamp : first;
+      last = last == null || timestamp > last ? timestamp : last;
+    }
+  }
+  if (first == null || last == null) {
+    return [];
+  }
+
+  function edgeCreation(edge: Edge): number | null {
+    let result: number | null = null;
+    for (const node of [edge.src, edge.dst]) {
+      const timestamp = timestamps.get(node);
+      if (timestamp != null && (result == null || timestamp > result)) {
+        result = timestamp;
+      }
+    }
+    return result;
+  }
+
+  const results = [];
+  const lastIndex = intervalIndex(interval, last);
+  for (
+    let index = intervalIndex(interval, first);
+    index <= lastIndex;
+    index++
+  ) {
+    const intervalStart = intervalStartTime(interval, index);
+    const intervalEnd = intervalStartTime(interval, index + 1);
+    const subgraph = graphAsOf(graph, timestamps, intervalEnd);
+    const decayedEdgeWeight = (edge: Edge) => {
+      const weight = edgeWeight(edge);
+      const created = edgeCreation(edge);
+      if (decay === 0 || created == null) {
+        return weight;
+      }
+      const age = index - intervalIndex(interval, created);
+      const factor = (1 - decay) ** age;
+      return {
+        toWeight: weight.toWeight * factor,
+        froWeight: weight.froWeight * factor,
+      };
+    };
+    const decomposition = await pagerank(
+      subgraph,
+      decayedEdgeWeight,
+      pagerankOptions
+    );
+    const scores = MapUtil.mapValues(decomposition, (_, {score}) => score);
+    results.push({intervalStart, scores});
+  }
+  return results;
+}
+
+/**
+ * The subgraph of nodes created strictly before `time` (along with all
+ * nodes that have no creation time), and the edges among them.
+ */
+function graphAsOf(
+  graph: Graph,
+  timestamps: Map<NodeAddressT, number | null>,
+  time: number
+): Graph {
+  const result = new Graph();
+  for (const node of graph.nodes()) {
+    const timestamp = timestamps.get(node);
+    if (timestamp == null || timestamp < time) {
+      result.addNode(node);
+    }
+  }
+  for (const edge of graph.edges()) {
+    if (result.hasNode(edge.src) && result.hasNode(edge.dst)) {
+      result.addEdge(edge);
+    }
+  }
+  return result;
+}
@@ -0,0 +1,169 @@
+// @flow
+
+import {EdgeAddress, Graph, NodeAddress} from "../graph";
+import {WEEK_MS, intervalPagerank} from "./intervalPagerank";
+import * as NullUtil from "../../util/null";
+
+describe("core/attribution/intervalPagerank", () => {
+  const user = NodeAddress.fromParts(["user"]);
+  const oldPost = NodeAddress.fromParts(["post", "old"]);
+  const newPost = NodeAddress.fromParts(["post", "new"]);
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const timestamps = new Map([
+    [user, null],
+    [oldPost, 100 * WEEK_MS + DAY_MS],
+    [newPost, 102 * WEEK_MS + 3 * DAY_MS],
+  ]);
+  function nodeTimestamp(node) {
+    const result = timestamps.get(node);
+    if (result === undefined) {
+      throw new Error("unexpected node: " + NodeAddress.toString(node));
+    }
+    return result;
+  }
+  function graph() {
+    return new Graph()
+      .addNode(user)
+      .addNode(oldPost)
+      .addNode(newPost)
+      .addEdge({
+        src: user,
+        dst: oldPost,
+        address: EdgeAddress.fromParts(["authors", "old"]),
+      })
+      .addEdge({
+        src: user,
+        dst: newPost,
+        address: EdgeAddress.fromParts(["authors", "new"]),
+      });
+  }
+  const edgeWeight = () => ({toWeight: 1, froWeight: 1});
+
+  it("returns no intervals if no node has a timestamp", async () => {
+    const result = await intervalPagerank(graph(), edgeWeight, () => null);
+    expect(result).toEqual([]);
+  });
+
+  it("emits one entry per week from the first to the last node", async () => {
+    const result = await intervalPagerank(graph(), edgeWeight, nodeTimestamp);
+    expect(result.map((x) => x.intervalStart)).toEqual([
+      100 * WEEK_MS,
+      101 * WEEK_MS,
+      102 * WEEK_MS,
+    ]);
+  });
+
+  it("emits one entry per calendar month", async () => {
+    // From late January 2018 to early March 2018.
+    const monthlyTimestamps = new Map([
+      [oldPost, Date.UTC(2018, 0, 31, 23)],
+      [newPost, Date.UTC(2018, 2, 1)],
+    ]);
+    const result = await intervalPagerank(
+      graph(),
+      edgeWeight,
+      (node) => NullUtil.orElse(monthlyTimestamps.get(node), null),
+      {interval: "MONTH"}
+    );
+    expect(result.map((x) => x.intervalStart)).toEqual([
+      Date.UTC(2018, 0, 1),
+      Date.UTC(2018, 1, 1),
+      Date.UTC(2018, 2, 1),
+    ]);
+    expect(result.map((x) => x.scores.has(newPost))).toEqual([
+      false,
+      false,
+      true,
+    ]);
+  });
+
+  it("emits monthly entries across the end of a year", async () => {
+    const result = await intervalPagerank(
+      graph(),
+      edgeWeight,
+      (node) => (node === user ? null : Date.UTC(2017, 11, 15)),
+      {interval: "MONTH"}
+    );
+    expect(result.map((x) => x.intervalStart)).toEqual([Date.UTC(2017, 11)]);
+  });
+
+  it("only scores nodes that exist by the end of each interval", async () => {
+    const result = await intervalPagerank(graph(), edgeWeight, nodeTimestamp);
+    const nodeSets = result.map((x) => new Set(x.scores.keys()));
+    expect(nodeSets).toEqual([
+      new Set([user, oldPost]),
+      new Set([user, oldPost]),
+      new Set([user, oldPost, newPost]),
+    ]);
+  });
+
+  it("treats old and new nodes alike without decay", async () => {
+    const result = await intervalPagerank(graph(), edgeWeight, nodeTimestamp);
+    const {scores} = result[result.length - 1];
+    expect(scores.get(oldPost)).toBeCloseTo(
+      NullUtil.get(scores.get(newPost)),
+      3
+    );
+  });
+
+  it("favors newer nodes with decay", async () => {
+    const result = await intervalPagerank(graph(), edgeWeight, nodeTimestamp, {
+      decay: 0.5,
+    });
+    const {scores} = result[result.length - 1];
+    expect(scores.get(newPost)).toBeGreaterThan(
+      2 * NullUtil.get(scores.get(oldPost))
+    );
+  });
+
+  it("passes options through to PageRank", async () => {
+    const result = await intervalPagerank(graph(), edgeWeight, nodeTimestamp, {
+      pagerankOptions: {totalScore: 7, totalScoreNodePrefix: user},
+    });
+    for (const {scores} of result) {
+      expect(scores.get(user)).toBeCloseTo(7, 6);
+    }
+  });
+
+  it("handles more timestamps than fit in an argument list", async () => {
+    // Graph invariants are checked on every change in tests, which is
+    // too slow for a graph this large.
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = "production";
+    try {
+      const count = 200000;
+      const largeTimestamps = new Map();
+      const largeGraph = new Graph();
+      for (let i = 0; i < count; i++) {
+        const node = NodeAddress.fromParts(["post", String(i)]);
+        largeGraph.addNode(node);
+        // The earliest node is in the middle.
+        largeTimestamps.set(node, (i === count / 2 ? 100 : 101) * WEEK_MS);
+      }
+      const result = await intervalPagerank(largeGraph, edgeWeight, (node) =>
+        NullUtil.get(largeTimestamps.get(node))
+      );
+      expect(result.map((x) => x.intervalStart)).toEqual([
+        100 * WEEK_MS,
+        101 * WEEK_MS,
+      ]);
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+
+  it("rejects an invalid interval", async () => {
+    expect.assertions(1);
+    await expect(
+      // $ExpectFlowError
+      intervalPagerank(graph(), edgeWeight, nodeTimestamp, {interval: "DAY"})
+    ).rejects.toThrow('Invalid interval: "DAY"');
+  });
+
+  it("rejects an invalid decay", async () => {
+    expect.assertions(1);
+    await expect(
+      intervalPagerank(graph(), edgeWeight, nodeTimestamp, {decay: 1})
+    ).rejects.toThrow("Invalid decay: 1");
+  });
+});
@@ -98,15 +98,78 @@ export function sparseMarkovChainAction(
   return result;
 }
 
+/**
+ * Options for finding the stationary distribution of a chain modified
+ * by teleportation: at each step, with probability `alpha`, the walk
+ * jumps to a node drawn from `seed` instead of following the chain.
+ * With `alpha` zero, this is the stationary distribution of the chain
+ * itself.
+ */
+export type StationaryDistributionOptions = {|
+  +verbose: boolean,
+  +convergenceThreshold: number,
+  +maxIterations: number,
+  +seed: Distribution,
+  +alpha: number,
+  // Where to start the iteration; uniform if omitted. Starting from a
+  // distribution near the stationary one, such as that of a similar
+  // chain, takes fewer iterations to converge.
+  +initialDistribution?: Distribution,
+|};
+
+/**
+ * How far along a search for a stationary distribution is: the number
+ * of iterations completed, and the largest change to any entry of the
+ * distribution in the last of them.
+ */
+export type StationaryDistributionProgress = {|
+  +iteration: number,
+  +delta: number,
+|};
+
+function validateTeleportation(
+  chain: SparseMarkovChain,
+  seed: Distribution,
+  alpha: number
+): void {
+  if (!(alpha >= 0 && alpha <= 1)) {
+    throw new Error(`expected alpha in [0, 1], but got: ${alpha}`);
+  }
+  if (seed.length !== chain.length) {
+    throw new Error(
+      `expected seed of length ${chain.length}, but got ${seed.length}`
+    );
+  }
+  let total = 0;
+  seed.forEach((x, i) => {
+    if (isNaN(x) || !isFinite(x) || x < 0) {
+      throw new Error(`expected nonnegative seed, but [${i}] is ${x}`);
+    }
+    total += x;
+  });
+  if (Math.abs(total - 1) > 1e-6) {
+    throw new Error(`expected seed to sum to 1, but it sums to ${total}`);
+  }
+}
+
 function* findStationaryDistributionGenerator(
   chain: SparseMarkovChain,
-  options: {|
-    +verbose: boolean,
-    +convergenceThreshold: number,
-    +maxIterations: number,
-  |}
-): Generator<void, Distribution, void> {
-  let pi = uniformDistribution(chain.length);
+  options: StationaryDistributionOptions
+): Generator<StationaryDistributionProgress, Distribution, void> {
+  const {seed, alpha, initialDistribution} = options;
+  validateTeleportation(chain, seed, alpha);
+  let pi;
+  if (initialDistribution == null) {
+    pi = uniformDistribution(chain.length);
+  } else if (initialDistribution.length !== chain.length) {
+    throw new Error(
+      `expected initial distribution of length ${chain.length}, ` +
+        `but got ${initialDistribution.length}`
+    );
+  } else {
+    // Copy, as the iteration reuses its buffers.
+    pi = new Float64Array(initialDistribution);
+  }
   let scratch = new Float64Array(pi.length);
   function computeDelta(pi0, pi1) {
     let maxDelta = -Infinity;
@@ -128,6 +191,11 @@ function* findStationaryDistributionGenerator(
     }
     iteration++;
     sparseMarkovChainActionInto(chain, pi, scratch);
+    if (alpha !== 0) {
+      for (let i = 0; i < scratch.length; i++) {
+        scratch[i] = (1 - alpha) * scratch[i] + alpha * seed[i];
+      }
+    }
     const delta = computeDelta(pi, scratch);
     [scratch, pi] = [pi, scratch];
     if (options.verbose) {
@@ -139,7 +207,7 @@ function* findStationaryDistributionGenerator(
       }
       return pi;
     }
-    yield;
+    yield {iteration, delta};
   }
   // ESLint knows that this next line is unreachable, but Flow doesn't. :-)
   // eslint-disable-next-line no-unreachable
@@ -149,21 +217,25 @@ function* findStationaryDistributionGenerator(
 export function findStationaryDistribution(
   chain: SparseMarkovChain,
   options: {|
-    +verbose: boolean,
-    +convergenceThreshold: number,
-    +maxIterations: number,
+    ...StationaryDistributionOptions,
     +yieldAfterMs: number,
+    // Called with the latest progress each time the search yields.
+    +onProgress?: (StationaryDistributionProgress) => void,
   |}
 ): Promise<Distribution> {
   let gen = findStationaryDistributionGenerator(chain, {
     verbose: options.verbose,
     convergenceThreshold: options.convergenceThreshold,
     maxIterations: options.maxIterations,
+    seed: options.seed,
+    alpha: options.alpha,
+    initialDistribution: options.initialDistribution,
   });
   return new Promise((resolve, _unused_reject) => {
-    const {yieldAfterMs} = options;
+    const {yieldAfterMs, onProgress} = options;
     const tick = () => {
       const start = Date.now();
+      let progress: ?StationaryDistributionProgress = null;
       do {
         const result = gen.next();
         if (result.done) {
@@ -174,7 +246,11 @@ export function findStationaryDistribution(
           resolve(result.value);
           return;
         }
+        progress = result.value;
       } while (Date.now() - start < yieldAfterMs);
+      if (onProgress != null && progress != null) {
+        onProgress(progress);
+      }
       setTimeout(tick, 0);
     };
     tick();
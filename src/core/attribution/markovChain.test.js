@@ -156,6 +156,8 @@ describe("core/attribution/markovChain", () => {
         convergenceThreshold: 1e-7,
         verbose: false,
         yieldAfterMs: 1,
+        seed: uniformDistribution(chain.length),
+        alpha: 0,
       });
       expectStationary(chain, pi);
       const expected = new Float64Array([1, 0, 0]);
@@ -179,6 +181,8 @@ describe("core/attribution/markovChain", () => {
         convergenceThreshold: 1e-7,
         verbose: false,
         yieldAfterMs: 1,
+        seed: uniformDistribution(chain.length),
+        alpha: 0,
       });
       expectStationary(chain, pi);
       const expected = new Float64Array([1 / 3, 1 / 6, 1 / 6, 1 / 6, 1 / 6]);
@@ -192,6 +196,8 @@ describe("core/attribution/markovChain", () => {
         convergenceThreshold: 1e-7,
         verbose: false,
         yieldAfterMs: 1,
+        seed: uniformDistribution(chain.length),
+        alpha: 0,
       });
       expectStationary(chain, pi);
       const expected = new Float64Array([0.5, 0.5]);
@@ -205,9 +211,130 @@ describe("core/attribution/markovChain", () => {
         convergenceThreshold: 1e-7,
         maxIterations: 0,
         yieldAfterMs: 1,
+        seed: uniformDistribution(chain.length),
+        alpha: 0,
       });
       const expected = new Float64Array([0.5, 0.5]);
       expect(pi).toEqual(expected);
     });
+
+    it("starts from the initial distribution, if given", async () => {
+      const chain = sparseMarkovChainFromTransitionMatrix([[1, 0], [1, 0]]);
+      const initialDistribution = new Float64Array([1, 0]);
+      const onProgress = jest.fn();
+      const pi = await findStationaryDistribution(chain, {
+        verbose: false,
+        convergenceThreshold: 1e-7,
+        maxIterations: 255,
+        yieldAfterMs: 0,
+        seed: uniformDistribution(chain.length),
+        alpha: 0,
+        initialDistribution,
+        onProgress,
+      });
+      expect(pi).toEqual(new Float64Array([1, 0]));
+      // Already stationary, so converged without yielding.
+      expect(onProgress).not.toHaveBeenCalled();
+      // The initial distribution is not modified.
+      expect(initialDistribution).toEqual(new Float64Array([1, 0]));
+    });
+
+    it("rejects an initial distribution of the wrong length", async () => {
+      const chain = sparseMarkovChainFromTransitionMatrix([[1, 0], [1, 0]]);
+      await expect(
+        findStationaryDistribution(chain, {
+          verbose: false,
+          convergenceThreshold: 1e-7,
+          maxIterations: 255,
+          yieldAfterMs: 1,
+          seed: uniformDistribution(chain.length),
+          alpha: 0,
+          initialDistribution: uniformDistribution(3),
+        })
+      ).rejects.toThrow("expected initial distribution of length 2, but got 3");
+    });
+
+    it("reports progress each time it yields", async () => {
+      const chain = sparseMarkovChainFromTransitionMatrix([[1, 0], [1, 0]]);
+      const onProgress = jest.fn();
+      await findStationaryDistribution(chain, {
+        verbose: false,
+        convergenceThreshold: 1e-7,
+        maxIterations: 255,
+        yieldAfterMs: 0,
+        seed: uniformDistribution(chain.length),
+        alpha: 0,
+        onProgress,
+      });
+      // The first iteration moves all mass to node 0; the second
+      // converges, and so finishes without yielding.
+      expect(onProgress.mock.calls).toEqual([[{iteration: 1, delta: 0.5}]]);
+    });
+
+    describe("with teleportation", () => {
+      // A chain that always moves to node 0.
+      const chain = sparseMarkovChainFromTransitionMatrix([
+        [1, 0, 0],
+        [1, 0, 0],
+        [1, 0, 0],
+      ]);
+      function options(seed: Distribution, alpha: number) {
+        return {
+          maxIterations: 255,
+          convergenceThreshold: 1e-7,
+          verbose: false,
+          yieldAfterMs: 1,
+          seed,
+          alpha,
+        };
+      }
+
+      it("mixes the chain with the seed", async () => {
+        const seed = new Float64Array([0, 0.25, 0.75]);
+        const pi = await findStationaryDistribution(chain, options(seed, 0.2));
+        // pi = 0.8 * (chain action on pi) + 0.2 * seed, and the chain
+        // sends all mass to node 0.
+        const expected = new Float64Array([0.8, 0.05, 0.15]);
+        expectAllClose(pi, expected);
+      });
+
+      it("is the seed when alpha is 1", async () => {
+        const seed = new Float64Array([0.5, 0.5, 0]);
+        const pi = await findStationaryDistribution(chain, options(seed, 1));
+        expectAllClose(pi, seed);
+      });
+
+      it("rejects an alpha outside [0, 1]", async () => {
+        for (const alpha of [-0.1, 1.5, NaN]) {
+          await expect(
+            findStationaryDistribution(
+              chain,
+              options(uniformDistribution(3), alpha)
+            )
+          ).rejects.toThrow("expected alpha in [0, 1]");
+        }
+      });
+
+      it("rejects a seed of the wrong length", async () => {
+        await expect(
+          findStationaryDistribution(chain, options(uniformDistribution(2), 0))
+        ).rejects.toThrow("expected seed of length 3, but got 2");
+      });
+
+      it("rejects a seed that is not a distribution", async () => {
+        await expect(
+          findStationaryDistribution(
+            chain,
+            options(new Float64Array([1, -1, 1]), 0.5)
+          )
+        ).rejects.toThrow("expected nonnegative seed, but [1] is -1");
+        await expect(
+          findStationaryDistribution(
+            chain,
+            options(new Float64Array([1, 1, 1]), 0.5)
+          )
+        ).rejects.toThrow("expected seed to sum to 1, but it sums to 3");
+      });
+    });
   });
 });
@@ -3,9 +3,13 @@
 import {type Edge, Graph, NodeAddress, type NodeAddressT} from "../graph";
 import {
   distributionToNodeDistribution,
-  createConnections,
-  createOrderedSparseMarkovChain,
+  createMarkovChainStructure,
+  createSeedDistribution,
+  weightMarkovChainStructure,
   type EdgeWeight,
+  type MarkovChainStructure,
+  type NodeDistribution,
+  type NodeToConnections,
 } from "./graphToMarkovChain";
 import {
   decompose,
@@ -14,12 +18,38 @@ import {
 
 import {scoreByConstantTotal} from "./nodeScore";
 
-import {findStationaryDistribution} from "./markovChain";
+import {
+  findStationaryDistribution,
+  type Distribution,
+  type StationaryDistributionProgress,
+} from "./markovChain";
+import * as MapUtil from "../../util/map";
+import * as NullUtil from "../../util/null";
 
-export type {NodeDistribution} from "./graphToMarkovChain";
+export type {
+  MarkovChainStructure,
+  NodeDistribution,
+} from "./graphToMarkovChain";
 export type {PagerankNodeDecomposition} from "./pagerankNodeDecomposition";
+/**
+ * Where cred enters the graph through teleportation: either in
+ * proportion to the given node weights (nodes not in the map have
+ * weight zero), or uniformly over the nodes matching any of the given
+ * prefixes. A seed must give some node of the graph positive weight.
+ */
+export type PagerankSeed =
+  | {|+type: "NODE_WEIGHTS", +weights: Map<NodeAddressT, number>|}
+  | {|+type: "NODE_PREFIXES", +prefixes: $ReadOnlyArray<NodeAddressT>|};
+
+export type PagerankProgress = StationaryDistributionProgress;
+
 export type PagerankOptions = {|
   +selfLoopWeight?: number,
+  // Probability of teleporting to the seed at each step of the walk.
+  // Zero disables teleportation.
+  +alpha?: number,
+  // Distribution to teleport to; uniform over all nodes if omitted.
+  +seed?: PagerankSeed,
   +verbose?: boolean,
   +convergenceThreshold?: number,
   +maxIterations?: number,
@@ -27,6 +57,23 @@ export type PagerankOptions = {|
   +totalScore?: number,
   // Only nodes matching this prefix will count for normalization
   +totalScoreNodePrefix?: NodeAddressT,
+  // Called periodically while iterating toward the stationary
+  // distribution.
+  +onProgress?: (PagerankProgress) => void,
+  // Distribution from which to start iterating, such as the result of
+  // an earlier run on the same graph with other weights; nodes not in
+  // the map start with probability zero. Uniform if omitted, or if
+  // none of its nodes is in the graph.
+  +initialDistribution?: NodeDistribution,
+|};
+
+/**
+ * The result of a PageRank run: the scores and their decomposition, and
+ * the stationary distribution from which they were computed.
+ */
+export type PagerankResult = {|
+  +pnd: PagerankNodeDecomposition,
+  +distribution: NodeDistribution,
 |};
 
 export type {EdgeWeight} from "./graphToMarkovChain";
@@ -36,6 +83,7 @@ function defaultOptions(): PagerankOptions {
   return {
     verbose: false,
     selfLoopWeight: 1e-3,
+    alpha: 0,
     convergenceThreshold: 1e-7,
     maxIterations: 255,
     totalScore: 1000,
@@ -48,21 +96,53 @@ export async function pagerank(
   edgeWeight: EdgeEvaluator,
   options?: PagerankOptions
 ): Promise<PagerankNodeDecomposition> {
+  const result = await pagerankWithStructure(
+    createMarkovChainStructure(graph),
+    edgeWeight,
+    options
+  );
+  return result.pnd;
+}
+
+/**
+ * Like `pagerank`, but for a graph whose chain structure has already
+ * been computed with `createMarkovChainStructure`, so that running with
+ * several edge evaluators on one graph only reweights its edges. Passing
+ * each run's distribution as the next run's `initialDistribution` makes
+ * small changes in weights fast to converge.
+ */
+export async function pagerankWithStructure(
+  structure: MarkovChainStructure,
+  edgeWeight: EdgeEvaluator,
+  options?: PagerankOptions
+): Promise<PagerankResult> {
   const fullOptions = {
     ...defaultOptions(),
     ...(options || {}),
   };
-  const connections = createConnections(
-    graph,
+  const {connections, osmc} = weightMarkovChainStructure(
+    structure,
     edgeWeight,
-    fullOptions.selfLoopWeight
+    NullUtil.get(fullOptions.selfLoopWeight)
   );
-  const osmc = createOrderedSparseMarkovChain(connections);
+  const seed = fullOptions.seed;
+  const alpha = NullUtil.get(fullOptions.alpha);
+  const initialDistribution = fullOptions.initialDistribution;
   const distribution = await findStationaryDistribution(osmc.chain, {
     verbose: fullOptions.verbose,
     convergenceThreshold: fullOptions.convergenceThreshold,
     maxIterations: fullOptions.maxIterations,
     yieldAfterMs: 30,
+    seed:
+      seed == null
+        ? createSeedDistribution(osmc.nodeOrder, () => 1)
+        : seedDistribution(osmc.nodeOrder, seed),
+    alpha,
+    initialDistribution:
+      initialDistribution == null
+        ? undefined
+        : startingDistribution(osmc.nodeOrder, initialDistribution),
+    onProgress: fullOptions.onProgress,
   });
   const pi = distributionToNodeDistribution(osmc.nodeOrder, distribution);
   const scores = scoreByConstantTotal(
@@ -70,5 +150,83 @@ export async function pagerank(
     fullOptions.totalScore,
     fullOptions.totalScoreNodePrefix
   );
-  return decompose(scores, connections);
+  return {
+    pnd: decompose(scores, scaleConnections(connections, 1 - alpha)),
+    distribution: pi,
+  };
+}
+
+function seedDistribution(
+  nodeOrder: $ReadOnlyArray<NodeAddressT>,
+  seed: PagerankSeed
+): Distribution {
+  const weight = seedWeight(seed);
+  if (nodeOrder.length > 0 && !nodeOrder.some((node) => weight(node) > 0)) {
+    const description = seedToString(seed);
+    throw new Error(`Seed matches no node of the graph: ${description}`);
+  }
+  return createSeedDistribution(nodeOrder, weight);
+}
+
+// Unlike a seed, an initial distribution from an earlier run may share
+// no node with this graph; the iteration then starts from uniform, as
+// it does without one.
+function startingDistribution(
+  nodeOrder: $ReadOnlyArray<NodeAddressT>,
+  initialDistribution: NodeDistribution
+): Distribution | void {
+  const weight = (node) => NullUtil.orElse(initialDistribution.get(node), 0);
+  if (!nodeOrder.some((node) => weight(node) > 0)) {
+    return undefined;
+  }
+  return createSeedDistribution(nodeOrder, weight);
+}
+
+function seedToString(seed: PagerankSeed): string {
+  switch (seed.type) {
+    case "NODE_WEIGHTS": {
+      const nodes = Array.from(seed.weights.keys()).map(NodeAddress.toString);
+      return `NODE_WEIGHTS [${nodes.join(", ")}]`;
+    }
+    case "NODE_PREFIXES": {
+      const prefixes = seed.prefixes.map(NodeAddress.toString);
+      return `NODE_PREFIXES [${prefixes.join(", ")}]`;
+    }
+    default:
+      throw new Error((seed.type: empty));
+  }
+}
+
+function seedWeight(seed: PagerankSeed): (NodeAddressT) => number {
+  switch (seed.type) {
+    case "NODE_WEIGHTS": {
+      const {weights} = seed;
+      return (node) => NullUtil.orElse(weights.get(node), 0);
+    }
+    case "NODE_PREFIXES": {
+      const {prefixes} = seed;
+      return (node) =>
+        prefixes.some((prefix) => NodeAddress.hasPrefix(node, prefix)) ? 1 : 0;
+    }
+    default:
+      throw new Error((seed.type: empty));
+  }
+}
+
+// With teleportation, the walk only follows a connection when it does
+// not teleport, so each connection carries that much less of its
+// source's score; the remainder of a node's score comes from the seed.
+function scaleConnections(
+  connections: NodeToConnections,
+  factor: number
+): NodeToConnections {
+  if (factor === 1) {
+    return connections;
+  }
+  return MapUtil.mapValues(connections, (_, connections) =>
+    connections.map((connection) => ({
+      ...connection,
+      weight: connection.weight * factor,
+    }))
+  );
 }
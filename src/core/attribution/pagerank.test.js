@@ -0,0 +1,165 @@
+// @flow
+
+import {EdgeAddress, Graph, NodeAddress} from "../graph";
+import {createMarkovChainStructure} from "./graphToMarkovChain";
+import {pagerank, pagerankWithStructure} from "./pagerank";
+import * as NullUtil from "../../util/null";
+
+describe("core/attribution/pagerank", () => {
+  // A chain of three nodes; cred can flow either way along each edge.
+  const a = NodeAddress.fromParts(["a"]);
+  const b = NodeAddress.fromParts(["b"]);
+  const c = NodeAddress.fromParts(["c"]);
+  function graph() {
+    return new Graph()
+      .addNode(a)
+      .addNode(b)
+      .addNode(c)
+      .addEdge({src: a, dst: b, address: EdgeAddress.fromParts(["ab"])})
+      .addEdge({src: b, dst: c, address: EdgeAddress.fromParts(["bc"])});
+  }
+  const edgeWeight = () => ({toWeight: 1, froWeight: 1});
+  async function scores(options) {
+    const decomposition = await pagerank(graph(), edgeWeight, options);
+    const score = (node) => NullUtil.get(decomposition.get(node)).score;
+    return {a: score(a), b: score(b), c: score(c), decomposition};
+  }
+
+  it("is symmetric without teleportation", async () => {
+    const result = await scores();
+    expect(result.a).toBeCloseTo(result.c, 6);
+    expect(result.a + result.b + result.c).toBeCloseTo(1000, 6);
+  });
+
+  it("biases cred toward seeded nodes", async () => {
+    const unseeded = await scores();
+    for (const seed of [
+      {type: "NODE_WEIGHTS", weights: new Map([[a, 1]])},
+      {type: "NODE_PREFIXES", prefixes: [a]},
+    ]) {
+      const seeded = await scores({alpha: 0.3, seed});
+      expect(seeded.a).toBeGreaterThan(unseeded.a);
+      expect(seeded.a).toBeGreaterThan(seeded.c);
+      expect(seeded.a + seeded.b + seeded.c).toBeCloseTo(1000, 6);
+    }
+  });
+
+  it("ignores the seed when alpha is zero", async () => {
+    const unseeded = await scores();
+    const seeded = await scores({
+      alpha: 0,
+      seed: {type: "NODE_PREFIXES", prefixes: [a]},
+    });
+    expect(seeded.a).toBeCloseTo(unseeded.a, 6);
+  });
+
+  it("rejects a seed that matches no node", async () => {
+    const d = NodeAddress.fromParts(["d"]);
+    const e = NodeAddress.fromParts(["e"]);
+    await expect(
+      scores({alpha: 0.3, seed: {type: "NODE_PREFIXES", prefixes: [d, e]}})
+    ).rejects.toThrow(
+      "Seed matches no node of the graph: " +
+        'NODE_PREFIXES [NodeAddress["d"], NodeAddress["e"]]'
+    );
+    await expect(
+      scores({
+        alpha: 0.3,
+        seed: {type: "NODE_WEIGHTS", weights: new Map([[a, 0], [d, 1]])},
+      })
+    ).rejects.toThrow(
+      "Seed matches no node of the graph: " +
+        'NODE_WEIGHTS [NodeAddress["a"], NodeAddress["d"]]'
+    );
+  });
+
+  it("attributes the rest of each score to the seed", async () => {
+    const alpha = 0.3;
+    const {decomposition} = await scores({
+      alpha,
+      seed: {type: "NODE_PREFIXES", prefixes: [a]},
+    });
+    const seedShare = new Map([[a, alpha * 1000], [b, 0], [c, 0]]);
+    for (const [node, {score, scoredConnections}] of decomposition) {
+      const fromConnections = scoredConnections
+        .map((x) => x.connectionScore)
+        .reduce((x, y) => x + y, 0);
+      expect(fromConnections + NullUtil.get(seedShare.get(node))).toBeCloseTo(
+        score,
+        3
+      );
+    }
+  });
+
+  describe("pagerankWithStructure", () => {
+    it("agrees with pagerank", async () => {
+      const options = {
+        alpha: 0.1,
+        seed: {type: "NODE_PREFIXES", prefixes: [a]},
+      };
+      const expected = await pagerank(graph(), edgeWeight, options);
+      const {pnd} = await pagerankWithStructure(
+        createMarkovChainStructure(graph()),
+        edgeWeight,
+        options
+      );
+      expect(pnd).toEqual(expected);
+    });
+
+    it("reuses a structure across edge weights", async () => {
+      const structure = createMarkovChainStructure(graph());
+      const forward = () => ({toWeight: 1, froWeight: 0.1});
+      for (const evaluator of [edgeWeight, forward, edgeWeight]) {
+        const {pnd} = await pagerankWithStructure(structure, evaluator);
+        expect(pnd).toEqual(await pagerank(graph(), evaluator));
+      }
+    });
+
+    it("warm-starts from an initial distribution", async () => {
+      const structure = createMarkovChainStructure(graph());
+      // Without teleportation, the chain is nearly periodic and
+      // converges slowly.
+      const alpha = 0.2;
+      const cold = await pagerankWithStructure(structure, edgeWeight, {alpha});
+      const coldScore = NullUtil.get(cold.pnd.get(b)).score;
+      // One iteration from uniform is not enough to converge...
+      const short = await pagerankWithStructure(structure, edgeWeight, {
+        alpha,
+        maxIterations: 1,
+      });
+      expect(NullUtil.get(short.pnd.get(b)).score).not.toBeCloseTo(
+        coldScore,
+        3
+      );
+      // ...but is from the stationary distribution.
+      const warm = await pagerankWithStructure(structure, edgeWeight, {
+        alpha,
+        maxIterations: 1,
+        initialDistribution: cold.distribution,
+      });
+      expect(NullUtil.get(warm.pnd.get(b)).score).toBeCloseTo(coldScore, 3);
+    });
+
+    it("starts from uniform if no initial node is in the graph", async () => {
+      const structure = createMarkovChainStructure(graph());
+      const options = {alpha: 0.2, maxIterations: 1};
+      const cold = await pagerankWithStructure(structure, edgeWeight, options);
+      const other = NodeAddress.fromParts(["other"]);
+      const warm = await pagerankWithStructure(structure, edgeWeight, {
+        ...options,
+        initialDistribution: new Map([[other, 1]]),
+      });
+      expect(warm.distribution).toEqual(cold.distribution);
+    });
+
+    it("gives the stationary distribution", async () => {
+      const {distribution} = await pagerankWithStructure(
+        createMarkovChainStructure(graph()),
+        edgeWeight
+      );
+      expect(Array.from(distribution.keys())).toEqual([a, b, c]);
+      const total = Array.from(distribution.values()).reduce((x, y) => x + y);
+      expect(total).toBeCloseTo(1, 6);
+    });
+  });
+});
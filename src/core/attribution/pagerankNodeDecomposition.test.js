@@ -6,7 +6,7 @@ import {
   createConnections,
   createOrderedSparseMarkovChain,
 } from "./graphToMarkovChain";
-import {findStationaryDistribution} from "./markovChain";
+import {findStationaryDistribution, uniformDistribution} from "./markovChain";
 import {decompose} from "./pagerankNodeDecomposition";
 import * as MapUtil from "../../util/map";
 
@@ -134,6 +134,8 @@ describe("core/attribution/pagerankNodeDecomposition", () => {
         convergenceThreshold: 1e-6,
         maxIterations: 255,
         yieldAfterMs: 1,
+        seed: uniformDistribution(osmc.chain.length),
+        alpha: 0,
       });
       const pr = distributionToNodeDistribution(osmc.nodeOrder, pi);
       const result = decompose(pr, connections);
@@ -151,6 +153,8 @@ describe("core/attribution/pagerankNodeDecomposition", () => {
         convergenceThreshold: 1e-6,
         maxIterations: 255,
         yieldAfterMs: 1,
+        seed: uniformDistribution(osmc.chain.length),
+        alpha: 0,
       });
       const pr = distributionToNodeDistribution(osmc.nodeOrder, pi);
       const result = decompose(pr, connections);
@@ -53,6 +53,40 @@ export type EdgesOptions = {|
   +dstPrefix: NodeAddressT,
 |};
 
+/**
+ * Specifies that the nodes in `old` should be replaced with the node
+ * `replacement`; see `Graph.contractNodes`.
+ */
+export type NodeContraction = {|
+  +old: $ReadOnlyArray<NodeAddressT>,
+  +replacement: NodeAddressT,
+|};
+
+/**
+ * Selects the nodes and edges of an induced subgraph; see
+ * `Graph.filter`. Each predicate defaults to accepting everything.
+ *
+ * An edge that the edge predicate accepts may still be *dangling*: one
+ * of its endpoints may be rejected by the node predicate. With
+ * `danglingEdges: "drop"` (the default), such edges are omitted. With
+ * `danglingEdges: "keep"`, they are kept, along with their endpoints.
+ */
+export type GraphFilter = {|
+  +nodePredicate?: (NodeAddressT) => boolean,
+  +edgePredicate?: (Edge) => boolean,
+  +danglingEdges?: "drop" | "keep",
+|};
+
+/**
+ * The changes that turn one graph into another; see `diffGraphs`.
+ */
+export type GraphDiff = {|
+  +addedNodes: $ReadOnlyArray<NodeAddressT>,
+  +removedNodes: $ReadOnlyArray<NodeAddressT>,
+  +addedEdges: $ReadOnlyArray<Edge>,
+  +removedEdges: $ReadOnlyArray<Edge>,
+|};
+
 type AddressJSON = string[]; // Result of calling {Node,Edge}Address.toParts
 type Integer = number;
 type IndexedEdgeJSON = {|
@@ -541,6 +575,88 @@ export class Graph {
     return result;
   }
 
+  /**
+   * Create a new graph in which each contraction's `old` nodes have been
+   * merged into its `replacement` node. Every edge incident to an old
+   * node is rewired to the replacement, keeping its address; an edge
+   * between two nodes of the same contraction becomes a loop. Old nodes
+   * that are not in the graph are ignored, and each replacement node is
+   * added to the result even if none of its old nodes are present. A
+   * node may be replaced by at most one contraction.
+   *
+   * This graph is not modified.
+   */
+  contractNodes(contractions: $ReadOnlyArray<NodeContraction>): Graph {
+    const replacements: Map<NodeAddressT, NodeAddressT> = new Map();
+    for (const {old, replacement} of contractions) {
+      NodeAddress.assertValid(replacement, "replacement");
+      for (const node of old) {
+        NodeAddress.assertValid(node, "old");
+        const existing = replacements.get(node);
+        if (existing != null && existing !== replacement) {
+          throw new Error(
+            `Node ${NodeAddress.toString(node)} is contracted into both ` +
+              `${NodeAddress.toString(existing)} and ` +
+              NodeAddress.toString(replacement)
+          );
+        }
+        replacements.set(node, replacement);
+      }
+    }
+    const resolve = (node) => NullUtil.orElse(replacements.get(node), node);
+    const result = new Graph();
+    for (const node of this.nodes()) {
+      result.addNode(resolve(node));
+    }
+    for (const {replacement} of contractions) {
+      result.addNode(replacement);
+    }
+    for (const {src, dst, address} of this.edges()) {
+      result.addEdge({src: resolve(src), dst: resolve(dst), address});
+    }
+    this._maybeCheckInvariants();
+    return result;
+  }
+
+  /**
+   * Create a new graph with only the nodes and edges selected by the
+   * given filter. Dangling edges are dropped or kept as the filter
+   * says; either way, the result contains the endpoints of each of its
+   * edges.
+   *
+   * This graph is not modified.
+   */
+  filter(filter: GraphFilter): Graph {
+    const {
+      nodePredicate = (_unused_node) => true,
+      edgePredicate = (_unused_edge) => true,
+      danglingEdges = "drop",
+    } = filter;
+    if (danglingEdges !== "drop" && danglingEdges !== "keep") {
+      throw new Error(`Invalid danglingEdges: ${String(danglingEdges)}`);
+    }
+    const result = new Graph();
+    for (const node of this.nodes()) {
+      if (nodePredicate(node)) {
+        result.addNode(node);
+      }
+    }
+    for (const edge of this.edges()) {
+      if (!edgePredicate(edge)) {
+        continue;
+      }
+      if (danglingEdges === "keep") {
+        result.addNode(edge.src);
+        result.addNode(edge.dst);
+      } else if (!result.hasNode(edge.src) || !result.hasNode(edge.dst)) {
+        continue;
+      }
+      result.addEdge(edge);
+    }
+    this._maybeCheckInvariants();
+    return result;
+  }
+
   toJSON(): GraphJSON {
     const sortedNodes = Array.from(this.nodes()).sort();
     const nodeToSortedIndex = new Map();
@@ -589,6 +705,35 @@ export class Graph {
   }
 }
 
+/**
+ * Compute the nodes and edges that are in `b` but not `a` (added) and
+ * in `a` but not `b` (removed). An edge whose address is in both
+ * graphs, but with different endpoints, is both removed and added.
+ * Each list is sorted by address.
+ */
+export function diffGraphs(a: Graph, b: Graph): GraphDiff {
+  const nodesOnlyIn = (x: Graph, y: Graph) =>
+    Array.from(x.nodes())
+      .filter((node) => !y.hasNode(node))
+      .sort();
+  const edgesOnlyIn = (x: Graph, y: Graph) =>
+    sortBy(
+      Array.from(x.edges()).filter((edge) => {
+        const other = y.edge(edge.address);
+        return (
+          other == null || other.src !== edge.src || other.dst !== edge.dst
+        );
+      }),
+      (edge) => edge.address
+    );
+  return {
+    addedNodes: nodesOnlyIn(b, a),
+    removedNodes: nodesOnlyIn(a, b),
+    addedEdges: edgesOnlyIn(b, a),
+    removedEdges: edgesOnlyIn(a, b),
+  };
+}
+
 export function edgeToString(edge: Edge): string {
   const address = EdgeAddress.toString(edge.address);
   const src = NodeAddress.toString(edge.src);
@@ -13,6 +13,7 @@ import {
   EdgeAddress,
   Graph,
   NodeAddress,
+  diffGraphs,
   edgeToString,
   edgeToStrings,
   edgeToParts,
@@ -1271,6 +1272,256 @@ describe("core/graph", () => {
     });
   });
 
+  describe("contractNodes", () => {
+    const alice = NodeAddress.fromParts(["alice"]);
+    const aliceWork = NodeAddress.fromParts(["alice-work"]);
+    const bob = NodeAddress.fromParts(["bob"]);
+    const person = NodeAddress.fromParts(["person", "alice"]);
+    const edge = (name, src, dst) => ({
+      src,
+      dst,
+      address: EdgeAddress.fromParts([name]),
+    });
+    function graph() {
+      return new Graph()
+        .addNode(alice)
+        .addNode(aliceWork)
+        .addNode(bob)
+        .addEdge(edge("a-b", alice, bob))
+        .addEdge(edge("b-aw", bob, aliceWork))
+        .addEdge(edge("a-aw", alice, aliceWork));
+    }
+    it("is identity with no contractions", () => {
+      expect(
+        graph()
+          .contractNodes([])
+          .equals(graph())
+      ).toBe(true);
+    });
+    it("does not modify the original graph", () => {
+      const g = graph();
+      g.contractNodes([{old: [alice, aliceWork], replacement: person}]);
+      expect(g.equals(graph())).toBe(true);
+    });
+    it("rewires edges to the replacement node", () => {
+      const actual = graph().contractNodes([
+        {old: [alice, aliceWork], replacement: person},
+      ]);
+      const expected = new Graph()
+        .addNode(person)
+        .addNode(bob)
+        .addEdge(edge("a-b", person, bob))
+        .addEdge(edge("b-aw", bob, person))
+        .addEdge(edge("a-aw", person, person));
+      expect(actual.equals(expected)).toBe(true);
+    });
+    it("can contract into one of the old nodes", () => {
+      const actual = graph().contractNodes([
+        {old: [aliceWork], replacement: alice},
+      ]);
+      const expected = new Graph()
+        .addNode(alice)
+        .addNode(bob)
+        .addEdge(edge("a-b", alice, bob))
+        .addEdge(edge("b-aw", bob, alice))
+        .addEdge(edge("a-aw", alice, alice));
+      expect(actual.equals(expected)).toBe(true);
+    });
+    it("applies multiple contractions", () => {
+      const bobPerson = NodeAddress.fromParts(["person", "bob"]);
+      const actual = graph().contractNodes([
+        {old: [alice, aliceWork], replacement: person},
+        {old: [bob], replacement: bobPerson},
+      ]);
+      const expected = new Graph()
+        .addNode(person)
+        .addNode(bobPerson)
+        .addEdge(edge("a-b", person, bobPerson))
+        .addEdge(edge("b-aw", bobPerson, person))
+        .addEdge(edge("a-aw", person, person));
+      expect(actual.equals(expected)).toBe(true);
+    });
+    it("ignores old nodes that are not in the graph", () => {
+      const missing = NodeAddress.fromParts(["missing"]);
+      const actual = graph().contractNodes([
+        {old: [missing], replacement: person},
+      ]);
+      expect(actual.equals(graph().addNode(person))).toBe(true);
+    });
+    it("allows a node to be listed twice for the same replacement", () => {
+      const actual = graph().contractNodes([
+        {old: [aliceWork], replacement: alice},
+        {old: [aliceWork], replacement: alice},
+      ]);
+      expect(actual.hasNode(aliceWork)).toBe(false);
+    });
+    it("rejects a node contracted into two replacements", () => {
+      expect(() =>
+        graph().contractNodes([
+          {old: [alice], replacement: person},
+          {old: [alice], replacement: bob},
+        ])
+      ).toThrow(
+        'Node NodeAddress["alice"] is contracted into both ' +
+          'NodeAddress["person","alice"] and NodeAddress["bob"]'
+      );
+    });
+    it("rejects invalid addresses", () => {
+      const e = EdgeAddress.fromParts(["edge"]);
+      expect(() =>
+        // $ExpectFlowError
+        graph().contractNodes([{old: [alice], replacement: e}])
+      ).toThrow("replacement: expected NodeAddress");
+      expect(() =>
+        // $ExpectFlowError
+        graph().contractNodes([{old: [e], replacement: person}])
+      ).toThrow("old: expected NodeAddress");
+    });
+  });
+
+  describe("filter", () => {
+    const n = (...parts) => NodeAddress.fromParts(parts);
+    const alice = n("user", "alice");
+    const bob = n("user", "bob");
+    const pull = n("pull", "1");
+    const edge = (name, src, dst) => ({
+      src,
+      dst,
+      address: EdgeAddress.fromParts([name]),
+    });
+    const authors = edge("authors", alice, pull);
+    const reviews = edge("reviews", bob, pull);
+    const thanks = edge("thanks", alice, bob);
+    function graph() {
+      return new Graph()
+        .addNode(alice)
+        .addNode(bob)
+        .addNode(pull)
+        .addEdge(authors)
+        .addEdge(reviews)
+        .addEdge(thanks);
+    }
+    const isUser = (node) => NodeAddress.hasPrefix(node, n("user"));
+    it("is a copy with no predicates", () => {
+      const result = graph().filter({});
+      expect(result.equals(graph())).toBe(true);
+      expect(result).not.toBe(graph());
+    });
+    it("does not modify the original graph", () => {
+      const g = graph();
+      g.filter({nodePredicate: isUser});
+      expect(g.equals(graph())).toBe(true);
+    });
+    it("takes the subgraph induced by the node predicate", () => {
+      const expected = new Graph()
+        .addNode(alice)
+        .addNode(bob)
+        .addEdge(thanks);
+      expect(
+        graph()
+          .filter({nodePredicate: isUser})
+          .equals(expected)
+      ).toBe(true);
+    });
+    it("keeps only edges matching the edge predicate", () => {
+      const expected = new Graph()
+        .addNode(alice)
+        .addNode(bob)
+        .addNode(pull)
+        .addEdge(reviews);
+      const actual = graph().filter({
+        edgePredicate: (e) => e.address === reviews.address,
+      });
+      expect(actual.equals(expected)).toBe(true);
+    });
+    it("drops dangling edges by default", () => {
+      const actual = graph().filter({
+        nodePredicate: (node) => node === alice,
+      });
+      expect(actual.equals(new Graph().addNode(alice))).toBe(true);
+    });
+    it("can keep dangling edges along with their endpoints", () => {
+      const actual = graph().filter({
+        nodePredicate: (node) => node === alice,
+        edgePredicate: (e) => e.address !== reviews.address,
+        danglingEdges: "keep",
+      });
+      const expected = new Graph()
+        .addNode(alice)
+        .addNode(bob)
+        .addNode(pull)
+        .addEdge(authors)
+        .addEdge(thanks);
+      expect(actual.equals(expected)).toBe(true);
+    });
+    it("rejects an invalid dangling edge policy", () => {
+      expect(() =>
+        // $ExpectFlowError
+        graph().filter({danglingEdges: "ignore"})
+      ).toThrow("Invalid danglingEdges: ignore");
+    });
+  });
+
+  describe("diffGraphs", () => {
+    const n = (...parts) => NodeAddress.fromParts(parts);
+    const edge = (name, src, dst) => ({
+      src,
+      dst,
+      address: EdgeAddress.fromParts([name]),
+    });
+    const empty = Object.freeze({
+      addedNodes: [],
+      removedNodes: [],
+      addedEdges: [],
+      removedEdges: [],
+    });
+    it("finds no changes between equal graphs", () => {
+      const g = () =>
+        new Graph()
+          .addNode(n("a"))
+          .addNode(n("b"))
+          .addEdge(edge("e", n("a"), n("b")));
+      expect(diffGraphs(g(), g())).toEqual(empty);
+    });
+    it("finds added and removed nodes and edges", () => {
+      const before = new Graph()
+        .addNode(n("a"))
+        .addNode(n("b"))
+        .addEdge(edge("ab", n("a"), n("b")));
+      const after = new Graph()
+        .addNode(n("a"))
+        .addNode(n("c"))
+        .addNode(n("d"))
+        .addEdge(edge("cd", n("c"), n("d")))
+        .addEdge(edge("ac", n("a"), n("c")));
+      expect(diffGraphs(before, after)).toEqual({
+        addedNodes: [n("c"), n("d")],
+        removedNodes: [n("b")],
+        addedEdges: [edge("ac", n("a"), n("c")), edge("cd", n("c"), n("d"))],
+        removedEdges: [edge("ab", n("a"), n("b"))],
+      });
+      expect(diffGraphs(after, before)).toEqual({
+        addedNodes: [n("b")],
+        removedNodes: [n("c"), n("d")],
+        addedEdges: [edge("ab", n("a"), n("b"))],
+        removedEdges: [edge("ac", n("a"), n("c")), edge("cd", n("c"), n("d"))],
+      });
+    });
+    it("treats an edge with new endpoints as removed and added", () => {
+      const g = (dst) =>
+        new Graph()
+          .addNode(n("a"))
+          .addNode(n("b"))
+          .addNode(n("c"))
+          .addEdge(edge("e", n("a"), dst));
+      expect(diffGraphs(g(n("b")), g(n("c")))).toEqual({
+        ...empty,
+        addedEdges: [edge("e", n("a"), n("c"))],
+        removedEdges: [edge("e", n("a"), n("b"))],
+      });
+    });
+  });
+
   describe("toJSON / fromJSON", () => {
     const src = NodeAddress.fromParts(["src"]);
     const dst = NodeAddress.fromParts(["dst"]);
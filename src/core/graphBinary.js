@@ -0,0 +1,525 @@
+// @flow
+
+import sortBy from "lodash.sortby";
+
+import {
+  EdgeAddress,
+  Graph,
+  NodeAddress,
+  type EdgeAddressT,
+  type NodeAddressT,
+} from "./graph";
+import {fromCompat, toCompat} from "../util/compat";
+import * as NullUtil from "../util/null";
+
+/**
+ * A compact binary encoding of a `Graph`, for graphs too large to store
+ * comfortably as `GraphJSON`.
+ *
+ * An encoded graph consists of:
+ *
+ *   - the four bytes "SCGB";
+ *   - the length in bytes of the header, as a little-endian uint32;
+ *   - the header: UTF-8 JSON, as created by `toCompat`, whose payload
+ *     holds the number of strings, nodes, and edges that follow;
+ *   - the string table: each distinct address part, as its length in
+ *     bytes followed by its UTF-8 bytes;
+ *   - the node addresses, sorted, each as its number of parts followed
+ *     by the index of each part in the string table;
+ *   - the edge addresses, sorted, encoded like node addresses;
+ *   - the index of each edge's src node, as a little-endian uint32;
+ *   - likewise, the index of each edge's dst node.
+ *
+ * Lengths, part counts, and string indices are unsigned LEB128
+ * varints. Every section can be decoded as soon as its bytes arrive, so
+ * a `GraphDecoder` can build a graph while it is still being
+ * downloaded, without holding the whole encoding in memory.
+ */
+
+const COMPAT_INFO = {type: "sourcecred/graphBinary", version: "0.1.0"};
+
+const MAGIC = [0x53, 0x43, 0x47, 0x42]; // "SCGB"
+
+type Header = {|+strings: number, +nodes: number, +edges: number|};
+
+export function encodeGraph(graph: Graph): Uint8Array {
+  const nodes = Array.from(graph.nodes()).sort();
+  const edges = sortBy(Array.from(graph.edges()), (x) => x.address);
+  const strings: string[] = [];
+  const stringIndices: Map<string, number> = new Map();
+  const intern = (s) => {
+    let index = stringIndices.get(s);
+    if (index == null) {
+      index = strings.length;
+      strings.push(s);
+      stringIndices.set(s, index);
+    }
+    return index;
+  };
+  const nodeParts = nodes.map((x) => NodeAddress.toParts(x).map(intern));
+  const edgeParts = edges.map((x) =>
+    EdgeAddress.toParts(x.address).map(intern)
+  );
+  const nodeIndices: Map<NodeAddressT, number> = new Map();
+  nodes.forEach((node, i) => {
+    nodeIndices.set(node, i);
+  });
+  const srcIndices = new Uint32Array(edges.length);
+  const dstIndices = new Uint32Array(edges.length);
+  edges.forEach(({src, dst}, i) => {
+    srcIndices[i] = NullUtil.get(nodeIndices.get(src));
+    dstIndices[i] = NullUtil.get(nodeIndices.get(dst));
+  });
+
+  const writer = new ByteWriter();
+  writer.bytes(MAGIC);
+  const header: Header = {
+    strings: strings.length,
+    nodes: nodes.length,
+    edges: edges.length,
+  };
+  const headerBytes = encodeUtf8(JSON.stringify(toCompat(COMPAT_INFO, header)));
+  writer.uint32(headerBytes.length);
+  writer.bytes(headerBytes);
+  for (const s of strings) {
+    const bytes = encodeUtf8(s);
+    writer.varint(bytes.length);
+    writer.bytes(bytes);
+  }
+  for (const parts of [...nodeParts, ...edgeParts]) {
+    writer.varint(parts.length);
+    for (const index of parts) {
+      writer.varint(index);
+    }
+  }
+  for (const column of [srcIndices, dstIndices]) {
+    for (const index of column) {
+      writer.uint32(index);
+    }
+  }
+  return writer.result();
+}
+
+export function decodeGraph(bytes: Uint8Array): Graph {
+  const decoder = new GraphDecoder();
+  decoder.write(bytes);
+  return decoder.finish();
+}
+
+/**
+ * Decode a graph from a fetched response, a chunk at a time if the
+ * browser supports streaming response bodies.
+ */
+export async function decodeGraphResponse(response: Response): Promise<Graph> {
+  const body: any = response.body;
+  if (body == null || typeof body.getReader !== "function") {
+    return decodeGraph(new Uint8Array(await response.arrayBuffer()));
+  }
+  const reader = body.getReader();
+  const decoder = new GraphDecoder();
+  for (;;) {
+    const {done, value} = await reader.read();
+    if (done) {
+      break;
+    }
+    decoder.write(value);
+  }
+  return decoder.finish();
+}
+
+type Phase =
+  | "HEADER"
+  | "STRINGS"
+  | "NODES"
+  | "EDGE_ADDRESSES"
+  | "SRC_INDICES"
+  | "DST_INDICES"
+  | "DONE";
+
+/**
+ * Incrementally decodes the output of `encodeGraph`. Call `write` with
+ * each chunk of the encoding, in order, and then `finish` to get the
+ * graph. Chunks may be split anywhere.
+ */
+export class GraphDecoder {
+  _phase: Phase;
+  _pending: Uint8Array;
+  _header: Header;
+  _strings: string[];
+  _nodes: NodeAddressT[];
+  _edgeAddresses: EdgeAddressT[];
+  _srcIndices: Uint32Array;
+  _dstIndices: Uint32Array;
+  _indicesRead: number;
+  _graph: Graph;
+
+  constructor(): void {
+    this._phase = "HEADER";
+    this._pending = new Uint8Array(0);
+    this._header = {strings: 0, nodes: 0, edges: 0};
+    this._strings = [];
+    this._nodes = [];
+    this._edgeAddresses = [];
+    this._srcIndices = new Uint32Array(0);
+    this._dstIndices = new Uint32Array(0);
+    this._indicesRead = 0;
+    this._graph = new Graph();
+  }
+
+  write(chunk: Uint8Array): void {
+    const bytes = concat(this._pending, chunk);
+    let offset = 0;
+    for (;;) {
+      const next = this._step(bytes, offset);
+      if (next == null) {
+        break;
+      }
+      offset = next;
+    }
+    if (this._phase === "DONE" && offset < bytes.length) {
+      throw new Error("Unexpected data after end of graph");
+    }
+    this._pending = bytes.slice(offset);
+  }
+
+  finish(): Graph {
+    if (this._phase !== "DONE") {
+      throw new Error("Unexpected end of graph data");
+    }
+    return this._graph;
+  }
+
+  // Decode the next item of the current phase starting at `offset`,
+  // and return the offset after it, or `null` if more bytes are needed
+  // (or there is nothing left to decode).
+  _step(bytes: Uint8Array, offset: number): number | null {
+    const phase = this._phase;
+    switch (phase) {
+      case "HEADER": {
+        if (bytes.length - offset < 8) {
+          return null;
+        }
+        MAGIC.forEach((byte, i) => {
+          if (bytes[offset + i] !== byte) {
+            throw new Error("Not a binary graph");
+          }
+        });
+        const length = readUint32(bytes, offset + 4);
+        const start = offset + 8;
+        if (bytes.length - start < length) {
+          return null;
+        }
+        const json = JSON.parse(
+          decodeUtf8(bytes.subarray(start, start + length))
+        );
+        this._header = validateHeader(fromCompat(COMPAT_INFO, json));
+        this._srcIndices = new Uint32Array(this._header.edges);
+        this._dstIndices = new Uint32Array(this._header.edges);
+        this._advance();
+        return start + length;
+      }
+      case "STRINGS": {
+        const length = readVarint(bytes, offset);
+        if (length == null || bytes.length - length.next < length.value) {
+          return null;
+        }
+        const end = length.next + length.value;
+        this._strings.push(decodeUtf8(bytes.subarray(length.next, end)));
+        this._advance();
+        return end;
+      }
+      case "NODES":
+      case "EDGE_ADDRESSES": {
+        const address = this._readParts(bytes, offset);
+        if (address == null) {
+          return null;
+        }
+        if (phase === "NODES") {
+          const node = NodeAddress.fromParts(address.parts);
+          this._nodes.push(node);
+          this._graph.addNode(node);
+        } else {
+          this._edgeAddresses.push(EdgeAddress.fromParts(address.parts));
+        }
+        this._advance();
+        return address.next;
+      }
+      case "SRC_INDICES":
+      case "DST_INDICES": {
+        const column =
+          phase === "SRC_INDICES" ? this._srcIndices : this._dstIndices;
+        const available = Math.floor((bytes.length - offset) / 4);
+        const count = Math.min(available, column.length - this._indicesRead);
+        if (count === 0) {
+          return null;
+        }
+        for (let i = 0; i < count; i++) {
+          const index = readUint32(bytes, offset + 4 * i);
+          if (index >= this._nodes.length) {
+            throw new Error(`Invalid node index: ${index}`);
+          }
+          column[this._indicesRead++] = index;
+        }
+        this._advance();
+        return offset + 4 * count;
+      }
+      case "DONE":
+        return null;
+      // istanbul ignore next
+      default:
+        throw new Error((phase: empty));
+    }
+  }
+
+  _readParts(
+    bytes: Uint8Array,
+    offset: number
+  ): {|+parts: string[], +next: number|} | null {
+    const count = readVarint(bytes, offset);
+    if (count == null) {
+      return null;
+    }
+    const parts = [];
+    let next = count.next;
+    for (let i = 0; i < count.value; i++) {
+      const index = readVarint(bytes, next);
+      if (index == null) {
+        return null;
+      }
+      const part = this._strings[index.value];
+      if (part == null) {
+        throw new Error(`Invalid string index: ${index.value}`);
+      }
+      parts.push(part);
+      next = index.next;
+    }
+    return {parts, next};
+  }
+
+  // Move on to the next phase once the current one is complete,
+  // skipping any phases that have nothing to decode.
+  _advance(): void {
+    const {strings, nodes, edges} = this._header;
+    for (;;) {
+      const phase = this._phase;
+      switch (phase) {
+        case "HEADER":
+          this._phase = "STRINGS";
+          break;
+        case "STRINGS":
+          if (this._strings.length < strings) return;
+          this._phase = "NODES";
+          break;
+        case "NODES":
+          if (this._nodes.length < nodes) return;
+          this._phase = "EDGE_ADDRESSES";
+          break;
+        case "EDGE_ADDRESSES":
+          if (this._edgeAddresses.length < edges) return;
+          this._phase = "SRC_INDICES";
+          break;
+        case "SRC_INDICES":
+          if (this._indicesRead < edges) return;
+          this._indicesRead = 0;
+          this._phase = "DST_INDICES";
+          break;
+        case "DST_INDICES":
+          if (this._indicesRead < edges) return;
+          this._addEdges();
+          this._phase = "DONE";
+          break;
+        case "DONE":
+          return;
+        // istanbul ignore next
+        default:
+          throw new Error((phase: empty));
+      }
+    }
+  }
+
+  _addEdges(): void {
+    this._edgeAddresses.forEach((address, i) => {
+      this._graph.addEdge({
+        address,
+        src: this._nodes[this._srcIndices[i]],
+        dst: this._nodes[this._dstIndices[i]],
+      });
+    });
+  }
+}
+
+function validateHeader(header: any): Header {
+  for (const key of ["strings", "nodes", "edges"]) {
+    const value = header == null ? null : header[key];
+    if (typeof value !== "number" || !Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid graph header: bad ${key}: ${String(value)}`);
+    }
+  }
+  return {strings: header.strings, nodes: header.nodes, edges: header.edges};
+}
+
+function concat(a: Uint8Array, b: Uint8Array): Uint8Array {
+  if (a.length === 0) {
+    return b;
+  }
+  const result = new Uint8Array(a.length + b.length);
+  result.set(a);
+  result.set(b, a.length);
+  return result;
+}
+
+function readUint32(bytes: Uint8Array, offset: number): number {
+  return (
+    (bytes[offset] |
+      (bytes[offset + 1] << 8) |
+      (bytes[offset + 2] << 16) |
+      (bytes[offset + 3] << 24)) >>>
+    0
+  );
+}
+
+// Read an unsigned LEB128 varint of at most 32 bits, or return `null`
+// if it is incomplete.
+function readVarint(
+  bytes: Uint8Array,
+  offset: number
+): {|+value: number, +next: number|} | null {
+  let value = 0;
+  for (let i = 0; i < 5; i++) {
+    if (offset + i >= bytes.length) {
+      return null;
+    }
+    const byte = bytes[offset + i];
+    value += (byte & 0x7f) * 2 ** (7 * i);
+    if ((byte & 0x80) === 0) {
+      return {value, next: offset + i + 1};
+    }
+  }
+  throw new Error("Invalid varint");
+}
+
+class ByteWriter {
+  _buffer: Uint8Array;
+  _length: number;
+
+  constructor(): void {
+    this._buffer = new Uint8Array(1024);
+    this._length = 0;
+  }
+
+  _reserve(n: number): void {
+    if (this._length + n <= this._buffer.length) {
+      return;
+    }
+    const buffer = new Uint8Array(
+      Math.max(2 * this._buffer.length, this._length + n)
+    );
+    buffer.set(this._buffer.subarray(0, this._length));
+    this._buffer = buffer;
+  }
+
+  bytes(bytes: Array<number> | Uint8Array): void {
+    this._reserve(bytes.length);
+    this._buffer.set(bytes, this._length);
+    this._length += bytes.length;
+  }
+
+  uint32(value: number): void {
+    this.bytes([
+      value & 0xff,
+      (value >>> 8) & 0xff,
+      (value >>> 16) & 0xff,
+      (value >>> 24) & 0xff,
+    ]);
+  }
+
+  varint(value: number): void {
+    const bytes = [];
+    let rest = value;
+    while (rest >= 0x80) {
+      bytes.push(rest % 0x80 | 0x80);
+      rest = Math.floor(rest / 0x80);
+    }
+    bytes.push(rest);
+    this.bytes(bytes);
+  }
+
+  result(): Uint8Array {
+    return this._buffer.slice(0, this._length);
+  }
+}
+
+// `TextEncoder` and `TextDecoder` are not available in all of the
+// environments that we support, so we convert UTF-8 by hand. Unpaired
+// surrogates are encoded as if they were code points, so that every
+// JavaScript string round-trips.
+function encodeUtf8(s: string): Uint8Array {
+  const bytes = [];
+  for (let i = 0; i < s.length; i++) {
+    let c = s.charCodeAt(i);
+    if (c >= 0xd800 && c < 0xdc00 && i + 1 < s.length) {
+      const d = s.charCodeAt(i + 1);
+      if (d >= 0xdc00 && d < 0xe000) {
+        c = 0x10000 + ((c - 0xd800) << 10) + (d - 0xdc00);
+        i++;
+      }
+    }
+    if (c < 0x80) {
+      bytes.push(c);
+    } else if (c < 0x800) {
+      bytes.push(0xc0 | (c >> 6), 0x80 | (c & 0x3f));
+    } else if (c < 0x10000) {
+      bytes.push(0xe0 | (c >> 12), 0x80 | ((c >> 6) & 0x3f), 0x80 | (c & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (c >> 18),
+        0x80 | ((c >> 12) & 0x3f),
+        0x80 | ((c >> 6) & 0x3f),
+        0x80 | (c & 0x3f)
+      );
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+function decodeUtf8(bytes: Uint8Array): string {
+  const units = [];
+  let i = 0;
+  const continuation = () => {
+    const byte = bytes[i++];
+    if (byte == null || (byte & 0xc0) !== 0x80) {
+      throw new Error("Invalid UTF-8");
+    }
+    return byte & 0x3f;
+  };
+  while (i < bytes.length) {
+    const byte = bytes[i++];
+    if (byte < 0x80) {
+      units.push(byte);
+    } else if ((byte & 0xe0) === 0xc0) {
+      units.push(((byte & 0x1f) << 6) | continuation());
+    } else if ((byte & 0xf0) === 0xe0) {
+      units.push(
+        ((byte & 0x0f) << 12) | (continuation() << 6) | continuation()
+      );
+    } else if ((byte & 0xf8) === 0xf0) {
+      const c =
+        ((byte & 0x07) << 18) |
+        (continuation() << 12) |
+        (continuation() << 6) |
+        continuation();
+      units.push(
+        0xd800 + ((c - 0x10000) >> 10),
+        0xdc00 + ((c - 0x10000) & 0x3ff)
+      );
+    } else {
+      throw new Error("Invalid UTF-8");
+    }
+  }
+  let result = "";
+  // Convert in chunks, to stay within the limit on arguments.
+  for (let j = 0; j < units.length; j += 4096) {
+    result += String.fromCharCode(...units.slice(j, j + 4096));
+  }
+  return result;
+}
@@ -0,0 +1,191 @@
+// @flow
+
+import {EdgeAddress, Graph, NodeAddress} from "./graph";
+import {advancedGraph} from "./graphTestUtil";
+import {
+  GraphDecoder,
+  decodeGraph,
+  decodeGraphResponse,
+  encodeGraph,
+} from "./graphBinary";
+import {toCompat} from "../util/compat";
+
+describe("core/graphBinary", () => {
+  const n = (...parts) => NodeAddress.fromParts(parts);
+  const e = (...parts) => EdgeAddress.fromParts(parts);
+
+  function roundTrip(graph: Graph): Graph {
+    return decodeGraph(encodeGraph(graph));
+  }
+  function hex(bytes: Uint8Array): string {
+    return Buffer.from(bytes).toString("hex");
+  }
+  // Decode with the given bytes split into chunks of the given size.
+  function decodeInChunks(bytes: Uint8Array, size: number): Graph {
+    const decoder = new GraphDecoder();
+    for (let i = 0; i < bytes.length; i += size) {
+      decoder.write(bytes.slice(i, i + size));
+    }
+    return decoder.finish();
+  }
+  function unicodeGraph() {
+    return new Graph()
+      .addNode(n("user", "Jöhn 李 😀"))
+      .addNode(n("", "lone \ud800 surrogate", "\udc00"))
+      .addEdge({
+        src: n("user", "Jöhn 李 😀"),
+        dst: n("", "lone \ud800 surrogate", "\udc00"),
+        address: e("✓", ""),
+      });
+  }
+
+  describe("encodeGraph / decodeGraph", () => {
+    it("round-trips the empty graph", () => {
+      expect(roundTrip(new Graph()).equals(new Graph())).toBe(true);
+    });
+    it("round-trips the advanced graph", () => {
+      const graph = advancedGraph().graph1();
+      expect(roundTrip(graph).equals(graph)).toBe(true);
+    });
+    it("round-trips arbitrary strings in address parts", () => {
+      const graph = unicodeGraph();
+      expect(roundTrip(graph).equals(graph)).toBe(true);
+    });
+    it("round-trips a graph with many strings", () => {
+      // Enough for multi-byte string indices.
+      const graph = new Graph();
+      for (let i = 0; i < 300; i++) {
+        graph.addNode(n("node", String(i)));
+      }
+      for (let i = 1; i < 300; i++) {
+        graph.addEdge({
+          src: n("node", String(i - 1)),
+          dst: n("node", String(i)),
+          address: e("edge", String(i)),
+        });
+      }
+      expect(roundTrip(graph).equals(graph)).toBe(true);
+    });
+    it("has a stable format", () => {
+      const graph = new Graph()
+        .addNode(n("a"))
+        .addNode(n("b", "a"))
+        .addEdge({src: n("a"), dst: n("b", "a"), address: e("a", "b")});
+      expect(hex(encodeGraph(graph))).toMatchSnapshot();
+    });
+    it("is canonical", () => {
+      const {graph1, graph2} = advancedGraph();
+      expect(hex(encodeGraph(graph1()))).toEqual(hex(encodeGraph(graph2())));
+    });
+    it("stores each address part once", () => {
+      const part = "a-rather-long-address-part";
+      const graph = new Graph()
+        .addNode(n(part, "1"))
+        .addNode(n(part, "2"))
+        .addEdge({src: n(part, "1"), dst: n(part, "2"), address: e(part)});
+      const text = Buffer.from(encodeGraph(graph)).toString("latin1");
+      expect(text.split(part)).toHaveLength(2);
+    });
+    it("is smaller than the JSON for a typical graph", () => {
+      const graph = new Graph();
+      for (let i = 0; i < 100; i++) {
+        graph.addNode(n("sourcecred", "github", "ISSUE", "foo", "bar", `${i}`));
+      }
+      const json = JSON.stringify(graph.toJSON());
+      expect(encodeGraph(graph).length).toBeLessThan(json.length / 2);
+    });
+  });
+
+  describe("GraphDecoder", () => {
+    it("decodes chunks split anywhere", () => {
+      const graph = unicodeGraph().addNode(n("isolated"));
+      const bytes = encodeGraph(graph);
+      for (const size of [1, 2, 3, 5, 7, 64]) {
+        expect(decodeInChunks(bytes, size).equals(graph)).toBe(true);
+      }
+    });
+    it("accepts empty chunks", () => {
+      const decoder = new GraphDecoder();
+      decoder.write(new Uint8Array(0));
+      decoder.write(encodeGraph(unicodeGraph()));
+      decoder.write(new Uint8Array(0));
+      expect(decoder.finish().equals(unicodeGraph())).toBe(true);
+    });
+    it("rejects data that is not a binary graph", () => {
+      const json = Buffer.from(JSON.stringify(new Graph().toJSON()));
+      expect(() => decodeGraph(json)).toThrow("Not a binary graph");
+    });
+    it("rejects an unsupported version", () => {
+      const bytes = encodeGraph(new Graph());
+      const text = Buffer.from(bytes).toString("latin1");
+      const modified = Buffer.from(text.replace("0.1.0", "9.9.9"), "latin1");
+      expect(() => decodeGraph(modified)).toThrow(
+        "sourcecred/graphBinary: tried to load unsupported version 9.9.9"
+      );
+    });
+    it("rejects an invalid header", () => {
+      const header = Buffer.from(
+        JSON.stringify(
+          toCompat(
+            {type: "sourcecred/graphBinary", version: "0.1.0"},
+            {strings: 0, nodes: -1, edges: 0}
+          )
+        )
+      );
+      const length = Buffer.alloc(4);
+      length.writeUInt32LE(header.length, 0);
+      const bytes = Buffer.concat([Buffer.from("SCGB"), length, header]);
+      expect(() => decodeGraph(bytes)).toThrow(
+        "Invalid graph header: bad nodes: -1"
+      );
+    });
+    it("rejects truncated data", () => {
+      const bytes = encodeGraph(unicodeGraph());
+      expect(() => decodeGraph(bytes.slice(0, bytes.length - 1))).toThrow(
+        "Unexpected end of graph data"
+      );
+    });
+    it("rejects trailing data", () => {
+      const bytes = encodeGraph(unicodeGraph());
+      const decoder = new GraphDecoder();
+      decoder.write(bytes);
+      expect(() => decoder.write(Uint8Array.from([0]))).toThrow(
+        "Unexpected data after end of graph"
+      );
+    });
+    it("rejects out-of-range node indices", () => {
+      const bytes = encodeGraph(unicodeGraph());
+      // The last four bytes are the index of the last edge's dst.
+      bytes.set([99, 0, 0, 0], bytes.length - 4);
+      expect(() => decodeGraph(bytes)).toThrow("Invalid node index: 99");
+    });
+  });
+
+  describe("decodeGraphResponse", () => {
+    const graph = () => advancedGraph().graph1();
+    it("streams the body when possible", async () => {
+      const bytes = encodeGraph(graph());
+      const chunks = [bytes.slice(0, 10), bytes.slice(10, 11), bytes.slice(11)];
+      const read = jest.fn(
+        async () =>
+          chunks.length > 0
+            ? {done: false, value: chunks.shift()}
+            : {done: true, value: undefined}
+      );
+      const arrayBuffer = jest.fn();
+      const response: any = {body: {getReader: () => ({read})}, arrayBuffer};
+      expect((await decodeGraphResponse(response)).equals(graph())).toBe(true);
+      expect(read).toHaveBeenCalledTimes(4);
+      expect(arrayBuffer).not.toHaveBeenCalled();
+    });
+    it("reads the whole body otherwise", async () => {
+      const bytes = encodeGraph(graph());
+      const response: any = {
+        body: null,
+        arrayBuffer: async () =>
+          bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length),
+      };
+      expect((await decodeGraphResponse(response)).equals(graph())).toBe(true);
+    });
+  });
+});
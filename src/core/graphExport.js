@@ -0,0 +1,334 @@
+// @flow
+
+import {
+  type Edge,
+  type EdgeAddressT,
+  type NodeAddressT,
+  EdgeAddress,
+  Graph,
+  NodeAddress,
+} from "./graph";
+
+/**
+ * Exporters from a `Graph` to formats understood by general-purpose
+ * graph tools: GraphML (Cytoscape, networkx, yEd), GEXF (Gephi), and
+ * Graphviz DOT.
+ *
+ * Nodes and edges are given short ids (`n0`, `e0`, ...), because
+ * addresses may contain characters that some tools reject in ids. Each
+ * node and edge carries its address as an attribute: the JSON array of
+ * its parts, which round-trips exactly. Nodes and edges may also carry
+ * annotations from outside the graph, such as the types and
+ * descriptions that plugins provide, or cred scores.
+ */
+
+export type GraphExportFormat = "graphml" | "gexf" | "dot";
+
+export const GRAPH_EXPORT_FORMATS: $ReadOnlyArray<GraphExportFormat> = [
+  "graphml",
+  "gexf",
+  "dot",
+];
+
+export type NodeAnnotation = {|
+  // The name of the node's type, like "Pull request".
+  +type?: string,
+  // A human-readable description, like the title of a pull request.
+  +description?: string,
+  +score?: number,
+|};
+
+export type EdgeAnnotation = {|
+  // The name of the edge's type, like "authors".
+  +type?: string,
+|};
+
+export type GraphExportOptions = {|
+  // Export only the nodes that match any of these prefixes. Defaults
+  // to all nodes.
+  +nodePrefixes?: $ReadOnlyArray<NodeAddressT>,
+  // Export only the edges that match any of these prefixes and whose
+  // endpoints are both exported. Defaults to all such edges.
+  +edgePrefixes?: $ReadOnlyArray<EdgeAddressT>,
+  +nodeAnnotations?: Map<NodeAddressT, NodeAnnotation>,
+  +edgeAnnotations?: Map<EdgeAddressT, EdgeAnnotation>,
+|};
+
+export function exportGraph(
+  graph: Graph,
+  format: GraphExportFormat,
+  options?: GraphExportOptions
+): string {
+  switch (format) {
+    case "graphml":
+      return toGraphML(graph, options);
+    case "gexf":
+      return toGEXF(graph, options);
+    case "dot":
+      return toDOT(graph, options);
+    // istanbul ignore next
+    default:
+      throw new Error((format: empty));
+  }
+}
+
+type ExportNode = {|
+  +id: string,
+  +address: NodeAddressT,
+  +annotation: NodeAnnotation,
+|};
+
+type ExportEdge = {|
+  +id: string,
+  +edge: Edge,
+  +srcId: string,
+  +dstId: string,
+  +annotation: EdgeAnnotation,
+|};
+
+function selectGraph(
+  graph: Graph,
+  options: GraphExportOptions | void
+): {|+nodes: ExportNode[], +edges: ExportEdge[]|} {
+  const {
+    nodePrefixes = [NodeAddress.empty],
+    edgePrefixes = [EdgeAddress.empty],
+    nodeAnnotations = new Map(),
+    edgeAnnotations = new Map(),
+  } =
+    options || {};
+  const noAnnotation = Object.freeze({});
+  const nodes = [];
+  const ids: Map<NodeAddressT, string> = new Map();
+  for (const address of graph.nodes()) {
+    if (nodePrefixes.some((p) => NodeAddress.hasPrefix(address, p))) {
+      const id = `n${nodes.length}`;
+      ids.set(address, id);
+      nodes.push({
+        id,
+        address,
+        annotation: nodeAnnotations.get(address) || noAnnotation,
+      });
+    }
+  }
+  const edges = [];
+  for (const edge of graph.edges()) {
+    const srcId = ids.get(edge.src);
+    const dstId = ids.get(edge.dst);
+    if (
+      srcId != null &&
+      dstId != null &&
+      edgePrefixes.some((p) => EdgeAddress.hasPrefix(edge.address, p))
+    ) {
+      edges.push({
+        id: `e${edges.length}`,
+        edge,
+        srcId,
+        dstId,
+        annotation: edgeAnnotations.get(edge.address) || noAnnotation,
+      });
+    }
+  }
+  return {nodes, edges};
+}
+
+function nodeAddressString(address: NodeAddressT): string {
+  return JSON.stringify(NodeAddress.toParts(address));
+}
+
+function edgeAddressString(address: EdgeAddressT): string {
+  return JSON.stringify(EdgeAddress.toParts(address));
+}
+
+// The label under which a tool shows a node: its description if it has
+// one, or else its address.
+function nodeLabel(node: ExportNode): string {
+  const {description} = node.annotation;
+  return description != null
+    ? description
+    : NodeAddress.toParts(node.address).join("/");
+}
+
+function escapeXml(s: string): string {
+  return (
+    s
+      // Control characters other than tab and newlines may not appear
+      // in XML 1.0 documents at all, even escaped.
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;")
+      // Parsers would turn literal whitespace in attributes into spaces.
+      .replace(/\t/g, "&#9;")
+      .replace(/\n/g, "&#10;")
+      .replace(/\r/g, "&#13;")
+  );
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+
+export function toGraphML(graph: Graph, options?: GraphExportOptions): string {
+  const {nodes, edges} = selectGraph(graph, options);
+  const lines = [
+    XML_HEADER,
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+  ];
+  const keys = [
+    ["node", "label", "string"],
+    ["node", "address", "string"],
+    ["node", "type", "string"],
+    ["node", "description", "string"],
+    ["node", "score", "double"],
+    ["edge", "address", "string"],
+    ["edge", "type", "string"],
+  ];
+  for (const [kind, name, type] of keys) {
+    lines.push(
+      `  <key id="${kind}_${name}" for="${kind}" ` +
+        `attr.name="${name}" attr.type="${type}"/>`
+    );
+  }
+  lines.push('  <graph id="G" edgedefault="directed">');
+  const data = (kind, name, value) =>
+    value == null
+      ? []
+      : [
+          `      <data key="${kind}_${name}">` +
+            `${escapeXml(String(value))}</data>`,
+        ];
+  for (const node of nodes) {
+    const {type, description, score} = node.annotation;
+    lines.push(
+      `    <node id="${node.id}">`,
+      ...data("node", "label", nodeLabel(node)),
+      ...data("node", "address", nodeAddressString(node.address)),
+      ...data("node", "type", type),
+      ...data("node", "description", description),
+      ...data("node", "score", score),
+      "    </node>"
+    );
+  }
+  for (const {id, edge, srcId, dstId, annotation} of edges) {
+    lines.push(
+      `    <edge id="${id}" source="${srcId}" target="${dstId}">`,
+      ...data("edge", "address", edgeAddressString(edge.address)),
+      ...data("edge", "type", annotation.type),
+      "    </edge>"
+    );
+  }
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n");
+}
+
+export function toGEXF(graph: Graph, options?: GraphExportOptions): string {
+  const {nodes, edges} = selectGraph(graph, options);
+  const nodeAttributes = [
+    ["address", "string"],
+    ["type", "string"],
+    ["description", "string"],
+    ["score", "double"],
+  ];
+  const edgeAttributes = [["address", "string"], ["type", "string"]];
+  const lines = [
+    XML_HEADER,
+    '<gexf xmlns="http://www.gexf.net/1.2draft" version="1.2">',
+    '  <graph mode="static" defaultedgetype="directed">',
+  ];
+  const declare = (kind, attributes) => {
+    lines.push(`    <attributes class="${kind}">`);
+    attributes.forEach(([title, type], i) => {
+      lines.push(
+        `      <attribute id="${i}" title="${title}" type="${type}"/>`
+      );
+    });
+    lines.push("    </attributes>");
+  };
+  declare("node", nodeAttributes);
+  declare("edge", edgeAttributes);
+  // Values are listed in the order of their declarations, skipping
+  // those that are absent.
+  const attvalues = (values) => {
+    const present = values
+      .map((value, i) => ({value, i}))
+      .filter(({value}) => value != null);
+    if (present.length === 0) {
+      return [];
+    }
+    return [
+      "        <attvalues>",
+      ...present.map(
+        ({value, i}) =>
+          `          <attvalue for="${i}" ` +
+          `value="${escapeXml(String(value))}"/>`
+      ),
+      "        </attvalues>",
+    ];
+  };
+  lines.push("    <nodes>");
+  for (const node of nodes) {
+    const {type, description, score} = node.annotation;
+    lines.push(
+      `      <node id="${node.id}" label="${escapeXml(nodeLabel(node))}">`,
+      ...attvalues([nodeAddressString(node.address), type, description, score]),
+      "      </node>"
+    );
+  }
+  lines.push("    </nodes>", "    <edges>");
+  for (const {id, edge, srcId, dstId, annotation} of edges) {
+    const label =
+      annotation.type == null ? "" : ` label="${escapeXml(annotation.type)}"`;
+    lines.push(
+      `      <edge id="${id}" source="${srcId}" target="${dstId}"${label}>`,
+      ...attvalues([edgeAddressString(edge.address), annotation.type]),
+      "      </edge>"
+    );
+  }
+  lines.push("    </edges>", "  </graph>", "</gexf>");
+  return lines.join("\n");
+}
+
+function dotString(s: string): string {
+  const escaped = s
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n|\r/g, "\\n");
+  return `"${escaped}"`;
+}
+
+function dotAttributes(attributes: $ReadOnlyArray<[string, mixed]>): string {
+  return (
+    attributes
+      .filter(([_, value]) => value != null)
+      // Numbers are quoted too, as DOT numerals have no exponents.
+      .map(([name, value]) => `${name}=${dotString(String(value))}`)
+      .join(", ")
+  );
+}
+
+export function toDOT(graph: Graph, options?: GraphExportOptions): string {
+  const {nodes, edges} = selectGraph(graph, options);
+  const lines = ["digraph sourcecred {"];
+  for (const node of nodes) {
+    const {type, description, score} = node.annotation;
+    const attributes = dotAttributes([
+      ["label", nodeLabel(node)],
+      ["address", nodeAddressString(node.address)],
+      ["type", type],
+      ["description", description],
+      ["score", score],
+    ]);
+    lines.push(`  ${node.id} [${attributes}];`);
+  }
+  for (const {edge, srcId, dstId, annotation} of edges) {
+    const attributes = dotAttributes([
+      ["address", edgeAddressString(edge.address)],
+      ["type", annotation.type],
+    ]);
+    lines.push(`  ${srcId} -> ${dstId} [${attributes}];`);
+  }
+  lines.push("}");
+  return lines.join("\n");
+}
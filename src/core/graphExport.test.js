@@ -0,0 +1,137 @@
+// @flow
+
+import {EdgeAddress, Graph, NodeAddress} from "./graph";
+import {
+  GRAPH_EXPORT_FORMATS,
+  exportGraph,
+  toDOT,
+  toGEXF,
+  toGraphML,
+} from "./graphExport";
+
+describe("core/graphExport", () => {
+  const n = (...parts) => NodeAddress.fromParts(parts);
+  const e = (...parts) => EdgeAddress.fromParts(parts);
+  const nodes = {
+    alice: n("user", "alice"),
+    pull: n("pull", "1"),
+    file: n("file", "src/a&b<c>.js"),
+  };
+  const edges = {
+    authors: {src: nodes.alice, dst: nodes.pull, address: e("authors", "1")},
+    touches: {src: nodes.pull, dst: nodes.file, address: e("touches", "1")},
+    loop: {src: nodes.pull, dst: nodes.pull, address: e("loop", "1")},
+  };
+  function graph() {
+    return new Graph()
+      .addNode(nodes.alice)
+      .addNode(nodes.pull)
+      .addNode(nodes.file)
+      .addEdge(edges.authors)
+      .addEdge(edges.touches)
+      .addEdge(edges.loop);
+  }
+  function annotations() {
+    return {
+      nodeAnnotations: new Map([
+        [nodes.alice, {type: "User", description: "@alice", score: 0.5}],
+        [
+          nodes.pull,
+          {type: "Pull", description: 'Fix "quotes"\nand \\ slashes', score: 1},
+        ],
+      ]),
+      edgeAnnotations: new Map([[edges.authors.address, {type: "authors"}]]),
+    };
+  }
+
+  describe("toGraphML", () => {
+    it("exports an annotated graph", () => {
+      expect(toGraphML(graph(), annotations())).toMatchSnapshot();
+    });
+    it("exports an unannotated graph", () => {
+      expect(toGraphML(graph())).toMatchSnapshot();
+    });
+    it("escapes XML special characters", () => {
+      const xml = toGraphML(graph());
+      expect(xml).toContain("file/src/a&amp;b&lt;c&gt;.js");
+      expect(xml).not.toContain("a&b");
+    });
+    it("drops characters that XML cannot represent", () => {
+      const g = new Graph().addNode(n("bell\u0007"));
+      expect(toGraphML(g)).toContain('<data key="node_label">bell</data>');
+    });
+  });
+
+  describe("toGEXF", () => {
+    it("exports an annotated graph", () => {
+      expect(toGEXF(graph(), annotations())).toMatchSnapshot();
+    });
+    it("omits absent attributes", () => {
+      const xml = toGEXF(graph());
+      expect(xml).not.toContain('for="1"');
+      expect(xml).toContain(
+        `<attvalue for="0" value="${'["loop","1"]'.replace(/"/g, "&quot;")}"/>`
+      );
+    });
+  });
+
+  describe("toDOT", () => {
+    it("exports an annotated graph", () => {
+      expect(toDOT(graph(), annotations())).toMatchSnapshot();
+    });
+    it("escapes quotes, backslashes, and newlines", () => {
+      expect(toDOT(graph(), annotations())).toContain(
+        'label="Fix \\"quotes\\"\\nand \\\\ slashes"'
+      );
+    });
+  });
+
+  describe("filtering", () => {
+    it("exports only nodes matching a node prefix", () => {
+      const dot = toDOT(graph(), {nodePrefixes: [n("pull"), n("file")]});
+      expect(dot).not.toContain("alice");
+      expect(dot.split("\n")).toEqual([
+        "digraph sourcecred {",
+        '  n0 [label="pull/1", address="[\\"pull\\",\\"1\\"]"];',
+        '  n1 [label="file/src/a&b<c>.js", ' +
+          'address="[\\"file\\",\\"src/a&b<c>.js\\"]"];',
+        '  n0 -> n1 [address="[\\"touches\\",\\"1\\"]"];',
+        '  n0 -> n0 [address="[\\"loop\\",\\"1\\"]"];',
+        "}",
+      ]);
+    });
+    it("exports only edges matching an edge prefix", () => {
+      const dot = toDOT(graph(), {edgePrefixes: [e("authors"), e("loop")]});
+      const edgeLines = dot.split("\n").filter((l) => l.includes("->"));
+      expect(edgeLines).toEqual([
+        '  n0 -> n1 [address="[\\"authors\\",\\"1\\"]"];',
+        '  n1 -> n1 [address="[\\"loop\\",\\"1\\"]"];',
+      ]);
+    });
+    it("applies to every format", () => {
+      for (const format of GRAPH_EXPORT_FORMATS) {
+        const output = exportGraph(graph(), format, {
+          nodePrefixes: [n("user")],
+        });
+        expect(output).toContain("user/alice");
+        expect(output).not.toContain("pull/1");
+        expect(output).not.toContain("authors");
+      }
+    });
+  });
+
+  describe("exportGraph", () => {
+    it("dispatches on the format", () => {
+      const options = annotations();
+      expect(exportGraph(graph(), "graphml", options)).toEqual(
+        toGraphML(graph(), options)
+      );
+      expect(exportGraph(graph(), "gexf", options)).toEqual(
+        toGEXF(graph(), options)
+      );
+      expect(exportGraph(graph(), "dot", options)).toEqual(
+        toDOT(graph(), options)
+      );
+    });
+  });
+});
@@ -0,0 +1,94 @@
+// @flow
+
+import {Graph, NodeAddress, type NodeAddressT} from "./graph";
+
+/**
+ * A person (or other contributor) who may appear in the graph under
+ * several nodes: for instance, under two GitHub accounts. Each alias is
+ * the address of one such node.
+ */
+export type Identity = {|
+  +name: string,
+  +aliases: $ReadOnlyArray<NodeAddressT>,
+|};
+
+export const IDENTITY_PREFIX = NodeAddress.fromParts([
+  "sourcecred",
+  "identity",
+]);
+
+export function identityAddress(name: string): NodeAddressT {
+  if (name === "") {
+    throw new Error("Identity name must be nonempty");
+  }
+  return NodeAddress.append(IDENTITY_PREFIX, name);
+}
+
+/**
+ * Contract every alias of each identity into a single node for that
+ * identity, so that cred flowing to any of the aliases accrues to the
+ * identity. Aliases that are not in the graph are ignored. Throws if two
+ * identities share a name or an alias.
+ */
+export function contractIdentities(
+  graph: Graph,
+  identities: $ReadOnlyArray<Identity>
+): Graph {
+  const names = new Set();
+  const contractions = identities.map(({name, aliases}) => {
+    if (names.has(name)) {
+      throw new Error(`Duplicate identity: ${JSON.stringify(name)}`);
+    }
+    names.add(name);
+    return {old: aliases, replacement: identityAddress(name)};
+  });
+  return graph.contractNodes(contractions);
+}
+
+/**
+ * Add inferred identities (say, from heuristics) to the configured
+ * ones. An inferred identity that shares an alias or its name with one
+ * configured identity contributes its other aliases to it; one that
+ * matches none is added as is; and one that matches several is
+ * ambiguous, and dropped. Aliases already claimed by a configured
+ * identity stay with it.
+ */
+export function mergeIdentities(
+  configured: $ReadOnlyArray<Identity>,
+  inferred: $ReadOnlyArray<Identity>
+): Identity[] {
+  const names: string[] = [];
+  const aliasLists: NodeAddressT[][] = [];
+  const byName: Map<string, number> = new Map();
+  const claimed: Map<NodeAddressT, number> = new Map();
+  configured.forEach(({name, aliases}, index) => {
+    names.push(name);
+    aliasLists.push(aliases.slice());
+    byName.set(name, index);
+    for (const alias of aliases) {
+      claimed.set(alias, index);
+    }
+  });
+  for (const {name, aliases} of inferred) {
+    const matches = new Set();
+    const index = byName.get(name);
+    if (index != null) {
+      matches.add(index);
+    }
+    for (const alias of aliases) {
+      const index = claimed.get(alias);
+      if (index != null) {
+        matches.add(index);
+      }
+    }
+    const unclaimed = aliases.filter((x) => !claimed.has(x));
+    if (matches.size === 0) {
+      names.push(name);
+      aliasLists.push(unclaimed);
+    } else if (matches.size === 1) {
+      const [index] = Array.from(matches);
+      aliasLists[index].push(...unclaimed);
+    }
+  }
+  return names.map((name, i) => ({name, aliases: aliasLists[i]}));
+}
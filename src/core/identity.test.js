@@ -0,0 +1,146 @@
+// @flow
+
+import {EdgeAddress, Graph, NodeAddress} from "./graph";
+import {
+  IDENTITY_PREFIX,
+  contractIdentities,
+  identityAddress,
+  mergeIdentities,
+} from "./identity";
+
+describe("core/identity", () => {
+  describe("identityAddress", () => {
+    it("gives an address under the identity prefix", () => {
+      expect(identityAddress("alice")).toEqual(
+        NodeAddress.fromParts(["sourcecred", "identity", "alice"])
+      );
+      expect(
+        NodeAddress.hasPrefix(identityAddress("alice"), IDENTITY_PREFIX)
+      ).toBe(true);
+    });
+    it("rejects an empty name", () => {
+      expect(() => identityAddress("")).toThrow(
+        "Identity name must be nonempty"
+      );
+    });
+  });
+
+  describe("contractIdentities", () => {
+    const alice = NodeAddress.fromParts(["user", "alice"]);
+    const aliceWork = NodeAddress.fromParts(["user", "alice-work"]);
+    const post = NodeAddress.fromParts(["post"]);
+    const edge = (name, src) => ({
+      src,
+      dst: post,
+      address: EdgeAddress.fromParts(["authors", name]),
+    });
+    function graph() {
+      return new Graph()
+        .addNode(alice)
+        .addNode(aliceWork)
+        .addNode(post)
+        .addEdge(edge("1", alice))
+        .addEdge(edge("2", aliceWork));
+    }
+
+    it("contracts aliases into an identity node", () => {
+      const actual = contractIdentities(graph(), [
+        {name: "alice", aliases: [alice, aliceWork]},
+      ]);
+      const person = identityAddress("alice");
+      const expected = new Graph()
+        .addNode(person)
+        .addNode(post)
+        .addEdge(edge("1", person))
+        .addEdge(edge("2", person));
+      expect(actual.equals(expected)).toBe(true);
+    });
+
+    it("ignores aliases that are not in the graph", () => {
+      const missing = NodeAddress.fromParts(["user", "nobody"]);
+      const actual = contractIdentities(graph(), [
+        {name: "alice", aliases: [alice, missing]},
+      ]);
+      expect(actual.hasNode(missing)).toBe(false);
+      expect(actual.hasNode(alice)).toBe(false);
+      expect(actual.hasNode(aliceWork)).toBe(true);
+    });
+
+    it("rejects duplicate identity names", () => {
+      expect(() =>
+        contractIdentities(graph(), [
+          {name: "alice", aliases: [alice]},
+          {name: "alice", aliases: [aliceWork]},
+        ])
+      ).toThrow('Duplicate identity: "alice"');
+    });
+
+    it("rejects an alias shared between identities", () => {
+      expect(() =>
+        contractIdentities(graph(), [
+          {name: "alice", aliases: [alice]},
+          {name: "alice2", aliases: [alice]},
+        ])
+      ).toThrow("is contracted into both");
+    });
+  });
+
+  describe("mergeIdentities", () => {
+    const a = (name) => NodeAddress.fromParts(["user", name]);
+    const configured = [
+      {name: "alice", aliases: [a("alice"), a("alice-work")]},
+      {name: "bob", aliases: [a("bob")]},
+    ];
+
+    it("keeps the configured identities without inferred ones", () => {
+      expect(mergeIdentities(configured, [])).toEqual(configured);
+    });
+    it("adds an inferred identity that matches none", () => {
+      const carol = {name: "carol", aliases: [a("carol"), a("carol2")]};
+      expect(mergeIdentities(configured, [carol])).toEqual([
+        ...configured,
+        carol,
+      ]);
+    });
+    it("merges an inferred identity that shares an alias", () => {
+      const inferred = {name: "alice-work", aliases: [a("alice-work"), a("x")]};
+      expect(mergeIdentities(configured, [inferred])).toEqual([
+        {name: "alice", aliases: [a("alice"), a("alice-work"), a("x")]},
+        configured[1],
+      ]);
+    });
+    it("merges an inferred identity that shares the name", () => {
+      const inferred = {name: "bob", aliases: [a("bob2")]};
+      expect(mergeIdentities(configured, [inferred])).toEqual([
+        configured[0],
+        {name: "bob", aliases: [a("bob"), a("bob2")]},
+      ]);
+    });
+    it("drops an inferred identity that matches several", () => {
+      const inferred = {name: "x", aliases: [a("alice"), a("bob"), a("y")]};
+      expect(mergeIdentities(configured, [inferred])).toEqual(configured);
+    });
+    it("gives identities that can be contracted together", () => {
+      const inferred = [
+        {name: "alice", aliases: [a("alice"), a("alice3")]},
+        {name: "dave", aliases: [a("dave")]},
+      ];
+      const graph = new Graph()
+        .addNode(a("alice"))
+        .addNode(a("alice3"))
+        .addNode(a("dave"));
+      const contracted = contractIdentities(
+        graph,
+        mergeIdentities(configured, inferred)
+      );
+      expect(Array.from(contracted.nodes()).sort()).toEqual(
+        ["alice", "bob", "dave"].map(identityAddress).sort()
+      );
+    });
+    it("does not modify the configured identities", () => {
+      const copy = JSON.parse(JSON.stringify(configured));
+      mergeIdentities(configured, [{name: "alice", aliases: [a("z")]}]);
+      expect(configured).toEqual(copy);
+    });
+  });
+});
@@ -1,40 +1,94 @@
 // @flow
 
-// Right now all RepoIds are assumed to refer to GitHub repos.
-// In the future, we may support other identifiers.
+// Right now all RepoIds are assumed to refer to GitHub repos, either
+// on github.com or on a GitHub Enterprise server. In the future, we
+// may support other identifiers.
+//
+// The `host` is present only for repositories not on github.com, so
+// that RepoIds (and their serialized forms) for github.com are the
+// same as before hosts were supported.
 export opaque type RepoId: {|
   +name: string,
   +owner: string,
+  +host?: string,
 |} = {|
   +name: string,
   +owner: string,
+  +host?: string,
 |};
 
 export opaque type RepoIdString: string = string;
 
+export const DEFAULT_HOST = "github.com";
+
+export const githubHostPattern =
+  "[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)*(?::[0-9]+)?";
 export const githubOwnerPattern = "[A-Za-z0-9-]+";
 export const githubRepoPattern = "[A-Za-z0-9-._]+";
 
-export function makeRepoId(owner: string, name: string): RepoId {
+/**
+ * Create a RepoId for the given repository on the given host, like
+ * "github.example.com" or "localhost:8080". The host defaults to
+ * github.com, and is case-insensitive.
+ */
+export function makeRepoId(owner: string, name: string, host: ?string): RepoId {
   const validOwner = new RegExp(`^${githubOwnerPattern}$`);
   const validRepo = new RegExp(`^${githubRepoPattern}$`);
+  const validHost = new RegExp(`^${githubHostPattern}$`);
   if (!owner.match(validOwner)) {
     throw new Error(`Invalid repository owner: ${JSON.stringify(owner)}`);
   }
   if (!name.match(validRepo)) {
     throw new Error(`Invalid repository name: ${JSON.stringify(name)}`);
   }
-  return {owner, name};
+  if (host == null) {
+    return {owner, name};
+  }
+  if (!host.match(validHost)) {
+    throw new Error(`Invalid repository host: ${JSON.stringify(host)}`);
+  }
+  const normalizedHost = host.toLowerCase();
+  return normalizedHost === DEFAULT_HOST
+    ? {owner, name}
+    : {owner, name, host: normalizedHost};
+}
+
+/**
+ * The host of the given repository: for instance, "github.com".
+ */
+export function repoIdHost(x: RepoId): string {
+  return x.host == null ? DEFAULT_HOST : x.host;
 }
 
-export function stringToRepoId(x: string): RepoId {
+/**
+ * Parse a repository ID like "host/owner/name" or "owner/name". The
+ * latter refers to a repository on the given default host, if any, or
+ * else on github.com.
+ */
+export function stringToRepoId(x: string, defaultHost?: ?string): RepoId {
   const pieces = x.split("/");
-  if (pieces.length !== 2) {
-    throw new Error(`Invalid repo string: ${x}`);
+  if (pieces.length === 2) {
+    return makeRepoId(pieces[0], pieces[1], defaultHost);
+  }
+  if (pieces.length === 3) {
+    return makeRepoId(pieces[1], pieces[2], pieces[0]);
   }
-  return makeRepoId(pieces[0], pieces[1]);
+  throw new Error(`Invalid repo string: ${x}`);
+}
+
+/**
+ * The path components under which to store the data of the given
+ * repository: its owner and name, preceded by its host if that is not
+ * github.com. Repositories on github.com thus keep the paths they had
+ * before hosts were supported, and a repository on another host never
+ * shares a path with one on github.com.
+ */
+export function repoIdPathParts(x: RepoId): $ReadOnlyArray<string> {
+  return x.host == null ? [x.owner, x.name] : [x.host, x.owner, x.name];
 }
 
 export function repoIdToString(x: RepoId): RepoIdString {
-  return `${x.owner}/${x.name}`;
+  return x.host == null
+    ? `${x.owner}/${x.name}`
+    : `${x.host}/${x.owner}/${x.name}`;
 }
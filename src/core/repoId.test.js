@@ -2,6 +2,8 @@
 
 import {
   makeRepoId,
+  repoIdHost,
+  repoIdPathParts,
   stringToRepoId,
   repoIdToString,
   type RepoId,
@@ -54,6 +56,48 @@ describe("core/repoId", () => {
     it("allows a repoId with underscores", () => {
       makeRepoId("foo", "still_good");
     });
+    it("allows a repoId on another host", () => {
+      const repoId = makeRepoId("foo", "bar", "github.example.com");
+      expect(repoId.host).toEqual("github.example.com");
+      expect(repoIdHost(repoId)).toEqual("github.example.com");
+    });
+    it("allows a host with a port", () => {
+      expect(makeRepoId("foo", "bar", "localhost:8080").host).toEqual(
+        "localhost:8080"
+      );
+    });
+    it("normalizes the host's case", () => {
+      expect(makeRepoId("foo", "bar", "GitHub.Example.com").host).toEqual(
+        "github.example.com"
+      );
+    });
+    it("omits the default host", () => {
+      const repoId = makeRepoId("foo", "bar", "GitHub.com");
+      expect(repoId).toEqual(makeRepoId("foo", "bar"));
+      expect(repoId).not.toHaveProperty("host");
+      expect(repoIdHost(repoId)).toEqual("github.com");
+    });
+    it("disallows an invalid host", () => {
+      expect(() => makeRepoId("foo", "bar", "")).toThrow(
+        "Invalid repository host"
+      );
+      expect(() => makeRepoId("foo", "bar", "https://example.com")).toThrow(
+        "Invalid repository host"
+      );
+    });
+  });
+  describe("repoIdPathParts", () => {
+    it("is the owner and name for github.com", () => {
+      expect(repoIdPathParts(makeRepoId("foo", "bar", "GitHub.com"))).toEqual([
+        "foo",
+        "bar",
+      ]);
+    });
+    it("starts with any other host", () => {
+      expect(
+        repoIdPathParts(makeRepoId("foo", "bar", "github.example.com"))
+      ).toEqual(["github.example.com", "foo", "bar"]);
+    });
   });
   describe("repoId<->string", () => {
     function testInvertible(owner, name) {
@@ -68,5 +112,35 @@ describe("core/repoId", () => {
     it("works for a complicated case", () => {
       testInvertible("fooolio", "foo-bar.bar-99_x");
     });
+    it("works with a host", () => {
+      const repoId = makeRepoId("foo", "bar", "github.example.com");
+      const string = "github.example.com/foo/bar";
+      expect(stringToRepoId(string)).toEqual(repoId);
+      expect(repoIdToString(repoId)).toEqual(string);
+    });
+    it("omits the default host", () => {
+      expect(stringToRepoId("github.com/foo/bar")).toEqual(
+        makeRepoId("foo", "bar")
+      );
+      expect(repoIdToString(stringToRepoId("github.com/foo/bar"))).toEqual(
+        "foo/bar"
+      );
+    });
+    it("uses the default host only for strings without a host", () => {
+      const host = "github.example.com";
+      expect(stringToRepoId("foo/bar", host)).toEqual(
+        makeRepoId("foo", "bar", host)
+      );
+      expect(stringToRepoId("github.com/foo/bar", host)).toEqual(
+        makeRepoId("foo", "bar")
+      );
+    });
+    it("rejects strings with too few or too many parts", () => {
+      for (const string of ["foo", "a/b/c/d"]) {
+        expect(() => stringToRepoId(string)).toThrow(
+          `Invalid repo string: ${string}`
+        );
+      }
+    });
   });
 });
@@ -0,0 +1,42 @@
+// @flow
+
+/**
+ * A half-open range of time `[since, until)`, with both ends given in
+ * milliseconds since the Unix epoch. Either end may be `null`, in which
+ * case the window is unbounded in that direction.
+ */
+export type TimeWindow = {|
+  +since: number | null,
+  +until: number | null,
+|};
+
+export function unbounded(): TimeWindow {
+  return {since: null, until: null};
+}
+
+export function isUnbounded(window: TimeWindow): boolean {
+  return window.since == null && window.until == null;
+}
+
+export function contains(window: TimeWindow, timestamp: number): boolean {
+  if (window.since != null && timestamp < window.since) {
+    return false;
+  }
+  if (window.until != null && timestamp >= window.until) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Parse a date as given on the command line or in a config file, such
+ * as "2018-06-01" or "2018-06-01T12:00:00Z", into milliseconds since
+ * the Unix epoch. Throws if the date cannot be parsed.
+ */
+export function parseDate(date: string): number {
+  const result = Date.parse(date);
+  if (isNaN(result)) {
+    throw new Error(`Invalid date: ${JSON.stringify(date)}`);
+  }
+  return result;
+}
@@ -0,0 +1,55 @@
+// @flow
+
+import {contains, isUnbounded, parseDate, unbounded} from "./timeWindow";
+
+describe("core/timeWindow", () => {
+  describe("contains", () => {
+    it("contains everything when unbounded", () => {
+      const window = unbounded();
+      expect(isUnbounded(window)).toBe(true);
+      expect(contains(window, -1e12)).toBe(true);
+      expect(contains(window, 0)).toBe(true);
+      expect(contains(window, 1e12)).toBe(true);
+    });
+    it("includes the start of the window", () => {
+      const window = {since: 100, until: null};
+      expect(isUnbounded(window)).toBe(false);
+      expect(contains(window, 99)).toBe(false);
+      expect(contains(window, 100)).toBe(true);
+      expect(contains(window, 1e12)).toBe(true);
+    });
+    it("excludes the end of the window", () => {
+      const window = {since: null, until: 100};
+      expect(isUnbounded(window)).toBe(false);
+      expect(contains(window, -1e12)).toBe(true);
+      expect(contains(window, 99)).toBe(true);
+      expect(contains(window, 100)).toBe(false);
+    });
+    it("handles windows bounded on both sides", () => {
+      const window = {since: 100, until: 200};
+      expect([99, 100, 150, 199, 200].map((t) => contains(window, t))).toEqual([
+        false,
+        true,
+        true,
+        true,
+        false,
+      ]);
+    });
+  });
+
+  describe("parseDate", () => {
+    it("parses a calendar date as UTC midnight", () => {
+      expect(parseDate("2018-06-01")).toEqual(Date.UTC(2018, 5, 1));
+    });
+    it("parses a full timestamp", () => {
+      expect(parseDate("2018-06-01T12:34:56Z")).toEqual(
+        Date.UTC(2018, 5, 1, 12, 34, 56)
+      );
+    });
+    it("throws on an invalid date", () => {
+      expect(() => parseDate("last tuesday")).toThrow(
+        'Invalid date: "last tuesday"'
+      );
+    });
+  });
+});
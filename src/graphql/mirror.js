@@ -260,10 +260,25 @@ export class Mirror {
             throw new Error("invalid field name: " + JSON.stringify(fieldname));
           }
         }
+        for (const fieldname of Object.keys(type.nestedFields)) {
+          if (!isSqlSafe(fieldname)) {
+            throw new Error("invalid field name: " + JSON.stringify(fieldname));
+          }
+          for (const eggName of Object.keys(
+            type.nestedFields[fieldname].eggs
+          )) {
+            if (!isSqlSafe(eggName)) {
+              throw new Error(
+                "invalid field name: " +
+                  JSON.stringify(_nestedFieldname(fieldname, eggName))
+              );
+            }
+          }
+        }
         const tableName = _primitivesTableName(typename);
         const tableSpec = [
           "id TEXT NOT NULL PRIMARY KEY",
-          ...type.primitiveFieldNames.map((fieldname) => `"${fieldname}"`),
+          ..._primitiveColumnNames(type).map((column) => `"${column}"`),
           "FOREIGN KEY(id) REFERENCES objects(id)",
         ].join(", ");
         db.prepare(`CREATE TABLE ${tableName} (${tableSpec})`).run();
@@ -372,6 +387,11 @@ export class Mirror {
     for (const fieldname of objectType.linkFieldNames) {
       addLink.run({id, fieldname});
     }
+    for (const fieldname of Object.keys(objectType.nestedFields)) {
+      for (const eggName of objectType.nestedFields[fieldname].linkEggNames) {
+        addLink.run({id, fieldname: _nestedFieldname(fieldname, eggName)});
+      }
+    }
     for (const fieldname of objectType.connectionFieldNames) {
       addConnection.run({id, fieldname});
     }
@@ -402,17 +422,95 @@ export class Mirror {
     }
   }
 
+  /**
+   * Fetch data from the remote server until all objects and connections
+   * in the mirror are up-to-date as of `options.since`.
+   *
+   * The `postQuery` function is called with a GraphQL query body and
+   * variables, and must return a promise that resolves to the `data`
+   * field of the server's response. Each query fetches own data for at
+   * most `options.nodesLimit` objects and at most one page (of size
+   * `options.connectionPageSize`) for each of at most
+   * `options.connectionLimit` connections. The resulting data is
+   * ingested in a single transaction, under an update whose timestamp
+   * is given by `options.now()`; this must not be earlier than
+   * `options.since`, or this method may never terminate.
+   *
+   * Connections are fetched incrementally, starting after the last
+   * entry that was previously fetched. Consequently, repeated updates
+   * with increasing `since` times request each connection entry only
+   * once (though own data for each object is refetched).
+   *
+   * If `options.ownDataSince` is given, objects whose own data is
+   * up-to-date as of that (earlier) date are not refetched, so that
+   * repeated updates can fetch new connection entries without
+   * refetching every object.
+   *
+   * Before each query, `options.onOutdated`, if given, is called with
+   * the numbers of objects and connections that are not yet
+   * up-to-date, so that clients can estimate the remaining work.
+   *
+   * See: `_findOutdated`.
+   * See: `_queryFromPlan`.
+   * See: `_updateData`.
+   */
+  async update(
+    postQuery: ({
+      +body: Queries.Body,
+      +variables: {+[string]: any},
+    }) => Promise<any>,
+    options: {|
+      +since: Date,
+      +ownDataSince?: Date,
+      +now: () => Date,
+      +nodesLimit: number,
+      +connectionLimit: number,
+      +connectionPageSize: number,
+      +onOutdated?: (counts: {|
+        +objects: number,
+        +connections: number,
+      |}) => void,
+    |}
+  ): Promise<void> {
+    for (;;) {
+      const plan = this._findOutdated(options.since, options.ownDataSince);
+      if (plan.objects.length === 0 && plan.connections.length === 0) {
+        return;
+      }
+      if (options.onOutdated != null) {
+        options.onOutdated({
+          objects: plan.objects.length,
+          connections: plan.connections.length,
+        });
+      }
+      const limitedPlan: QueryPlan = {
+        objects: plan.objects.slice(0, options.nodesLimit),
+        connections: plan.connections.slice(0, options.connectionLimit),
+      };
+      const selections = this._queryFromPlan(limitedPlan, {
+        connectionLimit: options.connectionLimit,
+        connectionPageSize: options.connectionPageSize,
+      });
+      const body = [Queries.build.query("MirrorUpdate", [], selections)];
+      const result: UpdateResult = await postQuery({body, variables: {}});
+      _inTransaction(this._db, () => {
+        const updateId = this._createUpdate(options.now());
+        this._nontransactionallyUpdateData(updateId, result);
+      });
+    }
+  }
+
   /**
    * Find objects and connections that are not known to be up-to-date.
    *
    * An object is up-to-date if its own data has been loaded at least as
-   * recently as the provided date.
+   * recently as `ownDataSince`, which defaults to `since`.
    *
    * A connection is up-to-date if it has been fetched at least as
    * recently as the provided date, and at the time of fetching there
    * were no more pages.
    */
-  _findOutdated(since: Date): QueryPlan {
+  _findOutdated(since: Date, ownDataSince?: Date): QueryPlan {
     const db = this._db;
     return _inTransaction(db, () => {
       const objects: $PropertyType<QueryPlan, "objects"> = db
@@ -425,7 +523,11 @@ export class Mirror {
             OR updates.time_epoch_millis < :timeEpochMillisThreshold
           `
         )
-        .all({timeEpochMillisThreshold: +since});
+        .all({
+          timeEpochMillisThreshold: +(ownDataSince == null
+            ? since
+            : ownDataSince),
+        });
       const connections: $PropertyType<QueryPlan, "connections"> = db
         .prepare(
           dedent`\
@@ -905,8 +1007,9 @@ export class Mirror {
    * The result of this query has type `E`, where `E` is the element
    * type of `OwnDataUpdateResult`. That is, it is an object with shape
    * that depends on the provided typename: the name of each ID or
-   * primitive field is a key mapping to a primitive value, and the name
-   * of each node field is a key mapping to a `NodeFieldResult`.
+   * primitive field is a key mapping to a primitive value, the name of
+   * each node field is a key mapping to a `NodeFieldResult`, and the
+   * name of each nested field is a key mapping to a `NestedFieldResult`.
    * Additionally, the attribute "__typename" maps to the node's
    * typename.
    *
@@ -942,6 +1045,27 @@ export class Mirror {
             case "CONNECTION":
               // Not handled by this function.
               return null;
+            case "NESTED":
+              return b.field(
+                fieldname,
+                {},
+                Object.keys(field.eggs).map((eggName) => {
+                  const egg = field.eggs[eggName];
+                  switch (egg.type) {
+                    case "PRIMITIVE":
+                      return b.field(eggName);
+                    case "NODE":
+                      return b.field(
+                        eggName,
+                        {},
+                        this._queryShallow(egg.elementType)
+                      );
+                    // istanbul ignore next
+                    default:
+                      throw new Error((egg.type: empty));
+                  }
+                })
+              );
             // istanbul ignore next
             default:
               throw new Error((field.type: empty));
@@ -1033,16 +1157,19 @@ export class Mirror {
 
     // Update each node's primitive data.
     {
+      const columnNames = _primitiveColumnNames(objectType);
+      // Column names for nested fields contain dots, so they cannot be
+      // used directly as names of bound parameters.
       const updatePrimitives: ({|
         +id: Schema.ObjectId,
-        +[primitiveFieldName: Schema.Fieldname]: string,
+        +[columnParameter: string]: string,
       |}) => void = (() => {
-        if (objectType.primitiveFieldNames.length === 0) {
+        if (columnNames.length === 0) {
           return () => {};
         }
         const tableName = _primitivesTableName(typename);
-        const updates = objectType.primitiveFieldNames
-          .map((f) => `"${f}" = :${f}`)
+        const updates = columnNames
+          .map((column, i) => `"${column}" = :p${i}`)
           .join(", ");
         const stmt = db.prepare(
           `UPDATE ${tableName} SET ${updates} WHERE id = :id`
@@ -1050,12 +1177,10 @@ export class Mirror {
         return _makeSingleUpdateFunction(stmt);
       })();
       for (const entry of queryResult) {
-        const primitives: {|
-          +id: Schema.ObjectId,
-          [primitiveFieldName: Schema.Fieldname]: string,
-        |} = {id: entry.id};
+        const primitives: Map<string, string> = new Map();
         for (const fieldname of objectType.primitiveFieldNames) {
-          const value: PrimitiveResult | NodeFieldResult = entry[fieldname];
+          const value: PrimitiveResult | NodeFieldResult | NestedFieldResult =
+            entry[fieldname];
           const primitive: PrimitiveResult = (value: any);
           if (primitive === undefined) {
             const s = JSON.stringify;
@@ -1064,9 +1189,47 @@ export class Mirror {
                 `of type ${s(typename)} (got ${(primitive: empty)})`
             );
           }
-          primitives[fieldname] = JSON.stringify(primitive);
+          primitives.set(fieldname, JSON.stringify(primitive));
+        }
+        for (const fieldname of Object.keys(objectType.nestedFields)) {
+          const nestedFieldInfo = objectType.nestedFields[fieldname];
+          const value: PrimitiveResult | NodeFieldResult | NestedFieldResult =
+            entry[fieldname];
+          const nested: NestedFieldResult = (value: any);
+          if (nested === undefined) {
+            const s = JSON.stringify;
+            throw new Error(
+              `Missing nested field ${s(fieldname)} on ${s(entry.id)} ` +
+                `of type ${s(typename)} (got ${(nested: empty)})`
+            );
+          }
+          primitives.set(fieldname, JSON.stringify(nested != null));
+          for (const eggName of nestedFieldInfo.primitiveEggNames) {
+            const column = _nestedFieldname(fieldname, eggName);
+            if (nested == null) {
+              primitives.set(column, JSON.stringify(null));
+              continue;
+            }
+            const eggValue: PrimitiveResult | NodeFieldResult = nested[eggName];
+            const primitive: PrimitiveResult = (eggValue: any);
+            if (primitive === undefined) {
+              const s = JSON.stringify;
+              throw new Error(
+                `Missing primitive ${s(column)} on ${s(entry.id)} ` +
+                  `of type ${s(typename)} (got ${(primitive: empty)})`
+              );
+            }
+            primitives.set(column, JSON.stringify(primitive));
+          }
         }
-        updatePrimitives(primitives);
+        const parameters: {|
+          +id: Schema.ObjectId,
+          [columnParameter: string]: string,
+        |} = {id: entry.id};
+        columnNames.forEach((column, i) => {
+          parameters[`p${i}`] = NullUtil.get(primitives.get(column));
+        });
+        updatePrimitives(parameters);
       }
     }
 
@@ -1087,7 +1250,8 @@ export class Mirror {
       })();
       for (const entry of queryResult) {
         for (const fieldname of objectType.linkFieldNames) {
-          const value: PrimitiveResult | NodeFieldResult = entry[fieldname];
+          const value: PrimitiveResult | NodeFieldResult | NestedFieldResult =
+            entry[fieldname];
           const link: NodeFieldResult = (value: any);
           if (link === undefined) {
             const s = JSON.stringify;
@@ -1100,6 +1264,33 @@ export class Mirror {
           const parentId = entry.id;
           updateLink({parentId, fieldname, childId});
         }
+        for (const fieldname of Object.keys(objectType.nestedFields)) {
+          // Presence of the nested value was checked above.
+          const value: PrimitiveResult | NodeFieldResult | NestedFieldResult =
+            entry[fieldname];
+          const nested: NestedFieldResult = (value: any);
+          for (const eggName of objectType.nestedFields[fieldname]
+            .linkEggNames) {
+            const linkFieldname = _nestedFieldname(fieldname, eggName);
+            let childId = null;
+            if (nested != null) {
+              const eggValue: PrimitiveResult | NodeFieldResult =
+                nested[eggName];
+              const link: NodeFieldResult = (eggValue: any);
+              if (link === undefined) {
+                const s = JSON.stringify;
+                throw new Error(
+                  `Missing node reference ${s(linkFieldname)} ` +
+                    `on ${s(entry.id)} of type ${s(typename)} ` +
+                    `(got ${(link: empty)})`
+                );
+              }
+              childId = this._nontransactionallyRegisterNodeFieldResult(link);
+            }
+            const parentId = entry.id;
+            updateLink({parentId, fieldname: linkFieldname, childId});
+          }
+        }
       }
     }
 
@@ -1118,7 +1309,10 @@ export class Mirror {
    *   - for node reference fields: a reference to the corresponding
    *     extracted object, which may be `null`;
    *   - for connection fields: an in-order array of the corresponding
-   *     extracted objects, each of which may be `null`.
+   *     extracted objects, each of which may be `null`;
+   *   - for nested fields: `null` if the nested value was absent, or
+   *     else an object whose keys are egg names and whose values are
+   *     as for primitive and node reference fields.
    *
    * For instance, the result of `extract("issue:1")` might be:
    *
@@ -1270,9 +1464,8 @@ export class Mirror {
           const primitivesTableName = _primitivesTableName(typename);
           const selections = [
             `${primitivesTableName}.id AS id`,
-            ...objectType.primitiveFieldNames.map(
-              (fieldname) =>
-                `${primitivesTableName}."${fieldname}" AS "${fieldname}"`
+            ..._primitiveColumnNames(objectType).map(
+              (column) => `${primitivesTableName}."${column}" AS "${column}"`
             ),
           ].join(", ");
           const rows: $ReadOnlyArray<{|
@@ -1291,9 +1484,22 @@ export class Mirror {
             const object = {};
             object.id = row.id;
             object.__typename = typename;
-            for (const key of Object.keys(row)) {
-              if (key === "id") continue;
-              object[key] = JSON.parse(row[key]);
+            for (const fieldname of objectType.primitiveFieldNames) {
+              object[fieldname] = JSON.parse(row[fieldname]);
+            }
+            for (const fieldname of Object.keys(objectType.nestedFields)) {
+              const isPresent: boolean = JSON.parse(row[fieldname]);
+              if (!isPresent) {
+                object[fieldname] = null;
+                continue;
+              }
+              const nested = {};
+              for (const eggName of objectType.nestedFields[fieldname]
+                .primitiveEggNames) {
+                const column = _nestedFieldname(fieldname, eggName);
+                nested[eggName] = JSON.parse(row[column]);
+              }
+              object[fieldname] = nested;
             }
             allObjects.set(object.id, object);
           }
@@ -1321,7 +1527,18 @@ export class Mirror {
               link.childId == null
                 ? null
                 : NullUtil.get(allObjects.get(link.childId));
-            parent[link.fieldname] = child;
+            const dotIndex = link.fieldname.indexOf(".");
+            if (dotIndex === -1) {
+              parent[link.fieldname] = child;
+            } else {
+              // A node egg of a nested field; see `_nestedFieldname`.
+              const fieldname = link.fieldname.slice(0, dotIndex);
+              const eggName = link.fieldname.slice(dotIndex + 1);
+              const nested = parent[fieldname];
+              if (nested != null) {
+                nested[eggName] = child;
+              }
+            }
           }
         }
 
@@ -1391,6 +1608,11 @@ type SchemaInfo = {|
       +primitiveFieldNames: $ReadOnlyArray<Schema.Fieldname>,
       +linkFieldNames: $ReadOnlyArray<Schema.Fieldname>,
       +connectionFieldNames: $ReadOnlyArray<Schema.Fieldname>,
+      // Each nested field is stored as a primitive column for the
+      // nested value's presence, plus a primitive column or link
+      // entry for each egg, named like `author.date`. (GraphQL field
+      // names may not contain dots, so these names cannot clash.)
+      +nestedFields: {|+[Schema.Fieldname]: NestedFieldInfo|},
       // There is always exactly one ID field, so it needs no
       // special representation. (It's still included in the `fields`
       // dictionary, though.)
@@ -1403,6 +1625,12 @@ type SchemaInfo = {|
   |},
 |};
 
+type NestedFieldInfo = {|
+  +eggs: {|+[Schema.Fieldname]: Schema.EggFieldType|},
+  +primitiveEggNames: $ReadOnlyArray<Schema.Fieldname>,
+  +linkEggNames: $ReadOnlyArray<Schema.Fieldname>,
+|};
+
 export function _buildSchemaInfo(schema: Schema.Schema): SchemaInfo {
   const result = {
     objectTypes: (({}: any): {|
@@ -1411,6 +1639,7 @@ export function _buildSchemaInfo(schema: Schema.Schema): SchemaInfo {
         +primitiveFieldNames: Array<Schema.Fieldname>,
         +linkFieldNames: Array<Schema.Fieldname>,
         +connectionFieldNames: Array<Schema.Fieldname>,
+        +nestedFields: {|[Schema.Fieldname]: NestedFieldInfo|},
       |},
     |}),
     unionTypes: (({}: any): {|
@@ -1428,11 +1657,13 @@ export function _buildSchemaInfo(schema: Schema.Schema): SchemaInfo {
           +primitiveFieldNames: Array<Schema.Fieldname>,
           +linkFieldNames: Array<Schema.Fieldname>,
           +connectionFieldNames: Array<Schema.Fieldname>,
+          +nestedFields: {|[Schema.Fieldname]: NestedFieldInfo|},
         |} = {
           fields: type.fields,
           primitiveFieldNames: [],
           linkFieldNames: [],
           connectionFieldNames: [],
+          nestedFields: ({}: any),
         };
         result.objectTypes[typename] = entry;
         for (const fieldname of Object.keys(type.fields)) {
@@ -1449,6 +1680,19 @@ export function _buildSchemaInfo(schema: Schema.Schema): SchemaInfo {
             case "CONNECTION":
               entry.connectionFieldNames.push(fieldname);
               break;
+            case "NESTED": {
+              const eggs = field.eggs;
+              entry.nestedFields[fieldname] = {
+                eggs,
+                primitiveEggNames: Object.keys(eggs).filter(
+                  (eggName) => eggs[eggName].type === "PRIMITIVE"
+                ),
+                linkEggNames: Object.keys(eggs).filter(
+                  (eggName) => eggs[eggName].type === "NODE"
+                ),
+              };
+              break;
+            }
             // istanbul ignore next
             default:
               throw new Error((field.type: empty));
@@ -1500,6 +1744,9 @@ type NodeFieldResult = {|
   +__typename: Schema.Typename,
   +id: Schema.ObjectId,
 |} | null;
+type NestedFieldResult = {
+  +[eggName: Schema.Fieldname]: PrimitiveResult | NodeFieldResult,
+} | null;
 type ConnectionFieldResult = {|
   +totalCount: number,
   +pageInfo: {|+hasNextPage: boolean, +endCursor: string | null|},
@@ -1518,7 +1765,8 @@ type OwnDataUpdateResult = $ReadOnlyArray<{
   +id: Schema.ObjectId,
   +[nonConnectionFieldname: Schema.Fieldname]:
     | PrimitiveResult
-    | NodeFieldResult,
+    | NodeFieldResult
+    | NestedFieldResult,
 }>;
 
 /**
@@ -1635,6 +1883,41 @@ function _primitivesTableName(typename: Schema.Typename) {
   return `"primitives_${typename}"`;
 }
 
+/**
+ * Get the name under which the given egg of the given nested field is
+ * stored in a primitives table (for primitive eggs) or in the `links`
+ * table (for node eggs).
+ */
+function _nestedFieldname(
+  fieldname: Schema.Fieldname,
+  eggName: Schema.Fieldname
+): string {
+  return `${fieldname}.${eggName}`;
+}
+
+/**
+ * Get the names of the columns, other than `id`, of the primitives
+ * table for objects of the given type. Nested fields contribute one
+ * column recording whether the nested value is present (as the JSON
+ * value `true` or `false`) and one column per primitive egg.
+ */
+function _primitiveColumnNames(
+  objectType: $ElementType<
+    $PropertyType<SchemaInfo, "objectTypes">,
+    Schema.Typename
+  >
+): string[] {
+  const result = [...objectType.primitiveFieldNames];
+  for (const fieldname of Object.keys(objectType.nestedFields)) {
+    result.push(fieldname);
+    for (const eggName of objectType.nestedFields[fieldname]
+      .primitiveEggNames) {
+      result.push(_nestedFieldname(fieldname, eggName));
+    }
+  }
+  return result;
+}
+
 /**
  * Convert a prepared statement into a JS function that executes that
  * statement and asserts that it makes exactly one change to the
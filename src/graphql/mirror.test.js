@@ -390,6 +390,333 @@ describe("graphql/mirror", () => {
       });
     });
 
+    describe("update", () => {
+      function buildRepositorySchema(): Schema.Schema {
+        const s = Schema;
+        return s.schema({
+          Repository: s.object({
+            id: s.id(),
+            url: s.primitive(),
+            issues: s.connection("Issue"),
+          }),
+          Issue: s.object({
+            id: s.id(),
+            title: s.primitive(),
+          }),
+        });
+      }
+      const repo = () => ({
+        __typename: "Repository",
+        id: "repo:foo/bar",
+        url: "url://foo/bar",
+      });
+      const issue = (n: number) => ({
+        __typename: "Issue",
+        id: `issue:#${n}`,
+        title: `issue ${n}`,
+      });
+      const issuesPage = (
+        issueNumbers: $ReadOnlyArray<number>,
+        endCursor: string,
+        hasNextPage: boolean
+      ) => ({
+        totalCount: 3,
+        pageInfo: {endCursor, hasNextPage},
+        nodes: issueNumbers.map((n) => ({
+          __typename: "Issue",
+          id: `issue:#${n}`,
+        })),
+      });
+      function queryText(payload): string {
+        return Queries.stringify.body(payload.body, Queries.inlineLayout());
+      }
+
+      it("fetches until all data is up to date", async () => {
+        const db = new Database(":memory:");
+        const mirror = new Mirror(db, buildRepositorySchema());
+        mirror.registerObject({typename: "Repository", id: "repo:foo/bar"});
+        const postQuery = jest
+          .fn()
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Repository: [repo()],
+              node_0: {id: "repo:foo/bar", issues: issuesPage([1], "c1", true)},
+            })
+          )
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Issue: [issue(1)],
+              node_0: {
+                id: "repo:foo/bar",
+                issues: issuesPage([2], "c2", false),
+              },
+            })
+          )
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Issue: [issue(2)],
+            })
+          );
+        await mirror.update(postQuery, {
+          since: new Date(100),
+          now: () => new Date(200),
+          nodesLimit: 10,
+          connectionLimit: 10,
+          connectionPageSize: 1,
+        });
+        expect(postQuery).toHaveBeenCalledTimes(3);
+        const queries = postQuery.mock.calls.map(([payload]) =>
+          queryText(payload)
+        );
+        expect(queries[0]).toContain("issues(first: 1) {");
+        expect(queries[1]).toContain('issues(first: 1 after: "c1") {');
+        expect(queries[2]).not.toContain("issues(");
+        for (const [payload] of postQuery.mock.calls) {
+          expect(payload.variables).toEqual({});
+        }
+        expect(mirror.extract("repo:foo/bar")).toEqual({
+          ...repo(),
+          issues: [issue(1), issue(2)],
+        });
+      });
+
+      it("reports the outdated objects and connections", async () => {
+        const db = new Database(":memory:");
+        const mirror = new Mirror(db, buildRepositorySchema());
+        mirror.registerObject({typename: "Repository", id: "repo:foo/bar"});
+        const postQuery = jest
+          .fn()
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Repository: [repo()],
+              node_0: {id: "repo:foo/bar", issues: issuesPage([1], "c1", true)},
+            })
+          )
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Issue: [issue(1)],
+              node_0: {
+                id: "repo:foo/bar",
+                issues: issuesPage([2, 3], "c3", false),
+              },
+            })
+          )
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Issue: [issue(2), issue(3)],
+            })
+          );
+        const onOutdated = jest.fn();
+        await mirror.update(postQuery, {
+          since: new Date(100),
+          now: () => new Date(200),
+          nodesLimit: 10,
+          connectionLimit: 10,
+          connectionPageSize: 2,
+          onOutdated,
+        });
+        expect(onOutdated.mock.calls).toEqual([
+          [{objects: 1, connections: 1}],
+          [{objects: 1, connections: 1}],
+          [{objects: 2, connections: 0}],
+        ]);
+      });
+
+      it("fetches only new connection entries on later updates", async () => {
+        const db = new Database(":memory:");
+        const mirror = new Mirror(db, buildRepositorySchema());
+        mirror.registerObject({typename: "Repository", id: "repo:foo/bar"});
+        const postQuery = jest
+          .fn()
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Repository: [repo()],
+              node_0: {
+                id: "repo:foo/bar",
+                issues: issuesPage([1, 2], "c2", false),
+              },
+            })
+          )
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Issue: [issue(1), issue(2)],
+            })
+          );
+        const options = {
+          since: new Date(100),
+          now: () => new Date(200),
+          nodesLimit: 10,
+          connectionLimit: 10,
+          connectionPageSize: 10,
+        };
+        await mirror.update(postQuery, options);
+        expect(postQuery).toHaveBeenCalledTimes(2);
+
+        postQuery
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Repository: [repo()],
+              owndata_Issue: [issue(1), {...issue(2), title: "renamed"}],
+              node_0: {
+                id: "repo:foo/bar",
+                issues: issuesPage([3], "c3", false),
+              },
+            })
+          )
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Issue: [issue(3)],
+            })
+          );
+        await mirror.update(postQuery, {
+          ...options,
+          since: new Date(300),
+          now: () => new Date(400),
+        });
+        expect(postQuery).toHaveBeenCalledTimes(4);
+        expect(queryText(postQuery.mock.calls[2][0])).toContain(
+          'issues(first: 10 after: "c2") {'
+        );
+        expect(mirror.extract("repo:foo/bar")).toEqual({
+          ...repo(),
+          issues: [issue(1), {...issue(2), title: "renamed"}, issue(3)],
+        });
+      });
+
+      it("skips own data newer than `ownDataSince`", async () => {
+        const db = new Database(":memory:");
+        const mirror = new Mirror(db, buildRepositorySchema());
+        mirror.registerObject({typename: "Repository", id: "repo:foo/bar"});
+        const postQuery = jest
+          .fn()
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Repository: [repo()],
+              node_0: {
+                id: "repo:foo/bar",
+                issues: issuesPage([1], "c1", false),
+              },
+            })
+          )
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Issue: [issue(1)],
+            })
+          );
+        const options = {
+          since: new Date(100),
+          now: () => new Date(200),
+          nodesLimit: 10,
+          connectionLimit: 10,
+          connectionPageSize: 10,
+        };
+        await mirror.update(postQuery, options);
+        expect(postQuery).toHaveBeenCalledTimes(2);
+
+        postQuery
+          .mockReturnValueOnce(
+            Promise.resolve({
+              node_0: {
+                id: "repo:foo/bar",
+                issues: issuesPage([2], "c2", false),
+              },
+            })
+          )
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Issue: [issue(2)],
+            })
+          );
+        await mirror.update(postQuery, {
+          ...options,
+          since: new Date(300),
+          ownDataSince: new Date(150),
+          now: () => new Date(400),
+        });
+        expect(postQuery).toHaveBeenCalledTimes(4);
+        const [laterConnections, laterOwnData] = postQuery.mock.calls
+          .slice(2)
+          .map(([payload]) => queryText(payload));
+        expect(laterConnections).toContain('issues(first: 10 after: "c1") {');
+        expect(laterConnections).not.toContain("owndata_");
+        // Only the new issue's own data is fetched.
+        expect(laterOwnData).toContain('nodes(ids: [ "issue:#2" ])');
+        expect(mirror.extract("repo:foo/bar")).toEqual({
+          ...repo(),
+          issues: [issue(1), issue(2)],
+        });
+      });
+
+      it("respects the node and connection limits", async () => {
+        const db = new Database(":memory:");
+        const mirror = new Mirror(db, buildRepositorySchema());
+        mirror.registerObject({typename: "Repository", id: "repo:foo/bar"});
+        mirror.registerObject({typename: "Repository", id: "repo:foo/baz"});
+        for (const n of [1, 2, 3]) {
+          mirror.registerObject({typename: "Issue", id: `issue:#${n}`});
+        }
+        const emptyIssues = issuesPage([], "c0", false);
+        const postQuery = jest
+          .fn()
+          .mockImplementation(async (payload) => {
+            throw new Error("Unexpected query: " + queryText(payload));
+          })
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Repository: [repo(), {...repo(), id: "repo:foo/baz"}],
+              node_0: {id: "repo:foo/bar", issues: emptyIssues},
+            })
+          )
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Issue: [issue(1), issue(2)],
+              node_0: {id: "repo:foo/baz", issues: emptyIssues},
+            })
+          )
+          .mockReturnValueOnce(
+            Promise.resolve({
+              owndata_Issue: [issue(3)],
+            })
+          );
+        await mirror.update(postQuery, {
+          since: new Date(100),
+          now: () => new Date(200),
+          nodesLimit: 2,
+          connectionLimit: 1,
+          connectionPageSize: 10,
+        });
+        expect(postQuery).toHaveBeenCalledTimes(3);
+        expect(mirror._findOutdated(new Date(100))).toEqual({
+          objects: [],
+          connections: [],
+        });
+      });
+
+      it("does not ingest any data from a failed query", async () => {
+        const db = new Database(":memory:");
+        const mirror = new Mirror(db, buildRepositorySchema());
+        mirror.registerObject({typename: "Repository", id: "repo:foo/bar"});
+        const postQuery = jest
+          .fn()
+          .mockReturnValueOnce(Promise.reject(new Error("oops")));
+        await expect(
+          mirror.update(postQuery, {
+            since: new Date(100),
+            now: () => new Date(200),
+            nodesLimit: 10,
+            connectionLimit: 10,
+            connectionPageSize: 10,
+          })
+        ).rejects.toThrow("oops");
+        expect(
+          db
+            .prepare("SELECT COUNT(1) FROM updates")
+            .pluck()
+            .get()
+        ).toBe(0);
+      });
+    });
+
     describe("_findOutdated", () => {
       it("finds the right objects and connections", () => {
         const db = new Database(":memory:");
@@ -2334,7 +2661,12 @@ describe("graphql/mirror", () => {
             id: "issue:#2!closed#0",
           }),
         };
-        const asNode = ({typename, id}) => ({__typename: typename, id});
+        type NodeSpec = {|+typename: string, +id: string|};
+        type NodeResult = {|+__typename: string, +id: string|};
+        const asNode = ({typename, id}: NodeSpec): NodeResult => ({
+          __typename: typename,
+          id,
+        });
 
         const update1 = mirror._createUpdate(new Date(123));
         const update2 = mirror._createUpdate(new Date(234));
@@ -2591,6 +2923,190 @@ describe("graphql/mirror", () => {
         });
       });
     });
+    describe("nested fields", () => {
+      function buildCommitSchema(): Schema.Schema {
+        const s = Schema;
+        return s.schema({
+          Commit: s.object({
+            id: s.id(),
+            oid: s.primitive(),
+            author: s.nested({
+              date: s.primitive(),
+              user: s.node("User"),
+            }),
+          }),
+          User: s.object({
+            id: s.id(),
+            login: s.primitive(),
+          }),
+        });
+      }
+
+      it("creates a column for presence and for each primitive egg", () => {
+        const db = new Database(":memory:");
+        const mirror = new Mirror(db, buildCommitSchema());
+        mirror.registerObject({typename: "Commit", id: "commit:1"});
+        expect(db.prepare("SELECT * FROM primitives_Commit").all()).toEqual([
+          {id: "commit:1", oid: null, author: null, "author.date": null},
+        ]);
+        expect(
+          db.prepare("SELECT parent_id, fieldname, child_id FROM links").all()
+        ).toEqual([
+          {parent_id: "commit:1", fieldname: "author.user", child_id: null},
+        ]);
+      });
+
+      it("rejects a schema with SQL-unsafe egg name", () => {
+        const s = Schema;
+        const schema = s.schema({
+          O: s.object({
+            id: s.id(),
+            n: s.nested({"Robert'); --": s.primitive()}),
+          }),
+        });
+        const db = new Database(":memory:");
+        expect(() => new Mirror(db, schema)).toThrow(
+          'invalid field name: "n.Robert\'); --"'
+        );
+      });
+
+      it("queries nested fields as part of own data", () => {
+        const db = new Database(":memory:");
+        const mirror = new Mirror(db, buildCommitSchema());
+        const b = Queries.build;
+        expect(mirror._queryOwnData("Commit")).toEqual([
+          b.field("__typename"),
+          b.field("id"),
+          b.field("oid"),
+          b.field("author", {}, [
+            b.field("date"),
+            b.field("user", {}, [b.field("__typename"), b.field("id")]),
+          ]),
+        ]);
+      });
+
+      it("stores and extracts present and absent nested values", () => {
+        const db = new Database(":memory:");
+        const mirror = new Mirror(db, buildCommitSchema());
+        mirror.registerObject({typename: "Commit", id: "commit:1"});
+        mirror.registerObject({typename: "Commit", id: "commit:2"});
+        mirror.registerObject({typename: "Commit", id: "commit:3"});
+        const updateId = mirror._createUpdate(new Date(123));
+        mirror._updateOwnData(updateId, [
+          {
+            __typename: "Commit",
+            id: "commit:1",
+            oid: "c1",
+            author: {date: "2001-02-03", user: {__typename: "User", id: "u"}},
+          },
+          {
+            __typename: "Commit",
+            id: "commit:2",
+            oid: "c2",
+            author: {date: "2002-03-04", user: null},
+          },
+          {
+            __typename: "Commit",
+            id: "commit:3",
+            oid: "c3",
+            author: null,
+          },
+        ]);
+        mirror._updateOwnData(updateId, [
+          {__typename: "User", id: "u", login: "alice"},
+        ]);
+        expect(mirror.extract("commit:1")).toEqual({
+          __typename: "Commit",
+          id: "commit:1",
+          oid: "c1",
+          author: {
+            date: "2001-02-03",
+            user: {__typename: "User", id: "u", login: "alice"},
+          },
+        });
+        expect(mirror.extract("commit:2")).toEqual({
+          __typename: "Commit",
+          id: "commit:2",
+          oid: "c2",
+          author: {date: "2002-03-04", user: null},
+        });
+        expect(mirror.extract("commit:3")).toEqual({
+          __typename: "Commit",
+          id: "commit:3",
+          oid: "c3",
+          author: null,
+        });
+      });
+
+      it("fails if the input is missing a nested field", () => {
+        const db = new Database(":memory:");
+        const mirror = new Mirror(db, buildCommitSchema());
+        mirror.registerObject({typename: "Commit", id: "commit:1"});
+        const updateId = mirror._createUpdate(new Date(123));
+        expect(() => {
+          mirror._updateOwnData(updateId, [
+            {__typename: "Commit", id: "commit:1", oid: "c1"},
+          ]);
+        }).toThrow(
+          'Missing nested field "author" on "commit:1" of type "Commit" ' +
+            "(got undefined)"
+        );
+      });
+
+      it("fails if the input is missing a primitive egg", () => {
+        const db = new Database(":memory:");
+        const mirror = new Mirror(db, buildCommitSchema());
+        mirror.registerObject({typename: "Commit", id: "commit:1"});
+        const updateId = mirror._createUpdate(new Date(123));
+        expect(() => {
+          mirror._updateOwnData(updateId, [
+            {
+              __typename: "Commit",
+              id: "commit:1",
+              oid: "c1",
+              author: {user: null},
+            },
+          ]);
+        }).toThrow(
+          'Missing primitive "author.date" on "commit:1" of type "Commit" ' +
+            "(got undefined)"
+        );
+      });
+
+      it("fails if the input is missing a node egg", () => {
+        const db = new Database(":memory:");
+        const mirror = new Mirror(db, buildCommitSchema());
+        mirror.registerObject({typename: "Commit", id: "commit:1"});
+        const updateId = mirror._createUpdate(new Date(123));
+        expect(() => {
+          mirror._updateOwnData(updateId, [
+            {
+              __typename: "Commit",
+              id: "commit:1",
+              oid: "c1",
+              author: {date: "2001-02-03"},
+            },
+          ]);
+        }).toThrow(
+          'Missing node reference "author.user" on "commit:1" ' +
+            'of type "Commit" (got undefined)'
+        );
+      });
+
+      it("records nested fields in the schema info", () => {
+        const result = _buildSchemaInfo(buildCommitSchema());
+        const commitInfo = result.objectTypes["Commit"];
+        expect(commitInfo.primitiveFieldNames).toEqual(["oid"]);
+        expect(commitInfo.linkFieldNames).toEqual([]);
+        expect(commitInfo.nestedFields).toEqual({
+          author: {
+            eggs: {date: Schema.primitive(), user: Schema.node("User")},
+            primitiveEggNames: ["date"],
+            linkEggNames: ["user"],
+          },
+        });
+      });
+    });
   });
 
   describe("_buildSchemaInfo", () => {
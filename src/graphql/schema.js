@@ -6,9 +6,11 @@
  *
  *   - Every object must have an `id` field of primitive type.
  *   - Every field of an object must be either a primitive, a reference
- *     to a single (possibly nullable) object, or a _connection_ as
- *     described in the Relay cursor connections specification. In
- *     particular, no field may directly contain a list.
+ *     to a single (possibly nullable) object, a _connection_ as
+ *     described in the Relay cursor connections specification, or a
+ *     _nested_ (possibly nullable) value whose own fields are all
+ *     primitives or references. In particular, no field may directly
+ *     contain a list.
  *   - Interface types must be represented as unions of all their
  *     implementations.
  */
@@ -31,15 +33,27 @@ export type ObjectId = string;
 //     represented as `PRIMITIVE`s (except for `ID`s).
 //   - Connections are supported as object fields, but arbitrary lists
 //     are not.
+//   - Fields whose type is an object without an ID (like GitHub's
+//     `GitActor`) are represented as `NESTED` fields. The fields of
+//     such a nested object are called its "eggs", and must each be a
+//     primitive or a node reference.
 export type Schema = {+[Typename]: NodeType};
 export type NodeType =
   | {|+type: "OBJECT", +fields: {|+[Fieldname]: FieldType|}|}
   | {|+type: "UNION", +clauses: {|+[Typename]: true|}|};
 export type FieldType =
   | {|+type: "ID"|}
-  | {|+type: "PRIMITIVE"|}
-  | {|+type: "NODE", +elementType: Typename|}
-  | {|+type: "CONNECTION", +elementType: Typename|};
+  | PrimitiveFieldType
+  | NodeFieldType
+  | {|+type: "CONNECTION", +elementType: Typename|}
+  | NestedFieldType;
+export type PrimitiveFieldType = {|+type: "PRIMITIVE"|};
+export type NodeFieldType = {|+type: "NODE", +elementType: Typename|};
+export type NestedFieldType = {|
+  +type: "NESTED",
+  +eggs: {|+[Fieldname]: EggFieldType|},
+|};
+export type EggFieldType = PrimitiveFieldType | NodeFieldType;
 
 // Every object must have exactly one `id` field, and it must have this
 // name.
@@ -115,14 +129,30 @@ export function id(): FieldType {
   return {type: "ID"};
 }
 
-export function primitive(): FieldType {
+export function primitive(): PrimitiveFieldType {
   return {type: "PRIMITIVE"};
 }
 
-export function node(elementType: Typename): FieldType {
+export function node(elementType: Typename): NodeFieldType {
   return {type: "NODE", elementType};
 }
 
 export function connection(elementType: Typename): FieldType {
   return {type: "CONNECTION", elementType};
 }
+
+export function nested(eggs: {[Fieldname]: EggFieldType}): FieldType {
+  for (const eggName of Object.keys(eggs)) {
+    if (eggName === "__typename") {
+      throw new Error("reserved field name: " + eggName);
+    }
+    const egg = eggs[eggName];
+    if (egg.type !== "PRIMITIVE" && egg.type !== "NODE") {
+      throw new Error(
+        `invalid egg "${eggName}": expected PRIMITIVE or NODE, ` +
+          `but got ${(egg.type: empty)}`
+      );
+    }
+  }
+  return {type: "NESTED", eggs: {...eggs}};
+}
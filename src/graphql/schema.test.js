@@ -135,6 +135,32 @@ describe("graphql/schema", () => {
     });
   });
 
+  describe("nested", () => {
+    const s = Schema;
+    it("prohibits an egg called __typename", () => {
+      expect(() => s.nested({__typename: s.primitive()})).toThrow(
+        "reserved field name: __typename"
+      );
+    });
+    it("prohibits non-primitive, non-node eggs", () => {
+      const badEgg: any = s.connection("Comment");
+      expect(() => s.nested({comments: badEgg})).toThrow(
+        'invalid egg "comments": expected PRIMITIVE or NODE, ' +
+          "but got CONNECTION"
+      );
+    });
+    it("builds reasonable nested fields", () => {
+      const n1 = s.nested({date: s.primitive()});
+      const n2 = s.nested({date: s.primitive(), user: s.node("User")});
+      expect(n1).not.toEqual(n2);
+    });
+    it("is invariant with respect to egg order", () => {
+      const n1 = s.nested({date: s.primitive(), user: s.node("User")});
+      const n2 = s.nested({user: s.node("User"), date: s.primitive()});
+      expect(n1).toEqual(n2);
+    });
+  });
+
   describe("union", () => {
     const s = Schema;
     it("permits the empty union", () => {
@@ -1,26 +1,77 @@
 // @flow
 
-import tmp from "tmp";
+import fs from "fs-extra";
+import mkdirp from "mkdirp";
+import path from "path";
+
 import {localGit} from "./gitUtils";
 import type {Repository} from "./types";
 import {loadRepository} from "./loadRepository";
-import type {RepoId} from "../../core/repoId";
+import {repoIdHost, repoIdPathParts, type RepoId} from "../../core/repoId";
+
+/**
+ * A Git repository to load, and the name under which to record its
+ * commits.
+ */
+export type GitSource = {|
+  +repoId: RepoId,
+  // Anything that `git clone` accepts: a URL or a local path.
+  +remote: string,
+  // Revision to load from, as accepted by `git rev-parse`: for
+  // instance, "HEAD", "master", or a tag or commit hash.
+  +ref: string,
+|};
+
+/**
+ * The clone URL of the GitHub repository with the given ID, on its
+ * host (github.com by default).
+ */
+export function githubRemote(repoId: RepoId): string {
+  const host = repoIdHost(repoId);
+  return `https://${host}/${repoId.owner}/${repoId.name}.git`;
+}
 
 /**
- * Load Git repository data from a fresh clone of a GitHub repo. Loads
- * commits only.
+ * Load Git repository data from a bare mirror of the given remote,
+ * kept under the given cache directory. The first load of a source
+ * clones the remote; later loads only fetch new objects, so large
+ * repositories need not be cloned again. Loads commits only.
  *
- * @param {RepoId} repoId
- *   the GitHub repository to be cloned
+ * @param {GitSource} source
+ *   the repository to be cloned or fetched
+ * @param {string} cacheDirectory
+ *   directory in which to keep the mirror
  * @return {Repository}
- *   the parsed Repository from the cloned repo
+ *   the parsed Repository from the mirror
  */
-export default function cloneAndLoadRepository(repoId: RepoId): Repository {
-  const cloneUrl = `https://github.com/${repoId.owner}/${repoId.name}.git`;
-  const tmpdir = tmp.dirSync({unsafeCleanup: true});
-  const git = localGit(tmpdir.name);
-  git(["clone", cloneUrl, ".", "--quiet"]);
-  const result = loadRepository(tmpdir.name, "HEAD", repoId);
-  tmpdir.removeCallback();
-  return result;
+export default function cloneAndLoadRepository(
+  source: GitSource,
+  cacheDirectory: string
+): Repository {
+  const {repoId, ref} = source;
+  // Relative paths would otherwise be resolved by Git relative to the
+  // mirror, not to the current directory.
+  const remote = fs.existsSync(source.remote)
+    ? path.resolve(source.remote)
+    : source.remote;
+  const mirrorPath = path.join(
+    cacheDirectory,
+    "repositories",
+    ...repoIdPathParts(repoId)
+  );
+  const git = localGit(mirrorPath);
+  if (fs.existsSync(path.join(mirrorPath, "HEAD"))) {
+    git(["remote", "set-url", "origin", remote]);
+    git(["fetch", "--prune", "--quiet", "origin"]);
+  } else {
+    mkdirp.sync(mirrorPath);
+    try {
+      git(["clone", "--mirror", "--quiet", remote, "."]);
+    } catch (e) {
+      // Don't leave a partial clone behind for the next load to trip on.
+      fs.removeSync(mirrorPath);
+      throw e;
+    }
+  }
+  return loadRepository(mirrorPath, ref, repoId);
 }
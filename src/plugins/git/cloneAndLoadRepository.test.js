@@ -0,0 +1,111 @@
+// @flow
+
+import fs from "fs";
+import path from "path";
+import tmp from "tmp";
+
+import {makeRepoId} from "../../core/repoId";
+import cloneAndLoadRepository, {githubRemote} from "./cloneAndLoadRepository";
+import {makeUtils} from "./gitUtils";
+import {loadRepository} from "./loadRepository";
+
+const cleanups: (() => void)[] = [];
+afterAll(() => {
+  cleanups.forEach((f) => {
+    f();
+  });
+});
+
+function mkdtemp() {
+  const result = tmp.dirSync({unsafeCleanup: true});
+  cleanups.push(() => result.removeCallback());
+  return result.name;
+}
+
+describe("plugins/git/cloneAndLoadRepository", () => {
+  const repoId = makeRepoId("example-owner", "example-repo");
+
+  function createRemote() {
+    const remotePath = mkdtemp();
+    const git = makeUtils(remotePath);
+    git.exec(["init"]);
+    git.writeAndStage("README.txt", "Hello\n");
+    git.deterministicCommit("Initial commit");
+    return {path: remotePath, git};
+  }
+
+  describe("githubRemote", () => {
+    it("gives the GitHub clone URL", () => {
+      expect(githubRemote(repoId)).toEqual(
+        "https://github.com/example-owner/example-repo.git"
+      );
+    });
+    it("uses the repository's host", () => {
+      const hostedRepoId = makeRepoId("foo", "bar", "github.example.com");
+      expect(githubRemote(hostedRepoId)).toEqual(
+        "https://github.example.com/foo/bar.git"
+      );
+    });
+  });
+
+  it("loads the same data as the remote", () => {
+    const remote = createRemote();
+    const cacheDirectory = mkdtemp();
+    const source = {repoId, remote: remote.path, ref: "HEAD"};
+    expect(cloneAndLoadRepository(source, cacheDirectory)).toEqual(
+      loadRepository(remote.path, "HEAD", repoId)
+    );
+  });
+
+  it("keeps a mirror in the cache and fetches into it", () => {
+    const remote = createRemote();
+    const cacheDirectory = mkdtemp();
+    const source = {repoId, remote: remote.path, ref: "HEAD"};
+    const before = cloneAndLoadRepository(source, cacheDirectory);
+    const mirrorPath = path.join(
+      cacheDirectory,
+      "repositories",
+      "example-owner",
+      "example-repo"
+    );
+    expect(fs.existsSync(path.join(mirrorPath, "HEAD"))).toBe(true);
+
+    remote.git.writeAndStage("README.txt", "Hello again\n");
+    remote.git.deterministicCommit("Second commit");
+    const after = cloneAndLoadRepository(source, cacheDirectory);
+    expect(Object.keys(before.commits)).toHaveLength(1);
+    expect(Object.keys(after.commits)).toHaveLength(2);
+    expect(after.commits[remote.git.head()].summary).toEqual("Second commit");
+  });
+
+  it("loads from the given ref", () => {
+    const remote = createRemote();
+    const initial = remote.git.head();
+    remote.git.exec(["branch", "old"]);
+    remote.git.writeAndStage("README.txt", "Hello again\n");
+    remote.git.deterministicCommit("Second commit");
+    const source = {repoId, remote: remote.path, ref: "old"};
+    const result = cloneAndLoadRepository(source, mkdtemp());
+    expect(Object.keys(result.commits)).toEqual([initial]);
+  });
+
+  it("cleans up after a failed clone", () => {
+    const cacheDirectory = mkdtemp();
+    const source = {
+      repoId,
+      remote: path.join(mkdtemp(), "nonexistent"),
+      ref: "HEAD",
+    };
+    expect(() => cloneAndLoadRepository(source, cacheDirectory)).toThrow();
+    expect(
+      fs.existsSync(
+        path.join(
+          cacheDirectory,
+          "repositories",
+          "example-owner",
+          "example-repo"
+        )
+      )
+    ).toBe(false);
+  });
+});
@@ -1,6 +1,7 @@
 // @flow
 
 import {Graph} from "../../core/graph";
+import type {RepoIdString} from "../../core/repoId";
 
 import * as GT from "./types";
 import * as GN from "./nodes";
@@ -25,11 +26,14 @@ class GraphCreator {
 
   addRepository(repository: GT.Repository) {
     for (const commitHash of Object.keys(repository.commits)) {
-      this.addCommit(repository.commits[commitHash]);
+      this.addCommit(
+        repository.commits[commitHash],
+        repository.commitToRepoId[commitHash] || {}
+      );
     }
   }
 
-  addCommit(commit: GT.Commit) {
+  addCommit(commit: GT.Commit, repoIds: {+[RepoIdString]: true}) {
     const node: GN.CommitAddress = {type: GN.COMMIT_TYPE, hash: commit.hash};
     this.graph.addNode(GN.toRaw(node));
     for (const parentHash of commit.parentHashes) {
@@ -37,5 +41,19 @@ class GraphCreator {
       this.graph.addNode(GN.toRaw(parent));
       this.graph.addEdge(GE.createEdge.hasParent(node, parent));
     }
+    for (const person of [commit.author, ...commit.coAuthors]) {
+      const author = GN.authorAddress(person.email);
+      this.graph.addNode(GN.toRaw(author));
+      this.graph.addEdge(GE.createEdge.authors(author, node));
+    }
+    // A commit in several repositories modifies the files of each.
+    const repos: $ReadOnlyArray<RepoIdString> = (Object.keys(repoIds): any);
+    for (const repo of repos) {
+      for (const {path} of commit.changes) {
+        const file: GN.FileAddress = {type: GN.FILE_TYPE, repo, path};
+        this.graph.addNode(GN.toRaw(file));
+        this.graph.addEdge(GE.createEdge.modifies(node, file));
+      }
+    }
   }
 }
@@ -4,9 +4,18 @@ import cloneDeep from "lodash.clonedeep";
 
 import {createGraph} from "./createGraph";
 import {GraphView} from "./graphView";
-import {Prefix as NodePrefix} from "./nodes";
-import {Prefix as EdgePrefix} from "./edges";
-import {NodeAddress, EdgeAddress} from "../../core/graph";
+import {mergeRepository} from "./mergeRepository";
+import {
+  COMMIT_TYPE,
+  FILE_TYPE,
+  Prefix as NodePrefix,
+  authorAddress,
+  toRaw,
+} from "./nodes";
+import {Prefix as EdgePrefix, createEdge} from "./edges";
+import {Direction, NodeAddress, EdgeAddress} from "../../core/graph";
+import {makeRepoId, repoIdToString} from "../../core/repoId";
+import * as NullUtil from "../../util/null";
 
 const makeData = () => cloneDeep(require("./example/example-git"));
 
@@ -21,18 +30,127 @@ describe("plugins/git/createGraph", () => {
       expect(() => new GraphView(graph)).not.toThrow();
     });
 
-    it("only has commit nodes and has_parent edges", () => {
+    it("only has commit, author, and file nodes", () => {
       const graph = createGraph(makeData());
+      const prefixes = [NodePrefix.commit, NodePrefix.author, NodePrefix.file];
       for (const n of graph.nodes()) {
-        if (!NodeAddress.hasPrefix(n, NodePrefix.commit)) {
-          throw new Error("Found non-commit node");
+        if (!prefixes.some((p) => NodeAddress.hasPrefix(n, p))) {
+          throw new Error("Found unexpected node: " + NodeAddress.toString(n));
         }
       }
+    });
+
+    it("only has has_parent, authors, and modifies edges", () => {
+      const graph = createGraph(makeData());
+      const prefixes = [
+        EdgePrefix.hasParent,
+        EdgePrefix.authors,
+        EdgePrefix.modifies,
+      ];
       for (const {address} of graph.edges()) {
-        if (!EdgeAddress.hasPrefix(address, EdgePrefix.hasParent)) {
-          throw new Error("Found non-has-parent edge");
+        if (!prefixes.some((p) => EdgeAddress.hasPrefix(address, p))) {
+          throw new Error(
+            "Found unexpected edge: " + EdgeAddress.toString(address)
+          );
+        }
+      }
+    });
+
+    it("adds a file node for each changed path", () => {
+      const data = makeData();
+      const graph = createGraph(data);
+      const repo = repoIdToString(makeRepoId("sourcecred", "example-git"));
+      for (const hash of Object.keys(data.commits)) {
+        for (const {path} of data.commits[hash].changes) {
+          const edge = createEdge.modifies(
+            {type: COMMIT_TYPE, hash},
+            {type: FILE_TYPE, repo, path}
+          );
+          expect(graph.hasEdge(edge.address)).toBe(true);
+          expect(graph.hasNode(edge.dst)).toBe(true);
         }
       }
     });
+
+    it("keeps the same path in different repositories apart", () => {
+      const data = makeData();
+      const exampleRepo = repoIdToString(
+        makeRepoId("sourcecred", "example-git")
+      );
+      const otherRepo = repoIdToString(makeRepoId("sourcecred", "other"));
+      const exampleHash = NullUtil.get(
+        Object.keys(data.commits).find(
+          (hash) => data.commits[hash].changes.length > 0
+        )
+      );
+      const {path} = data.commits[exampleHash].changes[0];
+      const otherHash = "0".repeat(40);
+      const other = {
+        commits: {
+          [otherHash]: {
+            ...data.commits[exampleHash],
+            hash: otherHash,
+            parentHashes: [],
+          },
+        },
+        commitToRepoId: {[otherHash]: {[(otherRepo: string)]: true}},
+      };
+      const graph = createGraph(mergeRepository([data, (other: any)]));
+      const exampleFile = {type: FILE_TYPE, repo: exampleRepo, path};
+      const otherFile = {type: FILE_TYPE, repo: otherRepo, path};
+      expect(toRaw(exampleFile)).not.toEqual(toRaw(otherFile));
+      const modifiers = (file) =>
+        Array.from(
+          graph.neighbors(toRaw(file), {
+            direction: Direction.IN,
+            nodePrefix: NodeAddress.empty,
+            edgePrefix: EdgePrefix.modifies,
+          })
+        ).map(({node}) => node);
+      expect(modifiers(exampleFile)).not.toContainEqual(
+        toRaw({type: COMMIT_TYPE, hash: otherHash})
+      );
+      expect(modifiers(otherFile)).toEqual([
+        toRaw({type: COMMIT_TYPE, hash: otherHash}),
+      ]);
+    });
+
+    it("adds files to each repository that contains a commit", () => {
+      const data = makeData();
+      const hash = NullUtil.get(
+        Object.keys(data.commits).find(
+          (hash) => data.commits[hash].changes.length > 0
+        )
+      );
+      const forkRepo = repoIdToString(makeRepoId("someone", "example-git"));
+      data.commitToRepoId[hash] = {
+        ...data.commitToRepoId[hash],
+        [(forkRepo: string)]: true,
+      };
+      const graph = createGraph(data);
+      for (const {path} of data.commits[hash].changes) {
+        const edge = createEdge.modifies(
+          {type: COMMIT_TYPE, hash},
+          {type: FILE_TYPE, repo: forkRepo, path}
+        );
+        expect(graph.hasEdge(edge.address)).toBe(true);
+      }
+    });
+
+    it("credits each co-author with an authors edge", () => {
+      const data = makeData();
+      const hash = Object.keys(data.commits)[0];
+      const commit = data.commits[hash];
+      data.commits[hash] = {
+        ...commit,
+        coAuthors: [{name: "Alice", email: "Alice@Example.com"}],
+      };
+      const graph = createGraph(data);
+      const commitAddress = {type: COMMIT_TYPE, hash};
+      for (const email of [commit.author.email, "alice@example.com"]) {
+        const edge = createEdge.authors(authorAddress(email), commitAddress);
+        expect(graph.hasEdge(edge.address)).toBe(true);
+      }
+    });
   });
 });
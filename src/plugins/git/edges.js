@@ -15,6 +15,8 @@ export const HAS_PARENT_TYPE: "HAS_PARENT" = "HAS_PARENT";
 export const INCLUDES_TYPE: "INCLUDES" = "INCLUDES";
 export const BECOMES_TYPE: "BECOMES" = "BECOMES";
 export const HAS_CONTENTS_TYPE: "HAS_CONTENTS" = "HAS_CONTENTS";
+export const AUTHORS_TYPE: "AUTHORS" = "AUTHORS";
+export const MODIFIES_TYPE: "MODIFIES" = "MODIFIES";
 
 const GIT_PREFIX = EdgeAddress.fromParts(["sourcecred", "git"]);
 function gitEdgeAddress(...parts: string[]): RawAddress {
@@ -24,6 +26,8 @@ function gitEdgeAddress(...parts: string[]): RawAddress {
 export const Prefix = Object.freeze({
   base: GIT_PREFIX,
   hasParent: gitEdgeAddress(HAS_PARENT_TYPE),
+  authors: gitEdgeAddress(AUTHORS_TYPE),
+  modifies: gitEdgeAddress(MODIFIES_TYPE),
 });
 
 export type HasParentAddress = {|
@@ -32,7 +36,22 @@ export type HasParentAddress = {|
   parent: GitNode.CommitAddress,
 |};
 
-export type StructuredAddress = HasParentAddress;
+export type AuthorsAddress = {|
+  type: typeof AUTHORS_TYPE,
+  author: GitNode.AuthorAddress,
+  commit: GitNode.CommitAddress,
+|};
+
+export type ModifiesAddress = {|
+  type: typeof MODIFIES_TYPE,
+  commit: GitNode.CommitAddress,
+  file: GitNode.FileAddress,
+|};
+
+export type StructuredAddress =
+  | HasParentAddress
+  | AuthorsAddress
+  | ModifiesAddress;
 
 export const createEdge = Object.freeze({
   hasParent: (
@@ -43,6 +62,22 @@ export const createEdge = Object.freeze({
     src: GitNode.toRaw(child),
     dst: GitNode.toRaw(parent),
   }),
+  authors: (
+    author: GitNode.AuthorAddress,
+    commit: GitNode.CommitAddress
+  ): Edge => ({
+    address: toRaw({type: AUTHORS_TYPE, author, commit}),
+    src: GitNode.toRaw(author),
+    dst: GitNode.toRaw(commit),
+  }),
+  modifies: (
+    commit: GitNode.CommitAddress,
+    file: GitNode.FileAddress
+  ): Edge => ({
+    address: toRaw({type: MODIFIES_TYPE, commit, file}),
+    src: GitNode.toRaw(commit),
+    dst: GitNode.toRaw(file),
+  }),
 });
 
 const NODE_PREFIX_LENGTH = NodeAddress.toParts(GitNode._gitAddress()).length;
@@ -103,6 +138,30 @@ export function fromRaw(x: RawAddress): StructuredAddress {
       ): any);
       return {type: HAS_PARENT_TYPE, child, parent};
     }
+    case "AUTHORS": {
+      const parts = multiLengthDecode(rest, fail);
+      if (parts.length !== 2) throw fail();
+      const [authorParts, commitParts] = parts;
+      const author: GitNode.AuthorAddress = (GitNode.fromRaw(
+        GitNode._gitAddress(...authorParts)
+      ): any);
+      const commit: GitNode.CommitAddress = (GitNode.fromRaw(
+        GitNode._gitAddress(...commitParts)
+      ): any);
+      return {type: AUTHORS_TYPE, author, commit};
+    }
+    case "MODIFIES": {
+      const parts = multiLengthDecode(rest, fail);
+      if (parts.length !== 2) throw fail();
+      const [commitParts, fileParts] = parts;
+      const commit: GitNode.CommitAddress = (GitNode.fromRaw(
+        GitNode._gitAddress(...commitParts)
+      ): any);
+      const file: GitNode.FileAddress = (GitNode.fromRaw(
+        GitNode._gitAddress(...fileParts)
+      ): any);
+      return {type: MODIFIES_TYPE, commit, file};
+    }
     default:
       // eslint-disable-next-line no-unused-expressions
       (type: empty);
@@ -118,6 +177,18 @@ export function toRaw(x: StructuredAddress): RawAddress {
         ...lengthEncode(GitNode.toRaw(x.child)),
         ...lengthEncode(GitNode.toRaw(x.parent))
       );
+    case AUTHORS_TYPE:
+      return EdgeAddress.append(
+        Prefix.authors,
+        ...lengthEncode(GitNode.toRaw(x.author)),
+        ...lengthEncode(GitNode.toRaw(x.commit))
+      );
+    case MODIFIES_TYPE:
+      return EdgeAddress.append(
+        Prefix.modifies,
+        ...lengthEncode(GitNode.toRaw(x.commit)),
+        ...lengthEncode(GitNode.toRaw(x.file))
+      );
     default:
       throw new Error((x.type: empty));
   }
@@ -1,6 +1,7 @@
 // @flow
 
 import {type EdgeAddressT, edgeToParts} from "../../core/graph";
+import {makeRepoId, repoIdToString} from "../../core/repoId";
 import {createEdge, fromRaw, toRaw} from "./edges";
 import * as GE from "./edges";
 import * as GN from "./nodes";
@@ -15,11 +16,24 @@ describe("plugins/git/edges", () => {
       type: GN.COMMIT_TYPE,
       hash: "69c5aad50eec8f2a0a07c988c3b283a6490eb45b",
     }),
+    author: (): GN.AuthorAddress => ({
+      type: GN.AUTHOR_TYPE,
+      email: "nobody@example.com",
+    }),
+    file: (): GN.FileAddress => ({
+      type: GN.FILE_TYPE,
+      repo: repoIdToString(makeRepoId("sourcecred", "example-git")),
+      path: "src/science.txt",
+    }),
   };
 
   const edgeExamples = {
     hasParent: () =>
       createEdge.hasParent(nodeExamples.commit(), nodeExamples.parentCommit()),
+    authors: () =>
+      createEdge.authors(nodeExamples.author(), nodeExamples.commit()),
+    modifies: () =>
+      createEdge.modifies(nodeExamples.commit(), nodeExamples.file()),
   };
 
   describe("createEdge", () => {
@@ -70,6 +70,26 @@ export class GraphView {
     return result;
   }
 
+  authors(commit: GN.CommitAddress): Iterator<GN.AuthorAddress> {
+    const result: Iterator<GN.AuthorAddress> = this._neighbors(commit, {
+      direction: Direction.IN,
+      nodePrefix: GN.Prefix.author,
+      edgePrefix: GE.Prefix.authors,
+    });
+    this._maybeCheckInvariants();
+    return result;
+  }
+
+  files(commit: GN.CommitAddress): Iterator<GN.FileAddress> {
+    const result: Iterator<GN.FileAddress> = this._neighbors(commit, {
+      direction: Direction.OUT,
+      nodePrefix: GN.Prefix.file,
+      edgePrefix: GE.Prefix.modifies,
+    });
+    this._maybeCheckInvariants();
+    return result;
+  }
+
   _maybeCheckInvariants() {
     if (process.env.NODE_ENV === "test") {
       // TODO(perf): If this method becomes really slow, we can disable
@@ -98,6 +118,14 @@ export class GraphView {
         prefix: GE.Prefix.hasParent,
         homs: [{srcPrefix: GN.Prefix.commit, dstPrefix: GN.Prefix.commit}],
       },
+      [GE.AUTHORS_TYPE]: {
+        prefix: GE.Prefix.authors,
+        homs: [{srcPrefix: GN.Prefix.author, dstPrefix: GN.Prefix.commit}],
+      },
+      [GE.MODIFIES_TYPE]: {
+        prefix: GE.Prefix.modifies,
+        homs: [{srcPrefix: GN.Prefix.commit, dstPrefix: GN.Prefix.file}],
+      },
     };
 
     for (const edge of this._graph.edges({
@@ -144,5 +172,45 @@ export class GraphView {
         );
       }
     }
+
+    // All AUTHORS edges must map from the author to the commit.
+    for (const edge of this._graph.edges({
+      addressPrefix: GE.Prefix.authors,
+      srcPrefix: NodeAddress.empty,
+      dstPrefix: NodeAddress.empty,
+    })) {
+      const src: GN.AuthorAddress = ((GN.fromRaw(
+        (((edge.src: NodeAddressT): any): GN.RawAddress)
+      ): GN.StructuredAddress): any);
+      const dst: GN.CommitAddress = ((GN.fromRaw(
+        (((edge.dst: NodeAddressT): any): GN.RawAddress)
+      ): GN.StructuredAddress): any);
+      const expectedEdge = GE.createEdge.authors(src, dst);
+      if (edge.address !== expectedEdge.address) {
+        throw new Error(
+          `invariant violation: bad AUTHORS edge: ${edgeToString(edge)}`
+        );
+      }
+    }
+
+    // All MODIFIES edges must map from the commit to the file.
+    for (const edge of this._graph.edges({
+      addressPrefix: GE.Prefix.modifies,
+      srcPrefix: NodeAddress.empty,
+      dstPrefix: NodeAddress.empty,
+    })) {
+      const src: GN.CommitAddress = ((GN.fromRaw(
+        (((edge.src: NodeAddressT): any): GN.RawAddress)
+      ): GN.StructuredAddress): any);
+      const dst: GN.FileAddress = ((GN.fromRaw(
+        (((edge.dst: NodeAddressT): any): GN.RawAddress)
+      ): GN.StructuredAddress): any);
+      const expectedEdge = GE.createEdge.modifies(src, dst);
+      if (edge.address !== expectedEdge.address) {
+        throw new Error(
+          `invariant violation: bad MODIFIES edge: ${edgeToString(edge)}`
+        );
+      }
+    }
   }
 }
@@ -3,6 +3,7 @@
 import cloneDeep from "lodash.clonedeep";
 
 import {EdgeAddress, Graph, NodeAddress, edgeToString} from "../../core/graph";
+import {makeRepoId, repoIdToString} from "../../core/repoId";
 import {createGraph} from "./createGraph";
 import {GraphView} from "./graphView";
 import type {Repository} from "./types";
@@ -49,6 +50,32 @@ describe("plugins/git/graphView", () => {
       }
     });
 
+    it("#authors yields the author and co-authors of each commit", () => {
+      const commits = makeData().commits;
+      for (const commitHash of Object.keys(commits)) {
+        const commit = commits[commitHash];
+        const node: GN.CommitAddress = {type: GN.COMMIT_TYPE, hash: commitHash};
+        const expectedAuthors = [commit.author, ...commit.coAuthors].map(
+          (person) => GN.authorAddress(person.email).email
+        );
+        const actualAuthors = Array.from(view.authors(node)).map(
+          (a) => a.email
+        );
+        expectEqualMultisets(actualAuthors, expectedAuthors);
+      }
+    });
+
+    it("#files yields the files changed by each commit", () => {
+      const commits = makeData().commits;
+      for (const commitHash of Object.keys(commits)) {
+        const commit = commits[commitHash];
+        const node: GN.CommitAddress = {type: GN.COMMIT_TYPE, hash: commitHash};
+        const expectedPaths = commit.changes.map((change) => change.path);
+        const actualPaths = Array.from(view.files(node)).map((f) => f.path);
+        expectEqualMultisets(actualPaths, expectedPaths);
+      }
+    });
+
     describe("invariants", () => {
       it("check for malformed nodes", () => {
         const node = GN._gitAddress("wat");
@@ -113,6 +140,69 @@ describe("plugins/git/graphView", () => {
           expect(() => new GraphView(g)).not.toThrow();
         });
       });
+
+      describe("check AUTHORS edges", () => {
+        const author = GN.authorAddress("alice@example.com");
+        const otherAuthor = GN.authorAddress("bob@example.com");
+        const commit: GN.CommitAddress = {type: GN.COMMIT_TYPE, hash: "c1"};
+        const edge = GE.createEdge.authors(author, commit);
+        const baseGraph = () =>
+          new Graph()
+            .addNode(GN.toRaw(author))
+            .addNode(GN.toRaw(otherAuthor))
+            .addNode(GN.toRaw(commit));
+        it("for proper hom", () => {
+          const badEdge = {...edge, src: GN.toRaw(commit)};
+          const g = baseGraph().addEdge(badEdge);
+          expect(() => new GraphView(g)).toThrow(
+            "invariant violation: bad hom: " + edgeToString(badEdge)
+          );
+        });
+        it("for correctness", () => {
+          const badEdge = {...edge, src: GN.toRaw(otherAuthor)};
+          const g = baseGraph().addEdge(badEdge);
+          expect(() => new GraphView(g)).toThrow(
+            "invariant violation: bad AUTHORS edge: " + edgeToString(badEdge)
+          );
+        });
+        it("allowing multiple authors", () => {
+          const g = baseGraph()
+            .addEdge(edge)
+            .addEdge(GE.createEdge.authors(otherAuthor, commit));
+          expect(() => new GraphView(g)).not.toThrow();
+        });
+      });
+
+      describe("check MODIFIES edges", () => {
+        const commit: GN.CommitAddress = {type: GN.COMMIT_TYPE, hash: "c1"};
+        const repo = repoIdToString(makeRepoId("sourcecred", "example-git"));
+        const file: GN.FileAddress = {type: GN.FILE_TYPE, repo, path: "a.txt"};
+        const otherFile: GN.FileAddress = {
+          type: GN.FILE_TYPE,
+          repo,
+          path: "b.txt",
+        };
+        const edge = GE.createEdge.modifies(commit, file);
+        const baseGraph = () =>
+          new Graph()
+            .addNode(GN.toRaw(commit))
+            .addNode(GN.toRaw(file))
+            .addNode(GN.toRaw(otherFile));
+        it("for proper hom", () => {
+          const badEdge = {...edge, dst: GN.toRaw(commit)};
+          const g = baseGraph().addEdge(badEdge);
+          expect(() => new GraphView(g)).toThrow(
+            "invariant violation: bad hom: " + edgeToString(badEdge)
+          );
+        });
+        it("for correctness", () => {
+          const badEdge = {...edge, dst: GN.toRaw(otherFile)};
+          const g = baseGraph().addEdge(badEdge);
+          expect(() => new GraphView(g)).toThrow(
+            "invariant violation: bad MODIFIES edge: " + edgeToString(badEdge)
+          );
+        });
+      });
     });
   });
 });
@@ -4,28 +4,35 @@ import fs from "fs-extra";
 import path from "path";
 import stringify from "json-stable-stringify";
 
-import type {RepoId} from "../../core/repoId";
-import cloneAndLoadRepository from "./cloneAndLoadRepository";
+import {encodeGraph} from "../../core/graphBinary";
+import type {TimeWindow} from "../../core/timeWindow";
+import cloneAndLoadRepository, {type GitSource} from "./cloneAndLoadRepository";
 import {createGraph} from "./createGraph";
 import {mergeRepository} from "./mergeRepository";
+import {restrictToWindow} from "./restrictToWindow";
 
 export type Options = {|
-  +repoIds: $ReadOnlyArray<RepoId>,
+  +sources: $ReadOnlyArray<GitSource>,
   +outputDirectory: string,
   +cacheDirectory: string,
+  +timeWindow: TimeWindow,
 |};
 
 export function loadGitData(options: Options): Promise<void> {
-  const repositories = options.repoIds.map((r) => cloneAndLoadRepository(r));
-  const repository = mergeRepository(repositories);
+  const repositories = options.sources.map((s) =>
+    cloneAndLoadRepository(s, options.cacheDirectory)
+  );
+  const repository = restrictToWindow(
+    mergeRepository(repositories),
+    options.timeWindow
+  );
   const graph = createGraph(repository);
-  function writeToFile(filename, serializable) {
-    const blob = stringify(serializable);
+  function writeToFile(filename, blob) {
     const filePath = path.join(options.outputDirectory, filename);
     return fs.writeFile(filePath, blob);
   }
   return Promise.all([
-    writeToFile("repository.json", repository),
-    writeToFile("graph.json", graph),
+    writeToFile("repository.json", stringify(repository)),
+    writeToFile("graph.bin", encodeGraph(graph)),
   ]).then(() => undefined);
 }
@@ -11,7 +11,7 @@
 
 import * as MapUtil from "../../util/map";
 import type {GitDriver} from "./gitUtils";
-import type {Repository, Commit} from "./types";
+import type {Repository, Commit, Person} from "./types";
 import {localGit} from "./gitUtils";
 import {
   repoIdToString,
@@ -53,15 +53,97 @@ export function loadRepository(
   return {commits, commitToRepoId};
 }
 
+// Fields of each commit, in order. These are separated by NUL bytes,
+// as are the commits themselves (by `git log -z`). With `--numstat`,
+// each commit's fields are followed by one NUL-terminated entry per
+// changed file, the first of which also starts with a newline.
+const COMMIT_FIELDS = [
+  "%H", // hash
+  "%h", // short hash
+  "%at", // author date
+  "%ct", // committer date
+  "%P", // parent hashes
+  "%an", // author name
+  "%ae", // author email
+  "%cn", // committer name
+  "%ce", // committer email
+  "%s", // summary
+  "%b", // body, for trailers
+];
+
+// A `--numstat` entry: lines added, lines deleted (each "-" for binary
+// files), and the path. No commit field can match this, as the hash
+// comes first and contains no tabs.
+const NUMSTAT_ENTRY = /^\n?(-|[0-9]+)\t(-|[0-9]+)\t([^]*)$/;
+
 function findCommits(git: GitDriver, rootRef: string): Commit[] {
-  return git(["log", "--format=%H %h %P|%s", rootRef])
-    .split("\n")
-    .filter((line) => line.length > 0)
-    .map((line) => {
-      const pipeLocation = line.indexOf("|");
-      const first = line.slice(0, pipeLocation).trim();
-      const summary = line.slice(pipeLocation + 1);
-      const [hash, shortHash, ...parentHashes] = first.split(" ");
-      return {hash, shortHash, summary, parentHashes};
+  const format = COMMIT_FIELDS.join("%x00");
+  const tokens = git([
+    "log",
+    "-z",
+    "--numstat",
+    // Record a rename as a deletion and an addition, so that each
+    // change has exactly one path.
+    "--no-renames",
+    `--format=${format}`,
+    rootRef,
+  ]).split("\0");
+  const result = [];
+  let i = 0;
+  while (i + COMMIT_FIELDS.length <= tokens.length) {
+    const [
+      hash,
+      shortHash,
+      authorSeconds,
+      committerSeconds,
+      parents,
+      authorName,
+      authorEmail,
+      committerName,
+      committerEmail,
+      summary,
+      body,
+    ] = tokens.slice(i, i + COMMIT_FIELDS.length);
+    i += COMMIT_FIELDS.length;
+    const changes = [];
+    while (i < tokens.length) {
+      const match = tokens[i].match(NUMSTAT_ENTRY);
+      if (match == null) {
+        break;
+      }
+      const [_unused_entry, additions, deletions, path] = match;
+      changes.push({
+        path,
+        additions: additions === "-" ? null : Number(additions),
+        deletions: deletions === "-" ? null : Number(deletions),
+      });
+      i++;
+    }
+    result.push({
+      hash,
+      shortHash,
+      summary,
+      parentHashes: parents === "" ? [] : parents.split(" "),
+      authoredAt: 1000 * Number(authorSeconds),
+      committedAt: 1000 * Number(committerSeconds),
+      author: {name: authorName, email: authorEmail},
+      committer: {name: committerName, email: committerEmail},
+      coAuthors: parseCoAuthors(body),
+      changes,
     });
+  }
+  return result;
+}
+
+/**
+ * Find the people credited in "Co-authored-by: Name <email>" trailers
+ * of a commit message body. Malformed trailers are ignored.
+ */
+export function parseCoAuthors(body: string): Person[] {
+  const result = [];
+  const re = /^co-authored-by:[ \t]*(.*?)[ \t]*<([^<>]*)>[ \t]*$/gim;
+  for (let match = re.exec(body); match != null; match = re.exec(body)) {
+    result.push({name: match[1], email: match[2]});
+  }
+  return result;
 }
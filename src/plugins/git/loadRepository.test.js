@@ -4,8 +4,8 @@ import tmp from "tmp";
 
 import {makeRepoId, repoIdToString} from "../../core/repoId";
 import {createExampleRepo} from "./example/exampleRepo";
-import {localGit} from "./gitUtils";
-import {loadRepository} from "./loadRepository";
+import {localGit, makeUtils} from "./gitUtils";
+import {loadRepository, parseCoAuthors} from "./loadRepository";
 
 const cleanups: (() => void)[] = [];
 afterAll(() => {
@@ -97,4 +97,96 @@ describe("plugins/git/loadRepository", () => {
       commitToRepoId: {},
     });
   });
+
+  it("reads authors, committers, and co-authors", () => {
+    const repositoryPath = mkdtemp();
+    const git = makeUtils(repositoryPath);
+    git.exec(["init"]);
+    git.writeAndStage("README.txt", "Amazing physics going on...\n");
+    git.deterministicCommit(
+      [
+        "Initial commit",
+        "",
+        "Co-authored-by: Alice <alice@example.com>",
+        "Co-authored-by: Bob <bob@example.com>",
+      ].join("\n")
+    );
+    const repository = loadRepository(
+      repositoryPath,
+      "HEAD",
+      makeRepoId("sourcecred", "example-git")
+    );
+    const commit = repository.commits[git.head()];
+    const testRunner = {name: "Test Runner", email: "nobody@example.com"};
+    expect(commit.summary).toEqual("Initial commit");
+    expect(commit.author).toEqual(testRunner);
+    expect(commit.committer).toEqual(testRunner);
+    expect(commit.coAuthors).toEqual([
+      {name: "Alice", email: "alice@example.com"},
+      {name: "Bob", email: "bob@example.com"},
+    ]);
+  });
+
+  it("records the files changed by each commit", () => {
+    const repositoryPath = mkdtemp();
+    const git = makeUtils(repositoryPath);
+    git.exec(["init"]);
+    git.writeAndStage("README.txt", "one\ntwo\n");
+    git.writeAndStage("data/image.bin", "\0\x01\x02");
+    git.deterministicCommit("Initial commit");
+    const first = git.head();
+    git.writeAndStage("README.txt", "one\nthree\nfour\n");
+    git.exec(["mv", "data/image.bin", "data/picture with spaces.bin"]);
+    git.deterministicCommit("Edit and rename");
+    const second = git.head();
+    git.exec(["commit", "--allow-empty", "-m", "Empty"], {
+      GIT_AUTHOR_NAME: "Test Runner",
+      GIT_AUTHOR_EMAIL: "nobody@example.com",
+      GIT_COMMITTER_NAME: "Test Runner",
+      GIT_COMMITTER_EMAIL: "nobody@example.com",
+    });
+    const third = git.head();
+    const repository = loadRepository(
+      repositoryPath,
+      "HEAD",
+      makeRepoId("sourcecred", "example-git")
+    );
+    expect(repository.commits[first].changes).toEqual([
+      {path: "README.txt", additions: 2, deletions: 0},
+      {path: "data/image.bin", additions: null, deletions: null},
+    ]);
+    expect(repository.commits[second].changes).toEqual([
+      {path: "README.txt", additions: 2, deletions: 1},
+      {path: "data/image.bin", additions: null, deletions: null},
+      {path: "data/picture with spaces.bin", additions: null, deletions: null},
+    ]);
+    expect(repository.commits[third].changes).toEqual([]);
+    expect(repository.commits[third].summary).toEqual("Empty");
+  });
+
+  describe("parseCoAuthors", () => {
+    it("finds trailers case-insensitively", () => {
+      const body = [
+        "Some explanation.",
+        "",
+        "co-authored-by: Alice Smith <alice@example.com>",
+        "CO-AUTHORED-BY:Bob<bob@example.com>  ",
+      ].join("\n");
+      expect(parseCoAuthors(body)).toEqual([
+        {name: "Alice Smith", email: "alice@example.com"},
+        {name: "Bob", email: "bob@example.com"},
+      ]);
+    });
+    it("ignores malformed trailers and mentions in prose", () => {
+      const body = [
+        "Co-authored-by: Alice",
+        "Thanks to Co-authored-by: Bob <bob@example.com>",
+        "Co-authored-by: Carol <carol@example.com> and Dave",
+      ].join("\n");
+      expect(parseCoAuthors(body)).toEqual([]);
+    });
+    it("handles an empty body", () => {
+      expect(parseCoAuthors("")).toEqual([]);
+    });
+  });
 });
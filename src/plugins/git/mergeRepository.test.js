@@ -16,12 +16,24 @@ describe("plugins/git/mergeRepository", () => {
           shortHash: "commit1",
           summary: "a commit",
           parentHashes: [],
+          authoredAt: 0,
+          committedAt: 0,
+          author: {name: "Test Runner", email: "nobody@example.com"},
+          committer: {name: "Test Runner", email: "nobody@example.com"},
+          coAuthors: [],
+          changes: [],
         },
         commit2: {
           hash: "commit2",
           shortHash: "commit2",
           summary: "another commit",
           parentHashes: ["commit1"],
+          authoredAt: 0,
+          committedAt: 0,
+          author: {name: "Test Runner", email: "nobody@example.com"},
+          committer: {name: "Test Runner", email: "nobody@example.com"},
+          coAuthors: [],
+          changes: [],
         },
       },
       commitToRepoId: {
@@ -36,12 +48,24 @@ describe("plugins/git/mergeRepository", () => {
           shortHash: "commit1",
           summary: "a commit",
           parentHashes: [],
+          authoredAt: 0,
+          committedAt: 0,
+          author: {name: "Test Runner", email: "nobody@example.com"},
+          committer: {name: "Test Runner", email: "nobody@example.com"},
+          coAuthors: [],
+          changes: [],
         },
         commit3: {
           hash: "commit3",
           shortHash: "commit3",
           summary: "a third commit",
           parentHashes: ["commit1"],
+          authoredAt: 0,
+          committedAt: 0,
+          author: {name: "Test Runner", email: "nobody@example.com"},
+          committer: {name: "Test Runner", email: "nobody@example.com"},
+          coAuthors: [],
+          changes: [],
         },
       },
       commitToRepoId: {
@@ -92,6 +116,12 @@ describe("plugins/git/mergeRepository", () => {
             shortHash: "commit1",
             summary: "a conflicting commit",
             parentHashes: ["commit0"],
+            authoredAt: 0,
+            committedAt: 0,
+            author: {name: "Test Runner", email: "nobody@example.com"},
+            committer: {name: "Test Runner", email: "nobody@example.com"},
+            coAuthors: [],
+            changes: [],
           },
         },
         commitToRepoId: {
@@ -1,6 +1,7 @@
 // @flow
 
 import {NodeAddress, type NodeAddressT} from "../../core/graph";
+import type {RepoIdString} from "../../core/repoId";
 import type {Hash} from "./types";
 
 export opaque type RawAddress: NodeAddressT = NodeAddressT;
@@ -11,10 +12,14 @@ export function _gitAddress(...parts: string[]): RawAddress {
 }
 
 export const COMMIT_TYPE: "COMMIT" = "COMMIT";
+export const AUTHOR_TYPE: "AUTHOR" = "AUTHOR";
+export const FILE_TYPE: "FILE" = "FILE";
 
 export const Prefix = Object.freeze({
   base: GIT_PREFIX,
   commit: _gitAddress(COMMIT_TYPE),
+  author: _gitAddress(AUTHOR_TYPE),
+  file: _gitAddress(FILE_TYPE),
 });
 
 export type CommitAddress = {|
@@ -22,7 +27,28 @@ export type CommitAddress = {|
   +hash: Hash,
 |};
 
-export type StructuredAddress = CommitAddress;
+// Authors are identified by email address, since the same person may
+// use different spellings of their name across commits. Use
+// `authorAddress` to normalize the email when creating an address.
+export type AuthorAddress = {|
+  +type: typeof AUTHOR_TYPE,
+  +email: string,
+|};
+
+// Files are identified by their repository and their path within it,
+// so that files like `README.md` in different repositories loaded
+// together are different nodes.
+export type FileAddress = {|
+  +type: typeof FILE_TYPE,
+  +repo: RepoIdString,
+  +path: string,
+|};
+
+export type StructuredAddress = CommitAddress | AuthorAddress | FileAddress;
+
+export function authorAddress(email: string): AuthorAddress {
+  return {type: AUTHOR_TYPE, email: email.toLowerCase()};
+}
 
 export function fromRaw(x: RawAddress): StructuredAddress {
   function fail() {
@@ -39,6 +65,16 @@ export function fromRaw(x: RawAddress): StructuredAddress {
       const [hash] = rest;
       return {type: COMMIT_TYPE, hash};
     }
+    case "AUTHOR": {
+      if (rest.length !== 1) throw fail();
+      const [email] = rest;
+      return {type: AUTHOR_TYPE, email};
+    }
+    case "FILE": {
+      if (rest.length !== 2) throw fail();
+      const [repo, path] = rest;
+      return {type: FILE_TYPE, repo: (repo: any), path};
+    }
     default:
       // eslint-disable-next-line no-unused-expressions
       (type: empty);
@@ -50,6 +86,10 @@ export function toRaw(x: StructuredAddress): RawAddress {
   switch (x.type) {
     case COMMIT_TYPE:
       return NodeAddress.append(Prefix.commit, x.hash);
+    case AUTHOR_TYPE:
+      return NodeAddress.append(Prefix.author, x.email);
+    case FILE_TYPE:
+      return NodeAddress.append(Prefix.file, x.repo, x.path);
     default:
       throw new Error(`Unexpected type ${(x.type: empty)}`);
   }
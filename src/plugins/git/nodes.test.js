@@ -1,6 +1,7 @@
 // @flow
 
 import {NodeAddress} from "../../core/graph";
+import {makeRepoId, repoIdToString} from "../../core/repoId";
 import * as GN from "./nodes";
 import {fromRaw, toRaw} from "./nodes";
 
@@ -10,6 +11,15 @@ describe("plugins/git/nodes", () => {
       type: GN.COMMIT_TYPE,
       hash: "3715ddfb8d4c4fd2a6f6af75488c82f84c92ec2f",
     }),
+    author: (): GN.AuthorAddress => ({
+      type: GN.AUTHOR_TYPE,
+      email: "nobody@example.com",
+    }),
+    file: (): GN.FileAddress => ({
+      type: GN.FILE_TYPE,
+      repo: repoIdToString(makeRepoId("sourcecred", "example-git")),
+      path: "src/science.txt",
+    }),
   };
 
   // Incorrect types should be caught statically
@@ -48,6 +58,12 @@ describe("plugins/git/nodes", () => {
     });
   });
 
+  describe("authorAddress", () => {
+    it("normalizes the email to lowercase", () => {
+      expect(GN.authorAddress("NoBody@Example.COM")).toEqual(examples.author());
+    });
+  });
+
   describe("errors on", () => {
     describe("fromRaw(...) with", () => {
       function expectBadAddress(name: string, parts: $ReadOnlyArray<string>) {
@@ -80,6 +96,25 @@ describe("plugins/git/nodes", () => {
         examples.commit().hash,
         examples.commit().hash,
       ]);
+
+      expectBadAddress("author with no email", [GN.AUTHOR_TYPE]);
+      expectBadAddress("author with extra field", [
+        GN.AUTHOR_TYPE,
+        examples.author().email,
+        examples.author().email,
+      ]);
+
+      expectBadAddress("file with no repository", [GN.FILE_TYPE]);
+      expectBadAddress("file with no path", [
+        GN.FILE_TYPE,
+        examples.file().repo,
+      ]);
+      expectBadAddress("file with extra field", [
+        GN.FILE_TYPE,
+        examples.file().repo,
+        examples.file().path,
+        examples.file().path,
+      ]);
     });
 
     describe("toRaw(...) with", () => {
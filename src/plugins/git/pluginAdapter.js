@@ -3,12 +3,13 @@ import type {
   StaticPluginAdapter as IStaticPluginAdapter,
   DynamicPluginAdapter as IDynamicPluginAdapter,
 } from "../../app/adapters/pluginAdapter";
-import {Graph} from "../../core/graph";
+import {Graph, type NodeAddressT} from "../../core/graph";
+import {decodeGraphResponse} from "../../core/graphBinary";
 import * as N from "./nodes";
 import * as E from "./edges";
-import {description} from "./render";
+import {authorNames, description} from "./render";
 import type {Assets} from "../../app/assets";
-import type {RepoId} from "../../core/repoId";
+import {repoIdPathParts, type RepoId} from "../../core/repoId";
 import type {Repository} from "./types";
 import type {GitGateway} from "./gitGateway";
 
@@ -35,6 +36,18 @@ export class StaticPluginAdapter implements IStaticPluginAdapter {
         prefix: N.Prefix.commit,
         defaultWeight: 2,
       },
+      {
+        name: "Author",
+        pluralName: "Authors",
+        prefix: N.Prefix.author,
+        defaultWeight: 1,
+      },
+      {
+        name: "File",
+        pluralName: "Files",
+        prefix: N.Prefix.file,
+        defaultWeight: 0.5,
+      },
     ];
   }
   edgeTypes() {
@@ -46,18 +59,39 @@ export class StaticPluginAdapter implements IStaticPluginAdapter {
         defaultForwardWeight: 1,
         defaultBackwardWeight: 1,
       },
+      {
+        forwardName: "authors",
+        backwardName: "is authored by",
+        prefix: E.Prefix.authors,
+        defaultForwardWeight: 1 / 2,
+        defaultBackwardWeight: 1,
+      },
+      {
+        forwardName: "modifies",
+        backwardName: "is modified by",
+        prefix: E.Prefix.modifies,
+        defaultForwardWeight: 1,
+        defaultBackwardWeight: 1 / 4,
+      },
     ];
   }
   async load(assets: Assets, repoId: RepoId): Promise<IDynamicPluginAdapter> {
-    const baseUrl = `/api/v1/data/data/${repoId.owner}/${repoId.name}/git/`;
+    const repoPath = repoIdPathParts(repoId).join("/");
+    const baseUrl = `/api/v1/data/data/${repoPath}/git/`;
     async function loadGraph() {
-      const url = assets.resolve(baseUrl + "graph.json");
-      const response = await fetch(url);
-      if (!response.ok) {
+      const response = await fetch(assets.resolve(baseUrl + "graph.bin"));
+      if (response.ok) {
+        return decodeGraphResponse(response);
+      }
+      if (response.status !== 404) {
         return Promise.reject(response);
       }
-      const json = await response.json();
-      return Graph.fromJSON(json);
+      // Data loaded before graphs were stored in binary.
+      const jsonResponse = await fetch(assets.resolve(baseUrl + "graph.json"));
+      if (!jsonResponse.ok) {
+        return Promise.reject(jsonResponse);
+      }
+      return Graph.fromJSON(await jsonResponse.json());
     }
     async function loadRepository(): Promise<Repository> {
       const url = assets.resolve(baseUrl + "repository.json");
@@ -75,9 +109,10 @@ export class StaticPluginAdapter implements IStaticPluginAdapter {
   }
 }
 
-class DynamicPluginAdapter implements IDynamicPluginAdapter {
+export class DynamicPluginAdapter implements IDynamicPluginAdapter {
   +_graph: Graph;
   +_repository: Repository;
+  +_authorNames: Map<string, string>;
   +_gitGateway: GitGateway;
   constructor(
     gitGateway: GitGateway,
@@ -86,16 +121,45 @@ class DynamicPluginAdapter implements IDynamicPluginAdapter {
   ): void {
     this._graph = graph;
     this._repository = repository;
+    this._authorNames = authorNames(repository);
     this._gitGateway = gitGateway;
   }
   graph() {
     return this._graph;
   }
-  nodeDescription(node) {
+  nodeDescription(node: NodeAddressT) {
+    // This cast is unsound, and might throw at runtime, but won't have
+    // silent failures or cause problems down the road.
+    const address = N.fromRaw((node: any));
+    return description(
+      address,
+      this._repository,
+      this._authorNames,
+      this._gitGateway
+    );
+  }
+  createdAt(node: NodeAddressT): number | null {
     // This cast is unsound, and might throw at runtime, but won't have
     // silent failures or cause problems down the road.
     const address = N.fromRaw((node: any));
-    return description(address, this._repository, this._gitGateway);
+    switch (address.type) {
+      case "COMMIT": {
+        const commit = this._repository.commits[address.hash];
+        return commit == null ? null : commit.authoredAt;
+      }
+      case "AUTHOR":
+        return null;
+      case "FILE":
+        return null;
+      default:
+        throw new Error(`unknown type: ${(address.type: empty)}`);
+    }
+  }
+  labelMultipliers(
+    _unused_labels: Map<string, number>
+  ): Map<NodeAddressT, number> {
+    // Git has no labels.
+    return new Map();
   }
   static() {
     return new StaticPluginAdapter(this._gitGateway);
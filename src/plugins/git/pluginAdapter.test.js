@@ -0,0 +1,99 @@
+// @flow
+
+import stringify from "json-stable-stringify";
+
+import {Assets} from "../../app/assets";
+import {encodeGraph} from "../../core/graphBinary";
+import {shallow} from "enzyme";
+import {makeRepoId} from "../../core/repoId";
+import {createGraph} from "./createGraph";
+import type {Repository} from "./types";
+import * as N from "./nodes";
+import {DynamicPluginAdapter, StaticPluginAdapter} from "./pluginAdapter";
+
+require("../../app/testUtil").configureEnzyme();
+
+describe("plugins/git/pluginAdapter", () => {
+  const assets = new Assets("/gateway/");
+  const repoId = makeRepoId("foo", "bar");
+  const baseUrl = "/gateway/api/v1/data/data/foo/bar/git/";
+  function exampleRepository(): Repository {
+    return require("./example/example-git.json");
+  }
+  function load() {
+    const gitGateway = {commitUrl: () => ""};
+    return new StaticPluginAdapter(gitGateway).load(assets, repoId);
+  }
+  beforeEach(() => {
+    fetch.resetMocks();
+  });
+
+  it("loads the binary graph and the repository", async () => {
+    const repository = exampleRepository();
+    const graph = createGraph(repository);
+    // The mock responses lack `arrayBuffer` in some test environments.
+    const bytes = encodeGraph(graph);
+    fetch.mockImplementationOnce(async () => ({
+      ok: true,
+      status: 200,
+      body: null,
+      arrayBuffer: async () => bytes.buffer,
+    }));
+    fetch.mockResponseOnce(stringify(repository));
+    const adapter = await load();
+    expect(adapter.graph().equals(graph)).toBe(true);
+    expect(fetch.mock.calls.map((x) => x[0])).toEqual([
+      baseUrl + "graph.bin",
+      baseUrl + "repository.json",
+    ]);
+  });
+
+  it("falls back to a JSON graph from an older load", async () => {
+    const repository = exampleRepository();
+    const graph = createGraph(repository);
+    fetch.mockResponseOnce("", {status: 404});
+    fetch.mockResponseOnce(stringify(repository));
+    fetch.mockResponseOnce(stringify(graph));
+    const adapter = await load();
+    expect(adapter.graph().equals(graph)).toBe(true);
+    expect(fetch.mock.calls.map((x) => x[0])).toEqual([
+      baseUrl + "graph.bin",
+      baseUrl + "repository.json",
+      baseUrl + "graph.json",
+    ]);
+  });
+
+  it("fetches from the data of the repository's host", async () => {
+    fetch.mockResponseOnce("", {status: 500});
+    fetch.mockResponseOnce(stringify(exampleRepository()));
+    const gitGateway = {commitUrl: () => ""};
+    await expect(
+      new StaticPluginAdapter(gitGateway).load(
+        assets,
+        makeRepoId("foo", "bar", "github.example.com")
+      )
+    ).rejects.toMatchObject({status: 500});
+    expect(fetch.mock.calls[0][0]).toEqual(
+      "/gateway/api/v1/data/data/github.example.com/foo/bar/git/graph.bin"
+    );
+  });
+
+  it("fails if the graph cannot be fetched", async () => {
+    fetch.mockResponseOnce("", {status: 500});
+    fetch.mockResponseOnce(stringify(exampleRepository()));
+    await expect(load()).rejects.toMatchObject({status: 500});
+  });
+
+  it("describes authors by the name in their commits", () => {
+    const repository = exampleRepository();
+    const adapter = new DynamicPluginAdapter(
+      {commitUrl: () => ""},
+      createGraph(repository),
+      repository
+    );
+    const author = N.toRaw(N.authorAddress("nobody@example.com"));
+    expect(shallow(adapter.nodeDescription(author)).text()).toEqual(
+      "Test Runner <nobody@example.com>"
+    );
+  });
+});
@@ -10,6 +10,7 @@ import type {GitGateway} from "./gitGateway";
 export function description(
   address: N.StructuredAddress,
   repository: Repository,
+  authorNames: Map<string, string>,
   gateway: GitGateway
 ) {
   switch (address.type) {
@@ -43,11 +44,48 @@ export function description(
         </span>
       );
     }
+    case "AUTHOR": {
+      const email = address.email;
+      const name = authorNames.get(email);
+      if (name == null) {
+        return <code>{email}</code>;
+      }
+      return (
+        <span>
+          {name} <code>{`<${email}>`}</code>
+        </span>
+      );
+    }
+    case "FILE":
+      return (
+        <span>
+          <code>{address.path}</code> in {address.repo}
+        </span>
+      );
     default:
       throw new Error(`unknown type: ${(address.type: empty)}`);
   }
 }
 
+/**
+ * Authors are identified only by email, so take each author's name from
+ * the first commit that credits their email. Keys are normalized as in
+ * author addresses.
+ */
+export function authorNames(repository: Repository): Map<string, string> {
+  const result = new Map();
+  for (const hash of Object.keys(repository.commits)) {
+    const commit = repository.commits[hash];
+    for (const person of [commit.author, ...commit.coAuthors]) {
+      const email = N.authorAddress(person.email).email;
+      if (!result.has(email)) {
+        result.set(email, person.name);
+      }
+    }
+  }
+  return result;
+}
+
 function hyperlink(url, text) {
   return (
     <Link href={url} target="_blank" rel="nofollow noopener">
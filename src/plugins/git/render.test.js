@@ -2,7 +2,7 @@
 
 import * as N from "./nodes";
 import {shallow} from "enzyme";
-import {description} from "./render";
+import {authorNames, description} from "./render";
 import {type RepoId, repoIdToString, makeRepoId} from "../../core/repoId";
 import type {Repository, Hash, Commit} from "./types";
 import type {GitGateway, URL} from "./gitGateway";
@@ -18,30 +18,60 @@ describe("plugins/git/render", () => {
     shortHash: "singleRepo",
     summary: "A simple example commit",
     parentHashes: [],
+    authoredAt: 0,
+    committedAt: 0,
+    author: {name: "Test Runner", email: "nobody@example.com"},
+    committer: {name: "Test Runner", email: "nobody@example.com"},
+    coAuthors: [],
+    changes: [],
   };
   const twoRepoCommit = {
     hash: "twoRepoCommit",
     shortHash: "twoRepo",
     summary: "Two repos claim dominion over this commit",
     parentHashes: [],
+    authoredAt: 0,
+    committedAt: 0,
+    author: {name: "Test Runner", email: "nobody@example.com"},
+    committer: {name: "Test Runner", email: "nobody@example.com"},
+    coAuthors: [{name: "Alice", email: "Alice@Example.com"}],
+    changes: [],
   };
   const noRepoCommit = {
     hash: "noRepoCommit",
     shortHash: "noRepo",
     summary: "commitToRepoId has no memory of this commit ",
     parentHashes: [],
+    authoredAt: 0,
+    committedAt: 0,
+    author: {name: "Test Runner", email: "nobody@example.com"},
+    committer: {name: "Test Runner", email: "nobody@example.com"},
+    coAuthors: [],
+    changes: [],
   };
   const zeroRepoCommit = {
     hash: "zeroRepoCommit",
     shortHash: "zeroRepo",
     summary: "This commit has exactly zero repoIds matching",
     parentHashes: [],
+    authoredAt: 0,
+    committedAt: 0,
+    author: {name: "Test Runner", email: "nobody@example.com"},
+    committer: {name: "Test Runner", email: "nobody@example.com"},
+    coAuthors: [],
+    changes: [],
   };
   const unregisteredCommit = {
     hash: "unregisteredCommit",
     shortHash: "unregistered",
     summary: "This commit isn't in the Repository",
     parentHashes: [],
+    authoredAt: 0,
+    committedAt: 0,
+    author: {name: "Test Runner", email: "nobody@example.com"},
+    committer: {name: "Test Runner", email: "nobody@example.com"},
+    coAuthors: [],
+    changes: [],
   };
   const exampleRepository: Repository = Object.freeze({
     commits: {
@@ -60,6 +90,8 @@ describe("plugins/git/render", () => {
     },
   });
 
+  const exampleAuthorNames = authorNames(exampleRepository);
+
   const exampleGitGateway: GitGateway = Object.freeze({
     commitUrl(repo: RepoId, hash: Hash): URL {
       return repoIdToString(repo) + "/" + hash;
@@ -69,7 +101,12 @@ describe("plugins/git/render", () => {
   function renderExample(commit: Commit) {
     const commitAddress = {type: N.COMMIT_TYPE, hash: commit.hash};
     return shallow(
-      description(commitAddress, exampleRepository, exampleGitGateway)
+      description(
+        commitAddress,
+        exampleRepository,
+        exampleAuthorNames,
+        exampleGitGateway
+      )
     );
   }
 
@@ -129,4 +166,66 @@ describe("plugins/git/render", () => {
     // No summary, as the data wasnt available
     expect(el.text()).not.toContain(unregisteredCommit.summary);
   });
+
+  it("shows the path and repository of a file", () => {
+    const repo = repoIdToString(makeRepoId("sourcecred", "example-git"));
+    const el = shallow(
+      description(
+        {type: N.FILE_TYPE, repo, path: "src/science.txt"},
+        exampleRepository,
+        exampleAuthorNames,
+        exampleGitGateway
+      )
+    );
+    expect(el.find("code").text()).toEqual("src/science.txt");
+    expect(el.text()).toEqual("src/science.txt in sourcecred/example-git");
+  });
+
+  describe("for authors", () => {
+    function renderAuthor(email: string) {
+      return shallow(
+        description(
+          N.authorAddress(email),
+          exampleRepository,
+          exampleAuthorNames,
+          exampleGitGateway
+        )
+      );
+    }
+    it("shows the name and email of a commit author", () => {
+      const el = renderAuthor("nobody@example.com");
+      expect(el.text()).toEqual("Test Runner <nobody@example.com>");
+    });
+    it("finds the name of a co-author regardless of email case", () => {
+      const el = renderAuthor("alice@example.com");
+      expect(el.text()).toEqual("Alice <alice@example.com>");
+    });
+    it("indexes authors and co-authors by normalized email", () => {
+      expect(exampleAuthorNames).toEqual(
+        new Map([
+          ["nobody@example.com", "Test Runner"],
+          ["alice@example.com", "Alice"],
+        ])
+      );
+    });
+    it("names an author after the first commit that credits them", () => {
+      const person = (name) => ({name, email: "bob@example.com"});
+      const repository = {
+        commits: {
+          first: {...singleRepoCommit, hash: "first", author: person("Bob")},
+          second: {
+            ...singleRepoCommit,
+            hash: "second",
+            author: person("Robert"),
+          },
+        },
+        commitToRepoId: {},
+      };
+      expect(authorNames(repository).get("bob@example.com")).toEqual("Bob");
+    });
+    it("shows just the email if no commit credits it", () => {
+      const el = renderAuthor("stranger@example.com");
+      expect(el.find("code").text()).toEqual("stranger@example.com");
+    });
+  });
 });
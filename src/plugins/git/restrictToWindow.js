@@ -0,0 +1,32 @@
+// @flow
+
+import * as TimeWindow from "../../core/timeWindow";
+import type {Repository} from "./types";
+
+/**
+ * Keep only the commits authored within the given time window. Parent
+ * links to commits outside of the window are dropped, so that the
+ * resulting graph does not include any commits without data.
+ */
+export function restrictToWindow(
+  repository: Repository,
+  window: TimeWindow.TimeWindow
+): Repository {
+  const commits = {};
+  const commitToRepoId = {};
+  for (const hash of Object.keys(repository.commits)) {
+    const commit = repository.commits[hash];
+    if (TimeWindow.contains(window, commit.authoredAt)) {
+      commits[hash] = commit;
+      if (repository.commitToRepoId[hash] != null) {
+        commitToRepoId[hash] = repository.commitToRepoId[hash];
+      }
+    }
+  }
+  for (const hash of Object.keys(commits)) {
+    const commit = commits[hash];
+    const parentHashes = commit.parentHashes.filter((p) => commits[p] != null);
+    commits[hash] = {...commit, parentHashes};
+  }
+  return {commits, commitToRepoId};
+}
@@ -0,0 +1,62 @@
+// @flow
+
+import {makeRepoId, repoIdToString, type RepoIdString} from "../../core/repoId";
+import * as TimeWindow from "../../core/timeWindow";
+import type {Commit, Repository} from "./types";
+import {restrictToWindow} from "./restrictToWindow";
+
+describe("plugins/git/restrictToWindow", () => {
+  const repoId = ((repoIdToString(makeRepoId("repo", "1")): RepoIdString): any);
+  function commit(hash: string, authoredAt: number, parentHashes): Commit {
+    return {
+      hash,
+      shortHash: hash,
+      summary: `commit ${hash}`,
+      parentHashes,
+      authoredAt,
+      committedAt: authoredAt + 1,
+      author: {name: "Test Runner", email: "nobody@example.com"},
+      committer: {name: "Test Runner", email: "nobody@example.com"},
+      coAuthors: [],
+      changes: [],
+    };
+  }
+  const repository: Repository = Object.freeze({
+    commits: {
+      c1: commit("c1", 100, []),
+      c2: commit("c2", 200, ["c1"]),
+      c3: commit("c3", 300, ["c2"]),
+      c4: commit("c4", 400, ["c2", "c3"]),
+    },
+    commitToRepoId: {
+      c1: {[repoId]: true},
+      c2: {[repoId]: true},
+      c3: {[repoId]: true},
+      c4: {[repoId]: true},
+    },
+  });
+
+  it("is the identity for an unbounded window", () => {
+    expect(restrictToWindow(repository, TimeWindow.unbounded())).toEqual(
+      repository
+    );
+  });
+
+  it("keeps only commits authored within the window", () => {
+    const result = restrictToWindow(repository, {since: 200, until: 400});
+    expect(Object.keys(result.commits).sort()).toEqual(["c2", "c3"]);
+    expect(Object.keys(result.commitToRepoId).sort()).toEqual(["c2", "c3"]);
+  });
+
+  it("drops parent links to commits outside the window", () => {
+    const result = restrictToWindow(repository, {since: 300, until: null});
+    expect(result.commits.c3.parentHashes).toEqual([]);
+    expect(result.commits.c4.parentHashes).toEqual(["c3"]);
+  });
+
+  it("does not modify its input", () => {
+    const before = JSON.parse(JSON.stringify(repository));
+    restrictToWindow(repository, {since: 300, until: null});
+    expect(repository).toEqual(before);
+  });
+});
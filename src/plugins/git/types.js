@@ -16,4 +16,25 @@ export type Commit = {|
   // shortHash is not guaranteed unique.
   +shortHash: string,
   +summary: string, // Oneline commit summary
+  // Author and committer dates, in milliseconds since the Unix epoch.
+  +authoredAt: number,
+  +committedAt: number,
+  +author: Person,
+  +committer: Person,
+  // People credited with "Co-authored-by:" trailers in the commit
+  // message, in order of appearance.
+  +coAuthors: $ReadOnlyArray<Person>,
+  // Files changed by the commit, as reported by `git log --numstat`.
+  // Empty for merge commits.
+  +changes: $ReadOnlyArray<FileChange>,
+|};
+export type Person = {|
+  +name: string,
+  +email: string,
+|};
+export type FileChange = {|
+  +path: string,
+  // Numbers of lines added and deleted, or null for binary files.
+  +additions: number | null,
+  +deletions: number | null,
 |};
@@ -0,0 +1,260 @@
+// @flow
+/*
+ * Authentication against the GitHub API, either with a token or as a
+ * GitHub App installation.
+ */
+
+import crypto from "crypto";
+import isomorphicFetch from "isomorphic-fetch";
+
+import {DEFAULT_HOST, repoIdHost, type RepoId} from "../../core/repoId";
+import * as NullUtil from "../../util/null";
+
+/**
+ * A GitHub App, as which to authenticate by minting installation
+ * tokens. See: <https://developer.github.com/apps/building-github-apps/
+ * authenticating-with-github-apps/>.
+ */
+export type GithubApp = {|
+  +appId: string,
+  // PEM-encoded private key of the app.
+  +privateKey: string,
+  // Installation of the app whose tokens to mint, or null to use the
+  // installation on the repository being loaded.
+  +installationId: string | null,
+|};
+
+export type Credentials =
+  | {|+type: "TOKEN", +token: string|}
+  | {|+type: "APP", +app: GithubApp|};
+
+/**
+ * Resolves to a token with which to authenticate the next request.
+ * Tokens may change over time, so clients should call this before each
+ * request.
+ */
+export type TokenSource = () => Promise<string>;
+
+type TokenSourceOptions = {|
+  // Base URL of the REST API with which to mint installation tokens,
+  // or null for that of the host (see `defaultApiUrl`).
+  +apiUrl?: string | null,
+  +fetch?: typeof isomorphicFetch,
+  +now?: () => Date,
+|};
+
+// Tokens issued by GitHub: classic personal access tokens, which are
+// 40 hex digits; tokens with a type prefix, like "ghp_" for personal
+// access tokens, "gho_" for OAuth tokens, and "ghs_" for GitHub App
+// installation tokens; fine-grained personal access tokens; and
+// installation tokens from before prefixes were introduced.
+const TOKEN_FORMATS: $ReadOnlyArray<RegExp> = [
+  /^[A-Fa-f0-9]{40}$/,
+  /^gh[opsur]_[A-Za-z0-9]{36,251}$/,
+  /^github_pat_[A-Za-z0-9_]{22,244}$/,
+  /^v1\.[A-Fa-f0-9]{40}$/,
+];
+
+/**
+ * Throw an error unless the given string is in one of the formats of
+ * the tokens that GitHub issues. The error does not include the token.
+ */
+export function validateToken(token: string): void {
+  if (!TOKEN_FORMATS.some((format) => format.test(token))) {
+    throw new Error(
+      "Invalid GitHub token: expected a 40-character hex string or a " +
+        'token with a prefix like "ghp_" or "ghs_"'
+    );
+  }
+}
+
+/**
+ * The base URL of the REST API of the given GitHub host: for
+ * github.com, its API server; otherwise, the API of a GitHub
+ * Enterprise server.
+ */
+export function defaultApiUrl(host: string): string {
+  return host === DEFAULT_HOST
+    ? "https://api.github.com"
+    : `https://${host}/api/v3`;
+}
+
+/**
+ * Create a source of tokens with which to load the given repository.
+ * A plain token is validated and used as is. For a GitHub App,
+ * installation tokens are minted on demand, and minted again shortly
+ * before they expire, so that they last through long loads.
+ */
+export function tokenSource(
+  credentials: Credentials,
+  repoId: RepoId,
+  options?: TokenSourceOptions
+): TokenSource {
+  switch (credentials.type) {
+    case "TOKEN":
+      return plainTokenSource(credentials.token);
+    case "APP":
+      return installationTokenSource(
+        credentials.app,
+        repoIdHost(repoId),
+        `/repos/${repoId.owner}/${repoId.name}/installation`,
+        options
+      );
+    // istanbul ignore next: unreachable per Flow
+    default:
+      throw new Error((credentials.type: empty));
+  }
+}
+
+/**
+ * Create a source of tokens with which to query the given organization
+ * on the given host, as for `tokenSource`. For a GitHub App without an
+ * installation ID, the app's installation on the organization is used.
+ */
+export function orgTokenSource(
+  credentials: Credentials,
+  host: string,
+  login: string,
+  options?: TokenSourceOptions
+): TokenSource {
+  switch (credentials.type) {
+    case "TOKEN":
+      return plainTokenSource(credentials.token);
+    case "APP":
+      return installationTokenSource(
+        credentials.app,
+        host,
+        `/orgs/${login}/installation`,
+        options
+      );
+    // istanbul ignore next: unreachable per Flow
+    default:
+      throw new Error((credentials.type: empty));
+  }
+}
+
+function plainTokenSource(token: string): TokenSource {
+  validateToken(token);
+  return () => Promise.resolve(token);
+}
+
+// Installation tokens are valid for an hour. Mint a new one when the
+// current one has less than this long left, so that it does not expire
+// during a request (or while we wait out the rate limit).
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// App tokens (JWTs) may be valid for at most ten minutes. They are
+// backdated a minute to allow for clock skew.
+const APP_TOKEN_LIFETIME_S = 9 * 60;
+const APP_TOKEN_BACKDATE_S = 60;
+
+// `installationPath` is the REST API path at which to look up the
+// installation, if the app does not specify one.
+function installationTokenSource(
+  app: GithubApp,
+  host: string,
+  installationPath: string,
+  options?: TokenSourceOptions
+): TokenSource {
+  const {fetch = isomorphicFetch, now = () => new Date()} = options || {};
+  const apiUrl = NullUtil.orElse(
+    options == null ? null : options.apiUrl,
+    defaultApiUrl(host)
+  );
+  let installationId: string | null = app.installationId;
+  let current: {|+token: string, +expiresAt: number|} | null = null;
+  let pending: Promise<string> | null = null;
+
+  async function request(method: string, path: string): Promise<any> {
+    let response;
+    try {
+      response = await fetch(apiUrl + path, {
+        method,
+        headers: {
+          Authorization: `Bearer ${appToken(app, now())}`,
+          Accept: "application/vnd.github.machine-man-preview+json",
+        },
+      });
+    } catch (e) {
+      throw new Error(`GitHub App authentication failed: ${e.message}`);
+    }
+    if (!response.ok) {
+      let message = "";
+      try {
+        message = ": " + (await response.json()).message;
+      } catch (_unused_e) {
+        // Not a GitHub error message; the status will have to do.
+      }
+      throw new Error(
+        `GitHub App authentication failed: ${method} ${path} returned ` +
+          `${response.status}${message}`
+      );
+    }
+    return response.json();
+  }
+
+  async function mintToken(): Promise<string> {
+    if (installationId == null) {
+      const installation = await request("GET", installationPath);
+      installationId = String(installation.id);
+    }
+    const result = await request(
+      "POST",
+      `/app/installations/${installationId}/access_tokens`
+    );
+    const expiresAt = Date.parse(result.expires_at);
+    if (typeof result.token !== "string" || isNaN(expiresAt)) {
+      throw new Error(
+        "GitHub App authentication failed: unexpected response: " +
+          JSON.stringify(Object.keys(result))
+      );
+    }
+    current = {token: result.token, expiresAt: expiresAt - REFRESH_MARGIN_MS};
+    return result.token;
+  }
+
+  return () => {
+    if (current != null && now().valueOf() < current.expiresAt) {
+      return Promise.resolve(current.token);
+    }
+    // Callers that ask while a token is being minted wait for that
+    // token, rather than each minting their own.
+    if (pending == null) {
+      const done = () => {
+        pending = null;
+      };
+      pending = mintToken();
+      pending.then(done, done);
+    }
+    return pending;
+  };
+}
+
+function base64url(data: Buffer | string): string {
+  return Buffer.from(data)
+    .toString("base64")
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+}
+
+/**
+ * A JSON Web Token authenticating as the given GitHub App, with which
+ * to request installation tokens.
+ */
+export function appToken(app: GithubApp, now: Date): string {
+  const issuedAt = Math.floor(now.valueOf() / 1000) - APP_TOKEN_BACKDATE_S;
+  const header = base64url(JSON.stringify({alg: "RS256", typ: "JWT"}));
+  const payload = base64url(
+    JSON.stringify({
+      iat: issuedAt,
+      exp: issuedAt + APP_TOKEN_LIFETIME_S,
+      // App IDs are numbers, though we take them as strings.
+      iss: /^[0-9]+$/.test(app.appId) ? Number(app.appId) : app.appId,
+    })
+  );
+  const signature = crypto
+    .createSign("RSA-SHA256")
+    .update(`${header}.${payload}`)
+    .sign(app.privateKey);
+  return `${header}.${payload}.${base64url(signature)}`;
+}
@@ -0,0 +1,345 @@
+// @flow
+
+import crypto from "crypto";
+
+import {makeRepoId} from "../../core/repoId";
+import {
+  appToken,
+  defaultApiUrl,
+  orgTokenSource,
+  tokenSource,
+  validateToken,
+  type GithubApp,
+} from "./auth";
+
+describe("plugins/github/auth", () => {
+  describe("validateToken", () => {
+    it("accepts the formats of tokens that GitHub issues", () => {
+      const tokens = [
+        "0123456789abcdef0123456789ABCDEF01234567",
+        "ghp_" + "a1B2".repeat(9),
+        "gho_" + "a1B2".repeat(9),
+        "ghs_" + "a1B2".repeat(9),
+        "ghu_" + "a1B2".repeat(9),
+        "ghr_" + "a1B2".repeat(20),
+        "github_pat_" + "a1_B".repeat(20),
+        "v1.0123456789abcdef0123456789abcdef01234567",
+      ];
+      for (const token of tokens) {
+        expect(() => validateToken(token)).not.toThrow();
+      }
+    });
+    it("rejects other strings, without printing them", () => {
+      const tokens = [
+        "",
+        "0123456789abcdef",
+        "0123456789abcdef0123456789abcdef0123456g",
+        "ghx_" + "a".repeat(36),
+        "ghp_" + "a".repeat(10),
+        "ghp_" + "a".repeat(35) + "!",
+        " ghp_" + "a".repeat(36),
+      ];
+      for (const token of tokens) {
+        expect(() => validateToken(token)).toThrow(
+          "Invalid GitHub token: expected a 40-character hex string or a " +
+            'token with a prefix like "ghp_" or "ghs_"'
+        );
+      }
+    });
+  });
+
+  describe("defaultApiUrl", () => {
+    it("uses api.github.com for github.com", () => {
+      expect(defaultApiUrl("github.com")).toEqual("https://api.github.com");
+    });
+    it("uses the v3 API of a GitHub Enterprise server", () => {
+      expect(defaultApiUrl("github.example.com")).toEqual(
+        "https://github.example.com/api/v3"
+      );
+    });
+  });
+
+  const {privateKey, publicKey} = (crypto: any).generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: {type: "spki", format: "pem"},
+    privateKeyEncoding: {type: "pkcs1", format: "pem"},
+  });
+
+  function decode(part: string): any {
+    const base64 = part.replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(Buffer.from(base64, "base64").toString());
+  }
+
+  describe("appToken", () => {
+    const app: GithubApp = {appId: "1234", privateKey, installationId: null};
+    const now = new Date("2018-01-01T00:00:00.000Z");
+    const nowSeconds = now.valueOf() / 1000;
+
+    it("is a JWT signed with the app's private key", () => {
+      const [header, payload, signature] = appToken(app, now).split(".");
+      expect(decode(header)).toEqual({alg: "RS256", typ: "JWT"});
+      const valid = crypto
+        .createVerify("RSA-SHA256")
+        .update(`${header}.${payload}`)
+        .verify(
+          publicKey,
+          signature.replace(/-/g, "+").replace(/_/g, "/"),
+          "base64"
+        );
+      expect(valid).toBe(true);
+    });
+    it("is issued by the app, and backdated for clock skew", () => {
+      const payload = decode(appToken(app, now).split(".")[1]);
+      expect(payload).toEqual({
+        iat: nowSeconds - 60,
+        exp: nowSeconds + 8 * 60,
+        iss: 1234,
+      });
+    });
+    it("keeps app IDs that are not numbers as strings", () => {
+      const token = appToken({...app, appId: "Iv1.abc"}, now);
+      expect(decode(token.split(".")[1]).iss).toEqual("Iv1.abc");
+    });
+  });
+
+  describe("tokenSource", () => {
+    const repoId = makeRepoId("sourcecred", "example-github");
+
+    describe("for a token", () => {
+      it("always returns the token", async () => {
+        const token = "ghp_" + "a".repeat(36);
+        const source = tokenSource({type: "TOKEN", token}, repoId);
+        expect(await source()).toEqual(token);
+        expect(await source()).toEqual(token);
+      });
+      it("rejects an invalid token up front", () => {
+        expect(() =>
+          tokenSource({type: "TOKEN", token: "hunter2"}, repoId)
+        ).toThrow("Invalid GitHub token");
+      });
+    });
+
+    describe("for a GitHub App", () => {
+      function response(status: number, body: mixed) {
+        return Promise.resolve({
+          ok: status >= 200 && status < 300,
+          status,
+          json: () => Promise.resolve(body),
+        });
+      }
+      function accessToken(token: string, expiresAt: string) {
+        return response(201, {token, expires_at: expiresAt});
+      }
+
+      function setup(installationId: string | null) {
+        let now = Date.parse("2018-01-01T00:00:00.000Z");
+        const fetch: any = jest.fn();
+        const app = {appId: "1234", privateKey, installationId};
+        const source = tokenSource({type: "APP", app}, repoId, {
+          fetch,
+          now: () => new Date(now),
+        });
+        const advance = (ms) => {
+          now += ms;
+        };
+        return {fetch, source, advance};
+      }
+
+      it("mints a token for the given installation", async () => {
+        const {fetch, source} = setup("5678");
+        fetch.mockReturnValueOnce(
+          accessToken("ghs_one", "2018-01-01T01:00:00Z")
+        );
+        expect(await source()).toEqual("ghs_one");
+        expect(fetch).toHaveBeenCalledTimes(1);
+        const [url, options] = fetch.mock.calls[0];
+        expect(url).toEqual(
+          "https://api.github.com/app/installations/5678/access_tokens"
+        );
+        expect(options.method).toEqual("POST");
+        expect(options.headers.Authorization).toMatch(/^Bearer [^.]+\..+\..+/);
+        const payload = decode(
+          options.headers.Authorization.split(" ")[1].split(".")[1]
+        );
+        expect(payload.iss).toEqual(1234);
+      });
+
+      it("looks up the installation on the repository", async () => {
+        const {fetch, source} = setup(null);
+        fetch
+          .mockReturnValueOnce(response(200, {id: 91}))
+          .mockReturnValueOnce(accessToken("ghs_one", "2018-01-01T01:00:00Z"));
+        expect(await source()).toEqual("ghs_one");
+        expect(
+          fetch.mock.calls.map(([url, options]) => [options.method, url])
+        ).toEqual([
+          [
+            "GET",
+            "https://api.github.com/repos/sourcecred/example-github/installation",
+          ],
+          ["POST", "https://api.github.com/app/installations/91/access_tokens"],
+        ]);
+      });
+
+      it("uses the API of the repository's host", async () => {
+        const fetch: any = jest.fn();
+        fetch.mockReturnValueOnce(
+          accessToken("ghs_one", "2018-01-01T01:00:00Z")
+        );
+        const source = tokenSource(
+          {type: "APP", app: {appId: "1", privateKey, installationId: "2"}},
+          makeRepoId("foo", "bar", "github.example.com"),
+          {fetch, now: () => new Date("2018-01-01T00:00:00.000Z")}
+        );
+        await source();
+        expect(fetch.mock.calls[0][0]).toEqual(
+          "https://github.example.com/api/v3/app/installations/2/access_tokens"
+        );
+      });
+
+      it("uses the given API", async () => {
+        const fetch: any = jest.fn();
+        fetch
+          .mockReturnValueOnce(response(200, {id: 91}))
+          .mockReturnValueOnce(accessToken("ghs_one", "2018-01-01T01:00:00Z"));
+        const source = tokenSource(
+          {type: "APP", app: {appId: "1", privateKey, installationId: null}},
+          makeRepoId("foo", "bar", "github.example.com"),
+          {
+            apiUrl: "http://localhost:4000",
+            fetch,
+            now: () => new Date("2018-01-01T00:00:00.000Z"),
+          }
+        );
+        expect(await source()).toEqual("ghs_one");
+        expect(fetch.mock.calls.map((call) => call[0])).toEqual([
+          "http://localhost:4000/repos/foo/bar/installation",
+          "http://localhost:4000/app/installations/91/access_tokens",
+        ]);
+      });
+
+      it("reuses a token until shortly before it expires", async () => {
+        const {fetch, source, advance} = setup(null);
+        fetch
+          .mockReturnValueOnce(response(200, {id: 91}))
+          .mockReturnValueOnce(accessToken("ghs_one", "2018-01-01T01:00:00Z"))
+          .mockReturnValueOnce(accessToken("ghs_two", "2018-01-01T02:00:00Z"));
+        expect(await source()).toEqual("ghs_one");
+        advance(50 * 60 * 1000);
+        expect(await source()).toEqual("ghs_one");
+        expect(fetch).toHaveBeenCalledTimes(2);
+        advance(5 * 60 * 1000);
+        expect(await source()).toEqual("ghs_two");
+        // The installation is looked up only once.
+        expect(fetch).toHaveBeenCalledTimes(3);
+        expect(fetch.mock.calls[2][0]).toEqual(
+          "https://api.github.com/app/installations/91/access_tokens"
+        );
+      });
+
+      it("mints one token for concurrent callers", async () => {
+        const {fetch, source} = setup(null);
+        fetch
+          .mockReturnValueOnce(response(200, {id: 91}))
+          .mockReturnValueOnce(accessToken("ghs_one", "2018-01-01T01:00:00Z"))
+          .mockReturnValueOnce(accessToken("ghs_two", "2018-01-01T01:00:00Z"));
+        const tokens = await Promise.all([source(), source(), source()]);
+        expect(tokens).toEqual(["ghs_one", "ghs_one", "ghs_one"]);
+        expect(fetch).toHaveBeenCalledTimes(2);
+      });
+
+      it("tries again after a failure", async () => {
+        const {fetch, source} = setup("5678");
+        fetch
+          .mockReturnValueOnce(Promise.reject(new Error("ECONNRESET")))
+          .mockReturnValueOnce(accessToken("ghs_one", "2018-01-01T01:00:00Z"));
+        await expect(Promise.all([source(), source()])).rejects.toThrow(
+          "ECONNRESET"
+        );
+        expect(fetch).toHaveBeenCalledTimes(1);
+        expect(await source()).toEqual("ghs_one");
+      });
+
+      it("reports errors from GitHub", async () => {
+        const {fetch, source} = setup(null);
+        fetch.mockReturnValueOnce(response(404, {message: "Not Found"}));
+        await expect(source()).rejects.toThrow(
+          "GitHub App authentication failed: GET " +
+            "/repos/sourcecred/example-github/installation returned 404: " +
+            "Not Found"
+        );
+      });
+
+      it("reports errors without a message", async () => {
+        const {fetch, source} = setup("5678");
+        fetch.mockReturnValueOnce(
+          Promise.resolve({
+            ok: false,
+            status: 502,
+            json: () => Promise.reject(new Error("not JSON")),
+          })
+        );
+        await expect(source()).rejects.toThrow(
+          "GitHub App authentication failed: POST " +
+            "/app/installations/5678/access_tokens returned 502"
+        );
+      });
+
+      it("reports network errors", async () => {
+        const {fetch, source} = setup("5678");
+        fetch.mockReturnValueOnce(Promise.reject(new Error("ECONNRESET")));
+        await expect(source()).rejects.toThrow(
+          "GitHub App authentication failed: ECONNRESET"
+        );
+      });
+
+      it("reports unexpected responses", async () => {
+        const {fetch, source} = setup("5678");
+        fetch.mockReturnValueOnce(response(201, {permissions: {}}));
+        await expect(source()).rejects.toThrow(
+          'GitHub App authentication failed: unexpected response: ["permissions"]'
+        );
+      });
+    });
+  });
+
+  describe("orgTokenSource", () => {
+    it("returns a plain token", async () => {
+      const token = "ghp_" + "a".repeat(36);
+      const source = orgTokenSource(
+        {type: "TOKEN", token},
+        "github.com",
+        "sourcecred"
+      );
+      expect(await source()).toEqual(token);
+    });
+    it("uses the app's installation on the organization", async () => {
+      const fetch: any = jest.fn();
+      fetch
+        .mockReturnValueOnce(
+          Promise.resolve({ok: true, status: 200, json: async () => ({id: 7})})
+        )
+        .mockReturnValueOnce(
+          Promise.resolve({
+            ok: true,
+            status: 201,
+            json: async () => ({
+              token: "ghs_one",
+              expires_at: "2018-01-01T01:00:00Z",
+            }),
+          })
+        );
+      const source = orgTokenSource(
+        {type: "APP", app: {appId: "1", privateKey, installationId: null}},
+        "github.example.com",
+        "sourcecred",
+        {fetch, now: () => new Date("2018-01-01T00:00:00.000Z")}
+      );
+      expect(await source()).toEqual("ghs_one");
+      expect(fetch.mock.calls.map((call) => call[0])).toEqual([
+        "https://github.example.com/api/v3/orgs/sourcecred/installation",
+        "https://github.example.com/api/v3/app/installations/7/access_tokens",
+      ]);
+    });
+  });
+});
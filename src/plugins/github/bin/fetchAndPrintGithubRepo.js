@@ -14,6 +14,7 @@
 
 import fetchGithubRepo from "../fetchGithubRepo";
 import stringify from "json-stable-stringify";
+import tmp from "tmp";
 import {makeRepoId} from "../../../core/repoId";
 
 function parseArgs() {
@@ -36,8 +37,15 @@ function parseArgs() {
 function main() {
   const args = parseArgs();
   const repoId = makeRepoId(args.owner, args.name);
-  fetchGithubRepo(repoId, args.githubToken)
+  // Use a fresh cache so that we always print the result of a full
+  // load, rather than depending on the state of some existing cache.
+  const cacheDirectory = tmp.dirSync({unsafeCleanup: true});
+  fetchGithubRepo(repoId, {
+    credentials: {type: "TOKEN", token: args.githubToken},
+    cacheDirectory: cacheDirectory.name,
+  })
     .then((data) => {
+      cacheDirectory.removeCallback();
       console.log(stringify(data, {space: 4}));
     })
     .catch((errors) => {
@@ -1,7 +1,7 @@
 // @flow
 
-// TODO(#638): Allow projects to specify bots via configuration,
-// rather than depending on this single souce of truth
+// Logins that are treated as bots in every project. Projects can
+// declare additional bots in their config file (see `cli/projectConfig`).
 export function botSet(): Set<string> {
   return new Set([
     "codecov",
@@ -66,6 +66,14 @@ class GraphCreator {
       }
     }
 
+    for (const labelable of view.labelableEntities()) {
+      for (const label of labelable.labels()) {
+        this.graph.addEdge(
+          createEdge.hasLabel(labelable.address(), label.address())
+        );
+      }
+    }
+
     for (const mentionsAuthorReference of findMentionsAuthorReferences(view)) {
       this.graph.addEdge(createEdge.mentionsAuthor(mentionsAuthorReference));
     }
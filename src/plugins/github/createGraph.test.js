@@ -1,7 +1,11 @@
 // @flow
 
+import {NodeAddress} from "../../core/graph";
 import {GraphView} from "./graphView";
-import {exampleGraph} from "./example/example";
+import {createGraph} from "./createGraph";
+import * as N from "./nodes";
+import * as E from "./edges";
+import {exampleGraph, exampleLabeledView} from "./example/example";
 
 describe("plugins/github/createGraph", () => {
   it("example graph matches snapshot", () => {
@@ -26,4 +30,45 @@ describe("plugins/github/createGraph", () => {
     // as currently written, GV checks invariants on construction.
     // we call the method explicitly as a defensive step.
   });
+
+  describe("with labels", () => {
+    const labeledGraph = () => createGraph(exampleLabeledView());
+    const names = (nodes) =>
+      Array.from(nodes).map((x) => {
+        const label = N.fromRaw((x: any));
+        if (label.type !== N.LABEL_TYPE) {
+          throw new Error(label.type);
+        }
+        return label.name;
+      });
+
+    it("has a node for each label", () => {
+      const graph = labeledGraph();
+      expect(names(graph.nodes({prefix: N.Prefix.label})).sort()).toEqual([
+        "bounty",
+        "bug",
+      ]);
+    });
+    it("has an edge from each labeled issue and pull to its labels", () => {
+      const view = exampleLabeledView();
+      const graph = createGraph(view);
+      const issue = N.toRaw(Array.from(view.issues())[0].address());
+      const pull = N.toRaw(Array.from(view.pulls())[0].address());
+      const edges = Array.from(
+        graph.edges({
+          addressPrefix: E.Prefix.hasLabel,
+          srcPrefix: NodeAddress.empty,
+          dstPrefix: NodeAddress.empty,
+        })
+      );
+      expect(edges).toHaveLength(3);
+      const labelsOf = (src) =>
+        names(edges.filter((e) => e.src === src).map((e) => e.dst)).sort();
+      expect(labelsOf(issue)).toEqual(["bounty", "bug"]);
+      expect(labelsOf(pull)).toEqual(["bounty"]);
+    });
+    it("passes all GraphView invariants", () => {
+      new GraphView(labeledGraph()).checkInvariants();
+    });
+  });
 });
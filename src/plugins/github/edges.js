@@ -20,6 +20,7 @@ export const HAS_PARENT_TYPE = "HAS_PARENT";
 export const REFERENCES_TYPE = "REFERENCES";
 export const MENTIONS_AUTHOR_TYPE = "MENTIONS_AUTHOR";
 export const REACTS_TYPE = "REACTS";
+export const HAS_LABEL_TYPE = "HAS_LABEL";
 
 const GITHUB_PREFIX = EdgeAddress.fromParts(["sourcecred", "github"]);
 function githubEdgeAddress(...parts: string[]): RawAddress {
@@ -37,6 +38,7 @@ export const Prefix = Object.freeze({
   reactsThumbsUp: githubEdgeAddress(REACTS_TYPE, Reactions.THUMBS_UP),
   reactsHeart: githubEdgeAddress(REACTS_TYPE, Reactions.HEART),
   reactsHooray: githubEdgeAddress(REACTS_TYPE, Reactions.HOORAY),
+  hasLabel: githubEdgeAddress(HAS_LABEL_TYPE),
 });
 
 export type AuthorsAddress = {|
@@ -67,6 +69,11 @@ export type ReactsAddress = {|
   +user: GithubNode.UserlikeAddress,
   +reactable: GithubNode.ReactableAddress,
 |};
+export type HasLabelAddress = {|
+  +type: typeof HAS_LABEL_TYPE,
+  +labelable: GithubNode.LabelableAddress,
+  +label: GithubNode.LabelAddress,
+|};
 
 export type StructuredAddress =
   | AuthorsAddress
@@ -74,7 +81,8 @@ export type StructuredAddress =
   | HasParentAddress
   | ReferencesAddress
   | MentionsAuthorAddress
-  | ReactsAddress;
+  | ReactsAddress
+  | HasLabelAddress;
 
 export const createEdge = Object.freeze({
   authors: (
@@ -128,6 +136,14 @@ export const createEdge = Object.freeze({
     src: GithubNode.toRaw(user),
     dst: GithubNode.toRaw(reactable),
   }),
+  hasLabel: (
+    labelable: GithubNode.LabelableAddress,
+    label: GithubNode.LabelAddress
+  ): Edge => ({
+    address: toRaw({type: HAS_LABEL_TYPE, labelable, label}),
+    src: GithubNode.toRaw(labelable),
+    dst: GithubNode.toRaw(label),
+  }),
 });
 
 function lengthEncode(x: GithubNode.RawAddress): $ReadOnlyArray<string> {
@@ -260,6 +276,20 @@ export function fromRaw(x: RawAddress): StructuredAddress {
       ): any);
       return {type: REACTS_TYPE, reactionType, user, reactable};
     }
+    case HAS_LABEL_TYPE: {
+      const parts = multiLengthDecode(rest, fail);
+      if (parts.length !== 2) {
+        throw fail();
+      }
+      const [labelableParts, labelParts] = parts;
+      const labelable: GithubNode.LabelableAddress = (GithubNode.fromRaw(
+        (NodeAddress.fromParts(labelableParts): any)
+      ): any);
+      const label: GithubNode.LabelAddress = (GithubNode.fromRaw(
+        (NodeAddress.fromParts(labelParts): any)
+      ): any);
+      return ({type: HAS_LABEL_TYPE, labelable, label}: HasLabelAddress);
+    }
     default:
       throw fail();
   }
@@ -303,6 +333,12 @@ export function toRaw(x: StructuredAddress): RawAddress {
         ...lengthEncode(GithubNode.toRaw(x.user)),
         ...lengthEncode(GithubNode.toRaw(x.reactable))
       );
+    case HAS_LABEL_TYPE:
+      return EdgeAddress.append(
+        Prefix.hasLabel,
+        ...lengthEncode(GithubNode.toRaw(x.labelable)),
+        ...lengthEncode(GithubNode.toRaw(x.label))
+      );
     default:
       throw new Error((x.type: empty));
   }
@@ -45,6 +45,11 @@ describe("plugins/github/edges", () => {
       subtype: "USER",
       login: "decentralion",
     }),
+    label: () => ({
+      type: GN.LABEL_TYPE,
+      repo: nodeExamples.repo(),
+      name: "good first issue",
+    }),
   };
 
   const edgeExamples = {
@@ -82,6 +87,8 @@ describe("plugins/github/edges", () => {
         nodeExamples.user(),
         nodeExamples.issueComment()
       ),
+    hasLabel: () =>
+      createEdge.hasLabel(nodeExamples.pull(), nodeExamples.label()),
   };
 
   describe("createEdge", () => {
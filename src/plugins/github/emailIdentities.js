@@ -0,0 +1,103 @@
+// @flow
+/*
+ * Heuristics that link Git authors, who are known only by their email,
+ * to the GitHub accounts of the same people.
+ */
+
+import {Direction, Graph, NodeAddress} from "../../core/graph";
+import type {Identity} from "../../core/identity";
+import * as GitNode from "../git/nodes";
+import * as GitEdge from "../git/edges";
+import * as GithubNode from "./nodes";
+import * as GithubEdge from "./edges";
+
+// GitHub's noreply addresses: "LOGIN@users.noreply.github.com", or
+// "ID+LOGIN@users.noreply.github.com" for newer accounts.
+const NOREPLY_PATTERN = /^(?:[0-9]+\+)?([A-Za-z0-9-]+)@users\.noreply\.github\.com$/;
+
+/**
+ * Infer an identity for each GitHub login that can be matched to the
+ * email of a Git author in the graph, with that login and those emails
+ * as its aliases. An email matches a login if it is the login's GitHub
+ * noreply address, or if GitHub credits that login with a commit whose
+ * only Git author has that email. (Commits with co-authors are skipped,
+ * as GitHub credits only one of their authors.) Emails that match more
+ * than one login are ambiguous, and left out.
+ *
+ * Identities are named after their login.
+ */
+export function emailIdentities(graph: Graph): Identity[] {
+  const loginsByEmail: Map<string, Set<string>> = new Map();
+  function match(email, login) {
+    let logins = loginsByEmail.get(email);
+    if (logins == null) {
+      logins = new Set();
+      loginsByEmail.set(email, logins);
+    }
+    logins.add(login);
+  }
+
+  for (const authorNode of graph.nodes({prefix: GitNode.Prefix.author})) {
+    const author = GitNode.fromRaw((authorNode: any));
+    if (author.type !== GitNode.AUTHOR_TYPE) {
+      throw new Error(`Not a Git author: ${NodeAddress.toString(authorNode)}`);
+    }
+    const noreply = author.email.match(NOREPLY_PATTERN);
+    if (noreply != null) {
+      match(author.email, noreply[1]);
+    }
+    for (const {node: commit} of graph.neighbors(authorNode, {
+      direction: Direction.OUT,
+      nodePrefix: GitNode.Prefix.commit,
+      edgePrefix: GitEdge.Prefix.authors,
+    })) {
+      const gitAuthors = Array.from(
+        graph.neighbors(commit, {
+          direction: Direction.IN,
+          nodePrefix: GitNode.Prefix.author,
+          edgePrefix: GitEdge.Prefix.authors,
+        })
+      );
+      const githubAuthors = Array.from(
+        graph.neighbors(commit, {
+          direction: Direction.IN,
+          nodePrefix: GithubNode.Prefix.userlike,
+          edgePrefix: GithubEdge.Prefix.authors,
+        })
+      );
+      if (gitAuthors.length === 1 && githubAuthors.length === 1) {
+        const user = GithubNode.fromRaw((githubAuthors[0].node: any));
+        if (user.type !== GithubNode.USERLIKE_TYPE) {
+          throw new Error(
+            `Not a GitHub user: ${NodeAddress.toString(githubAuthors[0].node)}`
+          );
+        }
+        match(author.email, user.login);
+      }
+    }
+  }
+
+  const emailsByLogin: Map<string, string[]> = new Map();
+  for (const [email, logins] of loginsByEmail) {
+    if (logins.size !== 1) {
+      continue;
+    }
+    const [login] = Array.from(logins);
+    const emails = emailsByLogin.get(login) || [];
+    emails.push(email);
+    emailsByLogin.set(login, emails);
+  }
+  return Array.from(emailsByLogin.keys())
+    .sort()
+    .map((login) => ({
+      name: login,
+      aliases: [
+        ...[GithubNode.USER_SUBTYPE, GithubNode.BOT_SUBTYPE].map((subtype) =>
+          GithubNode.toRaw({type: GithubNode.USERLIKE_TYPE, subtype, login})
+        ),
+        ...(emailsByLogin.get(login) || [])
+          .sort()
+          .map((email) => GitNode.toRaw(GitNode.authorAddress(email))),
+      ],
+    }));
+}
@@ -0,0 +1,119 @@
+// @flow
+
+import {Graph, type Edge} from "../../core/graph";
+import * as GitNode from "../git/nodes";
+import * as GitEdge from "../git/edges";
+import * as GithubNode from "./nodes";
+import * as GithubEdge from "./edges";
+import {emailIdentities} from "./emailIdentities";
+
+describe("plugins/github/emailIdentities", () => {
+  const commit = (hash: string) => ({type: GitNode.COMMIT_TYPE, hash});
+  const user = (login: string) => ({
+    type: GithubNode.USERLIKE_TYPE,
+    subtype: GithubNode.USER_SUBTYPE,
+    login,
+  });
+  const userlikes = (login: string) =>
+    [GithubNode.USER_SUBTYPE, GithubNode.BOT_SUBTYPE].map((subtype) =>
+      GithubNode.toRaw({type: GithubNode.USERLIKE_TYPE, subtype, login})
+    );
+  const author = (email: string) => GitNode.toRaw(GitNode.authorAddress(email));
+
+  // Each commit has the given Git authors, and is credited on GitHub to
+  // the given logins.
+  function graph(
+    commits: $ReadOnlyArray<{|
+      +emails: $ReadOnlyArray<string>,
+      +logins: $ReadOnlyArray<string>,
+    |}>
+  ): Graph {
+    const result = new Graph();
+    const add = (edge: Edge) =>
+      result
+        .addNode(edge.src)
+        .addNode(edge.dst)
+        .addEdge(edge);
+    commits.forEach(({emails, logins}, i) => {
+      const c = commit(String(i));
+      for (const email of emails) {
+        add(GitEdge.createEdge.authors(GitNode.authorAddress(email), c));
+      }
+      for (const login of logins) {
+        add(GithubEdge.createEdge.authors(user(login), c));
+      }
+    });
+    return result;
+  }
+
+  it("matches the sole author of a commit to its GitHub author", () => {
+    const g = graph([
+      {emails: ["Alice@Corp.com"], logins: ["alice-work"]},
+      {emails: ["alice@corp.com"], logins: ["alice-work"]},
+    ]);
+    expect(emailIdentities(g)).toEqual([
+      {
+        name: "alice-work",
+        aliases: [...userlikes("alice-work"), author("alice@corp.com")],
+      },
+    ]);
+  });
+  it("gathers all emails of a login", () => {
+    const g = graph([
+      {emails: ["b@home.com"], logins: ["alice"]},
+      {emails: ["a@work.com"], logins: ["alice"]},
+    ]);
+    expect(emailIdentities(g)).toEqual([
+      {
+        name: "alice",
+        aliases: [
+          ...userlikes("alice"),
+          author("a@work.com"),
+          author("b@home.com"),
+        ],
+      },
+    ]);
+  });
+  it("matches GitHub noreply emails by login", () => {
+    const g = graph([
+      {emails: ["12345+bob@users.noreply.github.com"], logins: []},
+      {emails: ["carol@users.noreply.github.com"], logins: []},
+    ]);
+    expect(emailIdentities(g)).toEqual([
+      {
+        name: "bob",
+        aliases: [
+          ...userlikes("bob"),
+          author("12345+bob@users.noreply.github.com"),
+        ],
+      },
+      {
+        name: "carol",
+        aliases: [
+          ...userlikes("carol"),
+          author("carol@users.noreply.github.com"),
+        ],
+      },
+    ]);
+  });
+  it("skips commits with co-authors", () => {
+    const g = graph([
+      {emails: ["alice@corp.com", "bob@corp.com"], logins: ["alice"]},
+    ]);
+    expect(emailIdentities(g)).toEqual([]);
+  });
+  it("skips commits not credited to a GitHub account", () => {
+    const g = graph([{emails: ["alice@corp.com"], logins: []}]);
+    expect(emailIdentities(g)).toEqual([]);
+  });
+  it("leaves out emails that match several logins", () => {
+    const g = graph([
+      {emails: ["shared@corp.com"], logins: ["alice"]},
+      {emails: ["shared@corp.com"], logins: ["bob"]},
+      {emails: ["bob@corp.com"], logins: ["bob"]},
+    ]);
+    expect(emailIdentities(g)).toEqual([
+      {name: "bob", aliases: [...userlikes("bob"), author("bob@corp.com")]},
+    ]);
+  });
+});
@@ -10,6 +10,46 @@ export function exampleData(): GithubResponseJSON {
   return cloneDeep(require("./example-github"));
 }
 
+/**
+ * The example data with some labels. The example repository has none,
+ * so these are made up: the first issue is labeled "bug" and "bounty",
+ * and the first pull request "bounty".
+ */
+export function exampleLabeledData(): GithubResponseJSON {
+  function labels(...names) {
+    const nodes = names.map((name) => ({
+      id: `label:${name}`,
+      url: `https://github.com/sourcecred/example-github/labels/${name}`,
+      name,
+    }));
+    return {nodes, pageInfo: {hasNextPage: false, endCursor: null}};
+  }
+  const {repository} = exampleData();
+  return {
+    repository: {
+      ...repository,
+      issues: {
+        ...repository.issues,
+        nodes: repository.issues.nodes.map(
+          (x, i) => (i === 0 ? {...x, labels: labels("bug", "bounty")} : x)
+        ),
+      },
+      pulls: {
+        ...repository.pulls,
+        nodes: repository.pulls.nodes.map(
+          (x, i) => (i === 0 ? {...x, labels: labels("bounty")} : x)
+        ),
+      },
+    },
+  };
+}
+
+export function exampleLabeledView(): RelationalView {
+  const rv = new RelationalView();
+  rv.addData(exampleLabeledData());
+  return rv;
+}
+
 export function exampleRelationalView(): RelationalView {
   const rv = new RelationalView();
   rv.addData(exampleData());
@@ -4,66 +4,351 @@
  * docstring of the default export for more details.
  */
 
+import Database from "better-sqlite3";
+import crypto from "crypto";
 import fetch from "isomorphic-fetch";
+import stableStringify from "json-stable-stringify";
+import path from "path";
 import retry from "retry";
 
-import {stringify, inlineLayout} from "../../graphql/queries";
-import {createQuery, createVariables, postQueryExhaustive} from "./graphql";
-import type {GithubResponseJSON} from "./graphql";
+import {Mirror} from "../../graphql/mirror";
+import type {Schema} from "../../graphql/schema";
+import {stringify, inlineLayout, type Body} from "../../graphql/queries";
+import {
+  createCommitHistoryQuery,
+  createVariables,
+  postQueryExhaustive,
+} from "./graphql";
+import type {
+  AuthorJSON,
+  CommentJSON,
+  CommitJSON,
+  ConnectionJSON,
+  GithubResponseJSON,
+  IssueJSON,
+  LabelJSON,
+  NullableAuthorJSON,
+  PullJSON,
+  ReactionJSON,
+  RefJSON,
+  ReviewCommentJSON,
+  ReviewJSON,
+} from "./graphql";
+import schema from "./schema";
+import {RATE_LIMIT_FIELD, RateLimiter, withRateLimit} from "./rateLimit";
+import {tokenSource, type Credentials, type TokenSource} from "./auth";
+import * as NullUtil from "../../util/null";
 import type {RepoId} from "../../core/repoId";
+import {DEFAULT_HOST, repoIdHost, repoIdToString} from "../../core/repoId";
 
 /**
  * Scrape data from a GitHub repo using the GitHub API.
  *
+ * Data is stored in a GraphQL mirror (see `src/graphql/mirror.js`)
+ * backed by a database in the provided cache directory. Each time
+ * that this function is invoked, it fetches only those connection
+ * entries (new issues, comments, reactions, etc.) that have been added
+ * since the previous invocation, and the own data (titles, bodies,
+ * etc.) of new objects and of objects last fetched longer ago than
+ * `maxOwnDataAge`. The commit history of the default branch is not
+ * stored in the mirror, and is fetched in full each time.
+ *
+ * Queries are paused whenever the GitHub rate limit is exhausted, and
+ * resume once it resets. Each query's results are committed to the
+ * mirror as they arrive, so a load that is interrupted anyway resumes
+ * from where it left off the next time.
+ *
  * @param {RepoId} repoId
  *    the GitHub repository to be scraped
- * @param {String} token
- *    authentication token to be used for the GitHub API; generate a
- *    token at: https://github.com/settings/tokens
+ * @param {Credentials} credentials
+ *    authentication for the GitHub API: either a token, which may be
+ *    generated at https://github.com/settings/tokens, or a GitHub App
+ *    whose installation tokens to use (see `./auth`)
+ * @param {String} cacheDirectory
+ *    directory in which to store the mirror database; it is safe to
+ *    reuse this directory across repositories and invocations, and
+ *    across versions of SourceCred that fetch different data
+ * @param {String} [graphqlUrl]
+ *    URL of the GitHub GraphQL API to query; defaults to the API of
+ *    the repository's host (see `defaultGraphqlUrl`)
+ * @param {String} [apiUrl]
+ *    base URL of the GitHub REST API with which to mint installation
+ *    tokens of a GitHub App; defaults to the API of the repository's
+ *    host (see `defaultApiUrl` in `./auth`)
+ * @param {number} [maxOwnDataAge]
+ *    age in milliseconds after which the own data of an object is
+ *    fetched again, to pick up edits; defaults to
+ *    `DEFAULT_MAX_OWN_DATA_AGE`
  * @return {Promise<object>}
  *    a promise that resolves to a JSON object containing the data
  *    scraped from the repository, with data format to be specified
  *    later
  */
-export default function fetchGithubRepo(
+export default async function fetchGithubRepo(
   repoId: RepoId,
-  token: string
+  options: {|
+    +credentials: Credentials,
+    +cacheDirectory: string,
+    +graphqlUrl?: string | null,
+    +apiUrl?: string | null,
+    +maxOwnDataAge?: number,
+  |}
 ): Promise<GithubResponseJSON> {
-  token = String(token);
+  const getToken = tokenSource(options.credentials, repoId, {
+    apiUrl: options.apiUrl,
+  });
+  const graphqlUrl = NullUtil.orElse(
+    options.graphqlUrl,
+    defaultGraphqlUrl(repoIdHost(repoId))
+  );
+  const rateLimiter = new RateLimiter();
+  const postQueryWithToken = (payload) =>
+    postQuery(payload, getToken, graphqlUrl, rateLimiter);
 
-  const validToken = /^[A-Fa-f0-9]{40}$/;
-  if (!validToken.test(token)) {
-    throw new Error(`Invalid token: ${token}`);
+  const historyResult: {|
+    +repository: {|+id: string, +defaultBranchRef: ?RefJSON|},
+  |} = await postQueryExhaustive(postQueryWithToken, {
+    body: createCommitHistoryQuery(),
+    variables: createVariables(repoId),
+  });
+  const {id: repositoryId, defaultBranchRef} = historyResult.repository;
+
+  const db = new Database(
+    path.join(options.cacheDirectory, mirrorFilename(repoId, schema()))
+  );
+  let extracted: any;
+  try {
+    const mirror = new Mirror(db, schema());
+    mirror.registerObject({typename: "Repository", id: repositoryId});
+    const since = new Date();
+    const maxOwnDataAge = NullUtil.orElse(
+      options.maxOwnDataAge,
+      DEFAULT_MAX_OWN_DATA_AGE
+    );
+    await mirror.update(postQueryWithToken, {
+      since,
+      ownDataSince: new Date(+since - maxOwnDataAge),
+      now: () => new Date(),
+      nodesLimit: MIRROR_NODES_LIMIT,
+      connectionLimit: MIRROR_CONNECTION_LIMIT,
+      connectionPageSize: MIRROR_CONNECTION_PAGE_SIZE,
+      onOutdated: ({objects, connections}) => {
+        // A lower bound, as connections may have many pages.
+        rateLimiter.projectQueries(
+          Math.max(
+            Math.ceil(objects / MIRROR_NODES_LIMIT),
+            Math.ceil(connections / MIRROR_CONNECTION_LIMIT)
+          )
+        );
+      },
+    });
+    extracted = (mirror.extract(repositoryId): any);
+  } finally {
+    db.close();
   }
 
-  const body = createQuery();
-  const variables = createVariables(repoId);
-  const payload = {body, variables};
-  return postQueryExhaustive(
-    (somePayload) => postQuery(somePayload, token),
-    payload
-  ).then((x: GithubResponseJSON) => {
-    ensureNoMorePages(x);
-    return x;
-  });
+  const result: GithubResponseJSON = {
+    repository: {
+      id: extracted.id,
+      url: extracted.url,
+      name: extracted.name,
+      owner: NullUtil.get(authorJSON(extracted.owner)),
+      issues: connectionJSON(extracted.issues, issueJSON),
+      pulls: connectionJSON(extracted.pullRequests, pullJSON),
+      defaultBranchRef,
+    },
+  };
+  ensureNoMorePages(result);
+  return result;
+}
+
+// Refetching the own data of every object is most of the work of an
+// update, and edits to old issues and comments are rare, so own data
+// is refetched only about once a week.
+export const DEFAULT_MAX_OWN_DATA_AGE = 7 * 24 * 60 * 60 * 1000;
+
+// GitHub permits at most 100 IDs in a `nodes` query, and at most 100
+// entries per page of a connection. The latter limit bounds the total
+// number of nodes in a query at 10,000, well within GitHub's limits.
+const MIRROR_NODES_LIMIT = 100;
+const MIRROR_CONNECTION_LIMIT = 100;
+const MIRROR_CONNECTION_PAGE_SIZE = 100;
+
+/**
+ * The name of the mirror database of the given repository. A mirror is
+ * locked to the schema with which it was created, so the name includes
+ * a digest of the schema: when the schema changes (say, to fetch a new
+ * field), a new mirror is started instead of failing to open the old
+ * one.
+ */
+export function mirrorFilename(repoId: RepoId, schema: Schema): string {
+  // Repository names may contain characters like `.` that we'd rather
+  // not put into filenames directly; hex-encoding is unambiguous.
+  const hex = Buffer.from(repoIdToString(repoId)).toString("hex");
+  const digest = crypto
+    .createHash("sha256")
+    .update(stableStringify(schema))
+    .digest("hex")
+    .slice(0, 16);
+  return `mirror_${hex}_${digest}.db`;
+}
+
+/*
+ * The following functions convert data extracted from the mirror
+ * (whose shape is determined by `./schema`) to the shape of the
+ * results of the queries in `./graphql`, so that clients need not care
+ * which mechanism was used to fetch the data. Connections extracted
+ * from the mirror are always complete, so we report that there are no
+ * more pages. The mirror does not expose end cursors.
+ */
+
+function connectionJSON<T>(
+  nodes: $ReadOnlyArray<any>,
+  convert: (any) => T
+): ConnectionJSON<T> {
+  return {
+    nodes: nodes.map(convert),
+    pageInfo: {endCursor: null, hasNextPage: false},
+  };
+}
+
+function authorJSON(author: any): NullableAuthorJSON {
+  if (author == null) {
+    return null;
+  }
+  const result: AuthorJSON = {
+    __typename: author.__typename,
+    id: author.id,
+    login: author.login,
+    url: author.url,
+  };
+  return result;
+}
+
+function issueJSON(issue: any): IssueJSON {
+  return {
+    id: issue.id,
+    url: issue.url,
+    title: issue.title,
+    body: issue.body,
+    number: issue.number,
+    author: authorJSON(issue.author),
+    createdAt: issue.createdAt,
+    comments: connectionJSON(issue.comments, commentJSON),
+    reactions: connectionJSON(issue.reactions, reactionJSON),
+    labels: connectionJSON(issue.labels, labelJSON),
+  };
+}
+
+function pullJSON(pull: any): PullJSON {
+  return {
+    id: pull.id,
+    url: pull.url,
+    title: pull.title,
+    body: pull.body,
+    number: pull.number,
+    additions: pull.additions,
+    deletions: pull.deletions,
+    author: authorJSON(pull.author),
+    createdAt: pull.createdAt,
+    comments: connectionJSON(pull.comments, commentJSON),
+    reviews: connectionJSON(pull.reviews, reviewJSON),
+    mergeCommit: pull.mergeCommit == null ? null : commitJSON(pull.mergeCommit),
+    reactions: connectionJSON(pull.reactions, reactionJSON),
+    labels: connectionJSON(pull.labels, labelJSON),
+  };
+}
+
+function commentJSON(comment: any): CommentJSON {
+  return {
+    id: comment.id,
+    url: comment.url,
+    body: comment.body,
+    author: authorJSON(comment.author),
+    createdAt: comment.createdAt,
+    reactions: connectionJSON(comment.reactions, reactionJSON),
+  };
+}
+
+function reviewJSON(review: any): ReviewJSON {
+  return {
+    id: review.id,
+    url: review.url,
+    body: review.body,
+    author: authorJSON(review.author),
+    createdAt: review.createdAt,
+    state: review.state,
+    comments: connectionJSON(review.comments, reviewCommentJSON),
+  };
+}
+
+function reviewCommentJSON(comment: any): ReviewCommentJSON {
+  return {
+    id: comment.id,
+    url: comment.url,
+    body: comment.body,
+    author: authorJSON(comment.author),
+    createdAt: comment.createdAt,
+    reactions: connectionJSON(comment.reactions, reactionJSON),
+  };
+}
+
+function reactionJSON(reaction: any): ReactionJSON {
+  return {
+    id: reaction.id,
+    content: reaction.content,
+    user: authorJSON(reaction.user),
+  };
+}
+
+function labelJSON(label: any): LabelJSON {
+  return {id: label.id, url: label.url, name: label.name};
+}
+
+function commitJSON(commit: any): CommitJSON {
+  return {
+    id: commit.id,
+    url: commit.url,
+    oid: commit.oid,
+    author:
+      commit.author == null ? null : {user: authorJSON(commit.author.user)},
+    authoredDate: commit.authoredDate,
+    message: commit.message,
+  };
 }
 
 const GITHUB_GRAPHQL_SERVER = "https://api.github.com/graphql";
 
+/**
+ * The URL of the GraphQL API of the given GitHub host: for github.com,
+ * its API server; otherwise, the API of a GitHub Enterprise server.
+ */
+export function defaultGraphqlUrl(host: string): string {
+  return host === DEFAULT_HOST
+    ? GITHUB_GRAPHQL_SERVER
+    : `https://${host}/api/graphql`;
+}
+
 type GithubResponseError =
   | {|+type: "FETCH_ERROR", retry: false, error: Error|}
   | {|+type: "GRAPHQL_ERROR", retry: false, error: mixed|}
-  | {|+type: "RATE_LIMIT_EXCEEDED", retry: false, error: mixed|}
+  | {|
+      +type: "RATE_LIMIT_EXCEEDED",
+      retry: false,
+      error: mixed,
+      // When the rate limit resets, if GitHub said.
+      resetAt: Date | null,
+    |}
   | {|+type: "GITHUB_INTERNAL_EXECUTION_ERROR", retry: true, error: mixed|}
   | {|+type: "NO_DATA", retry: true, error: mixed|};
 
-// Fetch against the GitHub API with the provided options, returning a
-// promise that either resolves to the GraphQL result data or rejects
-// to a `GithubResponseError`.
-function tryGithubFetch(fetch, fetchOptions): Promise<any> {
-  return fetch(GITHUB_GRAPHQL_SERVER, fetchOptions).then(
-    (x) =>
-      x.json().then((x) => {
+// Fetch against the GitHub API at the given URL with the provided
+// options, returning a promise that either resolves to the GraphQL
+// result data or rejects to a `GithubResponseError`.
+function tryGithubFetch(fetch, graphqlUrl, fetchOptions): Promise<any> {
+  return fetch(graphqlUrl, fetchOptions).then(
+    (response) =>
+      response.json().then((x) => {
         if (x.errors) {
           if (
             x.errors.length === 1 &&
@@ -85,6 +370,7 @@ function tryGithubFetch(fetch, fetchOptions): Promise<any> {
                 type: "RATE_LIMIT_EXCEEDED",
                 retry: false,
                 error: x,
+                resetAt: rateLimitResetAt(response),
               }: GithubResponseError)
             );
           } else {
@@ -112,11 +398,20 @@ function tryGithubFetch(fetch, fetchOptions): Promise<any> {
   );
 }
 
-function retryGithubFetch(fetch, fetchOptions) {
+// The time at which the rate limit resets, as given in the headers of
+// a GitHub API response, if any.
+function rateLimitResetAt(response): Date | null {
+  const header =
+    response.headers == null ? null : response.headers.get("x-ratelimit-reset");
+  const seconds = header == null ? NaN : Number(header);
+  return isNaN(seconds) ? null : new Date(seconds * 1000);
+}
+
+function retryGithubFetch(fetch, graphqlUrl, fetchOptions) {
   return new Promise((resolve, reject) => {
     const operation = retry.operation();
     operation.attempt(() => {
-      tryGithubFetch(fetch, fetchOptions)
+      tryGithubFetch(fetch, graphqlUrl, fetchOptions)
         .then((result) => {
           resolve(result);
         })
@@ -131,55 +426,100 @@ function retryGithubFetch(fetch, fetchOptions) {
   });
 }
 
-async function postQuery({body, variables}, token): Promise<any> {
+// Number of times in a row to wait for the rate limit to reset, when
+// GitHub does not say when it will, before giving up on a query that
+// keeps exceeding it. While GitHub reports a reset time in the future,
+// we wait for it however often that takes.
+export const MAX_RATE_LIMIT_WAITS_WITHOUT_RESET = 3;
+
+/**
+ * Post a GraphQL query to the GitHub API at the given URL, waiting for
+ * the rate limit to reset if needed, and resolve to its results.
+ * Queries that share a rate limit should share a `RateLimiter`.
+ */
+export async function postQuery(
+  {body, variables}: {+body: Body, +variables: {+[string]: any}},
+  getToken: TokenSource,
+  graphqlUrl,
+  rateLimiter: RateLimiter
+): Promise<any> {
   const postBody = JSON.stringify({
-    query: stringify.body(body, inlineLayout()),
+    query: stringify.body(withRateLimit(body), inlineLayout()),
     variables: variables,
   });
-  const fetchOptions = {
-    method: "POST",
-    body: postBody,
-    headers: {
-      Authorization: `bearer ${token}`,
-    },
-  };
-  return retryGithubFetch(fetch, fetchOptions).catch(
-    (error: GithubResponseError) => {
-      const type = error.type;
-      switch (type) {
-        case "GITHUB_INTERNAL_EXECUTION_ERROR":
-        case "NO_DATA":
-          console.error(
-            "GitHub query failed! We're tracking these issues at " +
-              "https://github.com/sourcecred/sourcecred/issues/350.\n" +
-              "If the error is a timeout or abuse rate limit, you can " +
-              "try loading a smaller repo, or trying again in a few minutes.\n" +
-              "The actual failed response can be found below:\n" +
-              "================================================="
-          );
-          console.error(error.error);
-          break;
-        case "GRAPHQL_ERROR":
-          console.error(
-            "Unexpected GraphQL error; this may be a bug in SourceCred: ",
-            JSON.stringify({postBody: postBody, error: error.error})
-          );
-          break;
-        case "RATE_LIMIT_EXCEEDED":
-          console.error(
-            "You've exceeded your hourly GitHub rate limit.\n" +
-              "You'll need to wait until it resets."
-          );
-          break;
-        case "FETCH_ERROR":
-          // Network error; no need for additional commentary.
-          break;
-        default:
-          throw new Error((type: empty));
+  let waitsWithoutReset = 0;
+  for (;;) {
+    await rateLimiter.beforeQuery();
+    // Fetch the token only now, as it may have expired while we waited.
+    const fetchOptions = {
+      method: "POST",
+      body: postBody,
+      headers: {
+        Authorization: `bearer ${await getToken()}`,
+      },
+    };
+    let data;
+    try {
+      data = await retryGithubFetch(fetch, graphqlUrl, fetchOptions);
+    } catch (error) {
+      if (error.type === "RATE_LIMIT_EXCEEDED") {
+        waitsWithoutReset = rateLimiter.isResetPending(error.resetAt)
+          ? 0
+          : waitsWithoutReset + 1;
+        if (waitsWithoutReset <= MAX_RATE_LIMIT_WAITS_WITHOUT_RESET) {
+          await rateLimiter.afterRateLimited(error.resetAt);
+          continue;
+        }
       }
-      return Promise.reject(error);
+      return reportQueryError(error, postBody);
     }
-  );
+    const {[RATE_LIMIT_FIELD]: rateLimit, ...result} = data;
+    // GitHub Enterprise servers without rate limiting report none.
+    if (rateLimit != null) {
+      rateLimiter.update(rateLimit);
+    }
+    return result;
+  }
+}
+
+function reportQueryError(
+  error: GithubResponseError,
+  postBody: string
+): Promise<empty> {
+  const type = error.type;
+  switch (type) {
+    case "GITHUB_INTERNAL_EXECUTION_ERROR":
+    case "NO_DATA":
+      console.error(
+        "GitHub query failed! We're tracking these issues at " +
+          "https://github.com/sourcecred/sourcecred/issues/350.\n" +
+          "If the error is a timeout or abuse rate limit, you can " +
+          "try loading a smaller repo, or trying again in a few minutes.\n" +
+          "The actual failed response can be found below:\n" +
+          "================================================="
+      );
+      console.error(error.error);
+      break;
+    case "GRAPHQL_ERROR":
+      console.error(
+        "Unexpected GraphQL error; this may be a bug in SourceCred: ",
+        JSON.stringify({postBody: postBody, error: error.error})
+      );
+      break;
+    case "RATE_LIMIT_EXCEEDED":
+      console.error(
+        "You've exceeded your GitHub rate limit, and GitHub hasn't said " +
+          "when it will reset.\n" +
+          "You'll need to try again later."
+      );
+      break;
+    case "FETCH_ERROR":
+      // Network error; no need for additional commentary.
+      break;
+    default:
+      throw new Error((type: empty));
+  }
+  return Promise.reject(error);
 }
 
 function ensureNoMorePages(result: any, path = []) {
@@ -0,0 +1,283 @@
+// @flow
+
+import Database from "better-sqlite3";
+import path from "path";
+import tmp from "tmp";
+
+import {Mirror} from "../../graphql/mirror";
+import * as Schema from "../../graphql/schema";
+import {makeRepoId} from "../../core/repoId";
+import {build} from "../../graphql/queries";
+import fetchGithubRepo, {
+  MAX_RATE_LIMIT_WAITS_WITHOUT_RESET,
+  mirrorFilename,
+  postQuery,
+} from "./fetchGithubRepo";
+import {RateLimiter} from "./rateLimit";
+import schema from "./schema";
+
+jest.mock("isomorphic-fetch", () => jest.fn());
+
+type JestMockFn = $Call<typeof jest.fn>;
+const fetch: JestMockFn = (require("isomorphic-fetch"): any);
+
+describe("plugins/github/fetchGithubRepo", () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  // A stand-in for the GraphQL API of GitHub, serving a repository
+  // with no issues or pull requests.
+  function serveEmptyRepository() {
+    const emptyConnection = {
+      totalCount: 0,
+      pageInfo: {endCursor: null, hasNextPage: false},
+      nodes: [],
+    };
+    const respond = (query: string) => {
+      if (query.startsWith("query FetchCommitHistory")) {
+        return {repository: {id: "repo", defaultBranchRef: null}};
+      }
+      const data = {};
+      if (query.includes("owndata_Repository:")) {
+        data.owndata_Repository = [
+          {
+            __typename: "Repository",
+            id: "repo",
+            url: "https://github.com/sourcecred/example-github",
+            name: "example-github",
+            owner: {__typename: "Organization", id: "org"},
+          },
+        ];
+      }
+      if (query.includes("owndata_Organization:")) {
+        data.owndata_Organization = [
+          {
+            __typename: "Organization",
+            id: "org",
+            url: "https://github.com/sourcecred",
+            login: "sourcecred",
+          },
+        ];
+      }
+      if (query.includes("node_0:")) {
+        data.node_0 = {
+          id: "repo",
+          issues: emptyConnection,
+          pullRequests: emptyConnection,
+        };
+      }
+      return data;
+    };
+    fetch.mockImplementation(async (_unused_url, options) => {
+      const {query} = JSON.parse(options.body);
+      return {
+        headers: {get: () => null},
+        json: async () => ({data: respond(query)}),
+      };
+    });
+  }
+  function postedQueries(): string[] {
+    return fetch.mock.calls.map(
+      ([_, options]) => JSON.parse(options.body).query
+    );
+  }
+
+  describe("fetchGithubRepo", () => {
+    const repoId = makeRepoId("sourcecred", "example-github");
+    const fetchOptions = (cacheDirectory) => ({
+      credentials: {type: "TOKEN", token: "0".repeat(40)},
+      cacheDirectory,
+    });
+
+    it("fetches the repository into the mirror", async () => {
+      serveEmptyRepository();
+      const result = await fetchGithubRepo(
+        repoId,
+        fetchOptions(tmp.dirSync().name)
+      );
+      expect(result.repository).toEqual(
+        expect.objectContaining({
+          id: "repo",
+          name: "example-github",
+          owner: {
+            __typename: "Organization",
+            id: "org",
+            url: "https://github.com/sourcecred",
+            login: "sourcecred",
+          },
+          issues: {
+            nodes: [],
+            pageInfo: {endCursor: null, hasNextPage: false},
+          },
+        })
+      );
+      expect(postedQueries().join("\n")).toContain("owndata_Organization:");
+    });
+
+    it("does not refetch own data on a later run", async () => {
+      serveEmptyRepository();
+      const cacheDirectory = tmp.dirSync().name;
+      const first = await fetchGithubRepo(repoId, fetchOptions(cacheDirectory));
+      fetch.mockClear();
+      const second = await fetchGithubRepo(
+        repoId,
+        fetchOptions(cacheDirectory)
+      );
+      expect(second).toEqual(first);
+      const queries = postedQueries();
+      // The commit history, and the repository's connections.
+      expect(queries).toHaveLength(2);
+      for (const query of queries) {
+        expect(query).not.toContain("owndata_");
+      }
+    });
+
+    it("refetches own data older than the given age", async () => {
+      serveEmptyRepository();
+      const cacheDirectory = tmp.dirSync().name;
+      await fetchGithubRepo(repoId, fetchOptions(cacheDirectory));
+      fetch.mockClear();
+      await fetchGithubRepo(repoId, {
+        ...fetchOptions(cacheDirectory),
+        maxOwnDataAge: -1,
+      });
+      const queries = postedQueries().join("\n");
+      expect(queries).toContain("owndata_Repository:");
+      expect(queries).toContain("owndata_Organization:");
+    });
+  });
+
+  describe("postQuery", () => {
+    const body = [build.query("Viewer", [], [build.field("viewer")])];
+    function setup() {
+      let now = Date.parse("2018-01-01T00:00:00.000Z");
+      const sleep = jest.fn(async (ms) => {
+        now += ms;
+      });
+      const rateLimiter = new RateLimiter({
+        now: () => new Date(now),
+        sleep,
+        log: () => {},
+      });
+      // Rejects queries for exceeding the rate limit, saying that it
+      // resets in an hour, or without saying when it resets.
+      const rateLimited = (says: boolean) => ({
+        headers: {
+          get: (name) =>
+            says && name === "x-ratelimit-reset"
+              ? String(Math.floor(now / 1000) + 60 * 60)
+              : null,
+        },
+        json: async () => ({
+          errors: [{type: "RATE_LIMITED", message: "API rate limit exceeded"}],
+        }),
+      });
+      const succeeded = {
+        headers: {get: () => null},
+        json: async () => ({data: {viewer: "me"}}),
+      };
+      const post = () =>
+        postQuery(
+          {body, variables: {}},
+          async () => "token",
+          "https://api.github.com/graphql",
+          rateLimiter
+        );
+      return {sleep, rateLimited, succeeded, post};
+    }
+
+    it("waits for each reset that GitHub reports", async () => {
+      const {sleep, rateLimited, succeeded, post} = setup();
+      const waits = MAX_RATE_LIMIT_WAITS_WITHOUT_RESET + 5;
+      for (let i = 0; i < waits; i++) {
+        fetch.mockImplementationOnce(async () => rateLimited(true));
+      }
+      fetch.mockImplementationOnce(async () => succeeded);
+      expect(await post()).toEqual({viewer: "me"});
+      expect(sleep).toHaveBeenCalledTimes(waits);
+    });
+
+    it("gives up after a few waits without a reset time", async () => {
+      const {sleep, rateLimited, post} = setup();
+      const consoleError = jest
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+      try {
+        fetch.mockImplementation(async () => rateLimited(false));
+        await expect(post()).rejects.toMatchObject({
+          type: "RATE_LIMIT_EXCEEDED",
+        });
+        expect(sleep).toHaveBeenCalledTimes(MAX_RATE_LIMIT_WAITS_WITHOUT_RESET);
+      } finally {
+        consoleError.mockRestore();
+      }
+    });
+
+    it("counts only consecutive waits without a reset time", async () => {
+      const {sleep, rateLimited, succeeded, post} = setup();
+      for (let i = 0; i < 2; i++) {
+        for (let j = 0; j < MAX_RATE_LIMIT_WAITS_WITHOUT_RESET; j++) {
+          fetch.mockImplementationOnce(async () => rateLimited(false));
+        }
+        fetch.mockImplementationOnce(async () => rateLimited(true));
+      }
+      fetch.mockImplementationOnce(async () => succeeded);
+      expect(await post()).toEqual({viewer: "me"});
+      expect(sleep).toHaveBeenCalledTimes(
+        2 * (MAX_RATE_LIMIT_WAITS_WITHOUT_RESET + 1)
+      );
+    });
+  });
+
+  describe("mirrorFilename", () => {
+    const repoId = makeRepoId("sourcecred", "example-github");
+    function olderSchema(): Schema.Schema {
+      // As if issues had gained fields since the cache was created.
+      const s = Schema;
+      return {...schema(), Issue: s.object({id: s.id(), url: s.primitive()})};
+    }
+
+    it("is stable for a repository and schema", () => {
+      expect(mirrorFilename(repoId, schema())).toEqual(
+        mirrorFilename(makeRepoId("sourcecred", "example-github"), schema())
+      );
+    });
+    it("hex-encodes the repository", () => {
+      const hex = Buffer.from("sourcecred/example-github").toString("hex");
+      expect(mirrorFilename(repoId, schema())).toMatch(
+        new RegExp(`^mirror_${hex}_[0-9a-f]{16}\\.db$`)
+      );
+    });
+    it("differs between repositories", () => {
+      expect(mirrorFilename(repoId, schema())).not.toEqual(
+        mirrorFilename(makeRepoId("sourcecred", "sourcecred"), schema())
+      );
+    });
+    it("differs between schemas", () => {
+      expect(mirrorFilename(repoId, schema())).not.toEqual(
+        mirrorFilename(repoId, olderSchema())
+      );
+    });
+    it("lets a new schema open a cache left by an older one", () => {
+      const cacheDirectory = tmp.dirSync().name;
+      const open = (s) =>
+        new Database(path.join(cacheDirectory, mirrorFilename(repoId, s)));
+      const oldDb = open(olderSchema());
+      new Mirror(oldDb, olderSchema()).registerObject({
+        typename: "Issue",
+        id: "issue1",
+      });
+      oldDb.close();
+      const newDb = open(schema());
+      expect(() => new Mirror(newDb, schema())).not.toThrow();
+      newDb.close();
+      // Whereas reusing the old database would fail.
+      const reopened = open(olderSchema());
+      expect(() => new Mirror(reopened, schema())).toThrow(
+        "incompatible schema"
+      );
+      reopened.close();
+    });
+  });
+});
@@ -13,5 +13,12 @@ describe("src/plugins/github/githubGitGateway", () => {
         `"https://github.com/sourcecred/example-github/commit/ec91adb718a6"`
       );
     });
+    it("uses the repository's host", () => {
+      const repoId = makeRepoId("foo", "bar", "github.example.com");
+      const url = new GithubGitGateway().commitUrl(repoId, "ec91adb718a6");
+      expect(url).toEqual(
+        "https://github.example.com/foo/bar/commit/ec91adb718a6"
+      );
+    });
   });
 });
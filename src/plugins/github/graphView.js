@@ -117,6 +117,15 @@ export class GraphView {
     return this._neighbors(content, options);
   }
 
+  labels(labelable: GN.LabelableAddress): Iterator<GN.LabelAddress> {
+    const options = {
+      direction: Direction.OUT,
+      edgePrefix: GE.Prefix.hasLabel,
+      nodePrefix: GN.Prefix.label,
+    };
+    return this._neighbors(labelable, options);
+  }
+
   _maybeCheckInvariants() {
     if (this._isCheckingInvariants) {
       return;
@@ -145,6 +154,7 @@ export class GraphView {
       [GN.COMMENT_TYPE]: (x) => x.parent,
       [GN.REVIEW_TYPE]: (x) => x.pull,
       [GN.USERLIKE_TYPE]: null,
+      [GN.LABEL_TYPE]: null,
       [GitNode.COMMIT_TYPE]: null,
     };
     for (const node of this._graph.nodes({prefix: GN.Prefix.base})) {
@@ -255,6 +265,11 @@ export class GraphView {
         srcAccessor: (x) => GN.toRaw((x: any).user),
         dstAccessor: (x) => GN.toRaw((x: any).reactable),
       },
+      [GE.HAS_LABEL_TYPE]: {
+        homs: homProduct([GN.Prefix.issue, GN.Prefix.pull], [GN.Prefix.label]),
+        srcAccessor: (x) => GN.toRaw((x: any).labelable),
+        dstAccessor: (x) => GN.toRaw((x: any).label),
+      },
     };
 
     for (const edge of this._graph.edges({
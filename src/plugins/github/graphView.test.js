@@ -175,6 +175,7 @@ describe("plugins/github/graphView", () => {
       parent: review,
       id: "bar2",
     };
+    const label: GN.LabelAddress = {type: "LABEL", repo, name: "bounty"};
     const nameToAddress = {
       userlike: userlike,
       repo: repo,
@@ -341,6 +342,34 @@ describe("plugins/github/graphView", () => {
           }
         });
       });
+      describe("has label edges", () => {
+        it("lead from issues and pulls to labels", () => {
+          const g = exampleWithParents()
+            .addNode(GN.toRaw(label))
+            .addEdge(GE.createEdge.hasLabel(issue, label))
+            .addEdge(GE.createEdge.hasLabel(pull, label));
+          const view = new GraphView(g);
+          expect(Array.from(view.labels(issue))).toEqual([label]);
+          expect(Array.from(view.labels(pull))).toEqual([label]);
+        });
+        it("src must be labelable", () => {
+          // $ExpectFlowError
+          failsForEdge(GE.createEdge.hasLabel(review, label));
+        });
+        it("dst must be a label", () => {
+          // $ExpectFlowError
+          failsForEdge(GE.createEdge.hasLabel(issue, repo));
+        });
+        it("dst must be label in edge address", () => {
+          const otherLabel = {type: "LABEL", repo, name: "bug"};
+          const hasLabel = GE.createEdge.hasLabel(issue, otherLabel);
+          (hasLabel: any).dst = GN.toRaw(label);
+          const g = exampleWithParents()
+            .addNode(GN.toRaw(label))
+            .addEdge(hasLabel);
+          expect(() => new GraphView(g)).toThrow("Invariant: Expected dst");
+        });
+      });
     });
 
     it("are properly re-entrant", () => {
@@ -374,6 +403,7 @@ describe("plugins/github/graphView", () => {
         reviews: () => Array.from(badView().reviews(pull)),
         parent: () => badView().parent(pull),
         authors: () => Array.from(badView().authors(pull)),
+        labels: () => Array.from(badView().labels(pull)),
       };
 
       for (const name of Object.keys(methods)) {
@@ -54,6 +54,7 @@ const PAGE_SIZE_REVIEWS = 5;
 const PAGE_SIZE_REVIEW_COMMENTS = 10;
 const PAGE_SIZE_COMMIT_HISTORY = 100;
 const PAGE_SIZE_REACTIONS = 5;
+const PAGE_SIZE_LABELS = 10;
 
 /**
  * What's in a continuation? If we want to fetch more comments for the
@@ -156,18 +157,7 @@ export function createQuery(): Body {
                 b.fragmentSpread("pulls"),
               ])
             ),
-            b.field("defaultBranchRef", {}, [
-              b.field("target", {}, [
-                b.field("__typename"),
-                b.inlineFragment("Commit", [
-                  b.field(
-                    "history",
-                    {first: b.literal(PAGE_SIZE_COMMIT_HISTORY)},
-                    [b.fragmentSpread("commitHistory")]
-                  ),
-                ]),
-              ]),
-            ]),
+            defaultBranchRefField(),
           ]
         ),
       ]
@@ -177,6 +167,44 @@ export function createQuery(): Body {
   return body;
 }
 
+/**
+ * A GitHub query to request the ID of a repository and the commit
+ * history of its default branch, but no other data. The result has
+ * the same shape as the result of `createQuery`, except that it omits
+ * all fields of the repository other than `id` and `defaultBranchRef`,
+ * and so can be passed to `postQueryExhaustive`. Callers will also be
+ * interested in `createVariables`.
+ */
+export function createCommitHistoryQuery(): Body {
+  const b = build;
+  const query = b.query(
+    "FetchCommitHistory",
+    [b.param("owner", "String!"), b.param("name", "String!")],
+    [
+      b.field(
+        "repository",
+        {owner: b.variable("owner"), name: b.variable("name")},
+        [b.field("id"), defaultBranchRefField()]
+      ),
+    ]
+  );
+  return [query, ...requiredFragments(query)];
+}
+
+function defaultBranchRefField(): Selection {
+  const b = build;
+  return b.field("defaultBranchRef", {}, [
+    b.field("target", {}, [
+      b.field("__typename"),
+      b.inlineFragment("Commit", [
+        b.field("history", {first: b.literal(PAGE_SIZE_COMMIT_HISTORY)}, [
+          b.fragmentSpread("commitHistory"),
+        ]),
+      ]),
+    ]),
+  ]);
+}
+
 /**
  * Find continuations for the top-level result ("data" field) of a
  * query.
@@ -371,6 +399,25 @@ function* continuationsFromIssue(
       destinationPath: path,
     };
   }
+  if (result.labels && result.labels.pageInfo.hasNextPage) {
+    yield {
+      enclosingNodeType: "ISSUE",
+      enclosingNodeId: nodeId,
+      selections: [
+        b.inlineFragment("Issue", [
+          b.field(
+            "labels",
+            {
+              first: b.literal(PAGE_LIMIT),
+              after: b.literal(result.labels.pageInfo.endCursor),
+            },
+            [b.fragmentSpread("labels")]
+          ),
+        ]),
+      ],
+      destinationPath: path,
+    };
+  }
   if (result.comments) {
     for (let i = 0; i < result.comments.nodes.length; i++) {
       const comment = result.comments.nodes[i];
@@ -424,6 +471,25 @@ function* continuationsFromPR(
       destinationPath: path,
     };
   }
+  if (result.labels && result.labels.pageInfo.hasNextPage) {
+    yield {
+      enclosingNodeType: "PULL",
+      enclosingNodeId: nodeId,
+      selections: [
+        b.inlineFragment("PullRequest", [
+          b.field(
+            "labels",
+            {
+              first: b.literal(PAGE_LIMIT),
+              after: b.literal(result.labels.pageInfo.endCursor),
+            },
+            [b.fragmentSpread("labels")]
+          ),
+        ]),
+      ],
+      destinationPath: path,
+    };
+  }
   if (result.reviews && result.reviews.pageInfo.hasNextPage) {
     yield {
       enclosingNodeType: "PULL",
@@ -852,8 +918,10 @@ export type IssueJSON = {|
   +body: string,
   +number: number,
   +author: NullableAuthorJSON,
+  +createdAt: string,
   +comments: ConnectionJSON<CommentJSON>,
   +reactions: ConnectionJSON<ReactionJSON>,
+  +labels: ConnectionJSON<LabelJSON>,
 |};
 
 function issuesFragment(): FragmentDefinition {
@@ -867,12 +935,16 @@ function issuesFragment(): FragmentDefinition {
       b.field("body"),
       b.field("number"),
       makeAuthor(),
+      b.field("createdAt"),
       b.field("comments", {first: b.literal(PAGE_SIZE_COMMENTS)}, [
         b.fragmentSpread("comments"),
       ]),
       b.field("reactions", {first: b.literal(PAGE_SIZE_REACTIONS)}, [
         b.fragmentSpread("reactions"),
       ]),
+      b.field("labels", {first: b.literal(PAGE_SIZE_LABELS)}, [
+        b.fragmentSpread("labels"),
+      ]),
     ]),
   ]);
 }
@@ -886,10 +958,12 @@ export type PullJSON = {|
   +additions: number,
   +deletions: number,
   +author: NullableAuthorJSON,
+  +createdAt: string,
   +comments: ConnectionJSON<CommentJSON>,
   +reviews: ConnectionJSON<ReviewJSON>,
   +mergeCommit: ?CommitJSON,
   +reactions: ConnectionJSON<ReactionJSON>,
+  +labels: ConnectionJSON<LabelJSON>,
 |};
 function pullsFragment(): FragmentDefinition {
   const b = build;
@@ -905,6 +979,7 @@ function pullsFragment(): FragmentDefinition {
       b.field("additions"),
       b.field("deletions"),
       makeAuthor(),
+      b.field("createdAt"),
       b.field("comments", {first: b.literal(PAGE_SIZE_COMMENTS)}, [
         b.fragmentSpread("comments"),
       ]),
@@ -914,6 +989,9 @@ function pullsFragment(): FragmentDefinition {
       b.field("reactions", {first: b.literal(PAGE_SIZE_REACTIONS)}, [
         b.fragmentSpread("reactions"),
       ]),
+      b.field("labels", {first: b.literal(PAGE_SIZE_LABELS)}, [
+        b.fragmentSpread("labels"),
+      ]),
     ]),
   ]);
 }
@@ -923,6 +1001,7 @@ export type CommentJSON = {|
   +url: string,
   +body: string,
   +author: NullableAuthorJSON,
+  +createdAt: string,
   +reactions: ConnectionJSON<ReactionJSON>,
 |};
 function commentsFragment(): FragmentDefinition {
@@ -934,6 +1013,7 @@ function commentsFragment(): FragmentDefinition {
       b.field("id"),
       b.field("url"),
       makeAuthor(),
+      b.field("createdAt"),
       b.field("body"),
       b.field("reactions", {first: b.literal(PAGE_SIZE_REACTIONS)}, [
         b.fragmentSpread("reactions"),
@@ -954,9 +1034,9 @@ export type ReviewJSON = {|
   +url: string,
   +body: string,
   +author: NullableAuthorJSON,
+  +createdAt: string,
   +state: ReviewState,
   +comments: ConnectionJSON<ReviewCommentJSON>,
-  +reactions: ConnectionJSON<ReactionJSON>,
 |};
 function reviewsFragment(): FragmentDefinition {
   const b = build;
@@ -967,6 +1047,7 @@ function reviewsFragment(): FragmentDefinition {
       b.field("url"),
       b.field("body"),
       makeAuthor(),
+      b.field("createdAt"),
       b.field("state"),
       b.field("comments", {first: b.literal(PAGE_SIZE_REVIEW_COMMENTS)}, [
         b.fragmentSpread("reviewComments"),
@@ -980,6 +1061,7 @@ export type ReviewCommentJSON = {|
   +url: string,
   +body: string,
   +author: NullableAuthorJSON,
+  +createdAt: string,
   +reactions: ConnectionJSON<ReactionJSON>,
 |};
 function reviewCommentsFragment(): FragmentDefinition {
@@ -991,6 +1073,7 @@ function reviewCommentsFragment(): FragmentDefinition {
       b.field("url"),
       b.field("body"),
       makeAuthor(),
+      b.field("createdAt"),
       b.field("reactions", {first: b.literal(PAGE_SIZE_REACTIONS)}, [
         b.fragmentSpread("reactions"),
       ]),
@@ -1003,6 +1086,7 @@ export type CommitJSON = {|
   +url: string,
   +oid: string, // the hash
   +author: ?{|+user: NullableAuthorJSON|},
+  +authoredDate: string,
   +message: string,
 |};
 
@@ -1014,6 +1098,7 @@ function commitFragment(): FragmentDefinition {
     b.field("oid"),
     b.field("message"),
     b.field("author", {}, [b.field("user", {}, [b.fragmentSpread("whoami")])]),
+    b.field("authoredDate"),
   ]);
 }
 
@@ -1067,6 +1152,22 @@ function reactionsFragment(): FragmentDefinition {
   ]);
 }
 
+// Labels are identified by their name, which is unique (ignoring case)
+// within a repository.
+export type LabelJSON = {|
+  +id: string,
+  +url: string,
+  +name: string,
+|};
+
+function labelsFragment(): FragmentDefinition {
+  const b = build;
+  return b.fragment("labels", "LabelConnection", [
+    makePageInfo(),
+    b.field("nodes", {}, [b.field("id"), b.field("url"), b.field("name")]),
+  ]);
+}
+
 /**
  * These fragments are used to construct the root query, and also to
  * fetch more pages of specific entity types.
@@ -1082,6 +1183,7 @@ export function createFragments(): FragmentDefinition[] {
     commitHistoryFragment(),
     commitFragment(),
     reactionsFragment(),
+    labelsFragment(),
   ];
 }
 
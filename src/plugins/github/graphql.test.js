@@ -4,6 +4,7 @@ import type {Continuation} from "./graphql";
 import {build, stringify, multilineLayout} from "../../graphql/queries";
 import {
   PAGE_LIMIT,
+  createCommitHistoryQuery,
   createQuery,
   createVariables,
   continuationsFromQuery,
@@ -29,6 +30,8 @@ describe("plugins/github/graphql", () => {
       pullComments: boolean,
       reviews: boolean,
       reviewComments: boolean,
+      issueLabels: boolean,
+      pullLabels: boolean,
     }) {
       return {
         repository: {
@@ -59,6 +62,19 @@ describe("plugins/github/graphql", () => {
                     },
                   ],
                 },
+                labels: {
+                  pageInfo: {
+                    hasNextPage: hasNextPageFor.issueLabels,
+                    endCursor: "opaque-cursor-issue1labels",
+                  },
+                  nodes: [
+                    {
+                      id: "opaque-label-bounty",
+                      url: "opaque://labels/bounty",
+                      name: "bounty",
+                    },
+                  ],
+                },
               },
             ],
           },
@@ -116,6 +132,13 @@ describe("plugins/github/graphql", () => {
                     },
                   ],
                 },
+                labels: {
+                  pageInfo: {
+                    hasNextPage: hasNextPageFor.pullLabels,
+                    endCursor: "opaque-cursor-pull2labels",
+                  },
+                  nodes: [],
+                },
               },
             ],
           },
@@ -238,6 +261,40 @@ describe("plugins/github/graphql", () => {
             0,
           ],
         },
+        issueLabels: {
+          enclosingNodeType: "ISSUE",
+          enclosingNodeId: "opaque-issue1",
+          selections: [
+            b.inlineFragment("Issue", [
+              b.field(
+                "labels",
+                {
+                  first: b.literal(PAGE_LIMIT),
+                  after: b.literal("opaque-cursor-issue1labels"),
+                },
+                [b.fragmentSpread("labels")]
+              ),
+            ]),
+          ],
+          destinationPath: ["repository", "issues", "nodes", 0],
+        },
+        pullLabels: {
+          enclosingNodeType: "PULL",
+          enclosingNodeId: "opaque-pull2",
+          selections: [
+            b.inlineFragment("PullRequest", [
+              b.field(
+                "labels",
+                {
+                  first: b.literal(PAGE_LIMIT),
+                  after: b.literal("opaque-cursor-pull2labels"),
+                },
+                [b.fragmentSpread("labels")]
+              ),
+            ]),
+          ],
+          destinationPath: ["repository", "pulls", "nodes", 0],
+        },
       };
     }
 
@@ -249,6 +306,8 @@ describe("plugins/github/graphql", () => {
         pullComments: true,
         reviews: true,
         reviewComments: true,
+        issueLabels: true,
+        pullLabels: true,
       });
       const result = Array.from(continuationsFromQuery(data));
       const expectedContinuations: Continuation[] = (() => {
@@ -260,6 +319,8 @@ describe("plugins/github/graphql", () => {
           continuations.pullComments,
           continuations.reviews,
           continuations.reviewComments,
+          continuations.issueLabels,
+          continuations.pullLabels,
         ];
       })();
       expectedContinuations.forEach((x) => {
@@ -279,6 +340,8 @@ describe("plugins/github/graphql", () => {
         pullComments: true,
         reviews: false,
         reviewComments: true,
+        issueLabels: false,
+        pullLabels: true,
       });
       const result = Array.from(continuationsFromQuery(data));
       const expectedContinuations: Continuation[] = (() => {
@@ -287,6 +350,7 @@ describe("plugins/github/graphql", () => {
           continuations.issues,
           continuations.pullComments,
           continuations.reviewComments,
+          continuations.pullLabels,
         ];
       })();
       expectedContinuations.forEach((x) => {
@@ -961,4 +1025,12 @@ describe("plugins/github/graphql", () => {
       stringify.body(createQuery(), multilineLayout("  "))
     ).toMatchSnapshot();
   });
+
+  it("creates a commit history query", () => {
+    const body = createCommitHistoryQuery();
+    expect(
+      body.filter((x) => x.type === "FRAGMENT").map((x) => x.name)
+    ).toEqual(["whoami", "commitHistory", "commit"]);
+    expect(stringify.body(body, multilineLayout("  "))).toMatchSnapshot();
+  });
 });
@@ -72,8 +72,10 @@ describe("plugins/github/heuristics/mentionsAuthorReference", () => {
             title: "calling into the void",
             body: "hi @amethyst",
             author: authors.steven(),
+            createdAt: "2018-03-01T00:00:00Z",
             comments: connection([]),
             reactions: connection([]),
+            labels: connection([]),
           },
           {
             id: "issue:2",
@@ -82,13 +84,16 @@ describe("plugins/github/heuristics/mentionsAuthorReference", () => {
             title: "an issue with many types of references",
             body: "it is me, @steven\n\nPaired with: @pearl",
             author: authors.steven(),
+            createdAt: "2018-03-01T00:00:00Z",
             reactions: connection([]),
+            labels: connection([]),
             comments: connection([
               {
                 id: "comment:2_1",
                 url: issueCommentUrl(2, 1),
                 body: "parry parry thrust @pearl\nparry parry thrust @steven",
                 author: authors.holo(),
+                createdAt: "2018-03-01T00:00:00Z",
                 reactions: connection([]),
               },
               {
@@ -96,6 +101,7 @@ describe("plugins/github/heuristics/mentionsAuthorReference", () => {
                 url: issueCommentUrl(2, 2),
                 body: "@holo-pearl: stop!",
                 author: authors.steven(),
+                createdAt: "2018-03-01T00:00:00Z",
                 reactions: connection([]),
               },
               {
@@ -103,6 +109,7 @@ describe("plugins/github/heuristics/mentionsAuthorReference", () => {
                 url: issueCommentUrl(2, 3),
                 body: "@amethyst @garnet why aren't you helping",
                 author: authors.pearl(),
+                createdAt: "2018-03-01T00:00:00Z",
                 reactions: connection([]),
               },
               {
@@ -110,6 +117,7 @@ describe("plugins/github/heuristics/mentionsAuthorReference", () => {
                 url: issueCommentUrl(2, 4),
                 body: "@amethyst! come quickly, @amethyst!",
                 author: authors.garnet(),
+                createdAt: "2018-03-01T00:00:00Z",
                 reactions: connection([]),
               },
               {
@@ -117,6 +125,7 @@ describe("plugins/github/heuristics/mentionsAuthorReference", () => {
                 url: issueCommentUrl(2, 5),
                 body: "i am busy fighting @boomerang-blade guy",
                 author: authors.amethyst(),
+                createdAt: "2018-03-01T00:00:00Z",
                 reactions: connection([]),
               },
             ]),
@@ -133,8 +142,10 @@ describe("plugins/github/heuristics/mentionsAuthorReference", () => {
             additions: 0,
             deletions: 0,
             reactions: connection([]),
+            labels: connection([]),
             comments: connection([]),
             author: authors.steven(),
+            createdAt: "2018-03-01T00:00:00Z",
             reviews: connection([]),
           },
         ]),
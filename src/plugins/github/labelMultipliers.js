@@ -0,0 +1,31 @@
+// @flow
+
+import {type NodeAddressT} from "../../core/graph";
+import * as NullUtil from "../../util/null";
+import * as N from "./nodes";
+import {RelationalView} from "./relationalView";
+
+/**
+ * Map each issue and pull request with labels that have multipliers to
+ * the product of those multipliers. Multipliers are keyed by lowercased
+ * label name, as labels differ only by case on GitHub.
+ */
+export function labelMultipliers(
+  view: RelationalView,
+  labels: Map<string, number>
+): Map<NodeAddressT, number> {
+  const result = new Map();
+  if (labels.size === 0) {
+    return result;
+  }
+  for (const labelable of view.labelableEntities()) {
+    const node = N.toRaw(labelable.address());
+    for (const label of labelable.labels()) {
+      const multiplier = labels.get(label.name().toLowerCase());
+      if (multiplier != null) {
+        result.set(node, NullUtil.orElse(result.get(node), 1) * multiplier);
+      }
+    }
+  }
+  return result;
+}
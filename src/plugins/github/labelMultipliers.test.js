@@ -0,0 +1,35 @@
+// @flow
+
+import * as N from "./nodes";
+import {RelationalView} from "./relationalView";
+import {exampleLabeledData, exampleLabeledView} from "./example/example";
+import {labelMultipliers} from "./labelMultipliers";
+
+describe("plugins/github/labelMultipliers", () => {
+  const view = exampleLabeledView();
+  const issue = N.toRaw(Array.from(view.issues())[0].address());
+  const pull = N.toRaw(Array.from(view.pulls())[0].address());
+
+  it("multiplies the multipliers of each node's labels", () => {
+    const multipliers = labelMultipliers(
+      view,
+      new Map([["bug", 3], ["bounty", 2]])
+    );
+    expect(multipliers).toEqual(new Map([[issue, 6], [pull, 2]]));
+  });
+  it("matches labels regardless of case", () => {
+    const data: any = exampleLabeledData();
+    data.repository.issues.nodes[0].labels.nodes[0].name = "Bug";
+    const rv = new RelationalView();
+    rv.addData(data);
+    expect(labelMultipliers(rv, new Map([["bug", 3]]))).toEqual(
+      new Map([[issue, 3]])
+    );
+  });
+  it("leaves out nodes without labels that have multipliers", () => {
+    expect(labelMultipliers(view, new Map([["wontfix", 0]]))).toEqual(
+      new Map()
+    );
+    expect(labelMultipliers(view, new Map())).toEqual(new Map());
+  });
+});
@@ -5,14 +5,27 @@ import path from "path";
 import pako from "pako";
 
 import fetchGithubRepo from "./fetchGithubRepo";
+import type {Credentials} from "./auth";
 import {RelationalView} from "./relationalView";
+import {botSet} from "./bots";
+import {restrictToWindow} from "./restrictToWindow";
 import type {RepoId} from "../../core/repoId";
+import type {TimeWindow} from "../../core/timeWindow";
 
 export type Options = {|
-  +token: string,
+  +credentials: Credentials,
+  // GitHub GraphQL API to query, or `null` for that of each
+  // repository's host.
+  +graphqlUrl: string | null,
+  // GitHub REST API with which to mint GitHub App installation tokens,
+  // or `null` for that of each repository's host.
+  +apiUrl: string | null,
   +repoIds: $ReadOnlyArray<RepoId>,
   +outputDirectory: string,
   +cacheDirectory: string,
+  +timeWindow: TimeWindow,
+  // Logins to treat as bots, in addition to the default `botSet()`.
+  +bots: $ReadOnlyArray<string>,
 |};
 
 export async function loadGithubData(options: Options): Promise<void> {
@@ -24,11 +37,18 @@ export async function loadGithubData(options: Options): Promise<void> {
   // > make requests for a single user or client ID concurrently.
   const responses = [];
   for (const repoId of options.repoIds) {
-    responses.push(await fetchGithubRepo(repoId, options.token));
+    responses.push(
+      await fetchGithubRepo(repoId, {
+        credentials: options.credentials,
+        graphqlUrl: options.graphqlUrl,
+        apiUrl: options.apiUrl,
+        cacheDirectory: options.cacheDirectory,
+      })
+    );
   }
-  const view = new RelationalView();
+  const view = new RelationalView(new Set([...botSet(), ...options.bots]));
   for (const response of responses) {
-    view.addData(response);
+    view.addData(restrictToWindow(response, options.timeWindow));
   }
   view.compressByRemovingBody();
   const blob: Uint8Array = pako.gzip(JSON.stringify(view));
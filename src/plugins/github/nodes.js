@@ -16,6 +16,7 @@ export const PULL_TYPE: "PULL" = "PULL";
 export const REVIEW_TYPE: "REVIEW" = "REVIEW";
 export const COMMENT_TYPE: "COMMENT" = "COMMENT";
 export const USERLIKE_TYPE: "USERLIKE" = "USERLIKE";
+export const LABEL_TYPE: "LABEL" = "LABEL";
 export const USER_SUBTYPE: "USER" = "USER";
 export const BOT_SUBTYPE: "BOT" = "BOT";
 
@@ -27,6 +28,7 @@ export const Prefix = Object.freeze({
   review: _githubAddress(REVIEW_TYPE),
   comment: _githubAddress(COMMENT_TYPE),
   userlike: _githubAddress(USERLIKE_TYPE),
+  label: _githubAddress(LABEL_TYPE),
   user: _githubAddress(USERLIKE_TYPE, USER_SUBTYPE),
   bot: _githubAddress(USERLIKE_TYPE, BOT_SUBTYPE),
   reviewComment: _githubAddress(COMMENT_TYPE, REVIEW_TYPE),
@@ -64,6 +66,11 @@ export type UserlikeAddress = {|
   +subtype: typeof USER_SUBTYPE | typeof BOT_SUBTYPE,
   +login: string,
 |};
+export type LabelAddress = {|
+  +type: typeof LABEL_TYPE,
+  +repo: RepoAddress,
+  +name: string,
+|};
 
 export type StructuredAddress =
   | RepoAddress
@@ -72,6 +79,7 @@ export type StructuredAddress =
   | ReviewAddress
   | CommentAddress
   | UserlikeAddress
+  | LabelAddress
   | GitNode.CommitAddress;
 
 // Each of these types has 0 or more "AUTHORS" edges, each of which
@@ -123,6 +131,9 @@ export type ParentAddress =
 // GitHub allows you to react to these types
 export type ReactableAddress = IssueAddress | PullAddress | CommentAddress;
 
+// Each of these types may have labels
+export type LabelableAddress = IssueAddress | PullAddress;
+
 // Each of these types may have Comments as children
 export type CommentableAddress = IssueAddress | PullAddress | ReviewAddress;
 
@@ -226,6 +237,14 @@ export function fromRaw(x: RawAddress): StructuredAddress {
       }
       return {type: USERLIKE_TYPE, subtype, login};
     }
+    case LABEL_TYPE: {
+      if (rest.length !== 3) {
+        throw fail();
+      }
+      const [owner, name, labelName] = rest;
+      const repo = {type: REPO_TYPE, owner, name};
+      return {type: LABEL_TYPE, repo, name: labelName};
+    }
     default:
       throw fail();
   }
@@ -296,6 +315,13 @@ export function toRaw(x: StructuredAddress): RawAddress {
         default:
           throw new Error((x.subtype: empty));
       }
+    case LABEL_TYPE:
+      return NodeAddress.append(
+        Prefix.label,
+        x.repo.owner,
+        x.repo.name,
+        x.name
+      );
     case GitNode.COMMIT_TYPE:
       return GitNode.toRaw(x);
     default:
@@ -46,6 +46,11 @@ describe("plugins/github/nodes", () => {
     subtype: "USER",
     login: "decentralion",
   });
+  const label = (): GN.LabelAddress => ({
+    type: GN.LABEL_TYPE,
+    repo: repo(),
+    name: "good first issue",
+  });
   const commit = (): GitNode.CommitAddress => ({
     type: GitNode.COMMIT_TYPE,
     hash: "0000000000000000000000000000000000000000",
@@ -60,6 +65,7 @@ describe("plugins/github/nodes", () => {
     pullComment,
     reviewComment,
     user,
+    label,
     commit,
   };
 
@@ -221,6 +227,14 @@ describe("plugins/github/nodes", () => {
           },
         ]);
       });
+      describe("label with", () => {
+        checkBadCases([
+          {name: "no owner", parts: [GN.LABEL_TYPE]},
+          {name: "no name", parts: ["owner"]},
+          {name: "no label name", parts: ["name"]},
+          {name: "extra parts", parts: ["bug", "foo"]},
+        ]);
+      });
     });
 
     describe("toRaw(...) with", () => {
@@ -0,0 +1,233 @@
+// @flow
+/*
+ * List the repositories of a GitHub organization, so that they can be
+ * loaded together without naming each one.
+ */
+
+import {build, type Body} from "../../graphql/queries";
+import {
+  DEFAULT_HOST,
+  githubHostPattern,
+  githubOwnerPattern,
+  makeRepoId,
+  type RepoId,
+} from "../../core/repoId";
+import * as NullUtil from "../../util/null";
+import {orgTokenSource, type Credentials} from "./auth";
+import {defaultGraphqlUrl, postQuery} from "./fetchGithubRepo";
+import {RateLimiter} from "./rateLimit";
+
+/**
+ * A GitHub organization: for instance, {host: "github.com", login:
+ * "sourcecred"}.
+ */
+export type Org = {|+host: string, +login: string|};
+
+/**
+ * Parse an organization like "host/login" or "login". The latter
+ * refers to an organization on the given default host, if any, or else
+ * on github.com.
+ */
+export function stringToOrg(x: string, defaultHost?: ?string): Org {
+  const pieces = x.split("/");
+  const [host, login] =
+    pieces.length === 1
+      ? [NullUtil.orElse(defaultHost, DEFAULT_HOST), pieces[0]]
+      : pieces;
+  if (
+    pieces.length > 2 ||
+    !login.match(new RegExp(`^${githubOwnerPattern}$`)) ||
+    !host.match(new RegExp(`^${githubHostPattern}$`))
+  ) {
+    throw new Error(`Invalid organization: ${JSON.stringify(x)}`);
+  }
+  return {host: host.toLowerCase(), login};
+}
+
+export function orgToString(org: Org): string {
+  return org.host === DEFAULT_HOST ? org.login : `${org.host}/${org.login}`;
+}
+
+export type OrgRepositoryJSON = {|
+  +name: string,
+  +isArchived: boolean,
+  +isFork: boolean,
+  +repositoryTopics: {|
+    +nodes: $ReadOnlyArray<{|+topic: {|+name: string|}|}>,
+  |},
+|};
+
+type OrgRepositoriesPageJSON = {|
+  +organization: null | {|
+    +repositories: {|
+      +nodes: $ReadOnlyArray<OrgRepositoryJSON>,
+      +pageInfo: {|+hasNextPage: boolean, +endCursor: string | null|},
+    |},
+  |},
+|};
+
+// GitHub permits at most 100 entries per page of a connection.
+// Repositories have at most 20 topics, so one page of those suffices.
+const PAGE_SIZE_REPOSITORIES = 100;
+const PAGE_SIZE_TOPICS = 100;
+
+export function createOrgRepositoriesQuery(): Body {
+  const b = build;
+  return [
+    b.query(
+      "ListOrgRepositories",
+      [b.param("login", "String!"), b.param("after", "String")],
+      [
+        b.field("organization", {login: b.variable("login")}, [
+          b.field(
+            "repositories",
+            {
+              first: b.literal(PAGE_SIZE_REPOSITORIES),
+              after: b.variable("after"),
+              orderBy: b.object({
+                field: b.enumLiteral("NAME"),
+                direction: b.enumLiteral("ASC"),
+              }),
+            },
+            [
+              b.field("nodes", {}, [
+                b.field("name"),
+                b.field("isArchived"),
+                b.field("isFork"),
+                b.field(
+                  "repositoryTopics",
+                  {first: b.literal(PAGE_SIZE_TOPICS)},
+                  [
+                    b.field("nodes", {}, [
+                      b.field("topic", {}, [b.field("name")]),
+                    ]),
+                  ]
+                ),
+              ]),
+              b.field("pageInfo", {}, [
+                b.field("hasNextPage"),
+                b.field("endCursor"),
+              ]),
+            ]
+          ),
+        ]),
+      ]
+    ),
+  ];
+}
+
+/**
+ * List all repositories of the given organization, in order of name,
+ * by posting `createOrgRepositoriesQuery` once per page.
+ */
+export async function listOrgRepositories(
+  org: Org,
+  postQuery: ({body: Body, variables: {+[string]: any}}) => Promise<any>
+): Promise<$ReadOnlyArray<OrgRepositoryJSON>> {
+  const body = createOrgRepositoriesQuery();
+  const result = [];
+  let after = null;
+  let hasNextPage = true;
+  while (hasNextPage) {
+    const page: OrgRepositoriesPageJSON = await postQuery({
+      body,
+      variables: {login: org.login, after},
+    });
+    if (page.organization == null) {
+      throw new Error(`No such organization: ${orgToString(org)}`);
+    }
+    const {nodes, pageInfo} = page.organization.repositories;
+    result.push(...nodes);
+    hasNextPage = pageInfo.hasNextPage;
+    after = pageInfo.endCursor;
+  }
+  return result;
+}
+
+/**
+ * List all repositories of the given organization from the GitHub API.
+ * See `fetchGithubRepo` for the options.
+ */
+export function fetchOrgRepositories(
+  org: Org,
+  options: {|
+    +credentials: Credentials,
+    +graphqlUrl: string | null,
+    +apiUrl: string | null,
+  |}
+): Promise<$ReadOnlyArray<OrgRepositoryJSON>> {
+  const getToken = orgTokenSource(options.credentials, org.host, org.login, {
+    apiUrl: options.apiUrl,
+  });
+  const graphqlUrl = NullUtil.orElse(
+    options.graphqlUrl,
+    defaultGraphqlUrl(org.host)
+  );
+  const rateLimiter = new RateLimiter();
+  return listOrgRepositories(org, (payload) =>
+    postQuery(payload, getToken, graphqlUrl, rateLimiter)
+  );
+}
+
+/**
+ * Criteria for the repositories of an organization to load.
+ */
+export type RepositoryFilter = {|
+  // Globs, like "sourcecred-*", of which a repository's name must
+  // match at least one, unless there are none.
+  +include: $ReadOnlyArray<string>,
+  // Globs of which a repository's name must match none.
+  +exclude: $ReadOnlyArray<string>,
+  // Whether to keep archived repositories and forks.
+  +archived: boolean,
+  +forks: boolean,
+  // Topics of which a repository must have at least one, unless there
+  // are none.
+  +topics: $ReadOnlyArray<string>,
+|};
+
+// A glob matching names case-insensitively, as GitHub does: `*`
+// matches any run of characters, and `?` any one character.
+function globRegExp(glob: string): RegExp {
+  const pattern = glob
+    .split("")
+    .map((c) => {
+      switch (c) {
+        case "*":
+          return ".*";
+        case "?":
+          return ".";
+        default:
+          return c.replace(/[\\^$.|+()[\]{}]/, "\\$&");
+      }
+    })
+    .join("");
+  return new RegExp(`^${pattern}$`, "i");
+}
+
+/**
+ * The IDs of the given repositories of the organization that satisfy
+ * the filter, in the given order.
+ */
+export function filterOrgRepositories(
+  org: Org,
+  repositories: $ReadOnlyArray<OrgRepositoryJSON>,
+  filter: RepositoryFilter
+): RepoId[] {
+  const include = filter.include.map(globRegExp);
+  const exclude = filter.exclude.map(globRegExp);
+  const topics = new Set(filter.topics.map((t) => t.toLowerCase()));
+  return repositories
+    .filter(
+      (repo) =>
+        (include.length === 0 || include.some((r) => r.test(repo.name))) &&
+        !exclude.some((r) => r.test(repo.name)) &&
+        (filter.archived || !repo.isArchived) &&
+        (filter.forks || !repo.isFork) &&
+        (topics.size === 0 ||
+          repo.repositoryTopics.nodes.some((x) =>
+            topics.has(x.topic.name.toLowerCase())
+          ))
+    )
+    .map((repo) => makeRepoId(org.login, repo.name, org.host));
+}
@@ -0,0 +1,184 @@
+// @flow
+
+import * as Queries from "../../graphql/queries";
+import {makeRepoId} from "../../core/repoId";
+import {
+  createOrgRepositoriesQuery,
+  filterOrgRepositories,
+  listOrgRepositories,
+  orgToString,
+  stringToOrg,
+} from "./orgRepositories";
+
+describe("plugins/github/orgRepositories", () => {
+  describe("stringToOrg", () => {
+    it("parses a login on github.com", () => {
+      expect(stringToOrg("sourcecred")).toEqual({
+        host: "github.com",
+        login: "sourcecred",
+      });
+    });
+    it("parses a login on the default host", () => {
+      expect(stringToOrg("sourcecred", "github.example.com")).toEqual({
+        host: "github.example.com",
+        login: "sourcecred",
+      });
+    });
+    it("parses a login on a given host", () => {
+      expect(stringToOrg("GitHub.Example.com/sourcecred", "other")).toEqual({
+        host: "github.example.com",
+        login: "sourcecred",
+      });
+    });
+    it("rejects invalid organizations", () => {
+      for (const x of ["", "foo/bar/baz", "foo bar", "host!/foo", "/foo"]) {
+        expect(() => stringToOrg(x)).toThrow(
+          `Invalid organization: ${JSON.stringify(x)}`
+        );
+      }
+    });
+    it("round-trips through orgToString", () => {
+      for (const x of ["sourcecred", "github.example.com/sourcecred"]) {
+        expect(orgToString(stringToOrg(x))).toEqual(x);
+      }
+    });
+  });
+
+  describe("createOrgRepositoriesQuery", () => {
+    it("lists repositories by name, with their status and topics", () => {
+      const text = Queries.stringify.body(
+        createOrgRepositoriesQuery(),
+        Queries.inlineLayout()
+      );
+      expect(text).toEqual(
+        "query ListOrgRepositories($login: String! $after: String) { " +
+          "organization(login: $login) { " +
+          "repositories(first: 100 after: $after " +
+          "orderBy: { field: NAME direction: ASC }) { " +
+          "nodes { name isArchived isFork " +
+          "repositoryTopics(first: 100) { nodes { topic { name } } } } " +
+          "pageInfo { hasNextPage endCursor } } } }"
+      );
+    });
+  });
+
+  function repository(
+    name: string,
+    options?: {|+isArchived?: boolean, +isFork?: boolean, +topics?: string[]|}
+  ) {
+    const {isArchived = false, isFork = false, topics = []} = options || {};
+    return {
+      name,
+      isArchived,
+      isFork,
+      repositoryTopics: {nodes: topics.map((name) => ({topic: {name}}))},
+    };
+  }
+
+  describe("listOrgRepositories", () => {
+    const org = {host: "github.com", login: "sourcecred"};
+    function page(names, endCursor) {
+      return {
+        organization: {
+          repositories: {
+            nodes: names.map((name) => repository(name)),
+            pageInfo: {hasNextPage: endCursor != null, endCursor},
+          },
+        },
+      };
+    }
+
+    it("fetches all pages", async () => {
+      const postQuery: any = jest.fn();
+      postQuery
+        .mockResolvedValueOnce(page(["a", "b"], "cursor-b"))
+        .mockResolvedValueOnce(page(["c"], null));
+      const result = await listOrgRepositories(org, postQuery);
+      expect(result.map((r) => r.name)).toEqual(["a", "b", "c"]);
+      expect(postQuery.mock.calls.map(([p]) => p.variables)).toEqual([
+        {login: "sourcecred", after: null},
+        {login: "sourcecred", after: "cursor-b"},
+      ]);
+      expect(postQuery.mock.calls[0][0].body).toEqual(
+        createOrgRepositoriesQuery()
+      );
+    });
+    it("handles an organization without repositories", async () => {
+      const postQuery = jest.fn().mockResolvedValueOnce(page([], null));
+      expect(await listOrgRepositories(org, postQuery)).toEqual([]);
+    });
+    it("fails for an unknown organization", async () => {
+      const postQuery = jest.fn().mockResolvedValueOnce({organization: null});
+      await expect(
+        listOrgRepositories(
+          {host: "github.example.com", login: "nope"},
+          postQuery
+        )
+      ).rejects.toThrow("No such organization: github.example.com/nope");
+    });
+  });
+
+  describe("filterOrgRepositories", () => {
+    const org = {host: "github.com", login: "sourcecred"};
+    const repositories = [
+      repository("sourcecred"),
+      repository("example-git", {topics: ["Example"]}),
+      repository("example-github", {topics: ["example", "github"]}),
+      repository("old", {isArchived: true}),
+      repository("fork", {isFork: true, topics: ["github"]}),
+    ];
+    const all = {
+      include: [],
+      exclude: [],
+      archived: true,
+      forks: true,
+      topics: [],
+    };
+    const names = (filter) =>
+      filterOrgRepositories(org, repositories, filter).map((r) => r.name);
+
+    it("keeps every repository given no criteria", () => {
+      expect(filterOrgRepositories(org, repositories, all)).toEqual(
+        repositories.map((r) => makeRepoId("sourcecred", r.name))
+      );
+    });
+    it("gives repository IDs on the organization's host", () => {
+      const host = "github.example.com";
+      expect(
+        filterOrgRepositories({host, login: "foo"}, [repository("bar")], all)
+      ).toEqual([makeRepoId("foo", "bar", host)]);
+    });
+    it("skips archived repositories and forks unless asked", () => {
+      expect(names({...all, archived: false})).not.toContain("old");
+      expect(names({...all, forks: false})).not.toContain("fork");
+    });
+    it("keeps repositories matching any included glob", () => {
+      expect(names({...all, include: ["example-*", "SourceCred"]})).toEqual([
+        "sourcecred",
+        "example-git",
+        "example-github",
+      ]);
+      expect(names({...all, include: ["f?rk", "?"]})).toEqual(["fork"]);
+    });
+    it("treats glob characters other than '*' and '?' literally", () => {
+      expect(names({...all, include: ["example.git"]})).toEqual([]);
+      expect(names({...all, include: ["example-git+"]})).toEqual([]);
+    });
+    it("skips repositories matching any excluded glob", () => {
+      expect(names({...all, exclude: ["*git*", "old"]})).toEqual([
+        "sourcecred",
+        "fork",
+      ]);
+    });
+    it("keeps repositories with any of the topics", () => {
+      expect(names({...all, topics: ["EXAMPLE"]})).toEqual([
+        "example-git",
+        "example-github",
+      ]);
+      expect(names({...all, topics: ["github", "nope"]})).toEqual([
+        "example-github",
+        "fork",
+      ]);
+    });
+  });
+});
@@ -1,10 +1,15 @@
 // @flow
 
 import {textBlocks} from "./parseMarkdown";
-import {githubOwnerPattern, githubRepoPattern} from "../../core/repoId";
+import {
+  githubHostPattern,
+  githubOwnerPattern,
+  githubRepoPattern,
+} from "../../core/repoId";
 
 export type ParsedReference = {|
-  // "@user" or "#123" or "https://github.com/owner/name/..."
+  // "@user" or "#123" or "https://github.com/owner/name/...", where
+  // the URL may be on any host (e.g., a GitHub Enterprise server)
   +ref: string,
   +refType: "BASIC" | "PAIRED_WITH",
 |};
@@ -79,7 +84,8 @@ function findGithubUrlReferences(textBlock: string): ParsedReference[] {
     "" +
       /(?:\W|^)/.source +
       "(" +
-      /http(?:s)?:\/\/github.com\//.source +
+      /http(?:s)?:\/\//.source +
+      `(?:${githubHostPattern})/` +
       `(?:${githubOwnerPattern})` +
       "(?:" +
       /\//.source +
@@ -111,7 +117,8 @@ function findCommitReferences(textBlock: string): ParsedReference[] {
     "" +
       /(?:\W|^)/.source +
       "(" +
-      /https?:\/\/github.com\//.source +
+      /https?:\/\//.source +
+      `(?:${githubHostPattern})/` +
       `(?:${githubOwnerPattern})` +
       /\//.source +
       `(?:${githubRepoPattern})` +
@@ -262,6 +262,25 @@ https://github.com/sourcecred/exa_mple-git.hub/commit/6bd1b4c0b719c22c688a74863b
     ]);
   });
 
+  it("finds url references on other hosts", () => {
+    const base = "https://github.example.com:8443/foo/bar";
+    expect(
+      parseReferences(
+        `See ${base}/issues/1, ${base}/pull/2#issuecomment-3, ` +
+          "https://github.example.com/wchargin and " +
+          `${base}/commit/6bd1b4c0b719c22c688a74863be07a699b7b9b34.`
+      )
+    ).toEqual([
+      {refType: "BASIC", ref: `${base}/issues/1`},
+      {refType: "BASIC", ref: `${base}/pull/2#issuecomment-3`},
+      {refType: "BASIC", ref: "https://github.example.com/wchargin"},
+      {
+        refType: "BASIC",
+        ref: `${base}/commit/6bd1b4c0b719c22c688a74863be07a699b7b9b34`,
+      },
+    ]);
+  });
+
   it("finds a mix of reference types", () => {
     expect(
       parseReferences(
@@ -5,14 +5,15 @@ import type {
   StaticPluginAdapter as IStaticPluginAdapter,
   DynamicPluginAdapter as IDynamicPluginAdapater,
 } from "../../app/adapters/pluginAdapter";
-import {type Graph, NodeAddress} from "../../core/graph";
+import {type Graph, NodeAddress, type NodeAddressT} from "../../core/graph";
 import {createGraph} from "./createGraph";
 import * as N from "./nodes";
 import * as E from "./edges";
-import {RelationalView} from "./relationalView";
+import {RelationalView, Repo, Userlike, Label} from "./relationalView";
 import {description} from "./render";
+import {labelMultipliers} from "./labelMultipliers";
 import type {Assets} from "../../app/assets";
-import type {RepoId} from "../../core/repoId";
+import {repoIdPathParts, type RepoId} from "../../core/repoId";
 
 export class StaticPluginAdapter implements IStaticPluginAdapter {
   name() {
@@ -68,6 +69,12 @@ export class StaticPluginAdapter implements IStaticPluginAdapter {
         prefix: N.Prefix.bot,
         defaultWeight: 0.25,
       },
+      {
+        name: "Label",
+        pluralName: "Labels",
+        prefix: N.Prefix.label,
+        defaultWeight: 0.25,
+      },
     ];
   }
   edgeTypes() {
@@ -132,11 +139,19 @@ export class StaticPluginAdapter implements IStaticPluginAdapter {
         defaultBackwardWeight: 1 / 32,
         prefix: E.Prefix.reactsHooray,
       },
+      {
+        forwardName: "has label",
+        backwardName: "labels",
+        defaultForwardWeight: 1 / 4,
+        defaultBackwardWeight: 1 / 4,
+        prefix: E.Prefix.hasLabel,
+      },
     ];
   }
   async load(assets: Assets, repoId: RepoId): Promise<IDynamicPluginAdapater> {
+    const repoPath = repoIdPathParts(repoId).join("/");
     const url = assets.resolve(
-      `/api/v1/data/data/${repoId.owner}/${repoId.name}/github/view.json.gz`
+      `/api/v1/data/data/${repoPath}/github/view.json.gz`
     );
     const response = await fetch(url);
     if (!response.ok) {
@@ -151,14 +166,14 @@ export class StaticPluginAdapter implements IStaticPluginAdapter {
   }
 }
 
-class DynamicPluginAdapter implements IDynamicPluginAdapater {
+export class DynamicPluginAdapter implements IDynamicPluginAdapater {
   +_view: RelationalView;
   +_graph: Graph;
   constructor(view: RelationalView, graph: Graph): void {
     this._view = view;
     this._graph = graph;
   }
-  nodeDescription(node) {
+  nodeDescription(node: NodeAddressT) {
     // This cast is unsound, and might throw at runtime, but won't have
     // silent failures or cause problems down the road.
     const address = N.fromRaw((node: any));
@@ -168,6 +183,26 @@ class DynamicPluginAdapter implements IDynamicPluginAdapater {
     }
     return description(entity);
   }
+  createdAt(node: NodeAddressT): number | null {
+    // This cast is unsound, and might throw at runtime, but won't have
+    // silent failures or cause problems down the road.
+    const address = N.fromRaw((node: any));
+    const entity = this._view.entity(address);
+    if (entity == null) {
+      throw new Error(`unknown entity: ${NodeAddress.toString(node)}`);
+    }
+    if (
+      entity instanceof Repo ||
+      entity instanceof Userlike ||
+      entity instanceof Label
+    ) {
+      return null;
+    }
+    return entity.createdAt();
+  }
+  labelMultipliers(labels: Map<string, number>): Map<NodeAddressT, number> {
+    return labelMultipliers(this._view, labels);
+  }
   graph() {
     return this._graph;
   }
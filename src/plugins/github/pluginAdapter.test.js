@@ -0,0 +1,104 @@
+// @flow
+
+import pako from "pako";
+import {render} from "enzyme";
+
+import {Assets} from "../../app/assets";
+import {EdgeAddress, NodeAddress} from "../../core/graph";
+import {makeRepoId} from "../../core/repoId";
+import {createGraph} from "./createGraph";
+import * as N from "./nodes";
+import {exampleLabeledView} from "./example/example";
+import {DynamicPluginAdapter, StaticPluginAdapter} from "./pluginAdapter";
+
+require("../../app/testUtil").configureAphrodite();
+require("../../app/testUtil").configureEnzyme();
+
+describe("plugins/github/pluginAdapter", () => {
+  function adapter() {
+    const view = exampleLabeledView();
+    return new DynamicPluginAdapter(view, createGraph(view));
+  }
+  function label(name: string) {
+    const repo = {
+      type: N.REPO_TYPE,
+      owner: "sourcecred",
+      name: "example-github",
+    };
+    return N.toRaw({type: N.LABEL_TYPE, repo, name});
+  }
+
+  it("loads the view and creates its graph", async () => {
+    const view = exampleLabeledView();
+    const bytes = pako.gzip(JSON.stringify(view.toJSON()));
+    fetch.resetMocks();
+    fetch.mockImplementationOnce(async () => ({
+      ok: true,
+      status: 200,
+      arrayBuffer: async () => bytes.buffer,
+    }));
+    const loaded = await new StaticPluginAdapter().load(
+      new Assets("/gateway/"),
+      makeRepoId("foo", "bar")
+    );
+    expect(fetch.mock.calls.map((x) => x[0])).toEqual([
+      "/gateway/api/v1/data/data/foo/bar/github/view.json.gz",
+    ]);
+    expect(loaded.graph().equals(createGraph(view))).toBe(true);
+    expect(loaded.graph().hasNode(label("bounty"))).toBe(true);
+  });
+  it("fetches from the data of the repository's host", async () => {
+    fetch.resetMocks();
+    fetch.mockResponseOnce("", {status: 404});
+    await expect(
+      new StaticPluginAdapter().load(
+        new Assets("/gateway/"),
+        makeRepoId("foo", "bar", "github.example.com")
+      )
+    ).rejects.toMatchObject({status: 404});
+    expect(fetch.mock.calls.map((x) => x[0])).toEqual([
+      "/gateway/api/v1/data/data/github.example.com/foo/bar/github/view.json.gz",
+    ]);
+  });
+  it("has a declared type for each node and edge", () => {
+    const a = adapter();
+    const nodePrefixes = a
+      .static()
+      .nodeTypes()
+      .map((x) => x.prefix);
+    const edgePrefixes = a
+      .static()
+      .edgeTypes()
+      .map((x) => x.prefix);
+    // Commits are Git nodes, whose types the Git plugin declares.
+    for (const node of a.graph().nodes({prefix: N.Prefix.base})) {
+      expect(
+        nodePrefixes.some((prefix) => NodeAddress.hasPrefix(node, prefix))
+      ).toBe(true);
+    }
+    for (const edge of a.graph().edges()) {
+      expect(
+        edgePrefixes.some((prefix) =>
+          EdgeAddress.hasPrefix(edge.address, prefix)
+        )
+      ).toBe(true);
+    }
+  });
+  it("describes labels", () => {
+    const description = render(adapter().nodeDescription(label("bug")));
+    expect(description.text()).toEqual(
+      "label bug in sourcecred/example-github"
+    );
+  });
+  it("gives labels no creation time", () => {
+    expect(adapter().createdAt(label("bug"))).toBe(null);
+  });
+  it("gives the label multipliers of labeled issues and pulls", () => {
+    const view = exampleLabeledView();
+    const issue = N.toRaw(Array.from(view.issues())[0].address());
+    const pull = N.toRaw(Array.from(view.pulls())[0].address());
+    expect(adapter().labelMultipliers(new Map([["bounty", 3]]))).toEqual(
+      new Map([[issue, 3], [pull, 3]])
+    );
+  });
+});
@@ -0,0 +1,222 @@
+// @flow
+
+import {build, type Body, type Selection} from "../../graphql/queries";
+
+/**
+ * The status of the GitHub GraphQL API rate limit, as reported in the
+ * `rateLimit` field of a query result. Costs and budgets are in
+ * points, which GitHub resets hourly. See:
+ * <https://developer.github.com/v4/guides/resource-limitations/>.
+ */
+export type RateLimitJSON = {|
+  // Cost of the query that returned this status.
+  +cost: number,
+  // Points left in the current window.
+  +remaining: number,
+  // ISO 8601 timestamp at which the window resets.
+  +resetAt: string,
+|};
+
+/**
+ * Name of the top-level field added by `withRateLimit`.
+ */
+export const RATE_LIMIT_FIELD = "rateLimit";
+
+function rateLimitSelection(): Selection {
+  const b = build;
+  return b.field(RATE_LIMIT_FIELD, {}, [
+    b.field("cost"),
+    b.field("remaining"),
+    b.field("resetAt"),
+  ]);
+}
+
+/**
+ * Add a selection of the rate limit status to each query in the given
+ * body, so that it is reported alongside the query's results. Clients
+ * should remove the `RATE_LIMIT_FIELD` from the results before using
+ * them.
+ */
+export function withRateLimit(body: Body): Body {
+  return body.map(
+    (definition) =>
+      definition.type === "QUERY"
+        ? {
+            ...definition,
+            selections: [...definition.selections, rateLimitSelection()],
+          }
+        : definition
+  );
+}
+
+// Time to wait after exceeding the rate limit when GitHub does not say
+// when it resets.
+const DEFAULT_RESET_WAIT_MS = 60 * 1000;
+// Slack to allow for clock skew between us and GitHub.
+const RESET_MARGIN_MS = 1000;
+
+/**
+ * Tracks the rate limit status reported by GitHub across queries, and
+ * pauses queries until the limit resets whenever the remaining budget
+ * is too small for the next one.
+ *
+ * Clients should call `beforeQuery` before posting each query and
+ * `update` with the status reported in its result. If a query is
+ * rejected for exceeding the rate limit anyway (for instance, because
+ * another client shares the budget), clients should call
+ * `afterRateLimited` and retry it.
+ */
+export class RateLimiter {
+  +_now: () => Date;
+  +_sleep: (ms: number) => Promise<void>;
+  +_log: (message: string) => void;
+  _status: {|+cost: number, +remaining: number, +resetAt: Date|} | null;
+  // Estimated number of queries still needed, or null if unknown.
+  _projectedQueries: number | null;
+  // Reset time of the window for which we last warned that the
+  // projected cost exceeds the remaining budget, so that we warn only
+  // once per window.
+  _warnedForReset: number | null;
+
+  constructor(options?: {|
+    +now?: () => Date,
+    +sleep?: (ms: number) => Promise<void>,
+    +log?: (message: string) => void,
+  |}) {
+    const {now, sleep, log} = options || {};
+    this._now = now || (() => new Date());
+    this._sleep =
+      sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    this._log = log || ((message) => console.error(message));
+    this._status = null;
+    this._projectedQueries = null;
+    this._warnedForReset = null;
+  }
+
+  /**
+   * Record the rate limit status reported alongside a query result.
+   */
+  update(rateLimit: RateLimitJSON): void {
+    const resetAt = new Date(rateLimit.resetAt);
+    if (isNaN(resetAt.valueOf())) {
+      throw new Error("Invalid rate limit reset time: " + rateLimit.resetAt);
+    }
+    this._status = {
+      cost: rateLimit.cost,
+      remaining: rateLimit.remaining,
+      resetAt,
+    };
+    this._warnIfOverBudget();
+  }
+
+  /**
+   * Record an estimate of the number of queries still needed, from
+   * which to project the remaining cost of the load.
+   */
+  projectQueries(queries: number): void {
+    this._projectedQueries = queries;
+    this._warnIfOverBudget();
+  }
+
+  /**
+   * The estimated total cost of the remaining queries, assuming that
+   * each costs as much as the last; or null if unknown.
+   */
+  projectedCost(): number | null {
+    const status = this._status;
+    const queries = this._projectedQueries;
+    if (status == null || queries == null) {
+      return null;
+    }
+    return queries * Math.max(status.cost, 1);
+  }
+
+  /**
+   * Resolve once the next query fits in the remaining budget: that is,
+   * immediately, unless the budget is exhausted, in which case after
+   * the limit resets.
+   */
+  async beforeQuery(): Promise<void> {
+    const status = this._status;
+    if (status == null) {
+      return;
+    }
+    const cost = Math.max(status.cost, 1);
+    if (status.remaining >= cost) {
+      return;
+    }
+    const projected = this.projectedCost();
+    await this._waitUntil(
+      status.resetAt,
+      `GitHub rate limit exhausted: ${status.remaining} points remain, ` +
+        `but the next query needs about ${cost}` +
+        (projected == null
+          ? ""
+          : ` (about ${projected} points of queries remain in total)`)
+    );
+  }
+
+  /**
+   * Resolve once the rate limit has reset after a query was rejected
+   * for exceeding it. The reset time is that given by GitHub with the
+   * rejection, if any, or else the last one reported.
+   */
+  async afterRateLimited(resetAt: Date | null): Promise<void> {
+    const pendingResetAt = this._pendingResetAt(resetAt);
+    const until =
+      pendingResetAt == null
+        ? new Date(this._now().valueOf() + DEFAULT_RESET_WAIT_MS)
+        : pendingResetAt;
+    await this._waitUntil(until, "GitHub rate limit exceeded");
+  }
+
+  /**
+   * Whether a reset of the rate limit is known to be coming, after a
+   * query was rejected for exceeding it: that is, whether the reset
+   * time given with the rejection, if any, or else the last one
+   * reported, is in the future. If not, `afterRateLimited` can only
+   * guess how long to wait.
+   */
+  isResetPending(resetAt: Date | null): boolean {
+    return this._pendingResetAt(resetAt) != null;
+  }
+
+  _pendingResetAt(resetAt: Date | null): Date | null {
+    const lastResetAt = this._status == null ? null : this._status.resetAt;
+    const knownResetAt = resetAt == null ? lastResetAt : resetAt;
+    return knownResetAt == null ||
+      knownResetAt.valueOf() <= this._now().valueOf()
+      ? null
+      : knownResetAt;
+  }
+
+  async _waitUntil(resetAt: Date, reason: string): Promise<void> {
+    const ms = resetAt.valueOf() - this._now().valueOf() + RESET_MARGIN_MS;
+    this._log(`${reason}; waiting until ${resetAt.toISOString()}.`);
+    if (ms > 0) {
+      await this._sleep(ms);
+    }
+    // The budget is replenished, but we don't know by how much until
+    // the next query reports it.
+    this._status = null;
+  }
+
+  _warnIfOverBudget(): void {
+    const status = this._status;
+    const projected = this.projectedCost();
+    if (status == null || projected == null) {
+      return;
+    }
+    const resetTime = status.resetAt.valueOf();
+    if (projected <= status.remaining || this._warnedForReset === resetTime) {
+      return;
+    }
+    this._warnedForReset = resetTime;
+    this._log(
+      `About ${projected} points of GitHub queries remain, but only ` +
+        `${status.remaining} are left before the rate limit resets at ` +
+        `${status.resetAt.toISOString()}; the load will pause until then ` +
+        "when they run out."
+    );
+  }
+}
@@ -0,0 +1,146 @@
+// @flow
+
+import * as Queries from "../../graphql/queries";
+import {RateLimiter, withRateLimit} from "./rateLimit";
+
+describe("plugins/github/rateLimit", () => {
+  describe("withRateLimit", () => {
+    it("selects the rate limit in each query, but not in fragments", () => {
+      const b = Queries.build;
+      const body = [
+        b.query("Foo", [], [b.field("viewer", {}, [b.fragmentSpread("who")])]),
+        b.fragment("who", "User", [b.field("login")]),
+      ];
+      const text = Queries.stringify.body(
+        withRateLimit(body),
+        Queries.inlineLayout()
+      );
+      expect(text).toEqual(
+        "query Foo { viewer { ...who } rateLimit { cost remaining resetAt } } " +
+          "fragment who on User { login }"
+      );
+    });
+    it("does not modify its input", () => {
+      const body = [Queries.build.query("Foo", [], [])];
+      withRateLimit(body);
+      expect(body[0].type === "QUERY" && body[0].selections).toEqual([]);
+    });
+  });
+
+  describe("RateLimiter", () => {
+    const resetAt = "2018-01-01T01:00:00.000Z";
+    function setup() {
+      let now = Date.parse("2018-01-01T00:00:00.000Z");
+      const log = jest.fn();
+      const sleep = jest.fn(async (ms) => {
+        now += ms;
+      });
+      const rateLimiter = new RateLimiter({
+        now: () => new Date(now),
+        sleep,
+        log,
+      });
+      return {rateLimiter, sleep, log};
+    }
+
+    it("does not wait before the first query", async () => {
+      const {rateLimiter, sleep, log} = setup();
+      await rateLimiter.beforeQuery();
+      expect(sleep).not.toHaveBeenCalled();
+      expect(log).not.toHaveBeenCalled();
+    });
+    it("does not wait while the budget lasts", async () => {
+      const {rateLimiter, sleep} = setup();
+      rateLimiter.update({cost: 10, remaining: 10, resetAt});
+      await rateLimiter.beforeQuery();
+      expect(sleep).not.toHaveBeenCalled();
+    });
+    it("waits until the reset when the budget is exhausted", async () => {
+      const {rateLimiter, sleep, log} = setup();
+      rateLimiter.projectQueries(30);
+      rateLimiter.update({cost: 10, remaining: 9, resetAt});
+      log.mockClear();
+      await rateLimiter.beforeQuery();
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(sleep).toHaveBeenCalledWith(60 * 60 * 1000 + 1000);
+      expect(log).toHaveBeenCalledWith(
+        "GitHub rate limit exhausted: 9 points remain, but the next " +
+          "query needs about 10 (about 300 points of queries remain in " +
+          `total); waiting until ${resetAt}.`
+      );
+      // The budget is unknown again until the next query reports it.
+      await rateLimiter.beforeQuery();
+      expect(sleep).toHaveBeenCalledTimes(1);
+    });
+    it("treats free queries as costing one point", async () => {
+      const {rateLimiter, sleep} = setup();
+      rateLimiter.update({cost: 0, remaining: 0, resetAt});
+      await rateLimiter.beforeQuery();
+      expect(sleep).toHaveBeenCalledTimes(1);
+    });
+    it("warns once per window when the projected cost is too high", () => {
+      const {rateLimiter, log} = setup();
+      rateLimiter.update({cost: 2, remaining: 100, resetAt});
+      expect(rateLimiter.projectedCost()).toBe(null);
+      rateLimiter.projectQueries(40);
+      expect(rateLimiter.projectedCost()).toEqual(80);
+      expect(log).not.toHaveBeenCalled();
+      rateLimiter.projectQueries(60);
+      expect(log).toHaveBeenCalledTimes(1);
+      expect(log).toHaveBeenCalledWith(
+        "About 120 points of GitHub queries remain, but only 100 are left " +
+          `before the rate limit resets at ${resetAt}; the load will pause ` +
+          "until then when they run out."
+      );
+      rateLimiter.update({cost: 2, remaining: 98, resetAt});
+      expect(log).toHaveBeenCalledTimes(1);
+      rateLimiter.update({
+        cost: 2,
+        remaining: 100,
+        resetAt: "2018-01-01T02:00:00.000Z",
+      });
+      expect(log).toHaveBeenCalledTimes(2);
+    });
+    it("rejects an invalid reset time", () => {
+      const {rateLimiter} = setup();
+      expect(() =>
+        rateLimiter.update({cost: 1, remaining: 1, resetAt: "soon"})
+      ).toThrow("Invalid rate limit reset time: soon");
+    });
+
+    describe("after exceeding the rate limit", () => {
+      it("waits until the given reset time", async () => {
+        const {rateLimiter, sleep, log} = setup();
+        await rateLimiter.afterRateLimited(new Date(resetAt));
+        expect(sleep).toHaveBeenCalledWith(60 * 60 * 1000 + 1000);
+        expect(log).toHaveBeenCalledWith(
+          `GitHub rate limit exceeded; waiting until ${resetAt}.`
+        );
+      });
+      it("waits until the last known reset time", async () => {
+        const {rateLimiter, sleep} = setup();
+        rateLimiter.update({cost: 1, remaining: 5, resetAt});
+        await rateLimiter.afterRateLimited(null);
+        expect(sleep).toHaveBeenCalledWith(60 * 60 * 1000 + 1000);
+      });
+      it("waits a minute if the reset time is unknown", async () => {
+        const {rateLimiter, sleep} = setup();
+        await rateLimiter.afterRateLimited(null);
+        expect(sleep).toHaveBeenCalledWith(60 * 1000 + 1000);
+      });
+      it("waits a minute if the reset time has passed", async () => {
+        const {rateLimiter, sleep} = setup();
+        await rateLimiter.afterRateLimited(new Date(0));
+        expect(sleep).toHaveBeenCalledWith(60 * 1000 + 1000);
+      });
+      it("knows that a reset is pending if one is in the future", () => {
+        const {rateLimiter} = setup();
+        expect(rateLimiter.isResetPending(new Date(resetAt))).toBe(true);
+        expect(rateLimiter.isResetPending(new Date(0))).toBe(false);
+        expect(rateLimiter.isResetPending(null)).toBe(false);
+        rateLimiter.update({cost: 1, remaining: 5, resetAt});
+        expect(rateLimiter.isResetPending(null)).toBe(true);
+      });
+    });
+  });
+});
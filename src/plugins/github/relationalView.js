@@ -14,6 +14,7 @@ import type {
   ReviewAddress,
   CommentAddress,
   UserlikeAddress,
+  LabelAddress,
 } from "./nodes";
 import type {
   GithubResponseJSON,
@@ -27,6 +28,7 @@ import type {
   ReviewState,
   ReactionJSON,
   ReactionContent,
+  LabelJSON,
 } from "./graphql";
 import * as GitNode from "../git/nodes";
 import * as MapUtil from "../../util/map";
@@ -41,7 +43,7 @@ import {
 
 const COMPAT_INFO = {
   type: "sourcecred/github/relationalView",
-  version: "0.2.0",
+  version: "0.5.0",
 };
 
 export class RelationalView {
@@ -52,10 +54,18 @@ export class RelationalView {
   _commits: Map<N.RawAddress, CommitEntry>;
   _reviews: Map<N.RawAddress, ReviewEntry>;
   _userlikes: Map<N.RawAddress, UserlikeEntry>;
+  _labels: Map<N.RawAddress, LabelEntry>;
   _mapReferences: Map<N.RawAddress, N.ReferentAddress[]>;
   _mapReferencedBy: Map<N.RawAddress, N.TextContentAddress[]>;
+  _bots: Set<string>;
 
-  constructor(): void {
+  /**
+   * Authors whose logins are in `bots` are given the `BOT` subtype as
+   * data is added; all others are given the `USER` subtype. Defaults
+   * to the built-in `botSet()`.
+   */
+  constructor(bots?: Set<string>): void {
+    this._bots = bots == null ? botSet() : new Set(bots);
     this._repos = new Map();
     this._issues = new Map();
     this._pulls = new Map();
@@ -63,6 +73,7 @@ export class RelationalView {
     this._commits = new Map();
     this._reviews = new Map();
     this._userlikes = new Map();
+    this._labels = new Map();
     this._mapReferences = new Map();
     this._mapReferencedBy = new Map();
   }
@@ -109,6 +120,13 @@ export class RelationalView {
     }
   }
 
+  /**
+   * The logins that this view treats as bots.
+   */
+  bots(): Set<string> {
+    return new Set(this._bots);
+  }
+
   *repos(): Iterator<Repo> {
     for (const entry of this._repos.values()) {
       yield new Repo(this, entry);
@@ -186,6 +204,17 @@ export class RelationalView {
     return entry == null ? entry : new Userlike(this, entry);
   }
 
+  *labels(): Iterator<Label> {
+    for (const entry of this._labels.values()) {
+      yield new Label(this, entry);
+    }
+  }
+
+  label(address: LabelAddress): ?Label {
+    const entry = this._labels.get(N.toRaw(address));
+    return entry == null ? entry : new Label(this, entry);
+  }
+
   entity(address: N.StructuredAddress): ?Entity {
     switch (address.type) {
       case "REPO":
@@ -200,6 +229,8 @@ export class RelationalView {
         return this.comment(address);
       case "USERLIKE":
         return this.userlike(address);
+      case "LABEL":
+        return this.label(address);
       case "COMMIT":
         return this.commit(address);
       default:
@@ -255,6 +286,7 @@ export class RelationalView {
     yield* this.comments();
     yield* this.commits();
     yield* this.userlikes();
+    yield* this.labels();
   }
 
   *reactableEntities(): Iterator<ReactableEntity> {
@@ -263,6 +295,11 @@ export class RelationalView {
     yield* this.comments();
   }
 
+  *labelableEntities(): Iterator<LabelableEntity> {
+    yield* this.issues();
+    yield* this.pulls();
+  }
+
   toJSON(): RelationalViewJSON {
     const rawJSON = {
       repos: MapUtil.toObject(this._repos),
@@ -272,15 +309,17 @@ export class RelationalView {
       comments: MapUtil.toObject(this._comments),
       commits: MapUtil.toObject(this._commits),
       userlikes: MapUtil.toObject(this._userlikes),
+      labels: MapUtil.toObject(this._labels),
       references: MapUtil.toObject(this._mapReferences),
       referencedBy: MapUtil.toObject(this._mapReferencedBy),
+      bots: Array.from(this._bots).sort(),
     };
     return toCompat(COMPAT_INFO, rawJSON);
   }
 
   static fromJSON(compatJson: RelationalViewJSON): RelationalView {
     const json = fromCompat(COMPAT_INFO, compatJson);
-    const rv = new RelationalView();
+    const rv = new RelationalView(new Set(json.bots));
     rv._repos = MapUtil.fromObject(json.repos);
     rv._issues = MapUtil.fromObject(json.issues);
     rv._pulls = MapUtil.fromObject(json.pulls);
@@ -288,6 +327,7 @@ export class RelationalView {
     rv._comments = MapUtil.fromObject(json.comments);
     rv._commits = MapUtil.fromObject(json.commits);
     rv._userlikes = MapUtil.fromObject(json.userlikes);
+    rv._labels = MapUtil.fromObject(json.labels);
     rv._mapReferences = MapUtil.fromObject(json.references);
     rv._mapReferencedBy = MapUtil.fromObject(json.referencedBy);
     return rv;
@@ -336,11 +376,13 @@ export class RelationalView {
     const entry: IssueEntry = {
       address,
       url: json.url,
+      createdAt: parseTimestamp(json.createdAt),
       comments: json.comments.nodes.map((x) => this._addComment(address, x)),
       authors: this._addNullableAuthor(json.author),
       body: json.body,
       title: json.title,
       reactions: json.reactions.nodes.map((x) => this._addReaction(x)),
+      labels: labelNodes(json).map((x) => this._addLabel(repo, x)),
     };
     this._issues.set(N.toRaw(address), entry);
     return address;
@@ -353,6 +395,7 @@ export class RelationalView {
     const entry: CommitEntry = {
       address,
       url: json.url,
+      createdAt: parseTimestamp(json.authoredDate),
       authors,
       message: json.message,
     };
@@ -372,6 +415,7 @@ export class RelationalView {
     const entry: PullEntry = {
       address,
       url: json.url,
+      createdAt: parseTimestamp(json.createdAt),
       comments: json.comments.nodes.map((x) => this._addComment(address, x)),
       reviews: json.reviews.nodes.map((x) => this._addReview(address, x)),
       authors: this._addNullableAuthor(json.author),
@@ -381,6 +425,7 @@ export class RelationalView {
       additions: json.additions,
       deletions: json.deletions,
       reactions: json.reactions.nodes.map((x) => this._addReaction(x)),
+      labels: labelNodes(json).map((x) => this._addLabel(repo, x)),
     };
     this._pulls.set(N.toRaw(address), entry);
     return address;
@@ -395,6 +440,7 @@ export class RelationalView {
     const entry: ReviewEntry = {
       address,
       url: json.url,
+      createdAt: parseTimestamp(json.createdAt),
       state: json.state,
       comments: json.comments.nodes.map((x) => this._addComment(address, x)),
       body: json.body,
@@ -426,6 +472,7 @@ export class RelationalView {
     const entry: CommentEntry = {
       address,
       url: json.url,
+      createdAt: parseTimestamp(json.createdAt),
       authors: this._addNullableAuthor(json.author),
       body: json.body,
       reactions: json.reactions.nodes.map((x) => this._addReaction(x)),
@@ -444,12 +491,19 @@ export class RelationalView {
     return {content: json.content, user: authorAddresses[0]};
   }
 
+  _addLabel(repo: RepoAddress, json: LabelJSON): LabelAddress {
+    const address: LabelAddress = {type: N.LABEL_TYPE, repo, name: json.name};
+    const entry: LabelEntry = {address, url: json.url};
+    this._labels.set(N.toRaw(address), entry);
+    return address;
+  }
+
   _addNullableAuthor(json: NullableAuthorJSON): UserlikeAddress[] {
     if (json == null) {
       return [];
     } else {
       const login = json.login;
-      const subtype = botSet().has(login) ? N.BOT_SUBTYPE : N.USER_SUBTYPE;
+      const subtype = this._bots.has(login) ? N.BOT_SUBTYPE : N.USER_SUBTYPE;
       const address: UserlikeAddress = {
         type: N.USERLIKE_TYPE,
         subtype,
@@ -650,7 +704,8 @@ type Entry =
   | ReviewEntry
   | CommentEntry
   | CommitEntry
-  | UserlikeEntry;
+  | UserlikeEntry
+  | LabelEntry;
 
 export class _Entity<+T: Entry> {
   +_view: RelationalView;
@@ -709,9 +764,11 @@ type IssueEntry = {|
   +title: string,
   +body: string,
   +url: string,
+  +createdAt: number | null, // milliseconds since the Unix epoch
   +comments: CommentAddress[],
   +authors: UserlikeAddress[],
   +reactions: ReactionRecord[],
+  +labels: LabelAddress[],
 |};
 
 export class Issue extends _Entity<IssueEntry> {
@@ -732,6 +789,9 @@ export class Issue extends _Entity<IssueEntry> {
   body(): string {
     return this._entry.body;
   }
+  createdAt(): number | null {
+    return this._entry.createdAt;
+  }
   *comments(): Iterator<Comment> {
     for (const address of this._entry.comments) {
       const comment = this._view.comment(address);
@@ -750,6 +810,9 @@ export class Issue extends _Entity<IssueEntry> {
   reactions(): $ReadOnlyArray<ReactionRecord> {
     return this._entry.reactions;
   }
+  labels(): Iterator<Label> {
+    return getLabels(this._view, this._entry);
+  }
 }
 
 type PullEntry = {|
@@ -757,6 +820,7 @@ type PullEntry = {|
   +title: string,
   +body: string,
   +url: string,
+  +createdAt: number | null, // milliseconds since the Unix epoch
   +comments: CommentAddress[],
   +reviews: ReviewAddress[],
   +mergedAs: ?GitNode.CommitAddress,
@@ -764,6 +828,7 @@ type PullEntry = {|
   +deletions: number,
   +authors: UserlikeAddress[],
   +reactions: ReactionRecord[],
+  +labels: LabelAddress[],
 |};
 
 export class Pull extends _Entity<PullEntry> {
@@ -784,6 +849,9 @@ export class Pull extends _Entity<PullEntry> {
   body(): string {
     return this._entry.body;
   }
+  createdAt(): number | null {
+    return this._entry.createdAt;
+  }
   additions(): number {
     return this._entry.additions;
   }
@@ -817,12 +885,16 @@ export class Pull extends _Entity<PullEntry> {
   reactions(): $ReadOnlyArray<ReactionRecord> {
     return this._entry.reactions;
   }
+  labels(): Iterator<Label> {
+    return getLabels(this._view, this._entry);
+  }
 }
 
 type ReviewEntry = {|
   +address: ReviewAddress,
   +body: string,
   +url: string,
+  +createdAt: number | null, // milliseconds since the Unix epoch
   +comments: CommentAddress[],
   +state: ReviewState,
   +authors: UserlikeAddress[],
@@ -840,6 +912,9 @@ export class Review extends _Entity<ReviewEntry> {
   body(): string {
     return this._entry.body;
   }
+  createdAt(): number | null {
+    return this._entry.createdAt;
+  }
   state(): string {
     return this._entry.state;
   }
@@ -864,6 +939,7 @@ type CommentEntry = {|
   +address: CommentAddress,
   +body: string,
   +url: string,
+  +createdAt: number | null, // milliseconds since the Unix epoch
   +authors: UserlikeAddress[],
   +reactions: ReactionRecord[],
 |};
@@ -893,6 +969,9 @@ export class Comment extends _Entity<CommentEntry> {
   body(): string {
     return this._entry.body;
   }
+  createdAt(): number | null {
+    return this._entry.createdAt;
+  }
   authors(): Iterator<Userlike> {
     return getAuthors(this._view, this._entry);
   }
@@ -910,6 +989,7 @@ export class Comment extends _Entity<CommentEntry> {
 type CommitEntry = {|
   +address: GitNode.CommitAddress,
   +url: string,
+  +createdAt: number | null, // milliseconds since the Unix epoch
   +authors: UserlikeAddress[],
   +message: string,
 |};
@@ -924,6 +1004,9 @@ export class Commit extends _Entity<CommitEntry> {
   message(): string {
     return this._entry.message;
   }
+  createdAt(): number | null {
+    return this._entry.createdAt;
+  }
   references(): Iterator<ReferentEntity> {
     return this._view._references(this);
   }
@@ -949,6 +1032,37 @@ export class Userlike extends _Entity<UserlikeEntry> {
   }
 }
 
+type LabelEntry = {|
+  +address: LabelAddress,
+  +url: string,
+|};
+
+export class Label extends _Entity<LabelEntry> {
+  constructor(view: RelationalView, entry: LabelEntry) {
+    super(view, entry);
+  }
+  parent(): Repo {
+    const address = this.address().repo;
+    const repo = this._view.repo(address);
+    return assertExists(repo, address);
+  }
+  name(): string {
+    return this.address().name;
+  }
+}
+
+// Data fetched before timestamps were recorded (such as the example
+// data) has none; its posts have a creation time of null.
+function parseTimestamp(date: ?string): number | null {
+  return date == null ? null : Date.parse(date);
+}
+
+// Likewise, data fetched before labels were recorded (such as the
+// example data) has none.
+function labelNodes(json: IssueJSON | PullJSON): $ReadOnlyArray<LabelJSON> {
+  return json.labels == null ? [] : json.labels.nodes;
+}
+
 function assertExists<T>(item: ?T, address: N.StructuredAddress): T {
   if (item == null) {
     throw new Error(
@@ -968,6 +1082,13 @@ function* getAuthors(
   }
 }
 
+function* getLabels(view: RelationalView, entry: IssueEntry | PullEntry) {
+  for (const address of entry.labels) {
+    const label = view.label(address);
+    yield assertExists(label, address);
+  }
+}
+
 export type MatchHandlers<T> = {|
   +repo: (x: Repo) => T,
   +issue: (x: Issue) => T,
@@ -976,6 +1097,7 @@ export type MatchHandlers<T> = {|
   +comment: (x: Comment) => T,
   +commit: (x: Commit) => T,
   +userlike: (x: Userlike) => T,
+  +label: (x: Label) => T,
 |};
 export function match<T>(handlers: MatchHandlers<T>, x: Entity): T {
   if (x instanceof Repo) {
@@ -999,10 +1121,21 @@ export function match<T>(handlers: MatchHandlers<T>, x: Entity): T {
   if (x instanceof Userlike) {
     return handlers.userlike(x);
   }
+  if (x instanceof Label) {
+    return handlers.label(x);
+  }
   throw new Error(`Unexpected entity ${x}`);
 }
 
-export type Entity = Repo | Issue | Pull | Review | Comment | Commit | Userlike;
+export type Entity =
+  | Repo
+  | Issue
+  | Pull
+  | Review
+  | Comment
+  | Commit
+  | Userlike
+  | Label;
 export type AuthoredEntity = Issue | Pull | Review | Comment | Commit;
 export type TextContentEntity = Issue | Pull | Review | Comment | Commit;
 export type ParentEntity = Repo | Issue | Pull | Review;
@@ -1016,6 +1149,7 @@ export type ReferentEntity =
   | Commit
   | Userlike;
 export type ReactableEntity = Issue | Pull | Comment;
+export type LabelableEntity = Issue | Pull;
 
 export opaque type AddressEntryMapJSON<T> = {[N.RawAddress]: T};
 export opaque type RelationalViewJSON = Compatible<{|
@@ -1026,6 +1160,8 @@ export opaque type RelationalViewJSON = Compatible<{|
   +comments: AddressEntryMapJSON<CommentEntry>,
   +commits: AddressEntryMapJSON<CommitEntry>,
   +userlikes: AddressEntryMapJSON<UserlikeEntry>,
+  +labels: AddressEntryMapJSON<LabelEntry>,
   +references: AddressEntryMapJSON<N.ReferentAddress[]>,
   +referencedBy: AddressEntryMapJSON<N.TextContentAddress[]>,
+  +bots: $ReadOnlyArray<string>,
 |}>;
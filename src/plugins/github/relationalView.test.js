@@ -2,8 +2,13 @@
 
 import * as R from "./relationalView";
 import * as N from "./nodes";
-import {exampleData, exampleRelationalView} from "./example/example";
+import {
+  exampleData,
+  exampleLabeledView,
+  exampleRelationalView,
+} from "./example/example";
 import * as MapUtil from "../../util/map";
+import {botSet} from "./bots";
 
 describe("plugins/github/relationalView", () => {
   // Sharing this state is OK because it's just a view - no mutation allowed!
@@ -94,6 +99,7 @@ describe("plugins/github/relationalView", () => {
     has("body", () => entity.body());
     has("title", () => entity.title());
     has("url", () => entity.url());
+    has("createdAt", () => entity.createdAt());
     has("parent", () => entity.parent());
     hasEntities("comments", () => entity.comments());
     hasEntities("authors", () => entity.authors());
@@ -107,6 +113,7 @@ describe("plugins/github/relationalView", () => {
     has("body", () => entity.body());
     has("title", () => entity.title());
     has("url", () => entity.url());
+    has("createdAt", () => entity.createdAt());
     has("parent", () => entity.parent());
     has("mergedAs", () => entity.mergedAs());
     has("additions", () => entity.additions());
@@ -122,6 +129,7 @@ describe("plugins/github/relationalView", () => {
     const entity = review;
     has("body", () => entity.body());
     has("url", () => entity.url());
+    has("createdAt", () => entity.createdAt());
     has("state", () => entity.state());
     has("parent", () => entity.parent());
     hasEntities("comments", () => entity.comments());
@@ -133,6 +141,7 @@ describe("plugins/github/relationalView", () => {
     const entity = comment;
     has("body", () => entity.body());
     has("url", () => entity.url());
+    has("createdAt", () => entity.createdAt());
     has("parent", () => entity.parent());
     hasEntities("authors", () => entity.authors());
     has("reactions", () => entity.reactions());
@@ -142,6 +151,7 @@ describe("plugins/github/relationalView", () => {
   describe("Commit", () => {
     const entity = commit;
     has("url", () => entity.url());
+    has("createdAt", () => entity.createdAt());
     has("message", () => entity.message());
     hasEntities("authors", () => entity.authors());
   });
@@ -197,6 +207,7 @@ describe("plugins/github/relationalView", () => {
       comment: (x: R.Comment) => [x.address(), "COMMENT"],
       commit: (x: R.Commit) => [x.address(), "COMMIT"],
       userlike: (x: R.Userlike) => [x.address(), "USERLIKE"],
+      label: (x: R.Label) => [x.address(), "LABEL"],
     };
 
     const instances = [repo, issue, pull, review, comment, commit, userlike];
@@ -206,6 +217,78 @@ describe("plugins/github/relationalView", () => {
     }
   });
 
+  describe("labels", () => {
+    const names = (xs) => Array.from(xs).map((x) => x.name());
+
+    it("are attached to issues and pulls", () => {
+      const rv = exampleLabeledView();
+      expect(names(Array.from(rv.issues())[0].labels())).toEqual([
+        "bug",
+        "bounty",
+      ]);
+      expect(names(Array.from(rv.issues())[1].labels())).toEqual([]);
+      expect(names(Array.from(rv.pulls())[0].labels())).toEqual(["bounty"]);
+    });
+    it("are shared within a repository", () => {
+      const rv = exampleLabeledView();
+      expect(names(rv.labels())).toEqual(["bug", "bounty"]);
+      expect(Array.from(rv.labelableEntities())).toHaveLength(
+        Array.from(rv.issues()).length + Array.from(rv.pulls()).length
+      );
+    });
+    it("have their repository as parent", () => {
+      const rv = exampleLabeledView();
+      for (const label of rv.labels()) {
+        expect(label.parent().address()).toEqual(repo.address());
+        expect(label.url()).toEqual(
+          `https://github.com/sourcecred/example-github/labels/${label.name()}`
+        );
+      }
+    });
+    it("are entities", () => {
+      const rv = exampleLabeledView();
+      const label = Array.from(rv.labels())[0];
+      expect(rv.entity(label.address())).toEqual(label);
+      expect(Array.from(rv.entities())).toContainEqual(label);
+      const handlers = {
+        repo: () => "REPO",
+        issue: () => "ISSUE",
+        pull: () => "PULL",
+        review: () => "REVIEW",
+        comment: () => "COMMENT",
+        commit: () => "COMMIT",
+        userlike: () => "USERLIKE",
+        label: (x: R.Label) => x.name(),
+      };
+      expect(R.match(handlers, label)).toEqual("bug");
+    });
+    it("survive to/fromJSON", () => {
+      const rv = R.RelationalView.fromJSON(exampleLabeledView().toJSON());
+      expect(names(rv.labels())).toEqual(["bug", "bounty"]);
+      expect(names(Array.from(rv.pulls())[0].labels())).toEqual(["bounty"]);
+    });
+  });
+
+  describe("creation timestamps", () => {
+    it("are parsed as milliseconds since the epoch", () => {
+      const data: any = exampleData();
+      const issue = data.repository.issues.nodes[1];
+      issue.createdAt = "2018-03-01T00:00:00Z";
+      issue.comments.nodes[0].createdAt = "2018-03-02T12:00:00Z";
+      const rv = new R.RelationalView();
+      rv.addData(data);
+      const entity = Array.from(rv.issues())[1];
+      expect(entity.createdAt()).toEqual(Date.UTC(2018, 2, 1));
+      expect(Array.from(entity.comments())[0].createdAt()).toEqual(
+        Date.UTC(2018, 2, 2, 12)
+      );
+    });
+    it("are null if absent from the data", () => {
+      const issue = Array.from(view.issues())[0];
+      expect(issue.createdAt()).toBe(null);
+    });
+  });
+
   describe("comment parent differentiation", () => {
     function hasCorrectParent(name, parent) {
       it(name, () => {
@@ -347,6 +430,31 @@ describe("plugins/github/relationalView", () => {
     });
   });
 
+  describe("bots", () => {
+    function userlikeLogins(rv, subtype) {
+      return Array.from(rv.userlikes())
+        .filter((x) => x.address().subtype === subtype)
+        .map((x) => x.login())
+        .sort();
+    }
+    it("uses the default bot set if none is given", () => {
+      expect(view.bots()).toEqual(botSet());
+      expect(userlikeLogins(view, N.BOT_SUBTYPE)).toEqual(["credbot"]);
+    });
+    it("classifies authors according to the given bots", () => {
+      const rv = new R.RelationalView(new Set(["decentralion"]));
+      rv.addData(exampleData());
+      expect(userlikeLogins(rv, N.BOT_SUBTYPE)).toEqual(["decentralion"]);
+      expect(userlikeLogins(rv, N.USER_SUBTYPE)).toContain("credbot");
+    });
+    it("copies the given set", () => {
+      const bots = new Set(["decentralion"]);
+      const rv = new R.RelationalView(bots);
+      bots.add("wchargin");
+      expect(rv.bots()).toEqual(new Set(["decentralion"]));
+    });
+  });
+
   describe("to/fromJSON", () => {
     it("to->from->to is identity", () => {
       const json1 = view.toJSON();
@@ -354,5 +462,21 @@ describe("plugins/github/relationalView", () => {
       const json2 = view1.toJSON();
       expect(json1).toEqual(json2);
     });
+    it("preserves the bot set", () => {
+      const rv = new R.RelationalView(new Set(["decentralion"]));
+      expect(R.RelationalView.fromJSON(rv.toJSON()).bots()).toEqual(
+        new Set(["decentralion"])
+      );
+    });
+    it("honors the stored bot set when adding more data", () => {
+      const rv = new R.RelationalView(new Set(["decentralion"]));
+      const rv1 = R.RelationalView.fromJSON(rv.toJSON());
+      rv1.addData(exampleData());
+      expect(
+        Array.from(rv1.userlikes())
+          .filter((x) => x.address().subtype === N.BOT_SUBTYPE)
+          .map((x) => x.login())
+      ).toEqual(["decentralion"]);
+    });
   });
 });
@@ -70,6 +70,14 @@ function userlike(x: R.Userlike) {
   return <EntityUrl entity={x}>@{x.login()}</EntityUrl>;
 }
 
+function label(x: R.Label) {
+  return (
+    <span>
+      label <EntityUrl entity={x}>{x.name()}</EntityUrl> in {repo(x.parent())}
+    </span>
+  );
+}
+
 // The commit type is included for completeness's sake and to
 // satisfy the typechecker, but won't ever be seen in the frontend
 // because the commit has a Git plugin prefix and will therefore by
@@ -92,6 +100,7 @@ export function description(e: R.Entity): ReactNode {
     comment,
     commit,
     userlike,
+    label,
   };
   return R.match(handlers, e);
 }
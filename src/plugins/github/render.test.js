@@ -1,7 +1,8 @@
 // @flow
 
 import {render} from "enzyme";
-import {exampleEntities} from "./example/example";
+import * as NullUtil from "../../util/null";
+import {exampleEntities, exampleLabeledView} from "./example/example";
 import {description} from "./render";
 import enzymeToJSON from "enzyme-to-json";
 
@@ -17,4 +18,24 @@ describe("plugins/github/render", () => {
       expect(enzymeToJSON(renderedEntity)).toMatchSnapshot();
     });
   }
+
+  it("renders the right description for a label", () => {
+    const label = NullUtil.get(
+      Array.from(exampleLabeledView().labels()).find(
+        (x) => x.name() === "bounty"
+      )
+    );
+    const rendered = render(description(label));
+    expect(rendered.text()).toEqual(
+      "label bounty in sourcecred/example-github"
+    );
+    const hrefs = rendered
+      .find("a")
+      .toArray()
+      .map((x) => x.attribs.href);
+    expect(hrefs).toEqual([
+      "https://github.com/sourcecred/example-github/labels/bounty",
+      "https://github.com/sourcecred/example-github",
+    ]);
+  });
 });
@@ -0,0 +1,103 @@
+// @flow
+
+import * as TimeWindow from "../../core/timeWindow";
+import type {
+  CommitJSON,
+  ConnectionJSON,
+  GithubResponseJSON,
+  IssueJSON,
+  PullJSON,
+  RefJSON,
+  ReviewJSON,
+} from "./graphql";
+
+/**
+ * Keep only the data created within the given time window.
+ *
+ * Comments and commits are kept exactly when they were created within
+ * the window. Issues, pull requests, and reviews are also kept if any
+ * of their comments or reviews were kept, so that recent discussion on
+ * an older post retains its context. Reactions and labels have no
+ * timestamp, and are kept along with their post.
+ */
+export function restrictToWindow(
+  data: GithubResponseJSON,
+  window: TimeWindow.TimeWindow
+): GithubResponseJSON {
+  function inWindow(date: string): boolean {
+    return TimeWindow.contains(window, Date.parse(date));
+  }
+  function restrictPosts<T: {+createdAt: string}>(
+    connection: ConnectionJSON<T>
+  ): ConnectionJSON<T> {
+    const nodes = connection.nodes.filter((x) => inWindow(x.createdAt));
+    return {...connection, nodes};
+  }
+  function restrictCommit(commit: ?CommitJSON): ?CommitJSON {
+    return commit != null && inWindow(commit.authoredDate) ? commit : null;
+  }
+
+  function restrictIssues(
+    issues: ConnectionJSON<IssueJSON>
+  ): ConnectionJSON<IssueJSON> {
+    const nodes = [];
+    for (const issue of issues.nodes) {
+      const comments = restrictPosts(issue.comments);
+      if (inWindow(issue.createdAt) || comments.nodes.length > 0) {
+        nodes.push({...issue, comments});
+      }
+    }
+    return {...issues, nodes};
+  }
+
+  function restrictReviews(
+    reviews: ConnectionJSON<ReviewJSON>
+  ): ConnectionJSON<ReviewJSON> {
+    const nodes = [];
+    for (const review of reviews.nodes) {
+      const comments = restrictPosts(review.comments);
+      if (inWindow(review.createdAt) || comments.nodes.length > 0) {
+        nodes.push({...review, comments});
+      }
+    }
+    return {...reviews, nodes};
+  }
+
+  function restrictPulls(
+    pulls: ConnectionJSON<PullJSON>
+  ): ConnectionJSON<PullJSON> {
+    const nodes = [];
+    for (const pull of pulls.nodes) {
+      const comments = restrictPosts(pull.comments);
+      const reviews = restrictReviews(pull.reviews);
+      if (
+        inWindow(pull.createdAt) ||
+        comments.nodes.length > 0 ||
+        reviews.nodes.length > 0
+      ) {
+        const mergeCommit = restrictCommit(pull.mergeCommit);
+        nodes.push({...pull, comments, reviews, mergeCommit});
+      }
+    }
+    return {...pulls, nodes};
+  }
+
+  function restrictRef(ref: ?RefJSON): ?RefJSON {
+    if (ref == null || ref.target.__typename !== "Commit") {
+      return ref;
+    }
+    const history = ref.target.history;
+    const nodes = history.nodes.filter((x) => inWindow(x.authoredDate));
+    return {target: {__typename: "Commit", history: {...history, nodes}}};
+  }
+
+  const repository = data.repository;
+  return {
+    repository: {
+      ...repository,
+      issues: restrictIssues(repository.issues),
+      pulls: restrictPulls(repository.pulls),
+      defaultBranchRef: restrictRef(repository.defaultBranchRef),
+    },
+  };
+}
@@ -0,0 +1,140 @@
+// @flow
+
+import * as TimeWindow from "../../core/timeWindow";
+import {exampleData} from "./example/example";
+import {RelationalView} from "./relationalView";
+import {restrictToWindow} from "./restrictToWindow";
+
+describe("plugins/github/restrictToWindow", () => {
+  function history(data) {
+    const ref = data.repository.defaultBranchRef;
+    if (ref == null || ref.target.__typename !== "Commit") {
+      throw new Error("expected a commit");
+    }
+    return ref.target.history.nodes;
+  }
+  // The example data predates the recording of timestamps, so give
+  // each post and commit a distinct (made-up) timestamp, an hour apart.
+  function timestampedData() {
+    const data: any = exampleData();
+    let time = Date.parse("2018-03-01T00:00:00Z");
+    function stamp(x: any, field = "createdAt") {
+      x[field] = new Date(time).toISOString();
+      time += 60 * 60 * 1000;
+    }
+    for (const issue of data.repository.issues.nodes) {
+      stamp(issue);
+      issue.comments.nodes.forEach((x) => stamp(x));
+    }
+    for (const pull of data.repository.pulls.nodes) {
+      stamp(pull);
+      pull.comments.nodes.forEach((x) => stamp(x));
+      for (const review of pull.reviews.nodes) {
+        stamp(review);
+        review.comments.nodes.forEach((x) => stamp(x));
+      }
+      if (pull.mergeCommit != null) {
+        stamp(pull.mergeCommit, "authoredDate");
+      }
+    }
+    history(data).forEach((x) => stamp(x, "authoredDate"));
+    return data;
+  }
+  function instant(date: string) {
+    const time = Date.parse(date);
+    return {since: time, until: time + 1};
+  }
+
+  it("is the identity for an unbounded window", () => {
+    const data = exampleData();
+    expect(restrictToWindow(data, TimeWindow.unbounded())).toEqual(data);
+  });
+
+  it("drops everything for a window with no activity", () => {
+    const result = restrictToWindow(timestampedData(), {since: 0, until: 1});
+    expect(result.repository.issues.nodes).toEqual([]);
+    expect(result.repository.pulls.nodes).toEqual([]);
+    expect(history(result)).toEqual([]);
+  });
+
+  it("keeps an issue created within the window, without old comments", () => {
+    const data = timestampedData();
+    const issue = data.repository.issues.nodes.find(
+      (x) => x.comments.nodes.length > 0
+    );
+    if (issue == null) {
+      throw new Error("expected an issue with comments");
+    }
+    const result = restrictToWindow(data, instant(issue.createdAt));
+    expect(result.repository.issues.nodes).toEqual([
+      {...issue, comments: {...issue.comments, nodes: []}},
+    ]);
+  });
+
+  it("keeps an old issue that has a comment within the window", () => {
+    const data = timestampedData();
+    const issue = data.repository.issues.nodes.find(
+      (x) => x.comments.nodes.length > 1
+    );
+    if (issue == null) {
+      throw new Error("expected an issue with comments");
+    }
+    const comment = issue.comments.nodes[1];
+    const result = restrictToWindow(data, instant(comment.createdAt));
+    expect(result.repository.issues.nodes).toEqual([
+      {...issue, comments: {...issue.comments, nodes: [comment]}},
+    ]);
+  });
+
+  it("keeps an old pull that has a review comment within the window", () => {
+    const data = timestampedData();
+    const pull = data.repository.pulls.nodes.find((x) =>
+      x.reviews.nodes.some((r) => r.comments.nodes.length > 0)
+    );
+    if (pull == null) {
+      throw new Error("expected a pull with review comments");
+    }
+    const review = pull.reviews.nodes.find((r) => r.comments.nodes.length > 0);
+    if (review == null) {
+      throw new Error("unreachable");
+    }
+    const comment = review.comments.nodes[0];
+    const result = restrictToWindow(data, instant(comment.createdAt));
+    expect(result.repository.pulls.nodes).toHaveLength(1);
+    const resultPull = result.repository.pulls.nodes[0];
+    expect(resultPull.id).toEqual(pull.id);
+    expect(resultPull.comments.nodes).toEqual([]);
+    expect(resultPull.mergeCommit).toBe(null);
+    expect(resultPull.reviews.nodes).toEqual([
+      {...review, comments: {...review.comments, nodes: [comment]}},
+    ]);
+  });
+
+  it("keeps commits authored within the window", () => {
+    const data = timestampedData();
+    const commit = history(data)[0];
+    const result = restrictToWindow(data, instant(commit.authoredDate));
+    expect(history(result)).toEqual([commit]);
+  });
+
+  it("produces data that can be added to a RelationalView", () => {
+    const data = timestampedData();
+    const comment = data.repository.issues.nodes[1].comments.nodes[0];
+    const result = restrictToWindow(data, {
+      since: Date.parse(comment.createdAt),
+      until: null,
+    });
+    const view = new RelationalView();
+    view.addData(result);
+    expect(Array.from(view.issues()).length).toBeGreaterThan(0);
+    expect(Array.from(view.issues()).length).toBeLessThan(
+      data.repository.issues.nodes.length
+    );
+  });
+
+  it("does not modify its input", () => {
+    const data = exampleData();
+    restrictToWindow(data, {since: 0, until: 1});
+    expect(data).toEqual(exampleData());
+  });
+});
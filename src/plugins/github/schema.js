@@ -0,0 +1,117 @@
+// @flow
+
+import * as Schema from "../../graphql/schema";
+
+/**
+ * The subset of the GitHub GraphQL schema that we store in a GraphQL
+ * mirror. This mirrors the data requested by the queries in
+ * `./graphql`, and the extracted data is converted to the types
+ * declared there.
+ *
+ * Commit history is deliberately omitted: every `Commit` would carry
+ * its own `history` connection, so the mirror would try to fetch the
+ * full history once per commit. See `fetchGithubRepo` for how history
+ * is loaded instead.
+ */
+export default function schema(): Schema.Schema {
+  const s = Schema;
+  const types: {[Schema.Typename]: Schema.NodeType} = {
+    Repository: s.object({
+      id: s.id(),
+      url: s.primitive(),
+      name: s.primitive(),
+      owner: s.node("RepositoryOwner"),
+      issues: s.connection("Issue"),
+      pullRequests: s.connection("PullRequest"),
+    }),
+    Issue: s.object({
+      id: s.id(),
+      url: s.primitive(),
+      title: s.primitive(),
+      body: s.primitive(),
+      number: s.primitive(),
+      author: s.node("Actor"),
+      createdAt: s.primitive(),
+      comments: s.connection("IssueComment"),
+      reactions: s.connection("Reaction"),
+      labels: s.connection("Label"),
+    }),
+    PullRequest: s.object({
+      id: s.id(),
+      url: s.primitive(),
+      title: s.primitive(),
+      body: s.primitive(),
+      number: s.primitive(),
+      mergeCommit: s.node("Commit"),
+      additions: s.primitive(),
+      deletions: s.primitive(),
+      author: s.node("Actor"),
+      createdAt: s.primitive(),
+      comments: s.connection("IssueComment"),
+      reviews: s.connection("PullRequestReview"),
+      reactions: s.connection("Reaction"),
+      labels: s.connection("Label"),
+    }),
+    IssueComment: s.object({
+      id: s.id(),
+      url: s.primitive(),
+      body: s.primitive(),
+      author: s.node("Actor"),
+      createdAt: s.primitive(),
+      reactions: s.connection("Reaction"),
+    }),
+    PullRequestReview: s.object({
+      id: s.id(),
+      url: s.primitive(),
+      body: s.primitive(),
+      author: s.node("Actor"),
+      createdAt: s.primitive(),
+      state: s.primitive(),
+      comments: s.connection("PullRequestReviewComment"),
+    }),
+    PullRequestReviewComment: s.object({
+      id: s.id(),
+      url: s.primitive(),
+      body: s.primitive(),
+      author: s.node("Actor"),
+      createdAt: s.primitive(),
+      reactions: s.connection("Reaction"),
+    }),
+    Reaction: s.object({
+      id: s.id(),
+      content: s.primitive(),
+      user: s.node("User"),
+    }),
+    Label: s.object({
+      id: s.id(),
+      url: s.primitive(),
+      name: s.primitive(),
+    }),
+    Commit: s.object({
+      id: s.id(),
+      url: s.primitive(),
+      oid: s.primitive(),
+      message: s.primitive(),
+      author: s.nested({user: s.node("User")}),
+      authoredDate: s.primitive(),
+    }),
+    Actor: s.union(["User", "Bot", "Organization"]), // actually an interface
+    RepositoryOwner: s.union(["User", "Organization"]), // actually an interface
+    User: s.object({
+      id: s.id(),
+      url: s.primitive(),
+      login: s.primitive(),
+    }),
+    Bot: s.object({
+      id: s.id(),
+      url: s.primitive(),
+      login: s.primitive(),
+    }),
+    Organization: s.object({
+      id: s.id(),
+      url: s.primitive(),
+      login: s.primitive(),
+    }),
+  };
+  return s.schema(types);
+}
@@ -0,0 +1,13 @@
+// @flow
+
+import Database from "better-sqlite3";
+
+import {Mirror} from "../../graphql/mirror";
+import schema from "./schema";
+
+describe("plugins/github/schema", () => {
+  it("is accepted by the GraphQL mirror", () => {
+    const db = new Database(":memory:");
+    expect(() => new Mirror(db, schema())).not.toThrow();
+  });
+});
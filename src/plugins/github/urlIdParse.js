@@ -1,7 +1,12 @@
 // @flow
 
-import {githubOwnerPattern, githubRepoPattern} from "../../core/repoId";
-const urlBase = "^https?://github\\.com";
+import {
+  githubHostPattern,
+  githubOwnerPattern,
+  githubRepoPattern,
+} from "../../core/repoId";
+// Any host, so that URLs from GitHub Enterprise servers parse too.
+const urlBase = `^https?://(?:${githubHostPattern})`;
 const repoUrl = `${urlBase}/(?:${githubOwnerPattern})/(?:${githubRepoPattern})/`;
 
 export function reviewUrlToId(url: string): string {
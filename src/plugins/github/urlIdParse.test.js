@@ -30,6 +30,14 @@ describe("plugins/github/urlIdParse", () => {
     it("for review", () => {
       expect(reviewUrlToId(review)).toEqual("128199239");
     });
+    it("for URLs on other hosts", () => {
+      const enterprise = (url) =>
+        url.replace("https://github.com/", "https://github.example.com/");
+      expect(issueCommentUrlToId(enterprise(issueComment))).toEqual(
+        "394939349"
+      );
+      expect(reviewUrlToId(enterprise(review))).toEqual("128199239");
+    });
   });
   describe("errors on", () => {
     const issueCommentNamed = {instance: issueComment, name: "issue comment"};